@@ -4,7 +4,11 @@
  * Responsável por:
  * - Inicialização da aplicação quando o DOM está pronto
  * - Manipulação de eventos do formulário
- * - Coordenação entre os módulos (CONFIG, Calculator, UI)
+ * - Coordenação entre os módulos (CONFIG, I18n, Units, EmissionDatasets, Itinerary, FormValidation, Calculator, UI, TripHistory, BatchImport, ResultsExport, Permalink)
+ *   Calculator, EmissionDatasets e RoutesDB vêm do núcleo de cálculo (js/core/, ver js/core-browser.js)
+ * - Erros de validação junto dos campos e anúncio dos resultados aos leitores de tela
+ * - Restauração do formulário a partir de um cálculo salvo ou de um link compartilhado
+ * - Atualização dos conteúdos gerados ao trocar o idioma, o sistema de unidades ou a base de fatores
  * - Tratamento de erros
  */
 
@@ -16,13 +20,69 @@ document.addEventListener('DOMContentLoaded', function() {
   console.log('🔄 Inicializando Calculadora de Emissões de CO2...');
 
   try {
-    // 1. Popula a datalist com cidades disponíveis
+    // O núcleo de cálculo é um módulo ES (js/core-browser.js), que não carrega
+    // quando a página é aberta direto do arquivo
+    if (typeof Calculator === 'undefined') {
+      console.error('Núcleo de cálculo não carregado. Abra a aplicação por um servidor HTTP.');
+      UI.showNotice('app-notice', I18n.t('error.core'), true);
+      return;
+    }
+
+    // 0. Define o idioma (traduz os textos fixos da página), o sistema de unidades,
+    //    a moeda e o câmbio
+    I18n.init(handlePreferencesChange);
+    Units.init(handlePreferencesChange);
+    Currency.init(handlePreferencesChange);
+
+    // 1. Carrega as rotas personalizadas e popula a datalist com cidades disponíveis
+    CustomRoutes.init(handleCustomRoutesChange);
     CONFIG.populateDatalist();
 
-    // 2. Configura o preenchimento automático de distância
-    CONFIG.setupDistanceAutofill();
+    // 2. Cria o primeiro trecho do itinerário (com preenchimento automático de distância)
+    //    e configura os erros de validação do formulário
+    Itinerary.init();
+    FormValidation.init();
+
+    // 3. Gera a base de fatores, os campos de perfil e de ocupação dos veículos
+    //    e o escopo das emissões (combustíveis e portes dependem da base)
+    const datasetSelect = document.getElementById('dataset-select');
+    if (datasetSelect) {
+      datasetSelect.innerHTML = UI.renderDatasetOptions(CONFIG.EMISSION_DATASETS.DEFAULT_DATASET);
+      document.getElementById('dataset-info').innerHTML = UI.renderDatasetInfo(datasetSelect.value);
+      datasetSelect.addEventListener('change', handlePreferencesChange);
+    }
+
+    const vehicleFields = document.getElementById('vehicle-fields');
+    if (vehicleFields) {
+      vehicleFields.innerHTML = UI.renderVehicleFields(datasetSelect ? datasetSelect.value : undefined);
+      CONFIG.setupVehicleFields();
+    }
+
+    const occupancyFields = document.getElementById('occupancy-fields');
+    if (occupancyFields) {
+      occupancyFields.innerHTML = UI.renderOccupancyFields();
+    }
 
-    // 3. Obtém o elemento do formulário
+    const scopeFields = document.getElementById('scope-fields');
+    if (scopeFields) {
+      scopeFields.innerHTML = UI.renderScopeOptions(CONFIG.GHG.DEFAULT_SCOPE);
+    }
+
+    // 4. Configura a troca entre cálculo de passageiros e de carga
+    document.getElementById('cargo-weight').value = CONFIG.FREIGHT.DEFAULT_CARGO_TONNES;
+    CONFIG.setupCalculationType();
+
+    // 5. Carrega o histórico de cálculos (reabrir restaura o formulário)
+    TripHistory.init(restoreFormState);
+
+    // 6. Configura a importação de viagens em lote (CSV), a exportação de resultados
+    //    e o checkout de compensação (com o fornecedor local de testes)
+    BatchImport.init();
+    ResultsExport.init();
+    Offset.registerProvider(MockOffsetProvider);
+    Offset.init();
+
+    // 7. Obtém o elemento do formulário
     const form = document.getElementById('calculator-form');
 
     if (!form) {
@@ -30,13 +90,16 @@ document.addEventListener('DOMContentLoaded', function() {
       return;
     }
 
-    // 4. Adiciona listener de envio do formulário
+    // 8. Adiciona listener de envio do formulário
     form.addEventListener('submit', handleFormSubmit);
 
+    // 9. Restaura e recalcula o cálculo do link aberto (e ao navegar com voltar/avançar)
+    Permalink.init(applyPermalink);
+
     console.log('✅ Calculadora inicializada!');
   } catch (error) {
     console.error('Erro durante inicialização:', error);
-    alert('Erro ao inicializar a aplicação. Por favor, recarregue a página.');
+    UI.showNotice('app-notice', I18n.t('error.init'), true);
   }
 });
 
@@ -56,61 +119,131 @@ function handleFormSubmit(e) {
 
   console.log('📤 Formulário enviado');
 
+  // Origem do envio: 'form' (usuário), 'link' (link aberto) ou 'navigation' (voltar/avançar)
+  const source = Permalink.takeSource();
+
   try {
     // ========================================
     // 1. OBTER VALORES DO FORMULÁRIO
     // ========================================
 
-    const originInput = document.getElementById('origin');
-    const destinationInput = document.getElementById('destination');
-    const distanceInput = document.getElementById('distance');
-    const transportRadios = document.querySelectorAll('input[name="transport"]:checked');
-
-    // Coleta valores com trim de espaços em branco
-    const origin = originInput.value.trim();
-    const destination = destinationInput.value.trim();
-    const distance = parseFloat(distanceInput.value);
-    const transportMode = transportRadios.length > 0 ? transportRadios[0].value : null;
+    const legs = Itinerary.getLegs();
+    const roundTrip = document.getElementById('round-trip').checked;
+    const calculationType = document.querySelector('input[name="calculation-type"]:checked').value;
 
     // ========================================
-    // 2. VALIDAR INPUTS
+    // 2. VALIDAR INPUTS DE CADA TRECHO
     // ========================================
 
-    // Valida se origem está preenchida
-    if (!origin) {
-      alert('⚠️ Por favor, insira uma cidade de origem.');
-      originInput.focus();
-      return;
-    }
+    // Todos os problemas são exibidos de uma vez: junto de cada campo e no resumo
+    FormValidation.clear();
+
+    legs.forEach((leg, i) => {
+      const legLabel = legs.length > 1 ? I18n.t('validation.legPrefix', { number: i + 1 }) : '';
+      const distanceInput = leg.element.querySelector('[data-field="distance"]');
+
+      // Valida se origem está preenchida
+      if (!leg.origin) {
+        FormValidation.addError(leg.element.querySelector('[data-field="origin"]'), 'validation.origin', { leg: legLabel });
+      }
+
+      // Valida se destino está preenchido
+      if (!leg.destination) {
+        FormValidation.addError(leg.element.querySelector('[data-field="destination"]'), 'validation.destination', { leg: legLabel });
+      }
+
+      // Valida se distância está preenchida e é maior que zero
+      if (!leg.distance || isNaN(leg.distance)) {
+        FormValidation.addError(distanceInput, 'validation.distance', {
+          leg: legLabel,
+          unitName: I18n.t(`units.${Units.getDistanceUnit()}`)
+        });
+      } else if (leg.distance <= 0) {
+        FormValidation.addError(distanceInput, 'validation.distancePositive', { leg: legLabel, unit: Units.getDistanceUnit() });
+      }
+
+      // Valida se modo de transporte está selecionado
+      if (!leg.mode) {
+        FormValidation.addError(leg.element.querySelector('.calculator__transport'), 'validation.mode', { leg: legLabel });
+      }
+    });
+
+    // Escopo das emissões (TTW, WTT ou WTW) e base de fatores
+    const scopeInput = document.querySelector('input[name="emission-scope"]:checked');
+    const datasetSelect = document.getElementById('dataset-select');
+    const options = {
+      scope: scopeInput ? scopeInput.value : CONFIG.GHG.DEFAULT_SCOPE,
+      dataset: datasetSelect ? datasetSelect.value : CONFIG.EMISSION_DATASETS.DEFAULT_DATASET
+    };
 
-    // Valida se destino está preenchido
-    if (!destination) {
-      alert('⚠️ Por favor, insira uma cidade de destino.');
-      destinationInput.focus();
-      return;
-    }
+    // Valida os dados da carga (cálculo de carga)
 
-    // Valida se distância está preenchida
-    if (!distance || isNaN(distance)) {
-      alert('⚠️ Por favor, insira uma distância válida em quilômetros.');
-      distanceInput.focus();
-      return;
+    if (calculationType === 'freight') {
+      const cargoInput = document.getElementById('cargo-weight');
+      const emptyReturnInput = document.getElementById('empty-return');
+      const cargoTonnes = parseFloat(cargoInput.value);
+      const emptyReturnPercent = emptyReturnInput.value === '' ? 0 : parseFloat(emptyReturnInput.value);
+
+      if (isNaN(cargoTonnes) || cargoTonnes <= 0) {
+        FormValidation.addError(cargoInput, 'validation.cargo');
+      }
+
+      if (isNaN(emptyReturnPercent) || emptyReturnPercent < 0 || emptyReturnPercent > 100) {
+        FormValidation.addError(emptyReturnInput, 'validation.emptyReturn');
+      }
+
+      options.freight = {
+        cargoTonnes: cargoTonnes,
+        emptyReturnShare: emptyReturnPercent / 100
+      };
     }
 
-    // Valida se distância é maior que zero
-    if (distance <= 0) {
-      alert('⚠️ A distância deve ser maior que 0 km.');
-      distanceInput.focus();
-      return;
+    // Valida a ocupação dos veículos
+    const occupancy = {};
+    const occupancyInputs = document.querySelectorAll('[data-occupancy-mode]');
+
+    for (let i = 0; i < occupancyInputs.length && !options.freight; i++) {
+      const input = occupancyInputs[i];
+      const mode = input.dataset.occupancyMode;
+      const occupancyConfig = CONFIG.TRANSPORT_MODES[mode].occupancy;
+      const value = parseFloat(input.value);
+
+      if (occupancyConfig.type === 'loadFactor') {
+        // Taxa de ocupação informada em %
+        if (isNaN(value) || value < 1 || value > 100) {
+          FormValidation.addError(input, 'validation.loadFactor', { label: I18n.t(`occupancy.${mode}`) });
+        }
+        occupancy[mode] = value / 100;
+      } else {
+        // Número de pessoas no veículo
+        if (!Number.isInteger(value) || value < 1 || value > occupancyConfig.capacity) {
+          FormValidation.addError(input, 'validation.passengers', {
+            label: I18n.t(`occupancy.${mode}`),
+            capacity: occupancyConfig.capacity
+          });
+        }
+        occupancy[mode] = value;
+      }
     }
 
-    // Valida se modo de transporte está selecionado
-    if (!transportMode) {
-      alert('⚠️ Por favor, selecione um modo de transporte.');
+    if (FormValidation.hasErrors()) {
+      console.log(`✗ Validação: ${FormValidation.errors.length} problema(s) no formulário`);
+      FormValidation.show();
       return;
     }
 
-    console.log(`✓ Validação passou - Origem: ${origin}, Destino: ${destination}, Distância: ${distance}km, Modo: ${transportMode}`);
+    // Coleta o perfil (combustível e porte) escolhido para cada modo
+    const vehicles = {};
+    document.querySelectorAll('[data-vehicle-mode]').forEach(select => {
+      const mode = select.dataset.vehicleMode;
+      vehicles[mode] = vehicles[mode] || {};
+      vehicles[mode][select.dataset.vehicleField] = select.value;
+    });
+
+    options.occupancy = occupancy;
+    options.vehicles = vehicles;
+
+    console.log(`✓ Validação passou - ${legs.length} trecho(s)${roundTrip ? ', ida e volta' : ''}${options.freight ? `, carga de ${options.freight.cargoTonnes} t` : ''}`);
 
     // ========================================
     // 3. OBTER BOTÃO E MOSTRAR CARREGAMENTO
@@ -118,6 +251,7 @@ function handleFormSubmit(e) {
 
     const submitButton = e.target.querySelector('button[type="submit"]');
     UI.showLoading(submitButton);
+    UI.announce(I18n.t('form.calculating'));
 
     // Oculta seções de resultados anteriores
     UI.hideElement('results');
@@ -130,17 +264,18 @@ function handleFormSubmit(e) {
 
     setTimeout(function() {
       processCalculation(
-        origin,
-        destination,
-        distance,
-        transportMode,
-        submitButton
+        legs,
+        roundTrip,
+        options,
+        submitButton,
+        source
       );
     }, 1500);
 
   } catch (error) {
     console.error('Erro ao processar formulário:', error);
-    alert('❌ Ocorreu um erro ao processar sua solicitação. Tente novamente.');
+    FormValidation.addError(null, 'error.form');
+    FormValidation.show();
     const submitButton = e.target.querySelector('button[type="submit"]');
     if (submitButton) {
       UI.hideLoading(submitButton);
@@ -153,15 +288,20 @@ function handleFormSubmit(e) {
 // ========================================
 
 /**
- * Processa todos os cálculos de emissão
+ * Processa todos os cálculos de emissão do itinerário
  * 
- * @param {string} origin - Cidade de origem
- * @param {string} destination - Cidade de destino
- * @param {number} distance - Distância em km
- * @param {string} transportMode - Modo de transporte selecionado
+ * @param {Array<Object>} legs - Trechos com origin, destination, distance e mode
+ * @param {boolean} roundTrip - Se true, inclui os trechos de volta
+ * @param {Object} options - Opções de cálculo:
+ *   - occupancy: ocupação informada por modo (ex: { car: 3, bus: 0.6 })
+ *   - vehicles: perfil do veículo por modo (ex: { car: { fuel: 'ethanol', size: 'small' } })
+ *   - freight: dados da carga (cargoTonnes, emptyReturnShare), apenas no cálculo de carga
+ *   - scope: escopo das emissões ('ttw', 'wtt' ou 'wtw')
+ *   - dataset: id da base de fatores de emissão (ver EmissionDatasets)
  * @param {HTMLElement} submitButton - Elemento do botão de envio
+ * @param {string} source - Origem do cálculo: 'form' (padrão), 'link' ou 'navigation'
  */
-function processCalculation(origin, destination, distance, transportMode, submitButton) {
+function processCalculation(legs, roundTrip, options, submitButton, source = 'form') {
   try {
     console.log('⚙️ Processando cálculos...');
 
@@ -169,78 +309,111 @@ function processCalculation(origin, destination, distance, transportMode, submit
     // CÁLCULOS PRINCIPAIS
     // ========================================
 
-    // Calcula emissão para o modo selecionado
-    const selectedEmission = Calculator.calculateEmission(distance, transportMode);
-    console.log(`Emissão ${transportMode}: ${selectedEmission} kg CO2`);
-
-    // Calcula emissão do carro como baseline
-    const carEmission = Calculator.calculateEmission(distance, 'car');
-    console.log(`Emissão carro (baseline): ${carEmission} kg CO2`);
-
-    // Calcula economia comparado ao carro
-    const savings = Calculator.calculateSavings(selectedEmission, carEmission);
-    console.log(`Economia: ${savings.savedKg} kg (${savings.percentage}%)`);
-
-    // Calcula emissões para todos os modos
-    const allModes = Calculator.calculateAllModes(distance);
+    const isFreight = Boolean(options.freight);
+
+    // Calcula emissões de todos os trechos, economia e baseline
+    // (carro para passageiros, caminhão para carga)
+    const itinerary = isFreight
+      ? Calculator.calculateShipment(legs, options.freight, options)
+      : Calculator.calculateItinerary(legs, roundTrip, options);
+
+    if (isFreight) {
+      console.log(`Emissão do embarque: ${itinerary.totalEmission} kg CO2e (${itinerary.emissionPerTonne} kg/t) em ${itinerary.tonneKm} t·km`);
+      console.log(`Emissão caminhão (baseline): ${itinerary.truckEmission} kg CO2e`);
+    } else {
+      console.log(`Emissão total: ${itinerary.totalEmission} kg CO2e por passageiro em ${itinerary.totalDistance} km`);
+      console.log(`Emissão dos veículos: ${itinerary.totalVehicleEmission} kg CO2e`);
+      console.log(`Emissão carro (baseline): ${itinerary.carEmission} kg CO2e`);
+    }
+    console.log(`Escopo: ${itinerary.breakdown.scope}`, itinerary.breakdown);
+    console.log(`Economia: ${itinerary.savings.savedKg} kg (${itinerary.savings.percentage}%)`);
+
+    // Modo predominante: o modo comum a todos os trechos, ou 'mixed'
+    const modes = Array.from(new Set(itinerary.legs.map(leg => leg.mode)));
+    const transportMode = modes.length === 1 ? modes[0] : 'mixed';
+
+    // Calcula emissões do itinerário inteiro para todos os modos
+    // (por passageiro, ou por embarque no cálculo de carga)
+    const allModes = isFreight
+      ? Calculator.calculateAllFreightModes(itinerary.totalDistance, options.freight, options)
+      : Calculator.calculateAllModes(itinerary.totalDistance, options);
     console.log('Comparação de modos:', allModes);
 
-    // Calcula créditos de carbono necessários
-    const credits = Calculator.calculateCarbonCredits(selectedEmission);
+    // Calcula créditos de carbono necessários (parcela do passageiro ou embarque)
+    // e estima o preço na moeda escolhida
+    const creditsData = estimateCredits(itinerary, isFreight);
+    const credits = creditsData.credits;
+    const creditPrice = creditsData.price;
     console.log(`Créditos necessários: ${credits}`);
-
-    // Estima preço dos créditos
-    const creditPrice = Calculator.estimateCreditPrice(credits);
-    console.log(`Preço estimado: R$ ${creditPrice.average}`);
+    console.log(`Preço estimado: ${creditPrice.average} ${creditPrice.currency}`);
 
     // ========================================
-    // PREPARAR DADOS PARA RENDERIZAÇÃO
+    // SALVAR NO HISTÓRICO, PREPARAR EXPORTAÇÃO E ATUALIZAR O LINK
     // ========================================
 
-    // Objeto para resultados principais
-    const resultsData = {
-      origin: origin,
-      destination: destination,
-      distance: distance,
-      emission: selectedEmission,
-      mode: transportMode,
-      savings: savings
+    // Dados do formulário (sem os elementos do DOM), para reabrir, exportar e compartilhar o cálculo
+    const input = {
+      calculationType: isFreight ? 'freight' : 'passenger',
+      legs: legs.map(leg => ({
+        origin: leg.origin,
+        destination: leg.destination,
+        distance: leg.distance,
+        manualDistance: Boolean(leg.manualDistance),
+        mode: leg.mode
+      })),
+      roundTrip: roundTrip,
+      options: options
     };
 
-    // Objeto para comparação de modos
-    const comparisonData = allModes;
-
-    // Objeto para créditos de carbono
-    const creditsData = {
-      credits: credits,
-      price: creditPrice
+    const calculation = {
+      input: input,
+      itinerary: itinerary,
+      comparison: allModes,
+      credits: creditsData,
+      mode: transportMode
     };
 
     // ========================================
     // RENDERIZAR RESULTADOS
     // ========================================
 
-    // Renderiza e exibe resultados principais
-    const resultsContent = document.getElementById('results-content');
-    resultsContent.innerHTML = UI.renderResults(resultsData);
-    UI.showElement('results');
+    renderCalculation(calculation);
+
+    // Voltar/avançar refaz um cálculo já salvo no histórico
+    if (source !== 'navigation') {
+      TripHistory.add({
+        input: input,
+        origin: itinerary.legs[0].origin,
+        destination: itinerary.legs[itinerary.legs.length - 1].destination,
+        mode: transportMode,
+        modes: modes,
+        distance: itinerary.totalDistance,
+        emission: itinerary.totalEmission,
+        scope: itinerary.breakdown.scope,
+        dataset: { id: itinerary.dataset.id, version: itinerary.dataset.version },
+        savedKg: itinerary.savings.savedKg,
+        credits: credits,
+        price: creditPrice.average,
+        currency: creditPrice.currency
+      });
+      TripHistory.render();
+    }
 
-    // Renderiza e exibe comparação de modos
-    const comparisonContent = document.getElementById('comparisson-content');
-    comparisonContent.innerHTML = UI.renderComparison(comparisonData, transportMode);
-    UI.showElement('comparisson');
+    ResultsExport.setCalculation(calculation);
 
-    // Renderiza e exibe créditos de carbono
-    const creditsContent = document.getElementById('carbon-credits-content');
-    creditsContent.innerHTML = UI.renderCarbonCredits(creditsData);
-    UI.showElement('carbon-credits');
+    Permalink.update(input, source);
 
     // ========================================
     // FINALIZAR
     // ========================================
 
-    // Faz scroll para a seção de resultados
+    // Faz scroll para a seção de resultados e anuncia o resultado aos leitores de tela
     UI.scrollToElement('results');
+    UI.announce(I18n.t('results.announcement', {
+      emission: UI.formatMass(itinerary.totalEmission),
+      unit: I18n.t(isFreight ? 'common.perShipment' : 'common.perPassenger'),
+      distance: UI.formatDistance(itinerary.totalDistance)
+    }));
 
     // Remove estado de carregamento do botão
     UI.hideLoading(submitButton);
@@ -249,7 +422,321 @@ function processCalculation(origin, destination, distance, transportMode, submit
 
   } catch (error) {
     console.error('Erro durante processamento de cálculos:', error);
-    alert('❌ Ocorreu um erro ao calcular as emissões. Por favor, verifique os dados e tente novamente.');
+    FormValidation.addError(null, 'error.calculation');
+    FormValidation.show();
     UI.hideLoading(submitButton);
   }
 }
+
+/**
+ * Calcula os créditos de carbono de um itinerário e estima o preço na moeda
+ * e no câmbio atuais (ver Currency)
+ * 
+ * @param {Object} itinerary - Resultado de Calculator.calculateItinerary() ou calculateShipment()
+ * @param {boolean} isFreight - Se true, inclui os créditos por tonelada de carga
+ * @returns {Object} Objeto com credits, price, projects (custo com cada projeto do catálogo)
+ *                   e perTonne ({ credits, price }, apenas no cálculo de carga)
+ */
+function estimateCredits(itinerary, isFreight) {
+  const pricing = Currency.getPricing();
+  const credits = Calculator.calculateCarbonCredits(itinerary.totalEmission);
+
+  const creditsData = {
+    credits: credits,
+    price: Calculator.estimateCreditPrice(credits, pricing),
+    projects: Calculator.compareOffsetProjects(credits, pricing)
+  };
+
+  // Créditos por tonelada (cálculo de carga)
+  if (isFreight) {
+    const creditsPerTonne = Calculator.calculateCarbonCredits(itinerary.emissionPerTonne);
+    creditsData.perTonne = {
+      credits: creditsPerTonne,
+      price: Calculator.estimateCreditPrice(creditsPerTonne, pricing)
+    };
+  }
+
+  return creditsData;
+}
+
+// ========================================
+// RENDERIZAÇÃO DOS RESULTADOS
+// ========================================
+
+/**
+ * Renderiza e exibe os resultados, a comparação de modos e os créditos de carbono
+ * 
+ * Chamado após cada cálculo e ao trocar o idioma (os textos e números são
+ * gerados no idioma atual).
+ * 
+ * @param {Object} calculation - Objeto contendo:
+ *   - input: dados do formulário (calculationType, legs, roundTrip, options)
+ *   - itinerary: resultado de Calculator.calculateItinerary() ou calculateShipment()
+ *   - comparison: resultado de Calculator.calculateAllModes() ou calculateAllFreightModes()
+ *   - credits: créditos e preço estimado (e por tonelada, no cálculo de carga)
+ *   - mode: modo predominante ou 'mixed'
+ */
+function renderCalculation(calculation) {
+  const itinerary = calculation.itinerary;
+  const freightOptions = calculation.input.options.freight;
+
+  // Objeto para resultados principais
+  const resultsData = {
+    origin: itinerary.legs[0].origin,
+    destination: itinerary.legs[itinerary.legs.length - 1].destination,
+    distance: itinerary.totalDistance,
+    emission: itinerary.totalEmission,
+    vehicleEmission: itinerary.totalVehicleEmission,
+    mode: calculation.mode,
+    savings: itinerary.savings,
+    legs: itinerary.legs,
+    breakdown: itinerary.breakdown,
+    equivalences: itinerary.equivalences,
+    dataset: itinerary.dataset,
+    hasEstimatedDistance: itinerary.hasEstimatedDistance
+  };
+
+  // Dados por tonelada (cálculo de carga)
+  if (freightOptions) {
+    resultsData.freight = {
+      cargoTonnes: freightOptions.cargoTonnes,
+      emptyReturnShare: freightOptions.emptyReturnShare,
+      tonneKm: itinerary.tonneKm,
+      emissionPerTonne: itinerary.emissionPerTonne
+    };
+  }
+
+  // Renderiza e exibe resultados principais
+  const resultsContent = document.getElementById('results-content');
+  resultsContent.innerHTML = UI.renderResults(resultsData);
+  UI.showElement('results');
+
+  // Renderiza e exibe comparação de modos
+  const comparisonContent = document.getElementById('comparisson-content');
+  comparisonContent.innerHTML = UI.renderComparison(calculation.comparison, calculation.mode, calculation.input.calculationType);
+  UI.showElement('comparisson');
+
+  // Renderiza e exibe créditos de carbono
+  const creditsContent = document.getElementById('carbon-credits-content');
+  creditsContent.innerHTML = UI.renderCarbonCredits(calculation.credits);
+  UI.showElement('carbon-credits');
+}
+
+// ========================================
+// RESTAURAÇÃO DO FORMULÁRIO
+// ========================================
+
+/**
+ * Preenche o formulário com os dados de um cálculo salvo
+ * 
+ * Restaura tipo de cálculo, trechos, ida e volta, escopo, base de fatores,
+ * perfis dos veículos, ocupação e dados da carga. O cálculo não é refeito: o usuário revisa os dados
+ * e envia o formulário.
+ * 
+ * @param {Object} input - Dados do formulário:
+ *   - calculationType: 'passenger' ou 'freight'
+ *   - legs: trechos com origin, destination, distance, manualDistance e mode
+ *   - roundTrip: se true, marca ida e volta
+ *   - options: opções de cálculo (scope, dataset, occupancy, vehicles, freight)
+ */
+function restoreFormState(input) {
+  try {
+    const options = input.options || {};
+
+    // Tipo de cálculo (atualiza os modos dos trechos e as opções visíveis)
+    const typeRadio = document.querySelector(`input[name="calculation-type"][value="${input.calculationType}"]`);
+    if (typeRadio && !typeRadio.checked) {
+      typeRadio.checked = true;
+      typeRadio.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    // Trechos do itinerário
+    Itinerary.setLegs(input.legs || []);
+
+    const roundTripCheckbox = document.getElementById('round-trip');
+    roundTripCheckbox.checked = Boolean(input.roundTrip) && !roundTripCheckbox.disabled;
+
+    // Escopo das emissões
+    const scopeRadio = document.querySelector(`input[name="emission-scope"][value="${options.scope}"]`);
+    if (scopeRadio) {
+      scopeRadio.checked = true;
+    }
+
+    // Base de fatores: gera os perfis dos veículos com os combustíveis e portes da base
+    const datasetSelect = document.getElementById('dataset-select');
+    if (datasetSelect && EmissionDatasets.has(options.dataset) && datasetSelect.value !== options.dataset) {
+      datasetSelect.value = options.dataset;
+      document.getElementById('dataset-info').innerHTML = UI.renderDatasetInfo(options.dataset);
+      document.getElementById('vehicle-fields').innerHTML = UI.renderVehicleFields(options.dataset);
+      CONFIG.setupVehicleFields();
+    }
+
+    // Perfis dos veículos: o combustível primeiro, pois ele define os portes disponíveis
+    Object.keys(options.vehicles || {}).forEach(mode => {
+      const profile = options.vehicles[mode];
+      const fuelSelect = document.querySelector(`[data-vehicle-mode="${mode}"][data-vehicle-field="fuel"]`);
+      const sizeSelect = document.querySelector(`[data-vehicle-mode="${mode}"][data-vehicle-field="size"]`);
+
+      if (fuelSelect && profile.fuel) {
+        fuelSelect.value = profile.fuel;
+        fuelSelect.dispatchEvent(new Event('change'));
+      }
+      if (sizeSelect && profile.size) {
+        sizeSelect.value = profile.size;
+      }
+    });
+
+    // Ocupação (taxas de ocupação são exibidas em %)
+    Object.keys(options.occupancy || {}).forEach(mode => {
+      const occupancyInput = document.querySelector(`[data-occupancy-mode="${mode}"]`);
+      if (occupancyInput) {
+        const isLoadFactor = CONFIG.TRANSPORT_MODES[mode].occupancy.type === 'loadFactor';
+        occupancyInput.value = isLoadFactor ? Math.round(options.occupancy[mode] * 100) : options.occupancy[mode];
+      }
+    });
+
+    // Dados da carga
+    if (options.freight) {
+      document.getElementById('cargo-weight').value = options.freight.cargoTonnes;
+      document.getElementById('empty-return').value = Math.round(options.freight.emptyReturnShare * 100);
+    }
+
+    console.log('↩ Formulário restaurado.');
+  } catch (error) {
+    console.error('Erro ao restaurar o formulário:', error);
+    FormValidation.showError('error.restore');
+  }
+}
+
+/**
+ * Restaura o cálculo de um link compartilhado e recalcula as emissões
+ * 
+ * Chamado ao abrir um link e ao navegar com voltar/avançar. Sem cálculo na URL
+ * (ex: voltar até a página inicial), os resultados são ocultados.
+ * 
+ * @param {Object|null} input - Dados do formulário lidos da URL (ver restoreFormState)
+ */
+function applyPermalink(input) {
+  if (!input) {
+    UI.hideElement('results');
+    UI.hideElement('comparisson');
+    UI.hideElement('carbon-credits');
+    return;
+  }
+
+  restoreFormState(input);
+
+  // Envia o formulário: os dados passam pela mesma validação do envio pelo usuário
+  document.getElementById('calculator-form').dispatchEvent(new Event('submit', { cancelable: true }));
+}
+
+// ========================================
+// ALTERAÇÃO DAS ROTAS PERSONALIZADAS
+// ========================================
+
+/**
+ * Atualiza a página após adicionar, editar, excluir ou importar rotas personalizadas
+ * Popula novamente a datalist e busca de novo a distância de cada trecho (os
+ * trechos com distância manual são mantidos)
+ */
+function handleCustomRoutesChange() {
+  CONFIG.populateDatalist();
+
+  Itinerary.getLegElements().forEach(legElement => {
+    legElement.querySelector('[data-field="origin"]').dispatchEvent(new Event('change'));
+  });
+}
+
+// ========================================
+// TROCA DE IDIOMA, DE UNIDADES, DE MOEDA OU DE BASE DE FATORES
+// ========================================
+
+/**
+ * Atualiza os conteúdos gerados pela aplicação após a troca de idioma, do
+ * sistema de unidades, da moeda, do câmbio ou da base de fatores do formulário
+ * 
+ * Os textos fixos da página são traduzidos por I18n.translatePage(). Aqui são
+ * gerados novamente, no novo idioma e nas novas unidades, os trechos e os campos
+ * do formulário (preservando os valores preenchidos; os perfis dos veículos com
+ * os combustíveis e portes da base de fatores escolhida), os resultados exibidos
+ * (com o preço dos créditos reestimado na moeda atual), o histórico, as rotas
+ * personalizadas, a importação em lote e o checkout de compensação aberto.
+ */
+function handlePreferencesChange() {
+  try {
+    Units.renderOptions();
+    Currency.renderForm();
+    CONFIG.populateDatalist();
+
+    // ========================================
+    // 1. GUARDAR OS VALORES DO FORMULÁRIO
+    // ========================================
+
+    const legs = Itinerary.getLegs();
+    const scopeInput = document.querySelector('input[name="emission-scope"]:checked');
+
+    const vehicles = {};
+    document.querySelectorAll('[data-vehicle-mode]').forEach(select => {
+      const mode = select.dataset.vehicleMode;
+      vehicles[mode] = vehicles[mode] || {};
+      vehicles[mode][select.dataset.vehicleField] = select.value;
+    });
+
+    // Ocupação como digitada (mesmo se ainda inválida)
+    const occupancyValues = {};
+    document.querySelectorAll('[data-occupancy-mode]').forEach(input => {
+      occupancyValues[input.dataset.occupancyMode] = input.value;
+    });
+
+    // ========================================
+    // 2. GERAR OS CAMPOS NO NOVO IDIOMA E NAS NOVAS UNIDADES
+    // ========================================
+
+    const datasetSelect = document.getElementById('dataset-select');
+    const dataset = datasetSelect.value;
+    datasetSelect.innerHTML = UI.renderDatasetOptions(dataset);
+    document.getElementById('dataset-info').innerHTML = UI.renderDatasetInfo(dataset);
+
+    document.getElementById('vehicle-fields').innerHTML = UI.renderVehicleFields(dataset);
+    CONFIG.setupVehicleFields();
+    document.getElementById('occupancy-fields').innerHTML = UI.renderOccupancyFields();
+    document.getElementById('scope-fields').innerHTML = UI.renderScopeOptions(scopeInput ? scopeInput.value : CONFIG.GHG.DEFAULT_SCOPE);
+
+    restoreFormState({
+      calculationType: document.querySelector('input[name="calculation-type"]:checked').value,
+      legs: legs,
+      roundTrip: document.getElementById('round-trip').checked,
+      options: { vehicles: vehicles }
+    });
+
+    Object.keys(occupancyValues).forEach(mode => {
+      document.querySelector(`[data-occupancy-mode="${mode}"]`).value = occupancyValues[mode];
+    });
+
+    // Os campos foram gerados novamente: os erros exibidos não se aplicam mais
+    FormValidation.clear();
+
+    // ========================================
+    // 3. ATUALIZAR RESULTADOS, HISTÓRICO E IMPORTAÇÃO
+    // ========================================
+
+    const calculation = ResultsExport.calculation;
+
+    if (calculation && !document.getElementById('results').classList.contains('hidden')) {
+      calculation.credits = estimateCredits(calculation.itinerary, calculation.input.calculationType === 'freight');
+      renderCalculation(calculation);
+    }
+
+    const modeFilter = document.getElementById('history-mode');
+    const selectedMode = modeFilter.value;
+    modeFilter.innerHTML = UI.renderHistoryModeOptions();
+    modeFilter.value = selectedMode;
+    TripHistory.render();
+
+    CustomRoutes.render();
+    BatchImport.render();
+    Offset.render();
+  } catch (error) {
+    console.error('Erro ao atualizar o idioma, as unidades, a moeda ou a base de fatores:', error);
+  }
+}
@@ -0,0 +1,150 @@
+/**
+ * BatchImport - Importação de Viagens em Lote (CSV)
+ *
+ * Contém métodos para:
+ * - Ler o arquivo CSV escolhido e processar as viagens com BatchProcessor
+ *   (núcleo de cálculo, ver js/core/batch.js): leitura do CSV, mapeamento das
+ *   colunas, distâncias ausentes por RoutesDB e emissões por Calculator
+ * - Aceitar os nomes dos modos em todos os idiomas da interface
+ * - Traduzir os erros do arquivo e de cada linha
+ * - Exibir as viagens, os totais e os créditos de carbono do lote
+ *
+ * Os nomes aceitos para cada coluna ficam em CONFIG.BATCH_IMPORT.COLUMNS.
+ */
+
+const BatchImport = {
+  /**
+   * Conteúdo e opções de cálculo do último arquivo importado
+   * (processados novamente ao trocar o idioma, ver render)
+   */
+  text: null,
+  options: null,
+
+  /**
+   * Inicializa a importação
+   * Processa o arquivo escolhido no campo de arquivo e exibe os resultados
+   */
+  init: function() {
+    const fileInput = document.getElementById('batch-file');
+
+    if (!fileInput) {
+      console.error('Campo de arquivo da importação não foi encontrado.');
+      return;
+    }
+
+    fileInput.addEventListener('change', () => {
+      const file = fileInput.files[0];
+      if (file) {
+        this.handleFile(file);
+      }
+    });
+
+    console.log('Importação em lote configurada.');
+  },
+
+  /**
+   * Lê o arquivo CSV, processa as viagens e renderiza os resultados
+   *
+   * @param {File} file - Arquivo CSV escolhido pelo usuário
+   */
+  handleFile: function(file) {
+    const reader = new FileReader();
+
+    reader.onload = () => {
+      try {
+        const scopeInput = document.querySelector('input[name="emission-scope"]:checked');
+        const datasetSelect = document.getElementById('dataset-select');
+
+        this.render(reader.result, {
+          scope: scopeInput ? scopeInput.value : CONFIG.GHG.DEFAULT_SCOPE,
+          dataset: datasetSelect ? datasetSelect.value : CONFIG.EMISSION_DATASETS.DEFAULT_DATASET
+        });
+        UI.hideNotice('batch-notice');
+        UI.scrollToElement('batch-results');
+      } catch (error) {
+        console.error('Erro ao importar CSV:', error);
+        UI.showNotice('batch-notice', I18n.t('batch.importError', { message: error.message }), true);
+      }
+    };
+
+    reader.onerror = () => {
+      console.error('Erro ao ler arquivo:', reader.error);
+      UI.showNotice('batch-notice', I18n.t('batch.readError'), true);
+    };
+
+    reader.readAsText(file);
+  },
+
+  /**
+   * Processa um CSV e renderiza os resultados
+   * Sem parâmetros, renderiza novamente o último arquivo importado (ex: ao trocar
+   * o idioma, para atualizar as mensagens de erro por linha)
+   *
+   * @param {string} text - Conteúdo do arquivo CSV (padrão: último arquivo importado)
+   * @param {Object} options - Opções de cálculo (padrão: as do último arquivo importado)
+   * @throws {Error} Se o arquivo não puder ser processado (ver process)
+   */
+  render: function(text = this.text, options = this.options) {
+    if (text === null) {
+      return;
+    }
+
+    const batch = this.process(text, options);
+
+    this.text = text;
+    this.options = options;
+
+    document.getElementById('batch-content').innerHTML = UI.renderBatchResults(batch);
+    UI.showElement('batch-results');
+
+    console.log(`📥 ${batch.results.length} viagem(ns) importada(s), ${batch.totals.errorCount} com erro.`);
+  },
+
+  /**
+   * Processa o conteúdo de um CSV com BatchProcessor, com os erros traduzidos
+   *
+   * @param {string} text - Conteúdo do arquivo CSV
+   * @param {Object} options - Opções de cálculo repassadas ao Calculator (ex: scope, dataset)
+   * @returns {Object} Objeto com results (uma entrada por linha, com error traduzido),
+   *                   totals e dataset (base de fatores usada, ver EmissionDatasets.describe)
+   * @throws {Error} Se o arquivo estiver vazio, faltar coluna obrigatória ou exceder o
+   *                 limite de linhas (mensagem traduzida)
+   */
+  process: function(text, options = {}) {
+    let batch;
+
+    try {
+      batch = BatchProcessor.process(text, Object.assign({}, options, {
+        modeLabels: this.getModeLabels(),
+        pricing: Currency.getPricing()
+      }));
+    } catch (error) {
+      throw error.code ? new Error(I18n.t(`batch.error.${error.code}`, error.params)) : error;
+    }
+
+    batch.results.forEach(result => {
+      if (result.errorCode) {
+        result.error = I18n.t(`batch.error.${result.errorCode}`, result.errorParams);
+      }
+    });
+
+    return batch;
+  },
+
+  /**
+   * Nomes dos modos em todos os idiomas da interface (ex: "Ônibus", "Bus", "Autobús")
+   *
+   * @returns {Object} Labels traduzidos por modo, aceitos na coluna de modo
+   */
+  getModeLabels: function() {
+    const labels = {};
+
+    CONFIG.getModes('passenger').forEach(mode => {
+      labels[mode] = Object.keys(TRANSLATIONS)
+        .map(locale => TRANSLATIONS[locale][`mode.${mode}`])
+        .filter(Boolean);
+    });
+
+    return labels;
+  }
+};
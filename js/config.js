@@ -2,74 +2,186 @@
  * CONFIG - Configuração Global da Aplicação
  * 
  * Contém:
- * - Fatores de emissão de CO2 por modo de transporte
- * - Metadados dos modos de transporte (label, ícone, cor)
- * - Configurações de créditos de carbono
- * - Métodos para inicializar datalist e preenchimento automático de distância
+ * - Configurações do cálculo de carga (t·km)
+ * - Configurações de moedas, da compensação de emissões (fornecedor do checkout),
+ *   do histórico de cálculos, das rotas personalizadas, dos idiomas, dos sistemas
+ *   de unidades e dos links compartilháveis
+ * - Métodos para inicializar datalist, tipo de cálculo, perfis dos veículos e preenchimento automático de distância por trecho
+ * 
+ * Os dados dos cálculos (registro dos modos de transporte, combustíveis, portes,
+ * GWP, escopos, base de fatores padrão, créditos de carbono, câmbio padrão,
+ * equivalências, estimativa de distância, busca de cidades e colunas da importação
+ * em lote) ficam
+ * no núcleo (js/core/config.js) e são copiados para CONFIG por js/core-browser.js
+ * antes da inicialização (ex: CONFIG.TRANSPORT_MODES, CONFIG.CURRENCY.DEFAULT_EXCHANGE_RATES,
+ * CONFIG.PERMALINK.CITY_PATTERN).
  */
 
 const CONFIG = {
   /**
-   * Fatores de emissão de CO2 em kg por quilômetro
-   * Baseado em dados de agências ambientais
+   * Retorna os modos do registro disponíveis para um tipo de cálculo
+   * (ver Calculator.getModes)
+   * 
+   * @param {string} kind - 'passenger' (modos com defaultVehicle) ou 'freight' (modos com freight)
+   * @returns {Array<string>} Chaves dos modos, na ordem do registro
    */
-  EMISSION_FACTORS: {
-    bicycle: 0,
-    car: 0.12,
-    bus: 0.089,
-    truck: 0.96
+  getModes: function(kind = 'passenger') {
+    return Calculator.getModes(kind);
   },
 
   /**
-   * Metadados dos modos de transporte
-   * Inclui label em português, ícone emoji e cor para UI
+   * Configurações do cálculo de carga
+   * DEFAULT_CARGO_TONNES: peso padrão da carga em toneladas
    */
-  TRANSPORT_MODES: {
-    bicycle: {
-      label: "Bicicleta",
-      icon: "🚲",
-      color: "#3b82f6"
-    },
-    car: {
-      label: "Carro",
-      icon: "🚗",
-      color: "#ef4444"
+  FREIGHT: {
+    DEFAULT_CARGO_TONNES: 10
+  },
+
+  /**
+   * Configurações de moeda e câmbio
+   * DEFAULT_CURRENCY: moeda exibida por padrão
+   * CURRENCIES: moedas disponíveis (códigos ISO 4217)
+   * STORAGE_KEY / RATES_STORAGE_KEY: chaves da moeda escolhida e do câmbio editado
+   * no localStorage
+   * DEFAULT_EXCHANGE_RATES: tabela de câmbio padrão (do núcleo, ver js/core/config.js)
+   */
+  CURRENCY: {
+    DEFAULT_CURRENCY: 'BRL',
+    CURRENCIES: ['BRL', 'USD', 'EUR'],
+    STORAGE_KEY: 'carbon-calc:currency',
+    RATES_STORAGE_KEY: 'carbon-calc:exchange-rates'
+  },
+
+  /**
+   * Configurações da compensação de emissões (checkout)
+   * PROVIDER: chave do fornecedor usado no checkout (ver Offset.registerProvider)
+   * STATUS_POLL_MS: intervalo de consulta do status de um pedido pendente
+   * MOCK: fornecedor local de testes (MockOffsetProvider): latência simulada,
+   * validade das cotações, tempo até a confirmação dos pedidos e chave dos
+   * pedidos no localStorage
+   */
+  OFFSET: {
+    PROVIDER: 'mock',
+    STATUS_POLL_MS: 1000,
+    MOCK: {
+      LATENCY_MS: 300,
+      QUOTE_TTL_MINUTES: 15,
+      CONFIRMATION_MS: 2000,
+      STORAGE_KEY: 'carbon-calc:offset-orders'
+    }
+  },
+
+  /**
+   * Configurações do histórico de cálculos
+   * STORAGE_KEY: chave do histórico no localStorage
+   * MAX_ENTRIES: número máximo de cálculos guardados (os mais antigos são descartados)
+   */
+  HISTORY: {
+    STORAGE_KEY: 'carbon-calc:history',
+    MAX_ENTRIES: 500
+  },
+
+  /**
+   * Configurações das rotas personalizadas (ver CustomRoutes)
+   * STORAGE_KEY: chave das rotas no localStorage
+   * FILE_NAME: prefixo do nome do arquivo exportado (seguido da data)
+   */
+  CUSTOM_ROUTES: {
+    STORAGE_KEY: 'carbon-calc:custom-routes',
+    FILE_NAME: 'rotas-personalizadas'
+  },
+
+  /**
+   * Configurações de idioma da interface
+   * DEFAULT_LOCALE: idioma de referência (chaves ausentes nos demais idiomas usam este)
+   * STORAGE_KEY: chave do idioma escolhido no localStorage
+   * LOCALES: idiomas disponíveis (label no próprio idioma e locale usado na formatação
+   * de números, moeda e datas)
+   */
+  I18N: {
+    DEFAULT_LOCALE: 'pt',
+    STORAGE_KEY: 'carbon-calc:locale',
+    LOCALES: {
+      pt: { label: 'Português', intl: 'pt-BR' },
+      en: { label: 'English', intl: 'en-US' },
+      es: { label: 'Español', intl: 'es-419' }
+    }
+  },
+
+  /**
+   * Sistemas de unidades exibidos na interface
+   * Os cálculos usam sempre km e kg; as conversões acontecem apenas na exibição
+   * e nos campos de distância do formulário.
+   * DEFAULT_SYSTEM: sistema padrão
+   * STORAGE_KEY: chave do sistema escolhido no localStorage
+   * SYSTEMS: unidade de distância, de massa (emissões) e de massas pequenas
+   * (CH₄ e N₂O) de cada sistema
+   * DISTANCE_UNITS e MASS_UNITS: valor de cada unidade em km ou kg e casas decimais
+   * exibidas
+   */
+  UNITS: {
+    DEFAULT_SYSTEM: 'metric',
+    STORAGE_KEY: 'carbon-calc:units',
+    SYSTEMS: {
+      metric: { distance: 'km', mass: 'kg', smallMass: 'g' },
+      tonnes: { distance: 'km', mass: 't', smallMass: 'g' },
+      imperial: { distance: 'mi', mass: 'lb', smallMass: 'oz' }
     },
-    bus: {
-      label: "Ônibus",
-      icon: "🚌",
-      color: "#f59e0b"
+    DISTANCE_UNITS: {
+      km: { factor: 1, decimals: 1 },
+      mi: { factor: 1.609344, decimals: 1 }
     },
-    truck: {
-      label: "Caminhão",
-      icon: "🚛",
-      color: "#8b5cf6"
+    MASS_UNITS: {
+      g: { factor: 0.001, decimals: 2 },
+      oz: { factor: 0.028349523125, decimals: 2 },
+      kg: { factor: 1, decimals: 2 },
+      lb: { factor: 0.45359237, decimals: 2 },
+      t: { factor: 1000, decimals: 3 }
     }
   },
 
   /**
-   * Configurações de créditos de carbono
+   * Configurações dos links compartilháveis (parâmetros da URL)
+   * PARAMS: nome do parâmetro de cada campo do formulário. Os campos dos trechos
+   * (origin, destination, distance, manualDistance, mode) se repetem uma vez por trecho.
+   * CITY_PATTERN: nomes de cidade aceitos no link e no histórico, os mesmos das rotas
+   * personalizadas (do núcleo, ver CUSTOM_ROUTES em js/core/config.js)
    */
-  CARBON_CREDIT: {
-    KG_PER_CREDIT: 1000,
-    PRICE_MIN_BRL: 50,
-    PRICE_MAX_BRL: 150
+  PERMALINK: {
+    PARAMS: {
+      calculationType: 'tipo',
+      origin: 'origem',
+      destination: 'destino',
+      distance: 'distancia',
+      manualDistance: 'manual',
+      mode: 'modo',
+      roundTrip: 'ida-e-volta',
+      scope: 'escopo',
+      dataset: 'fatores',
+      vehicle: 'veiculo',
+      occupancy: 'ocupacao',
+      cargoTonnes: 'carga',
+      emptyReturn: 'retorno-vazio'
+    }
   },
 
   /**
    * Popula a datalist com todas as cidades disponíveis em RoutesDB
    * 
    * Processo:
-   * 1. Obtém lista de cidades de RoutesDB.getAllCities()
+   * 1. Obtém lista de cidades de RoutesDB.getAllCities() (inclui as das rotas personalizadas)
    * 2. Encontra o elemento datalist com id 'cities-list'
-   * 3. Cria elementos <option> para cada cidade
+   * 3. Cria elementos <option> para cada cidade (as que só existem nas rotas
+   *    personalizadas são identificadas no rótulo)
    * 4. Adiciona à datalist
+   * 
+   * Chamado novamente quando as rotas personalizadas mudam
    */
   populateDatalist: function() {
     try {
       // Verifica se RoutesDB está disponível
       if (typeof RoutesDB === 'undefined') {
-        console.error('RoutesDB não está carregado. Certifique-se que routes-data.js foi carregado antes.');
+        console.error('RoutesDB não está carregado. Certifique-se que o núcleo (js/core-browser.js) foi carregado.');
         return;
       }
 
@@ -91,6 +203,9 @@ const CONFIG = {
       cities.forEach(city => {
         const option = document.createElement('option');
         option.value = city;
+        if (RoutesDB.isCustomCity(city)) {
+          option.label = `${city} · ${I18n.t('customRoutes.badge')}`;
+        }
         datalist.appendChild(option);
       });
 
@@ -101,32 +216,111 @@ const CONFIG = {
   },
 
   /**
-   * Configura o preenchimento automático de distância
+   * Configura os seletores de perfil dos veículos
+   * Ao trocar o combustível, atualiza as opções de porte disponíveis na base de
+   * fatores escolhida, mantendo o porte atual quando possível
+   */
+  setupVehicleFields: function() {
+    try {
+      const fuelSelects = document.querySelectorAll('[data-vehicle-field="fuel"]');
+
+      fuelSelects.forEach(fuelSelect => {
+        const mode = fuelSelect.dataset.vehicleMode;
+        const sizeSelect = document.querySelector(`[data-vehicle-mode="${mode}"][data-vehicle-field="size"]`);
+
+        fuelSelect.addEventListener('change', () => {
+          const datasetSelect = document.getElementById('dataset-select');
+          sizeSelect.innerHTML = UI.renderSizeOptions(mode, fuelSelect.value, sizeSelect.value, datasetSelect ? datasetSelect.value : undefined);
+        });
+      });
+    } catch (error) {
+      console.error('Erro ao configurar perfis dos veículos:', error);
+    }
+  },
+
+  /**
+   * Configura a troca entre cálculo de passageiros e de carga
+   * 
+   * No cálculo de carga:
+   * - Exibe os campos de carga e oculta perfis/ocupação dos veículos
+   * - Desabilita "ida e volta" (o retorno vazio é informado como percentual)
+   * - Troca os modos de cada trecho pelos modos de carga
+   */
+  setupCalculationType: function() {
+    try {
+      const typeRadios = document.querySelectorAll('input[name="calculation-type"]');
+      const roundTripCheckbox = document.getElementById('round-trip');
+
+      typeRadios.forEach(radio => {
+        radio.addEventListener('change', () => {
+          const isFreight = radio.value === 'freight';
+
+          if (isFreight) {
+            UI.showElement('freight-options');
+            UI.hideElement('passenger-options');
+          } else {
+            UI.showElement('passenger-options');
+            UI.hideElement('freight-options');
+          }
+
+          roundTripCheckbox.disabled = isFreight;
+          if (isFreight) {
+            roundTripCheckbox.checked = false;
+          }
+
+          Itinerary.setModeKind(radio.value);
+        });
+      });
+    } catch (error) {
+      console.error('Erro ao configurar tipo de cálculo:', error);
+    }
+  },
+
+  /**
+   * Configura o preenchimento automático de distância de um trecho
    * 
    * Funcionalidades:
+   * - Identifica as cidades digitadas (sem acentos, sem o estado, apelidos e
+   *   erros de digitação) e corrige o campo para o nome da base
+   * - Sugere as cidades parecidas quando o nome é ambíguo ou desconhecido
    * - Busca automática de distância quando origem e destino são preenchidos
    * - Torna o campo readonly quando distância é encontrada
    * - Permite inserção manual de distância via checkbox
-   * - Mensagens de feedback ao usuário
+   * - Mensagens de feedback ao usuário (anunciadas aos leitores de tela quando
+   *   resultam de uma ação do usuário)
+   * 
+   * @param {HTMLElement} legElement - Elemento do trecho contendo os campos
+   *                                   marcados com data-field
    */
-  setupDistanceAutofill: function() {
+  setupDistanceAutofill: function(legElement) {
     try {
-      // Obtém elementos do DOM
-      const originInput = document.getElementById('origin');
-      const destinationInput = document.getElementById('destination');
-      const distanceInput = document.getElementById('distance');
-      const manualCheckbox = document.getElementById('manual-distance');
-      const helperText = document.querySelector('.calculator__helper');
+      // Obtém elementos do trecho
+      const originInput = legElement.querySelector('[data-field="origin"]');
+      const destinationInput = legElement.querySelector('[data-field="destination"]');
+      const distanceInput = legElement.querySelector('[data-field="distance"]');
+      const manualCheckbox = legElement.querySelector('[data-field="manual-distance"]');
+      const helperText = legElement.querySelector('.calculator__helper');
 
       if (!originInput || !destinationInput || !distanceInput || !manualCheckbox) {
         console.error('Um ou mais elementos de entrada não foram encontrados.');
         return;
       }
 
+      /**
+       * Anuncia o texto de ajuda do trecho aos leitores de tela
+       */
+      const announceHelper = () => {
+        if (helperText) {
+          UI.announce(helperText.textContent);
+        }
+      };
+
       /**
        * Função auxiliar para tentar preencher a distância automaticamente
+       * 
+       * @param {boolean} announce - Se true, anuncia o resultado da busca
        */
-      const tryAutoFillDistance = () => {
+      const tryAutoFillDistance = (announce = false) => {
         // Se manual está marcado, não faz nada
         if (manualCheckbox.checked) {
           return;
@@ -135,19 +329,39 @@ const CONFIG = {
         const origin = originInput.value.trim();
         const destination = destinationInput.value.trim();
 
+        // Distância estimada só é marcada quando preenchida pela estimativa
+        distanceInput.dataset.estimated = 'false';
+
         // Se ambos os campos estão preenchidos
         if (origin && destination) {
-          const distance = RoutesDB.findDistance(origin, destination);
+          const checkedMode = legElement.querySelector('[data-field="mode"]:checked');
+          const route = RoutesDB.findRoute(origin, destination, checkedMode ? checkedMode.value : undefined);
 
-          if (distance !== null) {
-            // Distância encontrada
-            distanceInput.value = distance;
+          if (route !== null && route.estimated) {
+            // Distância estimada pelas coordenadas das cidades
+            Units.writeInputDistance(distanceInput, route.distanceKm);
+            distanceInput.readOnly = true;
+            distanceInput.dataset.estimated = 'true';
+            distanceInput.style.backgroundColor = 'var(--gray-50)';
+
+            // Atualiza helper text deixando claro que o valor é uma estimativa
+            if (helperText) {
+              helperText.textContent = I18n.t('distance.estimated');
+              helperText.style.color = 'var(--warning)';
+              helperText.style.fontWeight = '600';
+            }
+          } else if (route !== null) {
+            // Distância encontrada (direta ou composta)
+            Units.writeInputDistance(distanceInput, route.distanceKm);
             distanceInput.readOnly = true;
             distanceInput.style.backgroundColor = 'var(--gray-50)';
             
-            // Atualiza helper text com mensagem de sucesso
+            // Atualiza helper text com mensagem de sucesso (e o caminho, se composto),
+            // indicando quando a distância vem de uma rota personalizada
             if (helperText) {
-              helperText.textContent = '✓ Distância preenchida automaticamente';
+              helperText.textContent = route.via.length > 0
+                ? I18n.t(route.custom ? 'distance.foundCustomVia' : 'distance.foundVia', { path: route.via.join(' → ') })
+                : I18n.t(route.custom ? 'distance.foundCustom' : 'distance.found');
               helperText.style.color = 'var(--primary)';
               helperText.style.fontWeight = '600';
             }
@@ -159,11 +373,20 @@ const CONFIG = {
             
             // Atualiza helper text com sugestão
             if (helperText) {
-              helperText.textContent = '⚠ Rota não encontrada. Insira a distância manualmente.';
+              helperText.textContent = I18n.t('distance.notFound');
               helperText.style.color = 'var(--warning)';
               helperText.style.fontWeight = '400';
             }
           }
+
+          // Distância encontrada: o erro de validação do campo deixa de valer
+          if (route !== null) {
+            FormValidation.clearField(distanceInput);
+          }
+
+          if (announce) {
+            announceHelper();
+          }
         } else {
           // Um ou ambos os campos estão vazios
           distanceInput.value = '';
@@ -171,41 +394,117 @@ const CONFIG = {
           distanceInput.style.backgroundColor = 'var(--gray-100)';
           
           if (helperText) {
-            helperText.textContent = 'A distância será preenchida automaticamente';
+            helperText.textContent = I18n.t('distance.auto');
             helperText.style.color = 'var(--gray-500)';
             helperText.style.fontWeight = '400';
           }
         }
       };
 
+      /**
+       * Identifica a cidade digitada em um campo (ver RoutesDB.matchCity)
+       * Cidade identificada: o campo recebe o nome da base (com acentos e estado)
+       * Nome ambíguo ou desconhecido: exibe as cidades parecidas
+       * 
+       * @param {HTMLInputElement} input - Campo de origem ou destino
+       * @returns {Array<string>} Cidades sugeridas (vazio se identificada)
+       */
+      const resolveCityInput = (input) => {
+        const suggestionsElement = legElement.querySelector(`[data-suggestions-for="${input.dataset.field}"]`);
+        const match = RoutesDB.matchCity(input.value);
+
+        if (match.city) {
+          input.value = match.city;
+        }
+
+        if (suggestionsElement) {
+          suggestionsElement.innerHTML = match.suggestions.length > 0 ? UI.renderCitySuggestions(match.suggestions) : '';
+          suggestionsElement.classList.toggle('hidden', match.suggestions.length === 0);
+        }
+
+        return match.suggestions;
+      };
+
+      /**
+       * Atualiza um campo de cidade alterado e tenta preencher a distância
+       * Com sugestões, o anúncio lista as cidades parecidas em vez do texto de ajuda
+       * 
+       * @param {HTMLInputElement} input - Campo de origem ou destino
+       * @param {boolean} announce - Se true, anuncia o resultado
+       */
+      const handleCityChange = (input, announce = false) => {
+        const typedCity = input.value.trim();
+        const suggestions = resolveCityInput(input);
+
+        tryAutoFillDistance(announce && suggestions.length === 0);
+
+        if (announce && suggestions.length > 0) {
+          UI.announce(I18n.t('city.suggestionsAnnouncement', { city: typedCity, suggestions: suggestions.join('; ') }));
+        }
+      };
+
       /**
        * Event listeners para os campos de origem e destino
        */
-      originInput.addEventListener('change', tryAutoFillDistance);
-      destinationInput.addEventListener('change', tryAutoFillDistance);
+      originInput.addEventListener('change', (e) => handleCityChange(originInput, e.isTrusted));
+      destinationInput.addEventListener('change', (e) => handleCityChange(destinationInput, e.isTrusted));
+
+      /**
+       * Escolha de uma cidade sugerida: preenche o campo e volta o foco a ele
+       */
+      legElement.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-city-suggestion]');
+        if (!button) {
+          return;
+        }
+
+        const field = button.closest('[data-suggestions-for]').dataset.suggestionsFor;
+        const input = field === 'origin' ? originInput : destinationInput;
+
+        input.value = button.dataset.citySuggestion;
+        handleCityChange(input, true);
+        input.focus();
+      });
+
+      /**
+       * O fator de circuito da estimativa depende do modo de transporte
+       */
+      legElement.addEventListener('change', (e) => {
+        if (e.target.dataset.field === 'mode' && distanceInput.dataset.estimated === 'true') {
+          tryAutoFillDistance(e.isTrusted);
+        }
+      });
 
       /**
        * Event listener para o checkbox de distância manual
        */
-      manualCheckbox.addEventListener('change', () => {
+      manualCheckbox.addEventListener('change', (e) => {
         if (manualCheckbox.checked) {
           // Quando marcado: permite edição manual
           distanceInput.readOnly = false;
+          distanceInput.dataset.estimated = 'false';
           distanceInput.style.backgroundColor = 'var(--white)';
           distanceInput.value = '';
           
           if (helperText) {
-            helperText.textContent = 'Insira a distância em quilômetros';
+            helperText.textContent = I18n.t('distance.manual', { unitName: I18n.t(`units.${Units.getDistanceUnit()}`) });
             helperText.style.color = 'var(--info)';
             helperText.style.fontWeight = '600';
           }
+
+          if (e.isTrusted) {
+            announceHelper();
+          }
         } else {
           // Quando desmarcado: tenta preencher automaticamente novamente
-          tryAutoFillDistance();
+          tryAutoFillDistance(e.isTrusted);
         }
       });
 
-      console.log('Preenchimento automático de distância configurado.');
+      // Tenta preencher imediatamente (trechos criados já com cidades)
+      resolveCityInput(originInput);
+      resolveCityInput(destinationInput);
+      tryAutoFillDistance();
     } catch (error) {
       console.error('Erro ao configurar preenchimento automático de distância:', error);
     }
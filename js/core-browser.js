@@ -0,0 +1,55 @@
+/**
+ * Núcleo no Navegador
+ *
+ * Módulo ES que conecta o núcleo de cálculo (js/core/) aos scripts da interface:
+ * - Copia os dados dos cálculos para CONFIG (modos, combustíveis, portes, GWP,
+ *   escopos, base de fatores padrão, créditos de carbono, câmbio padrão,
+ *   equivalências, estimativa de distância, busca de cidades, nomes de cidade
+ *   aceitos e colunas da importação em lote)
+ * - Expõe Calculator, EmissionDatasets, RoutesDB e BatchProcessor como globais
+ *
+ * Módulos rodam depois dos scripts comuns e antes do DOMContentLoaded: os
+ * scripts da interface só usam o núcleo a partir da inicialização (js/app.js).
+ * Por ser um módulo, a página precisa ser aberta por um servidor HTTP.
+ */
+
+import {
+  Calculator,
+  EmissionDatasets,
+  RoutesDB,
+  BatchProcessor,
+  TRANSPORT_MODES,
+  FUEL_TYPES,
+  VEHICLE_SIZES,
+  GHG,
+  EMISSION_SCOPES,
+  EMISSION_DATASETS,
+  CARBON_CREDIT,
+  DEFAULT_EXCHANGE_RATES,
+  EQUIVALENCES,
+  DISTANCE_ESTIMATION,
+  CITY_MATCHING,
+  CUSTOM_ROUTES,
+  BATCH_IMPORT
+} from './core/index.js';
+
+Object.assign(CONFIG, {
+  TRANSPORT_MODES: TRANSPORT_MODES,
+  FUEL_TYPES: FUEL_TYPES,
+  VEHICLE_SIZES: VEHICLE_SIZES,
+  GHG: GHG,
+  EMISSION_SCOPES: EMISSION_SCOPES,
+  EMISSION_DATASETS: EMISSION_DATASETS,
+  CARBON_CREDIT: CARBON_CREDIT,
+  EQUIVALENCES: EQUIVALENCES,
+  DISTANCE_ESTIMATION: DISTANCE_ESTIMATION,
+  CITY_MATCHING: CITY_MATCHING,
+  BATCH_IMPORT: BATCH_IMPORT
+});
+CONFIG.CURRENCY.DEFAULT_EXCHANGE_RATES = DEFAULT_EXCHANGE_RATES;
+CONFIG.PERMALINK.CITY_PATTERN = CUSTOM_ROUTES.CITY_PATTERN;
+
+window.Calculator = Calculator;
+window.EmissionDatasets = EmissionDatasets;
+window.RoutesDB = RoutesDB;
+window.BatchProcessor = BatchProcessor;
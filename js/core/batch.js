@@ -0,0 +1,403 @@
+/**
+ * Processamento de Viagens em Lote (CSV, sem DOM)
+ *
+ * createBatchProcessor() cria um processador com métodos para:
+ * - Ler textos CSV (separados por vírgula ou ponto e vírgula, com aspas)
+ * - Mapear as colunas do cabeçalho para origem, destino, distância, modo e data
+ * - Resolver distâncias ausentes com a base de rotas (findRoute, inclusive as
+ *   rotas personalizadas)
+ * - Calcular a emissão de cada viagem com o calculador, registrando erros por linha
+ * - Somar emissões e estimar os créditos de carbono do lote
+ *
+ * Os erros têm um código (ex: 'mode', 'unknownCity') e os valores da mensagem,
+ * para que cada interface exiba a sua própria mensagem; a mensagem em português
+ * vem junto. No navegador, o processador padrão fica disponível como BatchProcessor
+ * (usado por BatchImport) e, no terminal, é usado por bin/carbon-calc.
+ */
+
+import { BATCH_IMPORT } from './config.js';
+import { createCalculator } from './calculator.js';
+import { createRoutesDB } from './routes.js';
+
+/**
+ * Mensagens em português de cada código de erro
+ * Valores entre chaves (ex: {mode}) são substituídos pelos parâmetros do erro
+ */
+const MESSAGES = {
+  empty: 'o arquivo não contém viagens.',
+  maxRows: 'o limite é de {max} viagens por arquivo.',
+  missingColumns: 'coluna(s) obrigatória(s) ausente(s): {columns}.',
+  cities: 'Origem e destino são obrigatórios.',
+  mode: 'Modo de transporte "{mode}" não reconhecido.',
+  date: 'Data "{date}" inválida (use AAAA-MM-DD ou DD/MM/AAAA).',
+  distance: 'Distância "{distance}" inválida.',
+  unknownCity: 'Cidade não encontrada: {cities}. Informe a distância.',
+  unresolved: 'Não foi possível resolver a distância. Informe a distância.'
+};
+
+/**
+ * Cria um processador de viagens em lote
+ *
+ * @param {Object} options - Dependências do processador (todas opcionais):
+ *   - calculator: calculador usado nas emissões e nos créditos (padrão: createCalculator())
+ *   - routes: base de rotas usada nas distâncias ausentes (padrão: createRoutesDB())
+ *   - columns: nomes aceitos no cabeçalho para cada campo (padrão: BATCH_IMPORT.COLUMNS)
+ *   - maxRows: número máximo de viagens por arquivo (padrão: BATCH_IMPORT.MAX_ROWS)
+ * @returns {Object} Processador de viagens em lote
+ */
+export function createBatchProcessor(options = {}) {
+  return {
+    /**
+     * Calculador e base de rotas usados no processamento
+     */
+    calculator: options.calculator || createCalculator(),
+    routes: options.routes || createRoutesDB(),
+
+    /**
+     * Nomes aceitos no cabeçalho (sem acentos, minúsculos) e limite de viagens
+     */
+    columns: options.columns || BATCH_IMPORT.COLUMNS,
+    maxRows: options.maxRows || BATCH_IMPORT.MAX_ROWS,
+
+    /**
+     * Monta a mensagem em português de um código de erro
+     *
+     * @param {string} code - Código do erro (chave de MESSAGES)
+     * @param {Object} params - Valores substituídos na mensagem
+     * @returns {string} Mensagem do erro
+     */
+    formatMessage: function(code, params = {}) {
+      return MESSAGES[code].replace(/\{(\w+)\}/g, (match, name) =>
+        params.hasOwnProperty(name) ? String(params[name]) : match
+      );
+    },
+
+    /**
+     * Cria um erro do arquivo inteiro
+     *
+     * @param {string} code - Código do erro (empty, maxRows ou missingColumns)
+     * @param {Object} params - Valores da mensagem
+     * @returns {Error} Erro com as propriedades code e params
+     */
+    createError: function(code, params = {}) {
+      const error = new Error(this.formatMessage(code, params));
+      error.code = code;
+      error.params = params;
+      return error;
+    },
+
+    /**
+     * Processa o conteúdo de um CSV: lê, mapeia colunas e calcula cada viagem
+     *
+     * @param {string} text - Conteúdo do arquivo CSV
+     * @param {Object} options - Opções do processamento:
+     *   - scope, dataset, occupancy, vehicles: opções repassadas ao calculador
+     *   - modeLabels: nomes adicionais aceitos na coluna de modo, por modo
+     *     (ex: { bus: ['Bus', 'Autobús'] }); a chave e o label do modo são sempre aceitos
+     *   - pricing: moeda e câmbio do preço dos créditos (ver estimateCreditPrice)
+     * @returns {Object} Objeto com results (uma entrada por linha), totals e dataset
+     *                   (base de fatores usada, ver describe do registro de bases)
+     * @throws {Error} Se o arquivo estiver vazio, faltar coluna obrigatória ou exceder
+     *                 o limite de linhas (ver createError)
+     */
+    process: function(text, options = {}) {
+      const rows = this.parseCSV(text).filter(row => row.cells.some(cell => cell.trim() !== ''));
+
+      if (rows.length < 2) {
+        throw this.createError('empty');
+      }
+
+      if (rows.length - 1 > this.maxRows) {
+        throw this.createError('maxRows', { max: this.maxRows });
+      }
+
+      const columns = this.mapColumns(rows[0].cells);
+      const missing = ['origin', 'destination', 'mode'].filter(field => columns[field] === undefined);
+
+      if (missing.length > 0) {
+        const names = missing.map(field => this.columns[field][0]);
+        throw this.createError('missingColumns', { columns: names.join(', ') });
+      }
+
+      // Cada viagem mantém a linha em que começa no arquivo (linhas em branco e
+      // células com quebra de linha não deslocam a numeração)
+      const results = rows.slice(1).map(row => {
+        const record = {};
+        Object.keys(columns).forEach(field => {
+          record[field] = (row.cells[columns[field]] || '').trim();
+        });
+
+        return this.processRecord(record, row.line, options);
+      });
+
+      return {
+        results: results,
+        totals: this.getTotals(results, options.pricing),
+        dataset: this.calculator.datasets.describe(options.dataset)
+      };
+    },
+
+    /**
+     * Converte o texto CSV em registros com as células de cada linha
+     *
+     * Suporta campos entre aspas (com vírgulas, quebras de linha e aspas duplicadas)
+     * e detecta o separador (',' ou ';') pela primeira linha.
+     *
+     * @param {string} text - Conteúdo do arquivo CSV
+     * @returns {Array<Object>} Registros com cells (células) e line (linha do arquivo
+     *                          em que o registro começa, a partir de 1)
+     */
+    parseCSV: function(text) {
+      const content = text.replace(/^\uFEFF/, '');
+      const firstLine = content.split(/\r?\n/)[0];
+      const delimiter = (firstLine.split(';').length > firstLine.split(',').length) ? ';' : ',';
+
+      const rows = [];
+      let row = [];
+      let cell = '';
+      let inQuotes = false;
+      let line = 1;
+      let rowLine = 1;
+
+      for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (inQuotes) {
+          if (char === '"' && content[i + 1] === '"') {
+            cell += '"';
+            i++;
+          } else if (char === '"') {
+            inQuotes = false;
+          } else {
+            // Quebra de linha dentro da célula (\r\n conta uma vez)
+            if (char === '\n' || (char === '\r' && content[i + 1] !== '\n')) {
+              line++;
+            }
+            cell += char;
+          }
+        } else if (char === '"') {
+          inQuotes = true;
+        } else if (char === delimiter) {
+          row.push(cell);
+          cell = '';
+        } else if (char === '\n' || char === '\r') {
+          // Trata \r\n como uma única quebra de linha
+          if (char === '\r' && content[i + 1] === '\n') {
+            i++;
+          }
+          row.push(cell);
+          rows.push({ cells: row, line: rowLine });
+          row = [];
+          cell = '';
+          line++;
+          rowLine = line;
+        } else {
+          cell += char;
+        }
+      }
+
+      if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push({ cells: row, line: rowLine });
+      }
+
+      return rows;
+    },
+
+    /**
+     * Normaliza um texto para comparação (minúsculas, sem acentos e espaços extras)
+     *
+     * @param {string} value - Texto original
+     * @returns {string} Texto normalizado (ex: "Distância (km)" → "distancia (km)")
+     */
+    normalize: function(value) {
+      return value
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .trim()
+        .toLowerCase();
+    },
+
+    /**
+     * Mapeia as colunas do cabeçalho para os campos da viagem
+     *
+     * @param {Array<string>} header - Células do cabeçalho
+     * @returns {Object} Índice da coluna de cada campo encontrado
+     *                   (ex: { origin: 0, destination: 1, mode: 3 })
+     */
+    mapColumns: function(header) {
+      const columns = {};
+      const normalizedHeader = header.map(cell => this.normalize(cell));
+
+      Object.keys(this.columns).forEach(field => {
+        const index = normalizedHeader.findIndex(cell => this.columns[field].includes(cell));
+        if (index !== -1) {
+          columns[field] = index;
+        }
+      });
+
+      return columns;
+    },
+
+    /**
+     * Identifica o modo de transporte pela chave ou pelo label do registro
+     * Apenas modos do cálculo de passageiros são aceitos
+     *
+     * @param {string} value - Valor da coluna de modo (ex: "car", "Ônibus")
+     * @param {Object} modeLabels - Nomes adicionais aceitos por modo (opcional)
+     * @returns {string|null} Chave do modo no registro de modos ou null
+     */
+    resolveMode: function(value, modeLabels = {}) {
+      const normalizedValue = this.normalize(value);
+
+      const mode = this.calculator.getModes('passenger').find(key => {
+        const labels = [this.calculator.modes[key].label].concat(modeLabels[key] || []);
+
+        return this.normalize(key) === normalizedValue ||
+          labels.some(label => this.normalize(label) === normalizedValue);
+      });
+
+      return mode || null;
+    },
+
+    /**
+     * Converte a data de uma viagem para o formato YYYY-MM-DD
+     *
+     * @param {string} value - Data em YYYY-MM-DD ou DD/MM/AAAA
+     * @returns {string|null} Data em YYYY-MM-DD ou null se inválida
+     */
+    parseDate: function(value) {
+      let match = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+      let year, month, day;
+
+      if (match) {
+        [, year, month, day] = match;
+      } else {
+        match = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+        if (!match) {
+          return null;
+        }
+        [, day, month, year] = match;
+      }
+
+      const date = new Date(Number(year), Number(month) - 1, Number(day));
+      if (date.getMonth() !== Number(month) - 1 || date.getDate() !== Number(day)) {
+        return null;
+      }
+
+      return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    },
+
+    /**
+     * Registra o erro de uma linha no resultado
+     *
+     * @param {Object} result - Resultado da linha (ver processRecord)
+     * @param {string} code - Código do erro (chave de MESSAGES)
+     * @param {Object} params - Valores da mensagem
+     * @returns {Object} O próprio resultado
+     */
+    setRecordError: function(result, code, params = {}) {
+      result.error = this.formatMessage(code, params);
+      result.errorCode = code;
+      result.errorParams = params;
+      return result;
+    },
+
+    /**
+     * Valida e calcula uma viagem do lote
+     *
+     * Erros por linha: cidade vazia ou não encontrada, distância inválida, distância
+     * não resolvida, modo de transporte desconhecido e data inválida.
+     *
+     * @param {Object} record - Valores da linha (origin, destination, distance, mode, date)
+     * @param {number} line - Número da linha no arquivo
+     * @param {Object} options - Opções do processamento (ver process)
+     * @returns {Object} Objeto com line, origin, destination, distance, distanceSource
+     *                   ('informed', 'route', 'custom', quando o caminho usa uma rota
+     *                   personalizada, ou 'estimated', quando não há rota e a distância
+     *                   é estimada pelas coordenadas), mode, date, emission e error
+     *                   (mensagem, null se válida), com errorCode e errorParams quando há erro
+     */
+    processRecord: function(record, line, options = {}) {
+      const result = {
+        line: line,
+        origin: record.origin,
+        destination: record.destination,
+        distance: null,
+        distanceSource: null,
+        mode: null,
+        date: null,
+        emission: null,
+        error: null
+      };
+
+      if (!record.origin || !record.destination) {
+        return this.setRecordError(result, 'cities');
+      }
+
+      result.mode = this.resolveMode(record.mode || '', options.modeLabels);
+      if (!result.mode) {
+        return this.setRecordError(result, 'mode', { mode: record.mode });
+      }
+
+      if (record.date) {
+        result.date = this.parseDate(record.date);
+        if (!result.date) {
+          return this.setRecordError(result, 'date', { date: record.date });
+        }
+      }
+
+      if (record.distance) {
+        // Aceita vírgula como separador decimal
+        const distance = Number(record.distance.replace(',', '.'));
+        if (!Number.isFinite(distance) || distance <= 0) {
+          return this.setRecordError(result, 'distance', { distance: record.distance });
+        }
+        result.distance = distance;
+        result.distanceSource = 'informed';
+      } else {
+        // Aceita os nomes como no formulário (sem acentos, apelidos etc.)
+        const unknownCities = [record.origin, record.destination]
+          .filter(city => !this.routes.resolveCity(city));
+
+        if (unknownCities.length > 0) {
+          return this.setRecordError(result, 'unknownCity', { cities: unknownCities.join(', ') });
+        }
+
+        const route = this.routes.findRoute(record.origin, record.destination, result.mode);
+        if (!route) {
+          return this.setRecordError(result, 'unresolved');
+        }
+        result.distance = route.distanceKm;
+        result.distanceSource = route.estimated ? 'estimated' : (route.custom ? 'custom' : 'route');
+      }
+
+      result.emission = this.calculator.calculatePassengerEmission(result.distance, result.mode, options);
+
+      return result;
+    },
+
+    /**
+     * Soma as viagens válidas do lote e estima os créditos de carbono
+     *
+     * @param {Array<Object>} results - Resultados de processRecord()
+     * @param {Object} pricing - Moeda e câmbio do preço (opcional, ver estimateCreditPrice)
+     * @returns {Object} Objeto com count, errorCount, distance, emission, credits e price
+     */
+    getTotals: function(results, pricing = {}) {
+      const validResults = results.filter(result => !result.error);
+      const distance = validResults.reduce((sum, result) => sum + result.distance, 0);
+      const emission = validResults.reduce((sum, result) => sum + result.emission, 0);
+      const credits = this.calculator.calculateCarbonCredits(emission);
+
+      return {
+        count: validResults.length,
+        errorCount: results.length - validResults.length,
+        distance: Math.round(distance * 100) / 100,
+        emission: Math.round(emission * 100) / 100,
+        credits: credits,
+        price: this.calculator.estimateCreditPrice(credits, pricing)
+      };
+    }
+  };
+}
@@ -0,0 +1,891 @@
+/**
+ * Núcleo de Cálculo de Emissões de CO2 (sem DOM)
+ * 
+ * createCalculator() cria um calculador com:
+ * - Emissão de CO2e por modo de transporte (por veículo e por passageiro),
+ *   com os fatores da base escolhida (ver createDatasetRegistry)
+ * - Separação das emissões por gás (CO2, CH4, N2O) e por escopo (TTW, WTT, WTW)
+ * - Emissões de itinerários com vários trechos
+ * - Emissões de carga por tonelada-quilômetro (caminhão, ferrovia, cabotagem)
+ * - Comparação das emissões entre todos os modos
+ * - Economia de emissões
+ * - Equivalências das emissões no dia a dia
+ * - Créditos de carbono
+ * - Preço estimado de créditos de carbono em qualquer moeda (com conversão pelo câmbio)
+ * - Comparação do custo da compensação entre os projetos do catálogo
+ * 
+ * Os modos, os escopos, as bases de fatores e demais dados são injetáveis; sem
+ * eles, valem os padrões de js/core/config.js e as bases de js/core/datasets/.
+ * No navegador, o calculador padrão fica disponível como Calculator.
+ */
+
+import {
+  TRANSPORT_MODES,
+  GHG,
+  EMISSION_SCOPES,
+  CARBON_CREDIT,
+  DEFAULT_EXCHANGE_RATES,
+  EQUIVALENCES,
+  getModes
+} from './config.js';
+import { createDatasetRegistry } from './datasets.js';
+
+/**
+ * Cria um calculador de emissões
+ * 
+ * @param {Object} options - Dados do cálculo (todos opcionais):
+ *   - modes: registro dos modos de transporte (padrão: TRANSPORT_MODES)
+ *   - datasets: registro de bases de fatores (ver createDatasetRegistry) ou array
+ *     de bases a registrar (padrão: as bases de js/core/datasets/)
+ *   - ghg: GWP e escopo padrão (padrão: GHG)
+ *   - scopes: escopos de emissão (padrão: EMISSION_SCOPES)
+ *   - equivalences: equivalências das emissões (padrão: EQUIVALENCES)
+ *   - carbonCredit: créditos de carbono e catálogo de projetos (padrão: CARBON_CREDIT)
+ *   - exchangeRates: tabela de câmbio padrão (padrão: DEFAULT_EXCHANGE_RATES)
+ * @returns {Object} Calculador
+ */
+export function createCalculator(options = {}) {
+  const modes = options.modes || TRANSPORT_MODES;
+  const datasets = options.datasets && !Array.isArray(options.datasets)
+    ? options.datasets
+    : createDatasetRegistry({ modes: modes, datasets: options.datasets });
+
+  return {
+    /**
+     * Registro dos modos de transporte
+     */
+    modes: modes,
+
+    /**
+     * Registro das bases de fatores de emissão
+     */
+    datasets: datasets,
+
+    /**
+     * GWP dos gases e escopo padrão
+     */
+    ghg: options.ghg || GHG,
+
+    /**
+     * Escopos de emissão
+     */
+    scopes: options.scopes || EMISSION_SCOPES,
+
+    /**
+     * Equivalências das emissões no dia a dia
+     */
+    equivalences: options.equivalences || EQUIVALENCES,
+
+    /**
+     * Créditos de carbono (KG_PER_CREDIT, PRICE_RANGE e PROJECTS)
+     */
+    carbonCredit: options.carbonCredit || CARBON_CREDIT,
+
+    /**
+     * Tabela de câmbio usada quando nenhuma é informada
+     */
+    exchangeRates: options.exchangeRates || DEFAULT_EXCHANGE_RATES,
+
+    /**
+     * Retorna os modos do registro disponíveis para um tipo de cálculo
+     * 
+     * @param {string} kind - 'passenger' (modos com defaultVehicle) ou 'freight' (modos com freight)
+     * @returns {Array<string>} Chaves dos modos, na ordem do registro
+     */
+    getModes: function(kind = 'passenger') {
+      return getModes(this.modes, kind);
+    },
+
+    /**
+     * Resolve o perfil (combustível e porte) do veículo de um modo
+     * 
+     * Usa o perfil informado quando ele existe nos fatores de emissão do modo na
+     * base escolhida; caso contrário, usa o defaultVehicle do modo. Se o porte padrão
+     * não existir para o combustível escolhido, usa o primeiro porte disponível.
+     * 
+     * @param {string} transportMode - Modo de transporte
+     * @param {Object} vehicles - Perfis informados por modo (opcional, ex: { car: { fuel: 'ethanol', size: 'small' } })
+     * @param {string} dataset - Id da base de fatores (opcional, padrão: base padrão)
+     * @returns {Object} Objeto com fuel e size
+     */
+    resolveVehicleProfile: function(transportMode, vehicles = {}, dataset) {
+      const fuels = this.datasets.get(dataset).vehicleFactors[transportMode];
+      const defaults = this.modes[transportMode].defaultVehicle;
+      const requested = vehicles[transportMode] || {};
+
+      const fuel = fuels.hasOwnProperty(requested.fuel) ? requested.fuel : defaults.fuel;
+      const sizes = fuels[fuel];
+
+      let size = Object.keys(sizes)[0];
+      if (sizes.hasOwnProperty(requested.size)) {
+        size = requested.size;
+      } else if (sizes.hasOwnProperty(defaults.size)) {
+        size = defaults.size;
+      }
+
+      return { fuel: fuel, size: size };
+    },
+
+    /**
+     * Retorna o escopo de emissão válido para o cálculo
+     * 
+     * @param {string} scope - Escopo informado ('ttw', 'wtt' ou 'wtw', opcional)
+     * @returns {string} Chave dos escopos (padrão: GHG.DEFAULT_SCOPE)
+     */
+    resolveScope: function(scope) {
+      return this.scopes.hasOwnProperty(scope) ? scope : this.ghg.DEFAULT_SCOPE;
+    },
+
+    /**
+     * Expande um fator de emissão nos seus componentes por gás
+     * 
+     * Fatores numéricos são CO2 fóssil no escapamento; CH4, N2O e WTT são obtidos
+     * pelas proporções do combustível (fuelProfiles da base de fatores). Fatores
+     * em objeto já trazem os componentes.
+     * 
+     * @param {number|Object} factor - Fator de emissão (número ou { co2, ch4, n2o, wtt })
+     * @param {string} fuel - Combustível do fator
+     * @param {string} dataset - Id da base de fatores (opcional, padrão: base padrão)
+     * @returns {Object} Objeto com co2, ch4, n2o (kg do gás) e wtt (kg CO2e) por unidade
+     */
+    getFactorComponents: function(factor, fuel, dataset) {
+      if (typeof factor === 'object') {
+        return {
+          co2: factor.co2 || 0,
+          ch4: factor.ch4 || 0,
+          n2o: factor.n2o || 0,
+          wtt: factor.wtt || 0
+        };
+      }
+
+      const fuelProfile = this.datasets.get(dataset).fuelProfiles[fuel] || { ch4: 0, n2o: 0, wtt: 0 };
+
+      return {
+        co2: factor,
+        ch4: factor * fuelProfile.ch4,
+        n2o: factor * fuelProfile.n2o,
+        wtt: factor * fuelProfile.wtt
+      };
+    },
+
+    /**
+     * Monta o detalhamento das emissões de acordo com o escopo
+     * 
+     * Fórmulas:
+     * - CO2e de cada gás: massa do gás × GWP (GHG.GWP)
+     * - Queima (TTW): soma do CO2e dos gases, se o escopo incluir a queima
+     * - Produção (WTT): CO2e da produção do combustível, se o escopo incluir
+     * - Total: queima + produção
+     * 
+     * @param {Object} components - Componentes em kg (co2, ch4, n2o e wtt)
+     * @param {string} scope - Escopo de emissão (ver resolveScope)
+     * @returns {Object} Objeto contendo:
+     *   - scope: escopo aplicado
+     *   - gases: massa de cada gás da queima em kg (co2, ch4, n2o)
+     *   - co2e: kg CO2e de cada parcela (co2, ch4, n2o e upstream)
+     *   - total: emissão total em kg CO2e
+     */
+    buildEmissionBreakdown: function(components, scope) {
+      const scopeKey = this.resolveScope(scope);
+      const scopeConfig = this.scopes[scopeKey];
+      const gwp = this.ghg.GWP;
+
+      const gases = scopeConfig.combustion
+        ? { co2: components.co2, ch4: components.ch4, n2o: components.n2o }
+        : { co2: 0, ch4: 0, n2o: 0 };
+
+      const co2e = {
+        co2: gases.co2 * gwp.CO2,
+        ch4: gases.ch4 * gwp.CH4,
+        n2o: gases.n2o * gwp.N2O,
+        upstream: scopeConfig.upstream ? components.wtt : 0
+      };
+
+      return {
+        scope: scopeKey,
+        gases: gases,
+        co2e: co2e,
+        total: co2e.co2 + co2e.ch4 + co2e.n2o + co2e.upstream
+      };
+    },
+
+    /**
+     * Multiplica todas as parcelas de um detalhamento de emissões
+     * (ex: divide a emissão do veículo entre os ocupantes)
+     * 
+     * @param {Object} breakdown - Detalhamento de buildEmissionBreakdown()
+     * @param {number} factor - Multiplicador
+     * @returns {Object} Novo detalhamento com as parcelas multiplicadas
+     */
+    scaleEmissionBreakdown: function(breakdown, factor) {
+      return {
+        scope: breakdown.scope,
+        gases: {
+          co2: breakdown.gases.co2 * factor,
+          ch4: breakdown.gases.ch4 * factor,
+          n2o: breakdown.gases.n2o * factor
+        },
+        co2e: {
+          co2: breakdown.co2e.co2 * factor,
+          ch4: breakdown.co2e.ch4 * factor,
+          n2o: breakdown.co2e.n2o * factor,
+          upstream: breakdown.co2e.upstream * factor
+        },
+        total: breakdown.total * factor
+      };
+    },
+
+    /**
+     * Soma os detalhamentos de emissões de vários trechos
+     * 
+     * @param {Array<Object>} breakdowns - Detalhamentos de buildEmissionBreakdown()
+     * @param {string} scope - Escopo de emissão aplicado
+     * @returns {Object} Detalhamento com as parcelas somadas
+     */
+    sumEmissionBreakdowns: function(breakdowns, scope) {
+      const zero = this.buildEmissionBreakdown({ co2: 0, ch4: 0, n2o: 0, wtt: 0 }, scope);
+
+      return breakdowns.reduce((sum, breakdown) => ({
+        scope: sum.scope,
+        gases: {
+          co2: sum.gases.co2 + breakdown.gases.co2,
+          ch4: sum.gases.ch4 + breakdown.gases.ch4,
+          n2o: sum.gases.n2o + breakdown.gases.n2o
+        },
+        co2e: {
+          co2: sum.co2e.co2 + breakdown.co2e.co2,
+          ch4: sum.co2e.ch4 + breakdown.co2e.ch4,
+          n2o: sum.co2e.n2o + breakdown.co2e.n2o,
+          upstream: sum.co2e.upstream + breakdown.co2e.upstream
+        },
+        total: sum.total + breakdown.total
+      }), zero);
+    },
+
+    /**
+     * Calcula o detalhamento das emissões do veículo para um modo de transporte
+     * 
+     * Fórmula: distância (km) × componentes do fator (por veículo)
+     * O fator é obtido de vehicleFactors[modo][combustível][porte] da base de fatores
+     * 
+     * @param {number} distanceKm - Distância em quilômetros
+     * @param {string} transportMode - Modo de transporte (chave do registro de modos)
+     * @param {Object} options - Opções de cálculo (opcional):
+     *   - vehicles: perfis de veículo por modo (ver resolveVehicleProfile)
+     *   - scope: escopo de emissão ('ttw', 'wtt' ou 'wtw')
+     *   - dataset: id da base de fatores (ver createDatasetRegistry)
+     * @returns {Object} Detalhamento das emissões do veículo (ver buildEmissionBreakdown)
+     */
+    calculateEmissionBreakdown: function(distanceKm, transportMode, options = {}) {
+      const profile = this.resolveVehicleProfile(transportMode, options.vehicles, options.dataset);
+      const factor = this.datasets.get(options.dataset).vehicleFactors[transportMode][profile.fuel][profile.size];
+      const components = this.getFactorComponents(factor, profile.fuel, options.dataset);
+
+      return this.buildEmissionBreakdown({
+        co2: distanceKm * components.co2,
+        ch4: distanceKm * components.ch4,
+        n2o: distanceKm * components.n2o,
+        wtt: distanceKm * components.wtt
+      }, options.scope);
+    },
+
+    /**
+     * Calcula a emissão de CO2e do veículo para um modo de transporte específico
+     * 
+     * Total do detalhamento de calculateEmissionBreakdown() no escopo escolhido
+     * (padrão: GHG.DEFAULT_SCOPE)
+     * 
+     * @param {number} distanceKm - Distância em quilômetros
+     * @param {string} transportMode - Modo de transporte (chave do registro de modos)
+     * @param {Object} options - Opções de cálculo (opcional):
+     *   - vehicles: perfis de veículo por modo (ver resolveVehicleProfile)
+     *   - scope: escopo de emissão ('ttw', 'wtt' ou 'wtw')
+     *   - dataset: id da base de fatores
+     * @returns {number} Emissão de CO2e do veículo em kg, arredondada para 2 casas decimais
+     */
+    calculateEmission: function(distanceKm, transportMode, options = {}) {
+      // Valida se o modo de transporte existe nas configurações
+      if (!this.modes.hasOwnProperty(transportMode)) {
+        console.error(`Modo de transporte "${transportMode}" não reconhecido.`);
+        return 0;
+      }
+
+      const breakdown = this.calculateEmissionBreakdown(distanceKm, transportMode, options);
+
+      // Retorna arredondado a 2 casas decimais
+      return Math.round(breakdown.total * 100) / 100;
+    },
+
+    /**
+     * Retorna o número de ocupantes do veículo de um modo de transporte
+     * 
+     * Conforme a configuração occupancy do modo no registro de modos:
+     * - type 'passengers': o valor informado é o número de pessoas no veículo
+     * - type 'loadFactor': o valor informado é a taxa de ocupação (0 a 1),
+     *   multiplicada pela capacidade do veículo
+     * - modos sem configuração (e modos não reconhecidos) têm 1 ocupante
+     * 
+     * @param {string} transportMode - Modo de transporte
+     * @param {Object} occupancy - Valores informados por modo (opcional, ex: { car: 3, bus: 0.6 })
+     * @returns {number} Número de ocupantes (mínimo 1)
+     */
+    getOccupants: function(transportMode, occupancy = {}) {
+      if (!this.modes.hasOwnProperty(transportMode)) {
+        console.error(`Modo de transporte "${transportMode}" não reconhecido.`);
+        return 1;
+      }
+
+      const occupancyConfig = this.modes[transportMode].occupancy;
+
+      if (!occupancyConfig) {
+        return 1;
+      }
+
+      // Usa o valor informado ou o padrão configurado
+      const value = occupancy.hasOwnProperty(transportMode)
+        ? occupancy[transportMode]
+        : occupancyConfig.default;
+
+      const occupants = occupancyConfig.type === 'loadFactor'
+        ? occupancyConfig.capacity * value
+        : value;
+
+      return Math.max(occupants, 1);
+    },
+
+    /**
+     * Calcula a emissão de CO2 por passageiro
+     * 
+     * Fórmula: emissão do veículo (kg) ÷ número de ocupantes
+     * 
+     * @param {number} distanceKm - Distância em quilômetros
+     * @param {string} transportMode - Modo de transporte
+     * @param {Object} options - Opções de cálculo (opcional):
+     *   - occupancy: valores de ocupação por modo
+     *   - vehicles: perfis de veículo por modo
+     *   - scope: escopo de emissão
+     * @returns {number} Emissão de CO2e por passageiro em kg, arredondada para 2 casas decimais
+     *                   (0 se o modo não for reconhecido, como em calculateEmission)
+     */
+    calculatePassengerEmission: function(distanceKm, transportMode, options = {}) {
+      if (!this.modes.hasOwnProperty(transportMode)) {
+        console.error(`Modo de transporte "${transportMode}" não reconhecido.`);
+        return 0;
+      }
+
+      const vehicleEmission = this.calculateEmission(distanceKm, transportMode, options);
+      const occupants = this.getOccupants(transportMode, options.occupancy);
+
+      return Math.round((vehicleEmission / occupants) * 100) / 100;
+    },
+
+    /**
+     * Calcula as emissões de um itinerário com um ou mais trechos
+     * 
+     * Cada trecho usa seu próprio modo de transporte. Quando roundTrip é true,
+     * os trechos são repetidos em ordem inversa e com origem/destino invertidos
+     * (ex: A → B → C vira A → B → C → B → A).
+     * 
+     * As emissões são calculadas por passageiro (emission) e por veículo
+     * (vehicleEmission). A economia é calculada, por passageiro, contra o mesmo
+     * itinerário feito inteiramente de carro.
+     * 
+     * @param {Array<Object>} legs - Trechos com origin, destination, distance (km), mode
+     *                               e estimated (opcional, distância estimada)
+     * @param {boolean} roundTrip - Se true, inclui os trechos de volta
+     * @param {Object} options - Opções de cálculo (opcional):
+     *   - occupancy: valores de ocupação por modo
+     *   - vehicles: perfis de veículo por modo
+     *   - scope: escopo de emissão
+     *   - dataset: id da base de fatores
+     * @returns {Object} Objeto contendo:
+     *   - legs: trechos calculados (com emission, vehicleEmission, occupants, vehicle,
+     *     breakdown por passageiro e isReturn)
+     *   - hasEstimatedDistance: true se algum trecho usa distância estimada
+     *   - totalDistance: distância total em km
+     *   - totalEmission: emissão total por passageiro em kg CO2
+     *   - totalVehicleEmission: emissão total dos veículos em kg CO2
+     *   - breakdown: detalhamento por gás e escopo da emissão por passageiro
+     *   - carEmission: emissão por passageiro do itinerário inteiro de carro (baseline)
+     *   - savings: objeto com savedKg e percentage
+     *   - equivalences: equivalências da emissão por passageiro (ver calculateEquivalences)
+     *   - dataset: base de fatores usada (ver describe do registro de bases)
+     * @throws {Error} Se algum trecho usar um modo que não é de passageiros
+     */
+    calculateItinerary: function(legs, roundTrip = false, options = {}) {
+      // Valida os modos antes de calcular: só os modos de passageiros têm perfil de veículo
+      const passengerModes = this.getModes('passenger');
+      legs.forEach(leg => {
+        if (!passengerModes.includes(leg.mode)) {
+          throw new Error(`Modo de transporte "${leg.mode}" não reconhecido.`);
+        }
+      });
+
+      // Monta a lista de trechos (ida + volta, se aplicável)
+      const allLegs = legs.map(leg => ({
+        origin: leg.origin,
+        destination: leg.destination,
+        distance: leg.distance,
+        estimated: Boolean(leg.estimated),
+        mode: leg.mode,
+        isReturn: false
+      }));
+
+      if (roundTrip) {
+        legs.slice().reverse().forEach(leg => {
+          allLegs.push({
+            origin: leg.destination,
+            destination: leg.origin,
+            distance: leg.distance,
+            estimated: Boolean(leg.estimated),
+            mode: leg.mode,
+            isReturn: true
+          });
+        });
+      }
+
+      // Calcula a emissão de cada trecho (por veículo e por passageiro)
+      allLegs.forEach(leg => {
+        leg.vehicle = this.resolveVehicleProfile(leg.mode, options.vehicles, options.dataset);
+        leg.vehicleEmission = this.calculateEmission(leg.distance, leg.mode, options);
+        leg.occupants = this.getOccupants(leg.mode, options.occupancy);
+        leg.emission = this.calculatePassengerEmission(leg.distance, leg.mode, options);
+        leg.breakdown = this.scaleEmissionBreakdown(
+          this.calculateEmissionBreakdown(leg.distance, leg.mode, options),
+          1 / leg.occupants
+        );
+      });
+
+      // Soma distâncias e emissões
+      const totalDistance = allLegs.reduce((sum, leg) => sum + leg.distance, 0);
+      const totalEmission = allLegs.reduce((sum, leg) => sum + leg.emission, 0);
+      const totalVehicleEmission = allLegs.reduce((sum, leg) => sum + leg.vehicleEmission, 0);
+
+      // Baseline: itinerário completo de carro (por passageiro)
+      const carEmission = this.calculatePassengerEmission(totalDistance, 'car', options);
+
+      return {
+        legs: allLegs,
+        totalDistance: Math.round(totalDistance * 100) / 100,
+        totalEmission: Math.round(totalEmission * 100) / 100,
+        totalVehicleEmission: Math.round(totalVehicleEmission * 100) / 100,
+        breakdown: this.sumEmissionBreakdowns(allLegs.map(leg => leg.breakdown), options.scope),
+        hasEstimatedDistance: allLegs.some(leg => leg.estimated),
+        carEmission: carEmission,
+        savings: this.calculateSavings(totalEmission, carEmission),
+        equivalences: this.calculateEquivalences(totalEmission),
+        dataset: this.datasets.describe(options.dataset)
+      };
+    },
+
+    /**
+     * Calcula o detalhamento das emissões de um embarque de carga
+     * 
+     * Fórmulas:
+     * - Viagem carregada: carga (t) × distância (km) × componentes do fator (por t·km)
+     * - Retorno vazio: viagem carregada × percentual de retorno vazio × emptyRunRatio do modo
+     * - Total: viagem carregada + retorno vazio
+     * 
+     * @param {number} distanceKm - Distância em quilômetros
+     * @param {string} transportMode - Modo de carga (truck, freightRail, cabotage)
+     * @param {Object} freight - Dados da carga:
+     *   - cargoTonnes: peso da carga em toneladas
+     *   - emptyReturnShare: fração da distância percorrida de volta vazio (0 a 1, opcional)
+     * @param {Object} options - Opções de cálculo (opcional):
+     *   - scope: escopo de emissão ('ttw', 'wtt' ou 'wtw')
+     *   - dataset: id da base de fatores (freightFactors, em kg por t·km)
+     * @returns {Object} Detalhamento das emissões do embarque (ver buildEmissionBreakdown);
+     *                  zerado se o modo não transporta carga
+     */
+    calculateFreightEmissionBreakdown: function(distanceKm, transportMode, freight, options = {}) {
+      // Valida se o modo existe e transporta carga
+      if (!this.modes.hasOwnProperty(transportMode) || !this.modes[transportMode].freight) {
+        console.error(`Modo de carga "${transportMode}" não reconhecido.`);
+        return this.buildEmissionBreakdown({ co2: 0, ch4: 0, n2o: 0, wtt: 0 }, options.scope);
+      }
+
+      const freightConfig = this.modes[transportMode].freight;
+      const factor = this.datasets.get(options.dataset).freightFactors[transportMode];
+      const components = this.getFactorComponents(factor, freightConfig.fuel, options.dataset);
+
+      // Viagem carregada + retorno vazio (proporcional à viagem carregada)
+      const tonneKm = freight.cargoTonnes * distanceKm;
+      const emptyReturnMultiplier = 1 + (freight.emptyReturnShare || 0) * freightConfig.emptyRunRatio;
+      const activity = tonneKm * emptyReturnMultiplier;
+
+      return this.buildEmissionBreakdown({
+        co2: activity * components.co2,
+        ch4: activity * components.ch4,
+        n2o: activity * components.n2o,
+        wtt: activity * components.wtt
+      }, options.scope);
+    },
+
+    /**
+     * Calcula a emissão de CO2e de um embarque de carga
+     * 
+     * Total do detalhamento de calculateFreightEmissionBreakdown()
+     * 
+     * @param {number} distanceKm - Distância em quilômetros
+     * @param {string} transportMode - Modo de carga (truck, freightRail, cabotage)
+     * @param {Object} freight - Dados da carga (cargoTonnes, emptyReturnShare)
+     * @param {Object} options - Opções de cálculo (opcional):
+     *   - scope: escopo de emissão ('ttw', 'wtt' ou 'wtw')
+     *   - dataset: id da base de fatores
+     * @returns {number} Emissão de CO2e do embarque em kg, arredondada para 2 casas decimais
+     *                  (0 se o modo não transporta carga)
+     */
+    calculateFreightEmission: function(distanceKm, transportMode, freight, options = {}) {
+      const breakdown = this.calculateFreightEmissionBreakdown(distanceKm, transportMode, freight, options);
+
+      return Math.round(breakdown.total * 100) / 100;
+    },
+
+    /**
+     * Valida o peso da carga de um embarque
+     * 
+     * @param {Object} freight - Dados da carga (cargoTonnes, emptyReturnShare)
+     * @throws {Error} Se o peso da carga não for um número maior que zero
+     */
+    validateCargo: function(freight) {
+      if (!freight || !Number.isFinite(freight.cargoTonnes) || freight.cargoTonnes <= 0) {
+        throw new Error(`Peso da carga inválido: ${freight ? freight.cargoTonnes : freight}.`);
+      }
+    },
+
+    /**
+     * Calcula as emissões de um embarque de carga com um ou mais trechos
+     * 
+     * A economia é calculada contra o mesmo embarque feito inteiramente de caminhão.
+     * 
+     * @param {Array<Object>} legs - Trechos com origin, destination, distance (km), mode
+     *                               e estimated (opcional, distância estimada)
+     * @param {Object} freight - Dados da carga (cargoTonnes, emptyReturnShare)
+     * @param {Object} options - Opções de cálculo (opcional):
+     *   - scope: escopo de emissão
+     *   - dataset: id da base de fatores
+     * @returns {Object} Objeto contendo:
+     *   - legs: trechos calculados (com emission, emissionPerTonne, tonneKm e breakdown)
+     *   - hasEstimatedDistance: true se algum trecho usa distância estimada
+     *   - totalDistance: distância total em km
+     *   - tonneKm: toneladas-quilômetro transportadas
+     *   - totalEmission: emissão total do embarque em kg CO2
+     *   - emissionPerTonne: emissão por tonelada transportada em kg CO2
+     *   - breakdown: detalhamento por gás e escopo da emissão do embarque
+     *   - truckEmission: emissão do embarque inteiro de caminhão (baseline)
+     *   - savings: objeto com savedKg e percentage
+     *   - equivalences: equivalências da emissão do embarque (ver calculateEquivalences)
+     *   - dataset: base de fatores usada (ver describe do registro de bases)
+     * @throws {Error} Se o peso da carga for inválido (ver validateCargo) ou se algum
+     *                 trecho usar um modo que não transporta carga
+     */
+    calculateShipment: function(legs, freight, options = {}) {
+      this.validateCargo(freight);
+
+      const freightModes = this.getModes('freight');
+      legs.forEach(leg => {
+        if (!freightModes.includes(leg.mode)) {
+          throw new Error(`Modo de carga "${leg.mode}" não reconhecido.`);
+        }
+      });
+
+      const shipmentLegs = legs.map(leg => {
+        const emission = this.calculateFreightEmission(leg.distance, leg.mode, freight, options);
+
+        return {
+          origin: leg.origin,
+          destination: leg.destination,
+          distance: leg.distance,
+          estimated: Boolean(leg.estimated),
+          mode: leg.mode,
+          isReturn: false,
+          tonneKm: Math.round(leg.distance * freight.cargoTonnes * 100) / 100,
+          emission: emission,
+          emissionPerTonne: Math.round((emission / freight.cargoTonnes) * 100) / 100,
+          breakdown: this.calculateFreightEmissionBreakdown(leg.distance, leg.mode, freight, options)
+        };
+      });
+
+      // Soma distâncias e emissões
+      const totalDistance = shipmentLegs.reduce((sum, leg) => sum + leg.distance, 0);
+      const totalEmission = shipmentLegs.reduce((sum, leg) => sum + leg.emission, 0);
+
+      // Baseline: embarque completo de caminhão
+      const truckEmission = this.calculateFreightEmission(totalDistance, 'truck', freight, options);
+
+      return {
+        legs: shipmentLegs,
+        totalDistance: Math.round(totalDistance * 100) / 100,
+        tonneKm: Math.round(totalDistance * freight.cargoTonnes * 100) / 100,
+        totalEmission: Math.round(totalEmission * 100) / 100,
+        emissionPerTonne: Math.round((totalEmission / freight.cargoTonnes) * 100) / 100,
+        breakdown: this.sumEmissionBreakdowns(shipmentLegs.map(leg => leg.breakdown), options.scope),
+        hasEstimatedDistance: shipmentLegs.some(leg => leg.estimated),
+        truckEmission: truckEmission,
+        savings: this.calculateSavings(totalEmission, truckEmission),
+        equivalences: this.calculateEquivalences(totalEmission),
+        dataset: this.datasets.describe(options.dataset)
+      };
+    },
+
+    /**
+     * Calcula emissões de um embarque de carga para todos os modos de carga
+     * e compara com a emissão do caminhão (linha de base)
+     * 
+     * Fórmula de comparação: (emissão / emissão_caminhão) × 100
+     * 
+     * @param {number} distanceKm - Distância em quilômetros
+     * @param {Object} freight - Dados da carga (cargoTonnes, emptyReturnShare)
+     * @param {Object} options - Opções de cálculo (opcional):
+     *   - scope: escopo de emissão
+     *   - dataset: id da base de fatores
+     * @returns {Array} Array de objetos com modo, emissão do embarque, emissão por
+     *                  tonelada, percentual vs caminhão e equivalências
+     *                  Ordenado por emissão (menor primeiro)
+     * @throws {Error} Se o peso da carga for inválido (ver validateCargo)
+     */
+    calculateAllFreightModes: function(distanceKm, freight, options = {}) {
+      this.validateCargo(freight);
+
+      // Calcula emissão do caminhão (baseline para comparação)
+      const truckEmission = this.calculateFreightEmission(distanceKm, 'truck', freight, options);
+
+      const results = this.getModes('freight').map(mode => {
+        const emission = this.calculateFreightEmission(distanceKm, mode, freight, options);
+
+        // Evita divisão por zero caso truckEmission seja 0
+        let percentageVsTruck = 0;
+        if (truckEmission > 0) {
+          percentageVsTruck = Math.round((emission / truckEmission) * 100 * 100) / 100;
+        }
+
+        return {
+          mode: mode,
+          emission: emission,
+          emissionPerTonne: Math.round((emission / freight.cargoTonnes) * 100) / 100,
+          percentageVsTruck: percentageVsTruck,
+          equivalences: this.calculateEquivalences(emission)
+        };
+      });
+
+      // Ordena por emissão (menor primeiro)
+      results.sort((a, b) => a.emission - b.emission);
+
+      return results;
+    },
+
+    /**
+     * Calcula emissões de CO2 por passageiro para todos os modos de transporte
+     * e compara com a emissão do carro (linha de base)
+     * 
+     * A comparação é feita por passageiro para que carona e transporte
+     * coletivo sejam comparados de forma justa com o carro
+     * 
+     * Fórmula de comparação: (emissão / emissão_carro) × 100
+     * 
+     * @param {number} distanceKm - Distância em quilômetros
+     * @param {Object} options - Opções de cálculo (opcional):
+     *   - occupancy: valores de ocupação por modo
+     *   - vehicles: perfis de veículo por modo
+     *   - scope: escopo de emissão
+     *   - dataset: id da base de fatores
+     * @returns {Array} Array de objetos com modo, emissão por passageiro, emissão do
+     *                  veículo, ocupantes, perfil do veículo, percentual vs carro e equivalências
+     *                  Ordenado por emissão (menor primeiro)
+     */
+    calculateAllModes: function(distanceKm, options = {}) {
+      // Array para armazenar resultados
+      const results = [];
+
+      // Calcula emissão do carro por passageiro (baseline para comparação)
+      const carEmission = this.calculatePassengerEmission(distanceKm, 'car', options);
+
+      // Itera sobre todos os modos de passageiros do registro de transporte
+      this.getModes('passenger').forEach(mode => {
+        // Calcula emissão por passageiro para o modo atual
+        const emission = this.calculatePassengerEmission(distanceKm, mode, options);
+
+        // Calcula percentual em relação ao carro
+        // Evita divisão por zero caso carEmission seja 0
+        let percentageVsCar = 0;
+        if (carEmission > 0) {
+          percentageVsCar = Math.round((emission / carEmission) * 100 * 100) / 100;
+        }
+
+        // Adiciona resultado ao array
+        results.push({
+          mode: mode,
+          emission: emission,
+          vehicleEmission: this.calculateEmission(distanceKm, mode, options),
+          occupants: this.getOccupants(mode, options.occupancy),
+          vehicle: this.resolveVehicleProfile(mode, options.vehicles, options.dataset),
+          percentageVsCar: percentageVsCar,
+          equivalences: this.calculateEquivalences(emission)
+        });
+      });
+
+      // Ordena por emissão (menor primeiro)
+      results.sort((a, b) => a.emission - b.emission);
+
+      return results;
+    },
+
+    /**
+     * Calcula a economia de emissões entre dois valores
+     * 
+     * Fórmulas:
+     * - Economia em kg: baseline - emissão
+     * - Percentual: (economia / baseline) × 100
+     * 
+     * @param {number} emission - Emissão do modo escolhido em kg
+     * @param {number} baselineEmission - Emissão do carro (baseline) em kg
+     * @returns {Object} Objeto com savedKg e percentage, ambos com 2 casas decimais
+     */
+    calculateSavings: function(emission, baselineEmission) {
+      // Calcula emissão economizada
+      const savedKg = baselineEmission - emission;
+
+      // Calcula percentual de economia
+      let percentage = 0;
+      if (baselineEmission > 0) {
+        percentage = Math.round((savedKg / baselineEmission) * 100 * 100) / 100;
+      }
+
+      return {
+        savedKg: Math.round(savedKg * 100) / 100,
+        percentage: percentage
+      };
+    },
+
+    /**
+     * Expressa uma emissão em equivalências do dia a dia
+     * 
+     * Fórmula: quantidade = emissão (kg CO2e) ÷ kgPerUnit da equivalência
+     * 
+     * @param {number} emissionKg - Emissão em kg CO2e
+     * @param {Object} factors - Equivalências (padrão: as equivalências do calculador), com kgPerUnit
+     * @returns {Object} Quantidade por chave de equivalência, com 2 casas decimais
+     *                   (ex: { trees: 3.93, gridKwh: 2244.16, ... })
+     */
+    calculateEquivalences: function(emissionKg, factors = this.equivalences) {
+      const equivalences = {};
+
+      Object.keys(factors).forEach(key => {
+        equivalences[key] = Math.round((emissionKg / factors[key].kgPerUnit) * 100) / 100;
+      });
+
+      return equivalences;
+    },
+
+    /**
+     * Calcula quantos créditos de carbono correspondem à emissão
+     * 
+     * Fórmula: emissão (kg) ÷ kg_por_crédito
+     * 
+     * @param {number} emissionKg - Emissão em quilogramas de CO2
+     * @returns {number} Quantidade de créditos, arredondada para 4 casas decimais
+     */
+    calculateCarbonCredits: function(emissionKg) {
+      // Obtém quantidade de kg por crédito das configurações
+      const kgPerCredit = this.carbonCredit.KG_PER_CREDIT;
+
+      // Calcula créditos: emissão / kg_por_crédito
+      const credits = emissionKg / kgPerCredit;
+
+      // Retorna arredondado a 4 casas decimais
+      return Math.round(credits * 10000) / 10000;
+    },
+
+    /**
+     * Converte um valor entre moedas pela tabela de câmbio
+     * 
+     * Fórmula: valor × cotação(origem) ÷ cotação(destino), com as cotações na moeda base
+     * 
+     * @param {number} amount - Valor na moeda de origem
+     * @param {string} from - Moeda de origem (ex: "USD")
+     * @param {string} to - Moeda de destino (ex: "BRL")
+     * @param {Object} exchangeRates - Tabela de câmbio (base, effectiveDate, rates),
+     *                                 como DEFAULT_EXCHANGE_RATES
+     * @returns {number} Valor na moeda de destino
+     * @throws {Error} Se a tabela não tiver cotação para uma das moedas
+     */
+    convertCurrency: function(amount, from, to, exchangeRates) {
+      if (from === to) {
+        return amount;
+      }
+
+      const getRate = (currency) => {
+        const rate = currency === exchangeRates.base ? 1 : exchangeRates.rates[currency];
+
+        if (!(rate > 0)) {
+          throw new Error(`Câmbio não disponível para ${currency}.`);
+        }
+        return rate;
+      };
+
+      return amount * getRate(from) / getRate(to);
+    },
+
+    /**
+     * Estima o preço de créditos de carbono com base no intervalo configurado
+     * 
+     * Fórmulas:
+     * - Mínimo: créditos × preço mínimo × câmbio
+     * - Máximo: créditos × preço máximo × câmbio
+     * - Médio: (mínimo + máximo) / 2
+     * 
+     * @param {number} credits - Quantidade de créditos de carbono
+     * @param {Object} pricing - Opções de preço (opcional):
+     *   - priceRange: { min, max, currency } por crédito (padrão: CARBON_CREDIT.PRICE_RANGE)
+     *   - currency: moeda do resultado (padrão: a moeda do intervalo de preços)
+     *   - exchangeRates: tabela de câmbio (padrão: a tabela do calculador)
+     * @returns {Object} Objeto com min, max e average (2 casas decimais), currency e
+     *                   exchangeRate (from, to, rate e effectiveDate; null se não houve conversão)
+     */
+    estimateCreditPrice: function(credits, pricing = {}) {
+      const priceRange = pricing.priceRange || this.carbonCredit.PRICE_RANGE;
+      const currency = pricing.currency || priceRange.currency;
+      const exchangeRates = pricing.exchangeRates || this.exchangeRates;
+
+      // Cotação de 1 unidade da moeda do preço na moeda do resultado
+      const rate = this.convertCurrency(1, priceRange.currency, currency, exchangeRates);
+
+      // Calcula valores na moeda do resultado
+      const minPrice = credits * priceRange.min * rate;
+      const maxPrice = credits * priceRange.max * rate;
+      const averagePrice = (minPrice + maxPrice) / 2;
+
+      return {
+        min: Math.round(minPrice * 100) / 100,
+        max: Math.round(maxPrice * 100) / 100,
+        average: Math.round(averagePrice * 100) / 100,
+        currency: currency,
+        exchangeRate: currency === priceRange.currency ? null : {
+          from: priceRange.currency,
+          to: currency,
+          rate: rate,
+          effectiveDate: exchangeRates.effectiveDate
+        }
+      };
+    },
+
+    /**
+     * Compara o custo de compensar uma quantidade de créditos com cada projeto
+     * do catálogo (carbonCredit.PROJECTS)
+     * 
+     * @param {number} credits - Quantidade de créditos de carbono
+     * @param {Object} pricing - Moeda e câmbio do resultado (currency e exchangeRates,
+     *                           ver estimateCreditPrice)
+     * @returns {Array<Object>} Projetos com id e price (de estimateCreditPrice com o
+     *                          intervalo de preço do projeto), do menor ao maior custo médio
+     */
+    compareOffsetProjects: function(credits, pricing = {}) {
+      return Object.keys(this.carbonCredit.PROJECTS).map(id => ({
+        id: id,
+        price: this.estimateCreditPrice(credits, Object.assign({}, pricing, {
+          priceRange: this.carbonCredit.PROJECTS[id].priceRange
+        }))
+      })).sort((a, b) => a.price.average - b.price.average);
+    }
+  };
+}
@@ -0,0 +1,455 @@
+/**
+ * Configuração do Núcleo de Cálculo
+ *
+ * Dados usados pelos cálculos, sem nenhuma dependência do navegador (servem de
+ * padrão para createCalculator, createDatasetRegistry, createRoutesDB e
+ * createBatchProcessor):
+ * - Registro dos modos de transporte (label, ícone, cor, perfil padrão do veículo,
+ *   ocupação, dados de carga e fator de circuito)
+ * - Labels de combustíveis e portes de veículo
+ * - Potenciais de aquecimento global (GWP) e escopos de emissão (TTW, WTT, WTW)
+ * - Base de fatores de emissão padrão (as bases ficam em js/core/datasets/)
+ * - Créditos de carbono (com o catálogo de projetos de compensação) e câmbio padrão
+ * - Fatores de equivalência das emissões (árvores, energia, smartphone, gasolina)
+ * - Fator de circuito padrão para estimativa de distância
+ * - Semelhança mínima e sugestões da busca de cidades pelo nome digitado
+ * - Arquivo e limite das rotas personalizadas
+ * - Colunas aceitas e limite de viagens da importação em lote (CSV)
+ *
+ * No navegador, estes dados também ficam disponíveis em CONFIG (ver js/core-browser.js).
+ */
+
+/**
+ * Registro dos modos de transporte
+ * Cada modo é uma única entrada com tudo o que a aplicação precisa:
+ * - label, icon, color: metadados para a UI
+ * - defaultVehicle: combustível e porte padrão do veículo (modos de passageiros)
+ * - occupancy: ocupação do veículo (opcional; sem ela, 1 ocupante)
+ *   - type 'passengers': número de pessoas (default = padrão, capacity = máximo)
+ *   - type 'loadFactor': taxa média de ocupação (0 a 1) sobre a capacidade
+ * - freight: transporte de carga (opcional)
+ *   - fuel: combustível usado para derivar CH4, N2O e WTT (ver fuelProfiles das bases)
+ *   - emptyRunRatio: emissão do retorno vazio em relação à viagem carregada (0 a 1)
+ * - circuityFactor: multiplicador da distância em linha reta (distância estimada)
+ * 
+ * Modos com defaultVehicle aparecem no cálculo de passageiros; modos com
+ * freight aparecem no cálculo de carga (ver getModes abaixo).
+ * 
+ * Os fatores de emissão não ficam aqui: cada base de fatores (js/core/datasets/,
+ * ver createDatasetRegistry) traz os fatores de todos os modos, com a sua fonte.
+ * Para modos coletivos, o fator por veículo dividido pela ocupação padrão
+ * resulta no fator por passageiro (ex: ônibus 1,068 ÷ 12 ≈ 0,089 kg/km).
+ * 
+ * Para adicionar um modo basta incluir uma nova entrada neste objeto (e os
+ * seus fatores em cada base): cálculo, seletor de modo, perfis de veículo,
+ * ocupação, carga e comparação usam este registro.
+ */
+export const TRANSPORT_MODES = {
+  bicycle: {
+    label: "Bicicleta",
+    icon: "🚲",
+    color: "#3b82f6",
+    defaultVehicle: { fuel: 'none', size: 'medium' },
+    circuityFactor: 1.35
+  },
+  car: {
+    label: "Carro",
+    icon: "🚗",
+    color: "#ef4444",
+    defaultVehicle: { fuel: 'gasoline', size: 'medium' },
+    occupancy: {
+      type: 'passengers',
+      label: 'Pessoas no carro',
+      default: 1,
+      capacity: 5
+    },
+    circuityFactor: 1.3
+  },
+  motorcycle: {
+    label: "Moto",
+    icon: "🏍️",
+    color: "#ec4899",
+    defaultVehicle: { fuel: 'gasoline', size: 'small' },
+    occupancy: {
+      type: 'passengers',
+      label: 'Pessoas na moto',
+      default: 1,
+      capacity: 2
+    },
+    circuityFactor: 1.3
+  },
+  bus: {
+    label: "Ônibus",
+    icon: "🚌",
+    color: "#f59e0b",
+    defaultVehicle: { fuel: 'diesel', size: 'medium' },
+    occupancy: {
+      type: 'loadFactor',
+      label: 'Ocupação média do ônibus (%)',
+      default: 0.3,
+      capacity: 40
+    },
+    circuityFactor: 1.3
+  },
+  train: {
+    label: "Trem intermunicipal",
+    icon: "🚆",
+    color: "#0ea5e9",
+    defaultVehicle: { fuel: 'diesel', size: 'medium' },
+    occupancy: {
+      type: 'loadFactor',
+      label: 'Ocupação média do trem (%)',
+      default: 0.5,
+      capacity: 400
+    },
+    circuityFactor: 1.25
+  },
+  metro: {
+    label: "Metrô",
+    icon: "🚇",
+    color: "#14b8a6",
+    defaultVehicle: { fuel: 'electric', size: 'medium' },
+    occupancy: {
+      type: 'loadFactor',
+      label: 'Ocupação média do metrô (%)',
+      default: 0.4,
+      capacity: 1000
+    },
+    circuityFactor: 1.2
+  },
+  plane: {
+    label: "Avião (voo doméstico)",
+    icon: "✈️",
+    color: "#6366f1",
+    defaultVehicle: { fuel: 'jet', size: 'medium' },
+    occupancy: {
+      type: 'loadFactor',
+      label: 'Ocupação média do voo (%)',
+      default: 0.8,
+      capacity: 180
+    },
+    circuityFactor: 1.09
+  },
+  ferry: {
+    label: "Balsa / Ferry",
+    icon: "⛴️",
+    color: "#0891b2",
+    defaultVehicle: { fuel: 'diesel', size: 'medium' },
+    occupancy: {
+      type: 'loadFactor',
+      label: 'Ocupação média da balsa (%)',
+      default: 0.5,
+      capacity: 300
+    },
+    circuityFactor: 1.1
+  },
+  truck: {
+    label: "Caminhão",
+    icon: "🚛",
+    color: "#8b5cf6",
+    defaultVehicle: { fuel: 'diesel', size: 'medium' },
+    freight: {
+      emptyRunRatio: 0.7,
+      fuel: 'diesel'
+    },
+    circuityFactor: 1.35
+  },
+  freightRail: {
+    label: "Trem de carga",
+    icon: "🚂",
+    color: "#78716c",
+    freight: {
+      emptyRunRatio: 0.6,
+      fuel: 'diesel'
+    },
+    circuityFactor: 1.25
+  },
+  cabotage: {
+    label: "Cabotagem",
+    icon: "🚢",
+    color: "#1d4ed8",
+    freight: {
+      emptyRunRatio: 0.8,
+      fuel: 'diesel'
+    },
+    circuityFactor: 1.3
+  }
+};
+
+/**
+ * Retorna os modos de um registro disponíveis para um tipo de cálculo
+ *
+ * @param {Object} modes - Registro dos modos (padrão: TRANSPORT_MODES)
+ * @param {string} kind - 'passenger' (modos com defaultVehicle) ou 'freight' (modos com freight)
+ * @returns {Array<string>} Chaves dos modos, na ordem do registro
+ */
+export function getModes(modes = TRANSPORT_MODES, kind = 'passenger') {
+  return Object.keys(modes).filter(mode => {
+    const modeConfig = modes[mode];
+    return kind === 'freight' ? Boolean(modeConfig.freight) : Boolean(modeConfig.defaultVehicle);
+  });
+}
+
+/**
+ * Labels dos tipos de combustível
+ */
+export const FUEL_TYPES = {
+  none: 'Nenhum',
+  gasoline: 'Gasolina C',
+  ethanol: 'Etanol hidratado',
+  diesel: 'Diesel S10',
+  cng: 'GNV',
+  hybrid: 'Híbrido (gasolina)',
+  electric: 'Elétrico',
+  jet: 'Querosene de aviação'
+};
+
+/**
+ * Labels dos portes de veículo
+ */
+export const VEHICLE_SIZES = {
+  small: 'Compacto',
+  medium: 'Médio',
+  large: 'Grande'
+};
+
+/**
+ * Conversão dos gases em CO2 equivalente (CO2e)
+ * GWP: potencial de aquecimento global de cada gás (kg CO2e por kg do gás)
+ * GWP_SOURCE: referência dos valores, exibida nos resultados
+ * DEFAULT_SCOPE: escopo de emissão usado quando nenhum é informado
+ */
+export const GHG = {
+  GWP: {
+    CO2: 1,
+    CH4: 29.8,
+    N2O: 273
+  },
+  GWP_SOURCE: 'IPCC AR6, horizonte de 100 anos',
+  DEFAULT_SCOPE: 'ttw'
+};
+
+/**
+ * Escopos (fronteiras) de emissão
+ * - combustion: inclui os gases da queima no veículo (CO2, CH4, N2O)
+ * - upstream: inclui a produção e distribuição do combustível ou da energia
+ */
+export const EMISSION_SCOPES = {
+  ttw: {
+    label: 'Tanque à roda (TTW)',
+    description: 'Queima do combustível no veículo',
+    combustion: true,
+    upstream: false
+  },
+  wtt: {
+    label: 'Poço ao tanque (WTT)',
+    description: 'Produção e distribuição do combustível ou da energia',
+    combustion: false,
+    upstream: true
+  },
+  wtw: {
+    label: 'Poço à roda (WTW)',
+    description: 'Ciclo completo: produção do combustível e queima no veículo',
+    combustion: true,
+    upstream: true
+  }
+};
+
+/**
+ * Bases de fatores de emissão (ver createDatasetRegistry e js/core/datasets/)
+ * DEFAULT_DATASET: id da base usada quando nenhuma é escolhida
+ */
+export const EMISSION_DATASETS = {
+  DEFAULT_DATASET: 'mcti-seeg-2024'
+};
+
+/**
+ * Configurações de créditos de carbono
+ * PRICE_RANGE: preço mínimo e máximo de um crédito genérico, na moeda em que é
+ * cotado (convertido para a moeda exibida pelo câmbio, ver DEFAULT_EXCHANGE_RATES)
+ * PROJECT_TYPES: labels dos tipos de projeto de compensação
+ * PROJECTS: catálogo de projetos de compensação. Cada projeto tem nome, tipo
+ * (chave de PROJECT_TYPES), localização, padrão de certificação (VCS ou Gold Standard),
+ * safra (vintage: ano das reduções), classificação de qualidade (rating, de 1 a 5)
+ * e intervalo de preço por crédito na moeda em que é cotado
+ */
+export const CARBON_CREDIT = {
+  KG_PER_CREDIT: 1000,
+  PRICE_RANGE: {
+    min: 50,
+    max: 150,
+    currency: 'BRL'
+  },
+  PROJECT_TYPES: {
+    reforestation: 'Reflorestamento',
+    redd: 'REDD+ (desmatamento evitado)',
+    renewable: 'Energia renovável',
+    methane: 'Captura de metano'
+  },
+  PROJECTS: {
+    'atlantic-forest': {
+      name: 'Restauração da Mata Atlântica',
+      type: 'reforestation',
+      location: 'Sul da Bahia, BA',
+      standard: 'VCS',
+      vintage: 2022,
+      rating: 5,
+      priceRange: { min: 90, max: 180, currency: 'BRL' }
+    },
+    'amazon-redd': {
+      name: 'Floresta em pé na Amazônia',
+      type: 'redd',
+      location: 'Portel, PA',
+      standard: 'VCS',
+      vintage: 2021,
+      rating: 3,
+      priceRange: { min: 5, max: 12, currency: 'USD' }
+    },
+    'northeast-wind': {
+      name: 'Parque eólico no Nordeste',
+      type: 'renewable',
+      location: 'Rio Grande do Norte, RN',
+      standard: 'Gold Standard',
+      vintage: 2023,
+      rating: 4,
+      priceRange: { min: 4, max: 9, currency: 'USD' }
+    },
+    'landfill-biogas': {
+      name: 'Biogás de aterro sanitário',
+      type: 'methane',
+      location: 'Região Metropolitana de São Paulo, SP',
+      standard: 'Gold Standard',
+      vintage: 2022,
+      rating: 4,
+      priceRange: { min: 8, max: 15, currency: 'EUR' }
+    }
+  }
+};
+
+/**
+ * Tabela de câmbio padrão (usada quando nenhuma é informada ao estimar o preço dos créditos)
+ * rates traz o valor de 1 unidade de cada moeda na moeda base (ex: 1 USD = 5,65 BRL);
+ * effectiveDate é a data de vigência das cotações
+ */
+export const DEFAULT_EXCHANGE_RATES = {
+  base: 'BRL',
+  effectiveDate: '2025-06-02',
+  rates: {
+    USD: 5.65,
+    EUR: 6.42
+  }
+};
+
+/**
+ * Equivalências das emissões no dia a dia
+ * Cada entrada converte uma emissão em uma quantidade cotidiana
+ * (quantidade = kg CO2e ÷ kgPerUnit):
+ * - label: descrição da quantidade (ex: "árvores absorvendo por 1 ano")
+ * - shortLabel: unidade curta, usada na comparação entre modos
+ * - icon: emoji exibido
+ * - kgPerUnit: kg CO2e por unidade (fator de conversão)
+ * - decimals: casas decimais exibidas
+ * 
+ * Fatores:
+ * - Árvore: absorção média de uma árvore adulta (≈ 22 kg CO2 por ano)
+ * - kWh: fator médio da rede elétrica brasileira (≈ 0,0385 kg CO2e/kWh, o mesmo
+ *   usado no WTT dos elétricos)
+ * - Carga de smartphone: ≈ 0,019 kWh por carga completa × fator da rede brasileira
+ * - Litro de gasolina: CO2 fóssil da queima de 1 litro de gasolina C (≈ 1,66 kg)
+ * 
+ * Para adicionar uma equivalência basta incluir uma nova entrada neste objeto.
+ */
+export const EQUIVALENCES = {
+  trees: {
+    label: 'árvores absorvendo por 1 ano',
+    shortLabel: 'árvores',
+    icon: '🌳',
+    kgPerUnit: 22,
+    decimals: 1
+  },
+  gridKwh: {
+    label: 'kWh da rede elétrica brasileira',
+    shortLabel: 'kWh',
+    icon: '⚡',
+    kgPerUnit: 0.0385,
+    decimals: 0
+  },
+  smartphoneCharges: {
+    label: 'cargas de smartphone',
+    shortLabel: 'cargas',
+    icon: '📱',
+    kgPerUnit: 0.019 * 0.0385,
+    decimals: 0
+  },
+  gasolineLiters: {
+    label: 'litros de gasolina queimados',
+    shortLabel: 'L de gasolina',
+    icon: '⛽',
+    kgPerUnit: 1.66,
+    decimals: 1
+  }
+};
+
+/**
+ * Configurações de estimativa de distância (cidades sem rota conhecida)
+ * DEFAULT_CIRCUITY_FACTOR: multiplicador aplicado à distância em linha reta
+ * quando o modo não define seu próprio circuityFactor
+ */
+export const DISTANCE_ESTIMATION = {
+  DEFAULT_CIRCUITY_FACTOR: 1.3
+};
+
+/**
+ * Configurações da busca de cidades pelo nome digitado (ver RoutesDB.matchCity)
+ * As semelhanças vão de 0 (nomes sem nada em comum) a 1 (nomes iguais, sem
+ * acentos e sem diferenciar maiúsculas):
+ * - AUTO_MATCH_SIMILARITY: semelhança mínima para aceitar um nome com erro de digitação
+ * - AMBIGUITY_MARGIN: vantagem mínima sobre a segunda cidade; abaixo dela, o
+ *   nome é ambíguo e as cidades são apenas sugeridas
+ * - SUGGESTION_SIMILARITY: semelhança mínima das sugestões ("você quis dizer")
+ * - PREFIX_SIMILARITY: semelhança dada a um início de nome (ex: "Ribeirão")
+ *   com pelo menos MIN_PREFIX_LENGTH letras
+ * - STATE_MISMATCH_FACTOR: multiplicador da semelhança quando o estado informado é outro
+ * - MAX_SUGGESTIONS: número máximo de sugestões
+ */
+export const CITY_MATCHING = {
+  AUTO_MATCH_SIMILARITY: 0.85,
+  AMBIGUITY_MARGIN: 0.1,
+  SUGGESTION_SIMILARITY: 0.6,
+  PREFIX_SIMILARITY: 0.8,
+  MIN_PREFIX_LENGTH: 3,
+  STATE_MISMATCH_FACTOR: 0.8,
+  MAX_SUGGESTIONS: 3
+};
+
+/**
+ * Configurações das rotas personalizadas (cadastradas pelo usuário, ver
+ * RoutesDB.setCustomRoutes)
+ * - FILE_FORMAT / FILE_VERSION: identificação do arquivo de rotas exportado
+ * - MAX_ROUTES: número máximo de rotas personalizadas
+ * - CITY_PATTERN: nomes de cidade aceitos (letras com ou sem acento, números,
+ *   espaços e a pontuação dos nomes de lugares, até 100 caracteres); no
+ *   navegador, vale também para os links e o histórico (CONFIG.PERMALINK)
+ */
+export const CUSTOM_ROUTES = {
+  FILE_FORMAT: 'carbon-calc-routes',
+  FILE_VERSION: 1,
+  MAX_ROUTES: 500,
+  CITY_PATTERN: /^[\p{L}\p{M}\d .,'’()\/-]{0,100}$/u
+};
+
+/**
+ * Configurações da importação de viagens em lote (CSV)
+ * COLUMNS: nomes aceitos no cabeçalho para cada campo (sem acentos, minúsculos)
+ * MAX_ROWS: número máximo de viagens por arquivo
+ */
+export const BATCH_IMPORT = {
+  COLUMNS: {
+    origin: ['origem', 'origin', 'origen', 'cidade de origem', 'de'],
+    destination: ['destino', 'destination', 'cidade de destino', 'para'],
+    distance: ['distancia', 'distancia (km)', 'distance', 'distance (km)', 'km'],
+    mode: ['modo', 'mode', 'modo de transporte', 'transporte'],
+    date: ['data', 'date', 'fecha', 'data da viagem']
+  },
+  MAX_ROWS: 5000
+};
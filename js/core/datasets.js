@@ -0,0 +1,288 @@
+/**
+ * Registro de Bases de Fatores de Emissão (sem DOM)
+ *
+ * createDatasetRegistry() cria um registro com métodos para:
+ * - Registrar as bases de fatores (as bases padrão ficam em js/core/datasets/)
+ * - Validar cada base ao registrar: metadados da fonte e fatores de todos os modos
+ *   do registro de modos (bases inválidas são ignoradas)
+ * - Obter uma base pelo id (ou a padrão, EMISSION_DATASETS.DEFAULT_DATASET)
+ *   e a sua identificação para os resultados
+ *
+ * Formato de uma base:
+ * - id, version: identificador e versão dos valores (ex: 'mcti-seeg-2024', '2024.1')
+ * - name, publisher, year: nome exibido, publicador e ano de referência
+ * - citation, url: referência da publicação e endereço onde ela pode ser consultada
+ * - units: unidades de vehicleFactors, freightFactors e fuelProfiles
+ * - notes: como os valores publicados foram adaptados à calculadora (opcional)
+ * - vehicleFactors: fatores por veículo de cada modo de passageiros, por
+ *   combustível → porte. Cada fator é:
+ *   - um número: kg de CO2 fóssil/km no escapamento (TTW); CH4, N2O e a produção
+ *     do combustível (WTT) são derivados das proporções de fuelProfiles
+ *   - um objeto { co2, ch4, n2o, wtt } em kg/km, para combustíveis sem CO2 fóssil
+ *     no escapamento (etanol, elétrico), em que as proporções não se aplicam
+ * - freightFactors: kg CO2 fóssil por tonelada-quilômetro de cada modo de carga
+ * - fuelProfiles: proporções por combustível, em kg por kg de CO2 fóssil no
+ *   escapamento: ch4 e n2o da queima e wtt (kg CO2e da produção e distribuição
+ *   do combustível). Combustíveis sem perfil (ex: 'none') não emitem outros gases.
+ *
+ * No navegador, o registro do calculador padrão fica disponível como EmissionDatasets.
+ */
+
+import {
+  TRANSPORT_MODES,
+  FUEL_TYPES,
+  VEHICLE_SIZES,
+  EMISSION_DATASETS,
+  getModes
+} from './config.js';
+import { DATASETS } from './datasets/index.js';
+
+/**
+ * Cria um registro de bases de fatores
+ *
+ * @param {Object} options - Dados do registro (todos opcionais):
+ *   - modes: registro dos modos de transporte validados (padrão: TRANSPORT_MODES)
+ *   - fuelTypes: combustíveis conhecidos (padrão: FUEL_TYPES)
+ *   - vehicleSizes: portes conhecidos (padrão: VEHICLE_SIZES)
+ *   - defaultDataset: id da base padrão (padrão: EMISSION_DATASETS.DEFAULT_DATASET)
+ *   - datasets: bases registradas ao criar o registro (padrão: DATASETS)
+ * @returns {Object} Registro de bases
+ */
+export function createDatasetRegistry(options = {}) {
+  const registry = {
+    /**
+     * Bases registradas e válidas, por id
+     */
+    datasets: {},
+
+    /**
+     * Registro dos modos de transporte validados
+     */
+    modes: options.modes || TRANSPORT_MODES,
+
+    /**
+     * Combustíveis e portes conhecidos
+     */
+    fuelTypes: options.fuelTypes || FUEL_TYPES,
+    vehicleSizes: options.vehicleSizes || VEHICLE_SIZES,
+
+    /**
+     * Id da base usada quando nenhuma é escolhida
+     */
+    defaultDataset: options.defaultDataset || EMISSION_DATASETS.DEFAULT_DATASET,
+
+    /**
+     * Valida e registra uma base de fatores
+     * Bases inválidas não são registradas (o motivo aparece no console)
+     *
+     * @param {Object} dataset - Base de fatores (ver formato acima)
+     * @returns {boolean} true se a base foi registrada
+     */
+    register: function(dataset) {
+      try {
+        this.validate(dataset);
+      } catch (error) {
+        console.error(`Base de fatores de emissão ignorada (${dataset && dataset.id}): ${error.message}`);
+        return false;
+      }
+
+      this.datasets[dataset.id] = dataset;
+      return true;
+    },
+
+    /**
+     * Verifica se um valor é um número finito maior ou igual a zero
+     *
+     * @param {*} value - Valor a verificar
+     * @returns {boolean} true se o valor é um fator válido
+     */
+    isFactor: function(value) {
+      return typeof value === 'number' && isFinite(value) && value >= 0;
+    },
+
+    /**
+     * Valida uma base de fatores
+     *
+     * Verifica:
+     * - Metadados: id, version, name, publisher, citation e url (texto), year (inteiro)
+     *   e as unidades de cada grupo de fatores
+     * - vehicleFactors: todos os modos de passageiros, com o defaultVehicle do modo,
+     *   combustíveis de fuelTypes, portes de vehicleSizes e fatores
+     *   numéricos ou { co2, ch4, n2o, wtt } maiores ou iguais a zero
+     * - freightFactors: todos os modos de carga, com fatores maiores ou iguais a zero
+     * - fuelProfiles: combustíveis de fuelTypes, com ch4, n2o e wtt maiores ou
+     *   iguais a zero, e um perfil para cada combustível de fator numérico diferente de zero
+     *
+     * @param {Object} dataset - Base de fatores
+     * @returns {Object} A própria base, se válida
+     * @throws {Error} Com a descrição do primeiro problema encontrado
+     */
+    validate: function(dataset) {
+      if (!dataset || typeof dataset !== 'object') {
+        throw new Error('a base deve ser um objeto');
+      }
+
+      ['id', 'version', 'name', 'publisher', 'citation', 'url'].forEach(field => {
+        if (typeof dataset[field] !== 'string' || !dataset[field].trim()) {
+          throw new Error(`campo "${field}" ausente`);
+        }
+      });
+
+      if (!Number.isInteger(dataset.year)) {
+        throw new Error('campo "year" deve ser um ano');
+      }
+      if (!/^https?:\/\//.test(dataset.url)) {
+        throw new Error(`url inválida: ${dataset.url}`);
+      }
+
+      ['vehicleFactors', 'freightFactors', 'fuelProfiles'].forEach(group => {
+        if (!dataset[group] || typeof dataset[group] !== 'object') {
+          throw new Error(`grupo de fatores "${group}" ausente`);
+        }
+        if (!dataset.units || typeof dataset.units[group] !== 'string') {
+          throw new Error(`unidade de "${group}" ausente`);
+        }
+      });
+
+      const passengerModes = getModes(this.modes, 'passenger');
+      const freightModes = getModes(this.modes, 'freight');
+      const fuelsWithCO2 = new Set(getModes(this.modes, 'freight').map(mode => this.modes[mode].freight.fuel));
+
+      Object.keys(dataset.vehicleFactors).forEach(mode => {
+        if (!passengerModes.includes(mode)) {
+          throw new Error(`vehicleFactors: modo de passageiros desconhecido "${mode}"`);
+        }
+      });
+
+      passengerModes.forEach(mode => {
+        const fuels = dataset.vehicleFactors[mode];
+        const defaults = this.modes[mode].defaultVehicle;
+
+        if (!fuels || !fuels[defaults.fuel] || !fuels[defaults.fuel].hasOwnProperty(defaults.size)) {
+          throw new Error(`vehicleFactors.${mode}: sem o veículo padrão (${defaults.fuel}, ${defaults.size})`);
+        }
+
+        Object.keys(fuels).forEach(fuel => {
+          if (!this.fuelTypes.hasOwnProperty(fuel)) {
+            throw new Error(`vehicleFactors.${mode}: combustível desconhecido "${fuel}"`);
+          }
+
+          Object.keys(fuels[fuel]).forEach(size => {
+            const factor = fuels[fuel][size];
+            const path = `vehicleFactors.${mode}.${fuel}.${size}`;
+
+            if (!this.vehicleSizes.hasOwnProperty(size)) {
+              throw new Error(`${path}: porte desconhecido`);
+            }
+
+            if (factor && typeof factor === 'object') {
+              ['co2', 'ch4', 'n2o', 'wtt'].forEach(gas => {
+                if (!this.isFactor(factor[gas])) {
+                  throw new Error(`${path}.${gas}: fator inválido`);
+                }
+              });
+            } else if (!this.isFactor(factor)) {
+              throw new Error(`${path}: fator inválido`);
+            } else if (factor > 0) {
+              fuelsWithCO2.add(fuel);
+            }
+          });
+        });
+      });
+
+      Object.keys(dataset.freightFactors).forEach(mode => {
+        if (!freightModes.includes(mode)) {
+          throw new Error(`freightFactors: modo de carga desconhecido "${mode}"`);
+        }
+      });
+
+      freightModes.forEach(mode => {
+        if (!this.isFactor(dataset.freightFactors[mode])) {
+          throw new Error(`freightFactors.${mode}: fator inválido`);
+        }
+      });
+
+      Object.keys(dataset.fuelProfiles).forEach(fuel => {
+        const profile = dataset.fuelProfiles[fuel];
+
+        if (!this.fuelTypes.hasOwnProperty(fuel)) {
+          throw new Error(`fuelProfiles: combustível desconhecido "${fuel}"`);
+        }
+        ['ch4', 'n2o', 'wtt'].forEach(gas => {
+          if (!profile || !this.isFactor(profile[gas])) {
+            throw new Error(`fuelProfiles.${fuel}.${gas}: proporção inválida`);
+          }
+        });
+      });
+
+      fuelsWithCO2.forEach(fuel => {
+        if (!dataset.fuelProfiles.hasOwnProperty(fuel)) {
+          throw new Error(`fuelProfiles: sem o perfil do combustível "${fuel}"`);
+        }
+      });
+
+      return dataset;
+    },
+
+    /**
+     * Verifica se uma base está registrada
+     *
+     * @param {string} id - Id da base
+     * @returns {boolean} true se a base existe e é válida
+     */
+    has: function(id) {
+      return this.datasets.hasOwnProperty(id);
+    },
+
+    /**
+     * Retorna uma base registrada
+     * Sem id (ou com um id desconhecido), retorna a base padrão
+     *
+     * @param {string} id - Id da base (opcional)
+     * @returns {Object} Base de fatores
+     * @throws {Error} Se nenhuma base válida foi registrada
+     */
+    get: function(id) {
+      const dataset = (this.has(id) && this.datasets[id]) ||
+        this.datasets[this.defaultDataset] ||
+        this.datasets[Object.keys(this.datasets)[0]];
+
+      if (!dataset) {
+        throw new Error('Nenhuma base de fatores de emissão válida foi registrada.');
+      }
+      return dataset;
+    },
+
+    /**
+     * Lista as bases registradas, na ordem de registro
+     *
+     * @returns {Array<Object>} Bases de fatores
+     */
+    list: function() {
+      return Object.keys(this.datasets).map(id => this.datasets[id]);
+    },
+
+    /**
+     * Identifica a base que produziu um cálculo (sem os fatores)
+     *
+     * @param {string} id - Id da base (opcional, ver get)
+     * @returns {Object} Objeto com id, version, name, publisher, year, citation e url
+     */
+    describe: function(id) {
+      const dataset = this.get(id);
+
+      return {
+        id: dataset.id,
+        version: dataset.version,
+        name: dataset.name,
+        publisher: dataset.publisher,
+        year: dataset.year,
+        citation: dataset.citation,
+        url: dataset.url
+      };
+    }
+  };
+
+  (options.datasets || DATASETS).forEach(dataset => registry.register(dataset));
+  return registry;
+}
@@ -0,0 +1,74 @@
+/**
+ * Base de fatores DEFRA / DESNZ (Reino Unido), versão 2024.1
+ *
+ * Fatores de conversão do governo britânico para relatórios de emissões. Os
+ * fatores publicados por passageiro-km foram convertidos para o veículo pela
+ * ocupação padrão de cada modo (TRANSPORT_MODES, em js/core/config.js), para
+ * que a ocupação informada continue valendo. Os elétricos usam o fator da rede
+ * britânica.
+ */
+
+export default {
+  id: 'defra-2024',
+  version: '2024.1',
+  name: 'DEFRA / DESNZ (Reino Unido)',
+  publisher: 'Department for Energy Security and Net Zero (DESNZ) e Department for Environment, Food & Rural Affairs (DEFRA)',
+  year: 2024,
+  citation: 'DESNZ; DEFRA. Greenhouse gas reporting: conversion factors 2024 (full set, business travel e freighting goods).',
+  url: 'https://www.gov.uk/government/publications/greenhouse-gas-reporting-conversion-factors-2024',
+  units: {
+    vehicleFactors: 'kg CO₂ fóssil por km do veículo',
+    freightFactors: 'kg CO₂ fóssil por t·km',
+    fuelProfiles: 'kg por kg de CO₂ fóssil'
+  },
+  notes: 'Valores arredondados. Ônibus, trem, metrô, avião e balsa: fator por passageiro-km × ocupação padrão do modo.',
+  vehicleFactors: {
+    bicycle: {
+      none: { medium: 0 }
+    },
+    car: {
+      gasoline: { small: 0.14, medium: 0.17, large: 0.27 },
+      diesel: { small: 0.14, medium: 0.17, large: 0.21 },
+      cng: { medium: 0.16, large: 0.24 },
+      hybrid: { small: 0.10, medium: 0.11, large: 0.15 },
+      electric: {
+        small: { co2: 0, ch4: 0, n2o: 0, wtt: 0.045 },
+        medium: { co2: 0, ch4: 0, n2o: 0, wtt: 0.050 },
+        large: { co2: 0, ch4: 0, n2o: 0, wtt: 0.055 }
+      }
+    },
+    motorcycle: {
+      gasoline: { small: 0.083, medium: 0.10, large: 0.13 }
+    },
+    bus: {
+      diesel: { medium: 1.2 }
+    },
+    train: {
+      diesel: { medium: 7.0 }
+    },
+    metro: {
+      electric: { medium: { co2: 0, ch4: 0, n2o: 0, wtt: 11.2 } }
+    },
+    plane: {
+      jet: { medium: 25.9 }
+    },
+    ferry: {
+      diesel: { medium: 2.85 }
+    },
+    truck: {
+      diesel: { small: 0.49, medium: 0.59, large: 0.97 }
+    }
+  },
+  freightFactors: {
+    truck: 0.107,
+    freightRail: 0.028,
+    cabotage: 0.013
+  },
+  fuelProfiles: {
+    gasoline: { ch4: 0.000055, n2o: 0.000082, wtt: 0.28 },
+    diesel: { ch4: 0.000053, n2o: 0.000053, wtt: 0.24 },
+    cng: { ch4: 0.0016, n2o: 0.000053, wtt: 0.17 },
+    hybrid: { ch4: 0.000055, n2o: 0.000082, wtt: 0.28 },
+    jet: { ch4: 0.000007, n2o: 0.000028, wtt: 0.21 }
+  }
+};
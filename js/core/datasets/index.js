@@ -0,0 +1,18 @@
+/**
+ * Bases de Fatores de Emissão Padrão
+ *
+ * Cada arquivo desta pasta exporta uma base (ver o formato em js/core/datasets.js).
+ * Para adicionar uma base, crie o arquivo e inclua-o em DATASETS; a primeira
+ * base é a usada quando a base padrão não é válida.
+ */
+
+import mctiSeeg2024 from './mcti-seeg-2024.js';
+import defra2024 from './defra-2024.js';
+
+/**
+ * Bases registradas por padrão, na ordem em que aparecem no seletor
+ */
+export const DATASETS = [
+  mctiSeeg2024,
+  defra2024
+];
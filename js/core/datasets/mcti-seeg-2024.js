@@ -0,0 +1,92 @@
+/**
+ * Base de fatores MCTI / SEEG (Brasil), versão 2024.1
+ *
+ * Fatores brasileiros: CO₂ fóssil no escapamento pelos fatores de combustão do
+ * MCTI e pelas estimativas de transporte do SEEG. O CO₂ da queima do etanol é
+ * biogênico e, como na etiquetagem veicular brasileira, não é contabilizado;
+ * veículos elétricos não emitem no uso. No escopo WTT, o etanol considera a
+ * produção da cana (≈ 25 g CO2e/MJ) e os elétricos o consumo de energia × fator
+ * médio do Sistema Interligado Nacional (≈ 0,0385 kg CO2e/kWh).
+ */
+
+export default {
+  id: 'mcti-seeg-2024',
+  version: '2024.1',
+  name: 'MCTI / SEEG (Brasil)',
+  publisher: 'Ministério da Ciência, Tecnologia e Inovação (MCTI) e SEEG / Observatório do Clima',
+  year: 2024,
+  citation: 'MCTI. Fatores de emissão de CO₂ pela geração de energia elétrica no Sistema Interligado Nacional; ' +
+    'SEEG. Sistema de Estimativas de Emissões e Remoções de Gases de Efeito Estufa, setor de Energia (transportes), coleção 2024.',
+  url: 'https://www.gov.br/mcti/pt-br/acompanhe-o-mcti/sirene/dados-e-ferramentas/fatores-de-emissao',
+  units: {
+    vehicleFactors: 'kg CO₂ fóssil por km do veículo',
+    freightFactors: 'kg CO₂ fóssil por t·km',
+    fuelProfiles: 'kg por kg de CO₂ fóssil'
+  },
+  notes: 'Fatores médios por veículo adotados pela calculadora; transporte coletivo dividido pela ocupação informada.',
+  vehicleFactors: {
+    bicycle: {
+      none: { medium: 0 }
+    },
+    car: {
+      gasoline: { small: 0.10, medium: 0.12, large: 0.16 },
+      ethanol: {
+        small: { co2: 0, ch4: 0.0000055, n2o: 0.0000082, wtt: 0.036 },
+        medium: { co2: 0, ch4: 0.0000066, n2o: 0.0000099, wtt: 0.043 },
+        large: { co2: 0, ch4: 0.0000088, n2o: 0.0000132, wtt: 0.058 }
+      },
+      diesel: { medium: 0.15, large: 0.19 },
+      cng: { small: 0.085, medium: 0.10, large: 0.13 },
+      hybrid: { small: 0.07, medium: 0.08, large: 0.11 },
+      electric: {
+        small: { co2: 0, ch4: 0, n2o: 0, wtt: 0.0058 },
+        medium: { co2: 0, ch4: 0, n2o: 0, wtt: 0.0069 },
+        large: { co2: 0, ch4: 0, n2o: 0, wtt: 0.0085 }
+      }
+    },
+    motorcycle: {
+      gasoline: { small: 0.07, medium: 0.09, large: 0.12 },
+      ethanol: {
+        small: { co2: 0, ch4: 0.0000038, n2o: 0.0000058, wtt: 0.025 },
+        medium: { co2: 0, ch4: 0.0000049, n2o: 0.0000074, wtt: 0.033 }
+      },
+      electric: {
+        small: { co2: 0, ch4: 0, n2o: 0, wtt: 0.0019 },
+        medium: { co2: 0, ch4: 0, n2o: 0, wtt: 0.0027 }
+      }
+    },
+    bus: {
+      diesel: { small: 0.60, medium: 1.068, large: 1.30 },
+      cng: { medium: 0.95 },
+      electric: { medium: { co2: 0, ch4: 0, n2o: 0, wtt: 0.046 } }
+    },
+    train: {
+      diesel: { medium: 8.0 },
+      electric: { medium: { co2: 0, ch4: 0, n2o: 0, wtt: 0.385 } }
+    },
+    metro: {
+      electric: { medium: { co2: 0, ch4: 0, n2o: 0, wtt: 0.308 } }
+    },
+    plane: {
+      jet: { medium: 18.7 }
+    },
+    ferry: {
+      diesel: { medium: 7.5 }
+    },
+    truck: {
+      diesel: { small: 0.45, medium: 0.96, large: 1.30 }
+    }
+  },
+  freightFactors: {
+    truck: 0.064,
+    freightRail: 0.018,
+    cabotage: 0.012
+  },
+  fuelProfiles: {
+    gasoline: { ch4: 0.000055, n2o: 0.000082, wtt: 0.25 },
+    diesel: { ch4: 0.000053, n2o: 0.000053, wtt: 0.24 },
+    cng: { ch4: 0.0016, n2o: 0.000053, wtt: 0.20 },
+    hybrid: { ch4: 0.000055, n2o: 0.000082, wtt: 0.25 },
+    jet: { ch4: 0.000007, n2o: 0.000028, wtt: 0.21 }
+  }
+};
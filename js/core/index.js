@@ -0,0 +1,47 @@
+/**
+ * Núcleo da Calculadora de Emissões de CO2
+ *
+ * Ponto de entrada do núcleo (módulo ES sem nenhuma dependência do DOM), usado
+ * pela interface no navegador (ver js/core-browser.js) e por serviços em Node:
+ *
+ *   import { Calculator, RoutesDB } from './js/core/index.js';
+ *
+ *   const route = RoutesDB.findRoute('São Paulo, SP', 'Curitiba, PR', 'car');
+ *   const emission = Calculator.calculateEmission(route.distanceKm, 'car');
+ *
+ * Exporta:
+ * - Calculator, EmissionDatasets, RoutesDB e BatchProcessor: instâncias com os dados padrão
+ * - createCalculator, createDatasetRegistry, createRoutesDB e createBatchProcessor:
+ *   para criar instâncias com fatores, bases, modos, rotas ou coordenadas próprios
+ * - Os dados padrão (js/core/config.js, DATASETS, ROUTES, CITIES e CITY_ALIASES)
+ */
+
+import { createCalculator } from './calculator.js';
+import { createRoutesDB } from './routes.js';
+import { createBatchProcessor } from './batch.js';
+
+export * from './config.js';
+export { DATASETS } from './datasets/index.js';
+export { ROUTES, CITIES, CITY_ALIASES } from './routes-data.js';
+export { createCalculator, createRoutesDB, createBatchProcessor };
+export { createDatasetRegistry } from './datasets.js';
+
+/**
+ * Calculador com os dados padrão
+ */
+export const Calculator = createCalculator();
+
+/**
+ * Registro das bases de fatores do calculador padrão
+ */
+export const EmissionDatasets = Calculator.datasets;
+
+/**
+ * Base de rotas com as rotas e cidades padrão
+ */
+export const RoutesDB = createRoutesDB();
+
+/**
+ * Processador de viagens em lote (CSV) com o calculador e as rotas padrão
+ */
+export const BatchProcessor = createBatchProcessor({ calculator: Calculator, routes: RoutesDB });
@@ -0,0 +1,136 @@
+/**
+ * Rotas e Cidades Brasileiras (dados padrão de createRoutesDB)
+ * 
+ * - ROUTES: rotas populares entre cidades brasileiras, com distâncias reais em km
+ * - CITIES: coordenadas de cada cidade, usadas para estimar distâncias quando
+ *   não há rota conhecida
+ * - CITY_ALIASES: apelidos e siglas aceitos no lugar do nome das cidades
+ */
+
+/**
+ * Array de rotas com origem, destino e distância em km
+ */
+export const ROUTES = [
+  // Rotas entre Capitais (Sudeste)
+  { origin: "São Paulo, SP", destination: "Rio de Janeiro, RJ", distanceKm: 430 },
+  { origin: "São Paulo, SP", destination: "Brasília, DF", distanceKm: 1015 },
+  { origin: "Rio de Janeiro, RJ", destination: "Brasília, DF", distanceKm: 1148 },
+  { origin: "Belo Horizonte, MG", destination: "Rio de Janeiro, RJ", distanceKm: 520 },
+  { origin: "Belo Horizonte, MG", destination: "São Paulo, SP", distanceKm: 586 },
+  { origin: "Belo Horizonte, MG", destination: "Brasília, DF", distanceKm: 741 },
+
+  // Rotas Regionais (Sudeste)
+  { origin: "São Paulo, SP", destination: "Campinas, SP", distanceKm: 95 },
+  { origin: "São Paulo, SP", destination: "Santos, SP", distanceKm: 71 },
+  { origin: "São Paulo, SP", destination: "Sorocaba, SP", distanceKm: 108 },
+  { origin: "Rio de Janeiro, RJ", destination: "Niterói, RJ", distanceKm: 13 },
+  { origin: "Rio de Janeiro, RJ", destination: "Petrópolis, RJ", distanceKm: 66 },
+  { origin: "Rio de Janeiro, RJ", destination: "Volta Redonda, RJ", distanceKm: 144 },
+  { origin: "Belo Horizonte, MG", destination: "Ouro Preto, MG", distanceKm: 100 },
+  { origin: "Belo Horizonte, MG", destination: "Contagem, MG", distanceKm: 30 },
+  { origin: "Belo Horizonte, MG", destination: "Montes Claros, MG", distanceKm: 425 },
+
+  // Rotas Entre Regiões (Norte/Nordeste)
+  { origin: "Salvador, BA", destination: "Brasília, DF", distanceKm: 1645 },
+  { origin: "Recife, PE", destination: "Salvador, BA", distanceKm: 840 },
+  { origin: "Fortaleza, CE", destination: "Recife, PE", distanceKm: 785 },
+  { origin: "Manaus, AM", destination: "Brasília, DF", distanceKm: 2487 },
+  { origin: "Belém, PA", destination: "Brasília, DF", distanceKm: 2055 },
+  { origin: "Belém, PA", destination: "Manaus, AM", distanceKm: 1617 },
+
+  // Rotas Sul
+  { origin: "Curitiba, PR", destination: "São Paulo, SP", distanceKm: 408 },
+  { origin: "Curitiba, PR", destination: "Brasília, DF", distanceKm: 1320 },
+  { origin: "Porto Alegre, RS", destination: "Curitiba, PR", distanceKm: 700 },
+  { origin: "Porto Alegre, RS", destination: "São Paulo, SP", distanceKm: 1102 },
+  { origin: "Florianópolis, SC", destination: "Curitiba, PR", distanceKm: 300 },
+  { origin: "Florianópolis, SC", destination: "Porto Alegre, RS", distanceKm: 480 },
+
+  // Rotas Centro-Oeste
+  { origin: "Goiânia, GO", destination: "Brasília, DF", distanceKm: 209 },
+  { origin: "Cuiabá, MT", destination: "Brasília, DF", distanceKm: 1236 },
+  { origin: "Campo Grande, MS", destination: "Brasília, DF", distanceKm: 1273 },
+  { origin: "Campo Grande, MS", destination: "São Paulo, SP", distanceKm: 1120 },
+
+  // Rotas Adicionais
+  { origin: "Uberlândia, MG", destination: "Brasília, DF", distanceKm: 448 },
+  { origin: "Uberlândia, MG", destination: "São Paulo, SP", distanceKm: 560 },
+  { origin: "Ribeirão Preto, SP", destination: "São Paulo, SP", distanceKm: 313 },
+  { origin: "Jundiaí, SP", destination: "São Paulo, SP", distanceKm: 54 },
+  { origin: "Piracicaba, SP", destination: "São Paulo, SP", distanceKm: 162 },
+  { origin: "Itu, SP", destination: "São Paulo, SP", distanceKm: 103 }
+];
+
+/**
+ * Coordenadas geográficas das cidades (graus decimais)
+ * Usadas para estimar distâncias quando não há rota conhecida
+ */
+export const CITIES = {
+  // Sudeste
+  "São Paulo, SP": { lat: -23.5505, lon: -46.6333 },
+  "Rio de Janeiro, RJ": { lat: -22.9068, lon: -43.1729 },
+  "Belo Horizonte, MG": { lat: -19.9167, lon: -43.9345 },
+  "Vitória, ES": { lat: -20.3155, lon: -40.3128 },
+  "Campinas, SP": { lat: -22.9099, lon: -47.0626 },
+  "Santos, SP": { lat: -23.9608, lon: -46.3336 },
+  "Sorocaba, SP": { lat: -23.5015, lon: -47.4526 },
+  "Ribeirão Preto, SP": { lat: -21.1704, lon: -47.8103 },
+  "Jundiaí, SP": { lat: -23.1857, lon: -46.8978 },
+  "Piracicaba, SP": { lat: -22.7253, lon: -47.6492 },
+  "Itu, SP": { lat: -23.2641, lon: -47.2992 },
+  "Niterói, RJ": { lat: -22.8832, lon: -43.1034 },
+  "Petrópolis, RJ": { lat: -22.5112, lon: -43.1779 },
+  "Volta Redonda, RJ": { lat: -22.5231, lon: -44.1042 },
+  "Ouro Preto, MG": { lat: -20.3856, lon: -43.5035 },
+  "Contagem, MG": { lat: -19.9321, lon: -44.0539 },
+  "Montes Claros, MG": { lat: -16.7350, lon: -43.8617 },
+  "Uberlândia, MG": { lat: -18.9186, lon: -48.2772 },
+
+  // Norte/Nordeste
+  "Salvador, BA": { lat: -12.9777, lon: -38.5016 },
+  "Recife, PE": { lat: -8.0476, lon: -34.8770 },
+  "Fortaleza, CE": { lat: -3.7319, lon: -38.5267 },
+  "Natal, RN": { lat: -5.7945, lon: -35.2110 },
+  "João Pessoa, PB": { lat: -7.1195, lon: -34.8450 },
+  "Maceió, AL": { lat: -9.6498, lon: -35.7089 },
+  "Aracaju, SE": { lat: -10.9472, lon: -37.0731 },
+  "Teresina, PI": { lat: -5.0920, lon: -42.8038 },
+  "São Luís, MA": { lat: -2.5307, lon: -44.3068 },
+  "Manaus, AM": { lat: -3.1190, lon: -60.0217 },
+  "Belém, PA": { lat: -1.4558, lon: -48.4902 },
+  "Palmas, TO": { lat: -10.1840, lon: -48.3336 },
+  "Porto Velho, RO": { lat: -8.7612, lon: -63.9004 },
+  "Rio Branco, AC": { lat: -9.9740, lon: -67.8076 },
+  "Macapá, AP": { lat: 0.0349, lon: -51.0694 },
+  "Boa Vista, RR": { lat: 2.8235, lon: -60.6758 },
+
+  // Sul
+  "Curitiba, PR": { lat: -25.4284, lon: -49.2733 },
+  "Porto Alegre, RS": { lat: -30.0346, lon: -51.2177 },
+  "Florianópolis, SC": { lat: -27.5954, lon: -48.5480 },
+
+  // Centro-Oeste
+  "Brasília, DF": { lat: -15.7939, lon: -47.8828 },
+  "Goiânia, GO": { lat: -16.6869, lon: -49.2648 },
+  "Cuiabá, MT": { lat: -15.6014, lon: -56.0979 },
+  "Campo Grande, MS": { lat: -20.4697, lon: -54.6201 }
+};
+
+/**
+ * Apelidos e siglas das cidades (apelido → nome da cidade em ROUTES ou CITIES)
+ * Comparados como os nomes: sem acentos e sem diferenciar maiúsculas
+ */
+export const CITY_ALIASES = {
+  "SP capital": "São Paulo, SP",
+  "São Paulo capital": "São Paulo, SP",
+  "Sampa": "São Paulo, SP",
+  "RJ capital": "Rio de Janeiro, RJ",
+  "Rio capital": "Rio de Janeiro, RJ",
+  "BH": "Belo Horizonte, MG",
+  "Beagá": "Belo Horizonte, MG",
+  "Floripa": "Florianópolis, SC",
+  "POA": "Porto Alegre, RS",
+  "BSB": "Brasília, DF",
+  "CWB": "Curitiba, PR",
+  "Jampa": "João Pessoa, PB"
+};
@@ -0,0 +1,774 @@
+/**
+ * Busca de Rotas entre Cidades (sem DOM)
+ * 
+ * createRoutesDB() cria uma base de rotas com:
+ * - routes: Array de objetos com origin, destination e distanceKm
+ * - cities: Coordenadas (latitude/longitude) de cada cidade
+ * - customRoutes: Rotas personalizadas, cadastradas pelo usuário (setCustomRoutes)
+ * - getRoutes(): Rotas da base somadas às personalizadas (que têm prioridade)
+ * - getAllCities(): Retorna array único e ordenado de todas as cidades
+ * - matchCity(): Identifica a cidade digitada (sem acentos, com estado opcional,
+ *   apelidos e erros de digitação) ou sugere as cidades mais parecidas
+ * - buildGraph(): Monta um grafo ponderado (distância em km) a partir das rotas
+ * - estimateDistance(): Estima a distância rodoviária pela fórmula de haversine
+ * - findRoute(): Busca a rota direta, o menor caminho composto ou uma estimativa
+ * - findDistance(): Busca a distância entre duas cidades em qualquer direção
+ * - exportCustomRoutes() / parseRoutesFile(): Arquivo JSON das rotas personalizadas
+ * 
+ * As rotas, as coordenadas, os apelidos e os fatores de circuito são injetáveis;
+ * sem eles, valem as rotas brasileiras de js/core/routes-data.js e os modos e
+ * limites de semelhança de js/core/config.js. No navegador, a base padrão fica disponível como RoutesDB.
+ */
+
+import { TRANSPORT_MODES, DISTANCE_ESTIMATION, CITY_MATCHING, CUSTOM_ROUTES } from './config.js';
+import { ROUTES, CITIES, CITY_ALIASES } from './routes-data.js';
+
+/**
+ * Mensagens em português de cada código de erro das rotas personalizadas
+ * Valores entre chaves (ex: {distance}) são substituídos pelos parâmetros do erro
+ */
+const MESSAGES = {
+  cities: 'Origem e destino são obrigatórios.',
+  cityName: 'O nome "{city}" tem caracteres que não são aceitos em nomes de cidade.',
+  sameCity: 'Origem e destino devem ser cidades diferentes.',
+  distance: 'Informe uma distância maior que zero.',
+  duplicate: 'Já existe uma rota personalizada entre {origin} e {destination}.',
+  maxRoutes: 'o limite é de {max} rotas personalizadas.',
+  file: 'o arquivo não é um arquivo de rotas da calculadora (JSON).',
+  empty: 'o arquivo não contém rotas válidas.'
+};
+
+/**
+ * Cria uma base de rotas
+ * 
+ * @param {Object} options - Dados da base (todos opcionais):
+ *   - routes: rotas com origin, destination e distanceKm (padrão: ROUTES)
+ *   - cities: coordenadas { lat, lon } por cidade (padrão: CITIES)
+ *   - modes: registro dos modos, com o circuityFactor de cada um (padrão: TRANSPORT_MODES)
+ *   - defaultCircuityFactor: fator de circuito dos modos sem circuityFactor
+ *     (padrão: DISTANCE_ESTIMATION.DEFAULT_CIRCUITY_FACTOR)
+ *   - aliases: apelidos das cidades, apelido → nome da cidade (padrão: CITY_ALIASES)
+ *   - matching: limites de semelhança da busca de cidades (padrão: CITY_MATCHING)
+ *   - customRoutesConfig: formato do arquivo e limite das rotas personalizadas
+ *     (padrão: CUSTOM_ROUTES)
+ * @returns {Object} Base de rotas
+ */
+export function createRoutesDB(options = {}) {
+  return {
+    /**
+     * Array de rotas com origem, destino e distância em km
+     */
+    routes: options.routes || ROUTES,
+
+    /**
+     * Coordenadas geográficas das cidades (graus decimais)
+     */
+    cities: options.cities || CITIES,
+
+    /**
+     * Rotas personalizadas: { id, origin, destination, distanceKm }
+     * Alteradas apenas por setCustomRoutes(), que valida as rotas
+     */
+    customRoutes: [],
+
+    /**
+     * Registro dos modos de transporte (fator de circuito de cada modo)
+     */
+    modes: options.modes || TRANSPORT_MODES,
+
+    /**
+     * Fator de circuito dos modos que não definem o seu
+     */
+    defaultCircuityFactor: options.defaultCircuityFactor || DISTANCE_ESTIMATION.DEFAULT_CIRCUITY_FACTOR,
+
+    /**
+     * Apelidos e siglas das cidades (apelido → nome da cidade)
+     */
+    aliases: options.aliases || CITY_ALIASES,
+
+    /**
+     * Limites de semelhança e número de sugestões da busca de cidades
+     */
+    matching: options.matching || CITY_MATCHING,
+
+    /**
+     * Formato e versão do arquivo e limite das rotas personalizadas
+     */
+    customRoutesConfig: options.customRoutesConfig || CUSTOM_ROUTES,
+
+    /**
+     * Retorna as rotas da base e as rotas personalizadas
+     * Uma rota personalizada substitui a rota da base entre as mesmas cidades
+     * (em qualquer direção)
+     * 
+     * @returns {Array<Object>} Rotas com origin, destination, distanceKm e, nas
+     *                          personalizadas, id e custom (true)
+     */
+    getRoutes: function() {
+      const customKeys = new Set(this.customRoutes.map(route => this.getRouteKey(route.origin, route.destination)));
+
+      return this.routes
+        .filter(route => !customKeys.has(this.getRouteKey(route.origin, route.destination)))
+        .concat(this.customRoutes.map(route => Object.assign({ custom: true }, route)));
+    },
+
+    /**
+     * Retorna um array único e ordenado alfabeticamente
+     * contendo todas as cidades presentes nas rotas (da base e personalizadas)
+     * e nas coordenadas
+     * 
+     * @returns {Array<string>} Array de cidades únicas ordenadas
+     */
+    getAllCities: function() {
+      // Coleta todas as cidades de origem e destino
+      const cities = new Set();
+      
+      this.getRoutes().forEach(route => {
+        cities.add(route.origin);
+        cities.add(route.destination);
+      });
+
+      // Inclui cidades que só possuem coordenadas (distância estimada)
+      Object.keys(this.cities).forEach(city => cities.add(city));
+
+      // Converte para array e ordena alfabeticamente
+      return Array.from(cities).sort();
+    },
+
+    /**
+     * Normaliza um nome para comparação: remove acentos, converte para
+     * minúsculas e reduz os espaços em branco
+     * Ex: "  São  Paulo, SP" → "sao paulo, sp"
+     * 
+     * @param {string} text - Nome digitado
+     * @returns {string} Nome normalizado
+     */
+    normalizeCityName: function(text) {
+      return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .trim();
+    },
+
+    /**
+     * Separa o nome normalizado da cidade e a sigla do estado
+     * A sigla é opcional e pode vir após vírgula, hífen, barra ou espaço
+     * ("Campinas, SP", "Campinas - SP", "Campinas/SP", "Campinas SP"); só é
+     * separada quando é a sigla de um estado presente na base
+     * 
+     * @param {string} text - Nome digitado
+     * @returns {Object} Objeto com name (sem o estado) e state (sigla em
+     *                   minúsculas, ou null se não informada)
+     */
+    parseCityName: function(text) {
+      const normalized = this.normalizeCityName(text);
+      const match = normalized.match(/^(.+?)\s*(?:[,\/-]\s*|\s)([a-z]{2})$/);
+
+      if (match) {
+        const states = new Set(this.getAllCities().map(city => this.splitCityName(city).state));
+        if (states.has(match[2])) {
+          return { name: match[1], state: match[2] };
+        }
+      }
+
+      return { name: normalized.replace(/[\s,\/-]+$/, ''), state: null };
+    },
+
+    /**
+     * Separa o nome normalizado e o estado de uma cidade da base ("Nome, UF")
+     * 
+     * @param {string} city - Nome da cidade na base
+     * @returns {Object} Objeto com name e state (ou null se o nome não tem estado)
+     */
+    splitCityName: function(city) {
+      const normalized = this.normalizeCityName(city);
+      const separator = normalized.lastIndexOf(',');
+
+      if (separator === -1) {
+        return { name: normalized, state: null };
+      }
+
+      return {
+        name: normalized.slice(0, separator).trim(),
+        state: normalized.slice(separator + 1).trim()
+      };
+    },
+
+    /**
+     * Calcula a semelhança entre dois nomes normalizados
+     * 
+     * Fórmula: 1 - (distância de edição / tamanho do maior nome)
+     * A distância de edição conta inserções, remoções, substituições e trocas
+     * de letras vizinhas (ex: "Curitbia" → "Curitiba" é uma edição)
+     * 
+     * @param {string} a - Primeiro nome
+     * @param {string} b - Segundo nome
+     * @returns {number} Semelhança entre 0 (nada em comum) e 1 (iguais)
+     */
+    getSimilarity: function(a, b) {
+      const maxLength = Math.max(a.length, b.length);
+      if (maxLength === 0) {
+        return 1;
+      }
+
+      // Matriz de distâncias entre os prefixos dos dois nomes
+      const d = [];
+      for (let i = 0; i <= a.length; i++) {
+        d[i] = [i];
+      }
+      for (let j = 0; j <= b.length; j++) {
+        d[0][j] = j;
+      }
+
+      for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+          const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+          d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+
+          // Troca de letras vizinhas
+          if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+            d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+          }
+        }
+      }
+
+      return 1 - d[a.length][b.length] / maxLength;
+    },
+
+    /**
+     * Identifica a cidade digitada
+     * 
+     * Processo:
+     * 1. Nome completo igual ao da base (sem acentos e sem diferenciar maiúsculas)
+     * 2. Apelido ou sigla da cidade (aliases)
+     * 3. Nome sem o estado, quando apenas uma cidade tem esse nome
+     * 4. Semelhança com o nome de cada cidade: o início de um nome vale pelo
+     *    menos PREFIX_SIMILARITY e um estado diferente do informado reduz a
+     *    semelhança (STATE_MISMATCH_FACTOR). A mais parecida é aceita se tiver
+     *    pelo menos AUTO_MATCH_SIMILARITY e estiver AMBIGUITY_MARGIN à frente
+     *    da segunda; caso contrário, as mais parecidas são sugeridas
+     * 
+     * @param {string} query - Nome digitado
+     * @returns {Object} Objeto contendo:
+     *   - city: nome da cidade na base, ou null se não identificada
+     *   - match: 'exact', 'alias', 'name', 'fuzzy' ou null
+     *   - suggestions: cidades parecidas, da mais para a menos parecida
+     *     (vazio quando a cidade foi identificada)
+     */
+    matchCity: function(query) {
+      const normalized = this.normalizeCityName(query);
+      const noMatch = { city: null, match: null, suggestions: [] };
+
+      if (!normalized) {
+        return noMatch;
+      }
+
+      const cities = this.getAllCities();
+
+      const exact = cities.find(city => this.normalizeCityName(city) === normalized);
+      if (exact) {
+        return { city: exact, match: 'exact', suggestions: [] };
+      }
+
+      const alias = Object.keys(this.aliases).find(name => this.normalizeCityName(name) === normalized);
+      if (alias && cities.includes(this.aliases[alias])) {
+        return { city: this.aliases[alias], match: 'alias', suggestions: [] };
+      }
+
+      const parsed = this.parseCityName(query);
+      if (!parsed.name) {
+        return noMatch;
+      }
+
+      const entries = cities.map(city => Object.assign({ city: city }, this.splitCityName(city)));
+
+      const sameName = entries.filter(entry => entry.name === parsed.name &&
+        (!parsed.state || entry.state === parsed.state));
+      if (sameName.length === 1) {
+        return { city: sameName[0].city, match: 'name', suggestions: [] };
+      }
+
+      const ranked = entries
+        .map(entry => {
+          let similarity = this.getSimilarity(parsed.name, entry.name);
+
+          if (parsed.name.length >= this.matching.MIN_PREFIX_LENGTH && entry.name.startsWith(parsed.name)) {
+            similarity = Math.max(similarity, this.matching.PREFIX_SIMILARITY);
+          }
+          if (parsed.state && entry.state && parsed.state !== entry.state) {
+            similarity *= this.matching.STATE_MISMATCH_FACTOR;
+          }
+
+          return { city: entry.city, similarity: similarity };
+        })
+        .filter(entry => entry.similarity >= this.matching.SUGGESTION_SIMILARITY)
+        .sort((a, b) => b.similarity - a.similarity || a.city.localeCompare(b.city));
+
+      const best = ranked[0];
+      const runnerUp = ranked[1];
+
+      if (best && best.similarity >= this.matching.AUTO_MATCH_SIMILARITY &&
+          (!runnerUp || best.similarity - runnerUp.similarity >= this.matching.AMBIGUITY_MARGIN)) {
+        return { city: best.city, match: 'fuzzy', suggestions: [] };
+      }
+
+      return {
+        city: null,
+        match: null,
+        suggestions: ranked.slice(0, this.matching.MAX_SUGGESTIONS).map(entry => entry.city)
+      };
+    },
+
+    /**
+     * Retorna o nome da cidade na base a partir do nome digitado (ver matchCity)
+     * 
+     * @param {string} query - Nome digitado
+     * @returns {string|null} Nome da cidade, ou null se não identificada ou ambígua
+     */
+    resolveCity: function(query) {
+      return this.matchCity(query).city;
+    },
+
+    /**
+     * Monta a chave de um par de cidades, igual nos dois sentidos
+     * (nomes normalizados, ver normalizeCityName)
+     * 
+     * @param {string} origin - Cidade de origem
+     * @param {string} destination - Cidade de destino
+     * @returns {string} Chave do par (ex: "curitiba, pr|sao paulo, sp")
+     */
+    getRouteKey: function(origin, destination) {
+      return [this.normalizeCityName(origin), this.normalizeCityName(destination)].sort().join('|');
+    },
+
+    /**
+     * Indica se uma cidade existe apenas nas rotas personalizadas
+     * 
+     * @param {string} city - Nome da cidade (como em getAllCities)
+     * @returns {boolean} true se a cidade não está nas rotas nem nas coordenadas da base
+     */
+    isCustomCity: function(city) {
+      return !this.cities.hasOwnProperty(city) &&
+        !this.routes.some(route => route.origin === city || route.destination === city);
+    },
+
+    /**
+     * Monta a mensagem em português de um código de erro
+     * 
+     * @param {string} code - Código do erro (chave de MESSAGES)
+     * @param {Object} params - Valores substituídos na mensagem
+     * @returns {string} Mensagem do erro
+     */
+    formatMessage: function(code, params = {}) {
+      return MESSAGES[code].replace(/\{(\w+)\}/g, (match, name) =>
+        params.hasOwnProperty(name) ? String(params[name]) : match
+      );
+    },
+
+    /**
+     * Cria um erro das rotas personalizadas
+     * 
+     * @param {string} code - Código do erro (cities, cityName, sameCity, distance,
+     *                        duplicate, maxRoutes, file ou empty)
+     * @param {Object} params - Valores da mensagem
+     * @returns {Error} Erro com as propriedades code e params
+     */
+    createError: function(code, params = {}) {
+      const error = new Error(this.formatMessage(code, params));
+      error.code = code;
+      error.params = params;
+      return error;
+    },
+
+    /**
+     * Valida e normaliza uma rota personalizada
+     * 
+     * Cidades da base (inclusive as digitadas sem acentos, sem o estado ou por
+     * apelido) recebem o nome da base, para que a rota se ligue às demais; as
+     * outras ficam como digitadas, desde que sigam customRoutesConfig.CITY_PATTERN.
+     * A distância aceita vírgula decimal.
+     * 
+     * @param {Object} route - Rota com origin, destination, distanceKm e id (opcional)
+     * @returns {Object} Rota com id, origin, destination e distanceKm (0,1 km de precisão)
+     * @throws {Error} cities, cityName, sameCity ou distance (ver createError)
+     */
+    normalizeCustomRoute: function(route) {
+      const origin = route && typeof route.origin === 'string' ? route.origin.trim() : '';
+      const destination = route && typeof route.destination === 'string' ? route.destination.trim() : '';
+
+      if (!origin || !destination) {
+        throw this.createError('cities');
+      }
+
+      [origin, destination].forEach(city => {
+        if (!this.customRoutesConfig.CITY_PATTERN.test(city)) {
+          throw this.createError('cityName', { city: city });
+        }
+      });
+
+      // Nomes com erro de digitação não são corrigidos: podem ser cidades novas
+      const toCityName = name => {
+        const match = this.matchCity(name);
+        return match.city && match.match !== 'fuzzy' ? match.city : name;
+      };
+
+      const originCity = toCityName(origin);
+      const destinationCity = toCityName(destination);
+
+      if (this.normalizeCityName(originCity) === this.normalizeCityName(destinationCity)) {
+        throw this.createError('sameCity');
+      }
+
+      const distanceKm = Number(String(route.distanceKm).replace(',', '.'));
+      if (!isFinite(distanceKm) || distanceKm <= 0) {
+        throw this.createError('distance', { distance: route.distanceKm });
+      }
+
+      return {
+        id: typeof route.id === 'string' && route.id ? route.id : Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+        origin: originCity,
+        destination: destinationCity,
+        distanceKm: Math.round(distanceKm * 10) / 10
+      };
+    },
+
+    /**
+     * Substitui as rotas personalizadas
+     * As rotas passam a valer em getAllCities, findRoute e findDistance
+     * 
+     * @param {Array<Object>} routes - Rotas com origin, destination, distanceKm e id (opcional)
+     * @returns {Array<Object>} Rotas personalizadas normalizadas (ver normalizeCustomRoute)
+     * @throws {Error} Se alguma rota for inválida, se duas rotas ligarem as mesmas
+     *                 cidades ou se exceder customRoutesConfig.MAX_ROUTES (ver createError)
+     */
+    setCustomRoutes: function(routes) {
+      if (routes.length > this.customRoutesConfig.MAX_ROUTES) {
+        throw this.createError('maxRoutes', { max: this.customRoutesConfig.MAX_ROUTES });
+      }
+
+      // As rotas atuais só mudam se todas as novas forem válidas
+      const normalized = [];
+      const keys = new Set();
+
+      routes.forEach(route => {
+        const customRoute = this.normalizeCustomRoute(route);
+        const key = this.getRouteKey(customRoute.origin, customRoute.destination);
+
+        if (keys.has(key)) {
+          throw this.createError('duplicate', { origin: customRoute.origin, destination: customRoute.destination });
+        }
+
+        keys.add(key);
+        normalized.push(customRoute);
+      });
+
+      this.customRoutes = normalized;
+      return normalized;
+    },
+
+    /**
+     * Monta o documento do arquivo de rotas personalizadas
+     * 
+     * @returns {Object} Documento com format, version, exportedAt e routes
+     *                   (origin, destination e distanceKm de cada rota)
+     */
+    exportCustomRoutes: function() {
+      return {
+        format: this.customRoutesConfig.FILE_FORMAT,
+        version: this.customRoutesConfig.FILE_VERSION,
+        exportedAt: new Date().toISOString(),
+        routes: this.customRoutes.map(route => ({
+          origin: route.origin,
+          destination: route.destination,
+          distanceKm: route.distanceKm
+        }))
+      };
+    },
+
+    /**
+     * Lê um arquivo de rotas personalizadas (ver exportCustomRoutes)
+     * Aceita também um array JSON de rotas. Rotas inválidas são ignoradas e
+     * contadas; as rotas lidas recebem novos ids.
+     * 
+     * @param {string} text - Conteúdo do arquivo
+     * @returns {Object} Objeto com routes (rotas normalizadas) e skipped (rotas ignoradas)
+     * @throws {Error} file (não é um arquivo de rotas) ou empty (sem rotas válidas)
+     */
+    parseRoutesFile: function(text) {
+      let data;
+
+      try {
+        data = JSON.parse(String(text).replace(/^\uFEFF/, ''));
+      } catch (error) {
+        throw this.createError('file');
+      }
+
+      const routes = Array.isArray(data)
+        ? data
+        : (data && data.format === this.customRoutesConfig.FILE_FORMAT && Array.isArray(data.routes) ? data.routes : null);
+
+      if (!routes) {
+        throw this.createError('file');
+      }
+
+      const valid = [];
+      let skipped = 0;
+
+      routes.forEach(route => {
+        try {
+          valid.push(this.normalizeCustomRoute(Object.assign({}, route, { id: null })));
+        } catch (error) {
+          skipped++;
+        }
+      });
+
+      if (valid.length === 0) {
+        throw this.createError('empty');
+      }
+
+      return { routes: valid, skipped: skipped };
+    },
+
+    /**
+     * Monta um grafo ponderado não direcionado a partir das rotas (getRoutes)
+     * Cada cidade é um nó (chave de normalizeCityName, a mesma da busca de
+     * cidades) e cada rota
+     * é uma aresta nos dois sentidos com peso igual à distância em km
+     * 
+     * Os mapas são Map: nomes como "constructor" não colidem com as
+     * propriedades de um objeto comum
+     * 
+     * @returns {Object} Objeto contendo:
+     *   - names: Map de chave normalizada → nome original da cidade
+     *   - edges: Map de chave normalizada → array de { city, distanceKm, custom }
+     */
+    buildGraph: function() {
+      const names = new Map();
+      const edges = new Map();
+
+      this.getRoutes().forEach(route => {
+        const originKey = this.normalizeCityName(route.origin);
+        const destinationKey = this.normalizeCityName(route.destination);
+
+        names.set(originKey, route.origin);
+        names.set(destinationKey, route.destination);
+
+        if (!edges.has(originKey)) {
+          edges.set(originKey, []);
+        }
+        if (!edges.has(destinationKey)) {
+          edges.set(destinationKey, []);
+        }
+
+        const custom = Boolean(route.custom);
+        edges.get(originKey).push({ city: destinationKey, distanceKm: route.distanceKm, custom: custom });
+        edges.get(destinationKey).push({ city: originKey, distanceKm: route.distanceKm, custom: custom });
+      });
+
+      return { names: names, edges: edges };
+    },
+
+    /**
+     * Busca as coordenadas de uma cidade (nome identificado por resolveCity)
+     * 
+     * @param {string} city - Nome da cidade
+     * @returns {Object|null} Objeto com lat e lon, ou null se desconhecida
+     */
+    findCoordinates: function(city) {
+      const name = this.resolveCity(city);
+      return name && this.cities.hasOwnProperty(name) ? this.cities[name] : null;
+    },
+
+    /**
+     * Estima a distância rodoviária entre duas cidades
+     * 
+     * Fórmula: distância em linha reta (haversine) × fator de circuito
+     * O fator de circuito compensa o fato de estradas não seguirem linha reta
+     * e é configurado por modo (circuityFactor no registro de modos), com
+     * defaultCircuityFactor como padrão
+     * 
+     * @param {string} origin - Cidade de origem
+     * @param {string} destination - Cidade de destino
+     * @param {string} transportMode - Modo de transporte (opcional, define o fator de circuito)
+     * @returns {number|null} Distância estimada em km (inteiro), ou null sem coordenadas
+     */
+    estimateDistance: function(origin, destination, transportMode) {
+      const from = this.findCoordinates(origin);
+      const to = this.findCoordinates(destination);
+
+      if (!from || !to) {
+        return null;
+      }
+
+      // Fórmula de haversine: distância em linha reta sobre a superfície da Terra
+      const EARTH_RADIUS_KM = 6371;
+      const toRadians = degrees => degrees * Math.PI / 180;
+
+      const deltaLat = toRadians(to.lat - from.lat);
+      const deltaLon = toRadians(to.lon - from.lon);
+      const a = Math.sin(deltaLat / 2) ** 2 +
+                Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(deltaLon / 2) ** 2;
+      const greatCircleKm = 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+
+      // Aplica o fator de circuito do modo (ou o padrão)
+      const modeConfig = this.modes[transportMode];
+      const circuityFactor = modeConfig && modeConfig.circuityFactor
+        ? modeConfig.circuityFactor
+        : this.defaultCircuityFactor;
+
+      return Math.round(greatCircleKm * circuityFactor);
+    },
+
+    /**
+     * Busca a rota entre duas cidades
+     * 
+     * Processo:
+     * 1. Identifica as cidades digitadas (ver matchCity); sem as duas, não há rota
+     * 2. Se existe rota direta (em qualquer direção), retorna ela
+     * 3. Caso contrário, busca o menor caminho no grafo (algoritmo de Dijkstra)
+     *    e retorna a distância composta com as cidades intermediárias
+     * 4. Sem caminho conhecido, estima a distância pelas coordenadas das cidades
+     * 
+     * @param {string} origin - Cidade de origem
+     * @param {string} destination - Cidade de destino
+     * @param {string} transportMode - Modo de transporte (opcional, usado na estimativa)
+     * @returns {Object|null} Objeto com distanceKm, path (todas as cidades do caminho),
+     *                        via (cidades intermediárias), estimated (true se a distância
+     *                        foi estimada) e custom (true se o caminho usa alguma rota
+     *                        personalizada), ou null se não houver caminho nem coordenadas
+     */
+    findRoute: function(origin, destination, transportMode) {
+      const originCity = this.resolveCity(origin);
+      const destinationCity = this.resolveCity(destination);
+
+      if (!originCity || !destinationCity) {
+        return null;
+      }
+
+      // Chaves do grafo: nomes normalizados (ver buildGraph)
+      const originKey = this.normalizeCityName(originCity);
+      const destinationKey = this.normalizeCityName(destinationCity);
+
+      // Cidades iguais não formam rota
+      if (originKey === destinationKey) {
+        return null;
+      }
+
+      const graph = this.buildGraph();
+
+      // Cidades fora do grafo: tenta a estimativa por coordenadas
+      if (!graph.edges.has(originKey) || !graph.edges.has(destinationKey)) {
+        return this.buildEstimatedRoute(originCity, destinationCity, transportMode);
+      }
+
+      // Rota direta tem prioridade sobre caminhos compostos
+      const directEdge = graph.edges.get(originKey).find(edge => edge.city === destinationKey);
+      if (directEdge) {
+        return {
+          distanceKm: directEdge.distanceKm,
+          path: [graph.names.get(originKey), graph.names.get(destinationKey)],
+          via: [],
+          estimated: false,
+          custom: directEdge.custom
+        };
+      }
+
+      // Dijkstra: distâncias acumuladas, predecessores de cada cidade e se a
+      // aresta que leva a cada cidade é uma rota personalizada
+      const distances = new Map([[originKey, 0]]);
+      const previous = new Map();
+      const customEdges = new Map();
+      const visited = new Set();
+
+      while (true) {
+        // Seleciona a cidade não visitada com menor distância acumulada
+        let current = null;
+        distances.forEach((distance, city) => {
+          if (!visited.has(city) && (current === null || distance < distances.get(current))) {
+            current = city;
+          }
+        });
+
+        // Sem mais cidades alcançáveis ou destino alcançado
+        if (current === null || current === destinationKey) {
+          break;
+        }
+
+        visited.add(current);
+
+        // Relaxa as arestas da cidade atual
+        graph.edges.get(current).forEach(edge => {
+          const candidate = distances.get(current) + edge.distanceKm;
+          if (!distances.has(edge.city) || candidate < distances.get(edge.city)) {
+            distances.set(edge.city, candidate);
+            previous.set(edge.city, current);
+            customEdges.set(edge.city, edge.custom);
+          }
+        });
+      }
+
+      if (!distances.has(destinationKey)) {
+        return this.buildEstimatedRoute(originCity, destinationCity, transportMode);
+      }
+
+      // Reconstrói o caminho do destino até a origem
+      const path = [];
+      let custom = false;
+      for (let city = destinationKey; city !== undefined; city = previous.get(city)) {
+        path.unshift(graph.names.get(city));
+        custom = custom || Boolean(customEdges.get(city));
+      }
+
+      return {
+        distanceKm: distances.get(destinationKey),
+        path: path,
+        via: path.slice(1, -1),
+        estimated: false,
+        custom: custom
+      };
+    },
+
+    /**
+     * Monta o resultado de findRoute() a partir da distância estimada
+     * 
+     * @param {string} origin - Cidade de origem
+     * @param {string} destination - Cidade de destino
+     * @param {string} transportMode - Modo de transporte (opcional)
+     * @returns {Object|null} Rota estimada, ou null sem coordenadas
+     */
+    buildEstimatedRoute: function(origin, destination, transportMode) {
+      const distanceKm = this.estimateDistance(origin, destination, transportMode);
+
+      if (distanceKm === null) {
+        return null;
+      }
+
+      return {
+        distanceKm: distanceKm,
+        path: [origin.trim(), destination.trim()],
+        via: [],
+        estimated: true,
+        custom: false
+      };
+    },
+
+    /**
+     * Busca a distância entre duas cidades
+     * Usa a rota direta (em ambas as direções), a menor distância composta
+     * por rotas conhecidas ou, por último, a estimativa por coordenadas
+     * Aceita os nomes como em findRoute(): sem acentos, sem o estado, apelidos
+     * e pequenos erros de digitação
+     * 
+     * @param {string} origin - Cidade de origem
+     * @param {string} destination - Cidade de destino
+     * @param {string} transportMode - Modo de transporte (opcional, usado na estimativa)
+     * @returns {number|null} Distância em km se encontrada, null caso contrário
+     */
+    findDistance: function(origin, destination, transportMode) {
+      const route = this.findRoute(origin, destination, transportMode);
+      return route ? route.distanceKm : null;
+    }
+  };
+}
@@ -0,0 +1,263 @@
+/**
+ * Currency - Moeda e Câmbio dos Créditos de Carbono
+ *
+ * Contém métodos para:
+ * - Escolher a moeda exibida (salva no navegador ou a padrão)
+ * - Trocar e salvar a moeda escolhida no seletor de moeda
+ * - Carregar, validar, salvar e restaurar a tabela de câmbio editável
+ *   (cotações e data de vigência)
+ * - Montar as opções de preço usadas por Calculator.estimateCreditPrice
+ *
+ * O preço dos créditos é definido em CONFIG.CARBON_CREDIT.PRICE_RANGE, na moeda
+ * em que é cotado, e convertido para a moeda exibida pela tabela de câmbio.
+ */
+
+const Currency = {
+  /**
+   * Moeda exibida (código de CONFIG.CURRENCY.CURRENCIES)
+   */
+  currency: CONFIG.CURRENCY.DEFAULT_CURRENCY,
+
+  /**
+   * Tabela de câmbio atual (base, effectiveDate e rates), carregada em init
+   * (a tabela padrão vem do núcleo de cálculo, que carrega depois deste script)
+   */
+  exchangeRates: null,
+
+  /**
+   * Função chamada após a troca de moeda ou de câmbio
+   */
+  onChange: null,
+
+  /**
+   * Inicializa a moeda e o câmbio
+   *
+   * Processo:
+   * 1. Define a moeda e a tabela de câmbio iniciais
+   * 2. Popula o seletor de moeda a partir de CONFIG.CURRENCY.CURRENCIES
+   * 3. Gera o formulário de câmbio e registra o salvamento e a restauração
+   *
+   * @param {Function} onChange - Função que atualiza os conteúdos gerados pela aplicação
+   */
+  init: function(onChange) {
+    const select = document.getElementById('currency-select');
+    const form = document.getElementById('exchange-rates-form');
+
+    this.onChange = onChange;
+    this.currency = this.getInitialCurrency();
+    this.exchangeRates = this.loadExchangeRates();
+
+    if (select) {
+      select.innerHTML = CONFIG.CURRENCY.CURRENCIES.map(currency => `
+        <option value="${currency}" ${currency === this.currency ? 'selected' : ''}>${currency}</option>
+      `).join('');
+
+      select.addEventListener('change', () => this.setCurrency(select.value));
+    } else {
+      console.error('Seletor de moeda não foi encontrado.');
+    }
+
+    if (form) {
+      this.renderForm();
+
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.handleSubmit();
+      });
+
+      form.addEventListener('click', (e) => {
+        if (e.target.closest('[data-rates-action="reset"]')) {
+          UI.hideNotice('exchange-rates-notice');
+          this.resetExchangeRates();
+        }
+      });
+    } else {
+      console.error('Formulário de câmbio não foi encontrado.');
+    }
+
+    console.log(`Moeda exibida: ${this.currency}`);
+  },
+
+  /**
+   * Retorna a moeda salva no navegador ou a moeda padrão
+   *
+   * @returns {string} Código de CONFIG.CURRENCY.CURRENCIES
+   */
+  getInitialCurrency: function() {
+    let stored = null;
+
+    try {
+      stored = localStorage.getItem(CONFIG.CURRENCY.STORAGE_KEY);
+    } catch (error) {
+      console.error('Erro ao ler a moeda salva:', error);
+    }
+
+    return stored && CONFIG.CURRENCY.CURRENCIES.includes(stored) ? stored : CONFIG.CURRENCY.DEFAULT_CURRENCY;
+  },
+
+  /**
+   * Troca a moeda exibida e salva a escolha no navegador
+   *
+   * @param {string} currency - Código de CONFIG.CURRENCY.CURRENCIES
+   */
+  setCurrency: function(currency) {
+    if (!CONFIG.CURRENCY.CURRENCIES.includes(currency) || currency === this.currency) {
+      return;
+    }
+
+    this.currency = currency;
+
+    try {
+      localStorage.setItem(CONFIG.CURRENCY.STORAGE_KEY, currency);
+    } catch (error) {
+      console.error('Erro ao salvar a moeda:', error);
+    }
+
+    if (typeof this.onChange === 'function') {
+      this.onChange(currency);
+    }
+
+    console.log(`💱 Moeda alterada para ${currency}`);
+  },
+
+  /**
+   * Carrega a tabela de câmbio salva no navegador
+   * Usa CONFIG.CURRENCY.DEFAULT_EXCHANGE_RATES se não houver tabela salva ou se ela
+   * for inválida
+   *
+   * @returns {Object} Tabela de câmbio (base, effectiveDate e rates)
+   */
+  loadExchangeRates: function() {
+    try {
+      const stored = localStorage.getItem(CONFIG.CURRENCY.RATES_STORAGE_KEY);
+
+      if (stored) {
+        return this.validateExchangeRates(JSON.parse(stored));
+      }
+    } catch (error) {
+      console.error('Erro ao ler o câmbio salvo:', error);
+    }
+
+    return CONFIG.CURRENCY.DEFAULT_EXCHANGE_RATES;
+  },
+
+  /**
+   * Valida uma tabela de câmbio
+   * A base é sempre a de CONFIG.CURRENCY.DEFAULT_EXCHANGE_RATES e toda moeda de
+   * CONFIG.CURRENCY.CURRENCIES (exceto a base) precisa de uma cotação maior que 0
+   *
+   * @param {Object} exchangeRates - Tabela de câmbio (effectiveDate e rates)
+   * @returns {Object} Tabela de câmbio normalizada (base, effectiveDate e rates)
+   * @throws {Error} Com mensagem traduzida se uma cotação ou a data for inválida
+   */
+  validateExchangeRates: function(exchangeRates) {
+    const base = CONFIG.CURRENCY.DEFAULT_EXCHANGE_RATES.base;
+    const rates = {};
+
+    CONFIG.CURRENCY.CURRENCIES.filter(currency => currency !== base).forEach(currency => {
+      const rate = parseFloat(exchangeRates.rates && exchangeRates.rates[currency]);
+
+      if (isNaN(rate) || rate <= 0) {
+        throw new Error(I18n.t('rates.invalidRate', { currency: currency }));
+      }
+      rates[currency] = rate;
+    });
+
+    const effectiveDate = exchangeRates.effectiveDate;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(effectiveDate || '') || isNaN(new Date(effectiveDate).getTime())) {
+      throw new Error(I18n.t('rates.invalidDate'));
+    }
+
+    return { base: base, effectiveDate: effectiveDate, rates: rates };
+  },
+
+  /**
+   * Salva uma tabela de câmbio no navegador e atualiza os conteúdos gerados
+   *
+   * @param {Object} exchangeRates - Tabela de câmbio (effectiveDate e rates)
+   * @throws {Error} Com mensagem traduzida se a tabela for inválida
+   */
+  setExchangeRates: function(exchangeRates) {
+    this.exchangeRates = this.validateExchangeRates(exchangeRates);
+
+    try {
+      localStorage.setItem(CONFIG.CURRENCY.RATES_STORAGE_KEY, JSON.stringify(this.exchangeRates));
+    } catch (error) {
+      console.error('Erro ao salvar o câmbio:', error);
+    }
+
+    this.renderForm();
+
+    if (typeof this.onChange === 'function') {
+      this.onChange(this.currency);
+    }
+
+    console.log(`💱 Câmbio atualizado (vigente em ${this.exchangeRates.effectiveDate})`);
+  },
+
+  /**
+   * Restaura a tabela de câmbio padrão (CONFIG.CURRENCY.DEFAULT_EXCHANGE_RATES)
+   */
+  resetExchangeRates: function() {
+    try {
+      localStorage.removeItem(CONFIG.CURRENCY.RATES_STORAGE_KEY);
+    } catch (error) {
+      console.error('Erro ao remover o câmbio salvo:', error);
+    }
+
+    this.exchangeRates = CONFIG.CURRENCY.DEFAULT_EXCHANGE_RATES;
+    this.renderForm();
+
+    if (typeof this.onChange === 'function') {
+      this.onChange(this.currency);
+    }
+
+    console.log('💱 Câmbio padrão restaurado');
+  },
+
+  /**
+   * Lê o formulário de câmbio e salva a tabela
+   * Exibe um aviso na seção se alguma cotação ou a data for inválida
+   */
+  handleSubmit: function() {
+    const rates = {};
+
+    document.querySelectorAll('[data-rate-currency]').forEach(input => {
+      rates[input.dataset.rateCurrency] = input.value;
+    });
+
+    try {
+      this.setExchangeRates({
+        effectiveDate: document.getElementById('exchange-rates-date').value,
+        rates: rates
+      });
+      UI.hideNotice('exchange-rates-notice');
+    } catch (error) {
+      console.error('Erro ao salvar o câmbio:', error);
+      UI.showNotice('exchange-rates-notice', error.message, true);
+    }
+  },
+
+  /**
+   * Gera os campos do formulário de câmbio a partir da tabela atual
+   */
+  renderForm: function() {
+    const fields = document.getElementById('exchange-rates-fields');
+
+    if (fields) {
+      fields.innerHTML = UI.renderExchangeRateFields(this.exchangeRates);
+    }
+  },
+
+  /**
+   * Retorna as opções de preço da moeda e do câmbio atuais
+   *
+   * @returns {Object} Opções para Calculator.estimateCreditPrice (currency e exchangeRates)
+   */
+  getPricing: function() {
+    return {
+      currency: this.currency,
+      exchangeRates: this.exchangeRates
+    };
+  }
+};
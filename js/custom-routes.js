@@ -0,0 +1,365 @@
+/**
+ * CustomRoutes - Rotas Personalizadas
+ *
+ * Contém métodos para:
+ * - Carregar e salvar as rotas cadastradas pelo usuário no navegador (localStorage)
+ * - Adicionar, editar e excluir rotas pelo formulário do painel
+ * - Exportar as rotas em um arquivo JSON e importar o arquivo de outra pessoa
+ * - Renderizar a lista de rotas
+ *
+ * As rotas são validadas e somadas às rotas da base por RoutesDB (ver
+ * setCustomRoutes em js/core/routes.js): valem na busca de distância do
+ * formulário, no autocomplete das cidades e na importação em lote.
+ */
+
+const CustomRoutes = {
+  /**
+   * Id da rota em edição no formulário (null ao adicionar uma rota nova)
+   */
+  editingId: null,
+
+  /**
+   * Função chamada após qualquer alteração nas rotas
+   */
+  onChange: null,
+
+  /**
+   * Inicializa as rotas personalizadas
+   *
+   * Processo:
+   * 1. Carrega as rotas salvas em RoutesDB (antes do autocomplete e dos trechos),
+   *    ignorando apenas as rotas inválidas
+   * 2. Configura o formulário de adicionar e editar rotas
+   * 3. Configura as ações de editar, excluir e exportar via delegação de eventos
+   * 4. Configura a importação do arquivo de rotas
+   * 5. Renderiza a lista de rotas
+   *
+   * @param {Function} onChange - Função que atualiza o autocomplete e as distâncias dos trechos
+   */
+  init: function(onChange) {
+    const panel = document.getElementById('custom-routes');
+    const form = document.getElementById('custom-routes-form');
+    const fileInput = document.getElementById('custom-routes-file');
+
+    this.onChange = onChange;
+
+    this.restore(this.load());
+
+    if (!panel || !form || !fileInput) {
+      console.error('Elementos das rotas personalizadas não foram encontrados.');
+      return;
+    }
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleSubmit();
+    });
+
+    panel.addEventListener('click', (e) => {
+      const actionButton = e.target.closest('[data-custom-routes-action]');
+      if (!actionButton) {
+        return;
+      }
+
+      const action = actionButton.dataset.customRoutesAction;
+
+      if (action === 'edit') {
+        this.edit(actionButton.dataset.routeId);
+      } else if (action === 'delete') {
+        this.remove(actionButton.dataset.routeId);
+      } else if (action === 'cancel') {
+        this.resetForm();
+      } else if (action === 'export') {
+        this.exportFile();
+      }
+    });
+
+    fileInput.addEventListener('change', () => {
+      const file = fileInput.files[0];
+      if (file) {
+        this.handleFile(file);
+        fileInput.value = '';
+      }
+    });
+
+    this.render();
+
+    console.log(`Rotas personalizadas carregadas: ${RoutesDB.customRoutes.length}.`);
+  },
+
+  /**
+   * Lê as rotas salvas no navegador
+   *
+   * @returns {Array<Object>} Rotas salvas; vazio se o armazenamento não estiver disponível
+   */
+  load: function() {
+    try {
+      const stored = localStorage.getItem(CONFIG.CUSTOM_ROUTES.STORAGE_KEY);
+      const routes = stored ? JSON.parse(stored) : [];
+
+      return Array.isArray(routes) ? routes : [];
+    } catch (error) {
+      console.error('Erro ao ler as rotas personalizadas:', error);
+      return [];
+    }
+  },
+
+  /**
+   * Aplica as rotas salvas em RoutesDB
+   * Se alguma rota for inválida (ex: editada fora da página), as rotas são
+   * aplicadas uma a uma e apenas as inválidas (ou as repetidas e as que excedem
+   * o limite) são ignoradas
+   *
+   * @param {Array<Object>} routes - Rotas lidas por load()
+   */
+  restore: function(routes) {
+    try {
+      RoutesDB.setCustomRoutes(routes);
+      return;
+    } catch (error) {
+      console.error('Rotas personalizadas salvas são inválidas:', error);
+    }
+
+    const valid = routes.reduce((applied, route) => {
+      try {
+        return RoutesDB.setCustomRoutes(applied.concat(route));
+      } catch (error) {
+        return applied;
+      }
+    }, []);
+
+    RoutesDB.setCustomRoutes(valid);
+    console.warn(`Rotas personalizadas: ${routes.length - valid.length} rota(s) inválida(s) ignorada(s).`);
+  },
+
+  /**
+   * Valida e aplica as rotas em RoutesDB, salva no navegador e atualiza a página
+   *
+   * @param {Array<Object>} routes - Rotas com origin, destination, distanceKm e id (opcional)
+   * @throws {Error} Com mensagem traduzida se alguma rota for inválida (as rotas atuais
+   *                 são mantidas)
+   */
+  save: function(routes) {
+    try {
+      RoutesDB.setCustomRoutes(routes);
+    } catch (error) {
+      throw this.translateError(error);
+    }
+
+    try {
+      localStorage.setItem(CONFIG.CUSTOM_ROUTES.STORAGE_KEY, JSON.stringify(RoutesDB.customRoutes));
+    } catch (error) {
+      console.error('Erro ao salvar as rotas personalizadas:', error);
+    }
+
+    this.render();
+
+    if (typeof this.onChange === 'function') {
+      this.onChange();
+    }
+  },
+
+  /**
+   * Traduz um erro das rotas (código e parâmetros, ver RoutesDB.createError)
+   *
+   * @param {Error} error - Erro de RoutesDB
+   * @returns {Error} Erro com a mensagem no idioma atual
+   */
+  translateError: function(error) {
+    return error.code ? new Error(I18n.t(`customRoutes.error.${error.code}`, error.params)) : error;
+  },
+
+  /**
+   * Lê o formulário e adiciona a rota (ou salva a rota em edição)
+   * A distância é digitada na unidade atual e guardada em km
+   */
+  handleSubmit: function() {
+    const distanceInput = document.getElementById('custom-route-distance');
+    const route = {
+      id: this.editingId,
+      origin: document.getElementById('custom-route-origin').value,
+      destination: document.getElementById('custom-route-destination').value,
+      distanceKm: distanceInput.value === '' ? '' : Units.fromInputDistance(distanceInput.value)
+    };
+
+    const routes = this.editingId
+      ? RoutesDB.customRoutes.map(item => item.id === this.editingId ? route : item)
+      : RoutesDB.customRoutes.concat(route);
+    const messageKey = this.editingId ? 'customRoutes.updated' : 'customRoutes.added';
+
+    try {
+      this.save(routes);
+    } catch (error) {
+      this.showMessage(error.message, true);
+      return;
+    }
+
+    const saved = this.editingId
+      ? RoutesDB.customRoutes.find(item => item.id === this.editingId)
+      : RoutesDB.customRoutes[RoutesDB.customRoutes.length - 1];
+
+    this.resetForm();
+    this.showMessage(I18n.t(messageKey, { origin: saved.origin, destination: saved.destination }));
+  },
+
+  /**
+   * Preenche o formulário com uma rota para edição
+   *
+   * @param {string} id - Identificador da rota
+   */
+  edit: function(id) {
+    const route = RoutesDB.customRoutes.find(item => item.id === id);
+
+    if (!route) {
+      return;
+    }
+
+    this.editingId = id;
+    document.getElementById('custom-route-origin').value = route.origin;
+    document.getElementById('custom-route-destination').value = route.destination;
+    document.getElementById('custom-route-distance').value = Units.toInputDistance(route.distanceKm);
+    this.renderForm();
+
+    document.getElementById('custom-route-origin').focus();
+  },
+
+  /**
+   * Exclui uma rota
+   *
+   * @param {string} id - Identificador da rota
+   */
+  remove: function(id) {
+    const route = RoutesDB.customRoutes.find(item => item.id === id);
+
+    if (!route) {
+      return;
+    }
+
+    if (this.editingId === id) {
+      this.resetForm();
+    }
+
+    this.save(RoutesDB.customRoutes.filter(item => item.id !== id));
+    this.showMessage(I18n.t('customRoutes.deleted', { origin: route.origin, destination: route.destination }));
+  },
+
+  /**
+   * Baixa as rotas em um arquivo JSON (ver RoutesDB.exportCustomRoutes)
+   */
+  exportFile: function() {
+    if (RoutesDB.customRoutes.length === 0) {
+      return;
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    ResultsExport.download(
+      `${CONFIG.CUSTOM_ROUTES.FILE_NAME}-${date}.json`,
+      JSON.stringify(RoutesDB.exportCustomRoutes(), null, 2),
+      'application/json'
+    );
+  },
+
+  /**
+   * Lê um arquivo de rotas e o soma às rotas atuais
+   * Rotas do arquivo substituem as rotas atuais entre as mesmas cidades
+   *
+   * @param {File} file - Arquivo JSON escolhido pelo usuário
+   */
+  handleFile: function(file) {
+    const reader = new FileReader();
+
+    reader.onload = () => {
+      try {
+        const imported = RoutesDB.parseRoutesFile(reader.result);
+        const importedKeys = new Set(imported.routes.map(route => RoutesDB.getRouteKey(route.origin, route.destination)));
+        const kept = RoutesDB.customRoutes.filter(route => !importedKeys.has(RoutesDB.getRouteKey(route.origin, route.destination)));
+
+        this.resetForm();
+        this.save(kept.concat(imported.routes));
+        this.showMessage(I18n.t(imported.skipped > 0 ? 'customRoutes.importedSkipped' : 'customRoutes.imported', {
+          count: imported.routes.length,
+          skipped: imported.skipped
+        }));
+      } catch (error) {
+        console.error('Erro ao importar rotas:', error);
+        this.showMessage(I18n.t('customRoutes.importError', { message: this.translateError(error).message }), true);
+      }
+    };
+
+    reader.onerror = () => {
+      console.error('Erro ao ler arquivo:', reader.error);
+      this.showMessage(I18n.t('batch.readError'), true);
+    };
+
+    reader.readAsText(file);
+  },
+
+  /**
+   * Limpa o formulário e sai do modo de edição
+   */
+  resetForm: function() {
+    const form = document.getElementById('custom-routes-form');
+
+    this.editingId = null;
+    if (form) {
+      form.reset();
+      this.renderForm();
+    }
+  },
+
+  /**
+   * Exibe o resultado da última ação (anunciado aos leitores de tela)
+   *
+   * @param {string} message - Texto da mensagem
+   * @param {boolean} isError - Se true, exibe como erro
+   */
+  showMessage: function(message, isError = false) {
+    UI.showNotice('custom-routes-notice', message, isError);
+  },
+
+  /**
+   * Atualiza os textos do formulário: unidade da distância e botões do modo de
+   * edição
+   */
+  renderForm: function() {
+    const distanceLabel = document.getElementById('custom-route-distance-label');
+    const submitButton = document.getElementById('custom-route-submit');
+    const cancelButton = document.querySelector('[data-custom-routes-action="cancel"]');
+
+    if (distanceLabel) {
+      distanceLabel.textContent = I18n.t('leg.distance', { unit: Units.getDistanceUnit() });
+    }
+    if (submitButton) {
+      submitButton.textContent = I18n.t(this.editingId ? 'customRoutes.save' : 'customRoutes.add');
+    }
+    if (cancelButton) {
+      cancelButton.classList.toggle('hidden', !this.editingId);
+    }
+  },
+
+  /**
+   * Renderiza a lista de rotas e o formulário
+   * As rotas que substituem uma rota da base entre as mesmas cidades são indicadas
+   */
+  render: function() {
+    const content = document.getElementById('custom-routes-content');
+    const exportButton = document.querySelector('[data-custom-routes-action="export"]');
+
+    if (!content) {
+      return;
+    }
+
+    const defaultKeys = new Set(RoutesDB.routes.map(route => RoutesDB.getRouteKey(route.origin, route.destination)));
+    const routes = RoutesDB.customRoutes.map(route => Object.assign({
+      replacesDefault: defaultKeys.has(RoutesDB.getRouteKey(route.origin, route.destination))
+    }, route));
+
+    content.innerHTML = UI.renderCustomRoutes(routes);
+
+    if (exportButton) {
+      exportButton.disabled = routes.length === 0;
+    }
+
+    this.renderForm();
+  }
+};
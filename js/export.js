@@ -0,0 +1,238 @@
+/**
+ * ResultsExport - Exportação dos Resultados
+ *
+ * Contém métodos para:
+ * - Guardar o último cálculo exibido (entradas, fatores e resultados)
+ * - Gerar o CSV da comparação entre modos
+ * - Gerar o documento JSON completo (entradas, fatores usados e resultados)
+ * - Abrir o relatório otimizado para impressão
+ * - Baixar arquivos gerados no navegador
+ *
+ * Os arquivos são gerados a partir dos dados do cálculo, não do HTML renderizado.
+ */
+
+const ResultsExport = {
+  /**
+   * Último cálculo exibido (ver setCalculation)
+   */
+  calculation: null,
+
+  /**
+   * Inicializa os botões de exportação da seção de resultados
+   */
+  init: function() {
+    const actions = document.getElementById('results-actions');
+
+    if (!actions) {
+      console.error('Ações de exportação não foram encontradas.');
+      return;
+    }
+
+    actions.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-export]');
+      if (!button || !this.calculation) {
+        return;
+      }
+
+      UI.hideNotice('results-notice');
+
+      try {
+        const format = button.dataset.export;
+
+        if (format === 'csv') {
+          this.download(this.getFileName('csv'), this.buildComparisonCSV(this.calculation), 'text/csv;charset=utf-8');
+        } else if (format === 'json') {
+          this.download(this.getFileName('json'), JSON.stringify(this.buildDocument(this.calculation), null, 2), 'application/json');
+        } else if (format === 'print') {
+          this.openReport(this.calculation);
+        }
+      } catch (error) {
+        console.error('Erro ao exportar resultados:', error);
+        UI.showNotice('results-notice', I18n.t('export.error'), true);
+      }
+    });
+  },
+
+  /**
+   * Guarda o cálculo exibido para exportação
+   *
+   * @param {Object} calculation - Objeto contendo:
+   *   - input: dados do formulário (calculationType, legs, roundTrip, options)
+   *   - itinerary: resultado de Calculator.calculateItinerary() ou calculateShipment()
+   *   - comparison: resultado de Calculator.calculateAllModes() ou calculateAllFreightModes()
+   *   - credits: dados de créditos (credits, price e, na carga, perTonne)
+   *   - mode: modo do itinerário ('mixed' se os trechos usam modos diferentes)
+   */
+  setCalculation: function(calculation) {
+    this.calculation = Object.assign({ timestamp: new Date().toISOString() }, calculation);
+  },
+
+  /**
+   * Monta o nome do arquivo exportado com a data do cálculo
+   *
+   * @param {string} extension - Extensão do arquivo (csv ou json)
+   * @returns {string} Nome do arquivo (ex: "emissoes-co2-2025-03-18.csv")
+   */
+  getFileName: function(extension) {
+    return `emissoes-co2-${this.calculation.timestamp.slice(0, 10)}.${extension}`;
+  },
+
+  /**
+   * Formata um valor como célula CSV (entre aspas quando necessário)
+   *
+   * @param {*} value - Valor da célula
+   * @returns {string} Célula formatada
+   */
+  toCSVCell: function(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  },
+
+  /**
+   * Gera o CSV da comparação entre modos
+   *
+   * Passageiros: emissão por passageiro e do veículo, ocupantes, perfil e % vs carro.
+   * Carga: emissão por embarque e por tonelada e % vs caminhão.
+   * Valores numéricos usam ponto como separador decimal.
+   *
+   * @param {Object} calculation - Cálculo guardado por setCalculation()
+   * @returns {string} Conteúdo CSV com cabeçalho
+   */
+  buildComparisonCSV: function(calculation) {
+    const isFreight = calculation.input.calculationType === 'freight';
+    const scope = calculation.itinerary.breakdown.scope;
+
+    const header = isFreight
+      ? ['modo', 'rotulo', 'distancia_km', 'emissao_kg_co2e_embarque', 'emissao_kg_co2e_tonelada', 'percentual_vs_caminhao', 'escopo']
+      : ['modo', 'rotulo', 'distancia_km', 'emissao_kg_co2e_passageiro', 'emissao_kg_co2e_veiculo', 'ocupantes', 'combustivel', 'porte', 'percentual_vs_carro', 'escopo'];
+
+    const rows = calculation.comparison.map(item => {
+      const label = I18n.t(`mode.${item.mode}`);
+
+      return isFreight
+        ? [item.mode, label, calculation.itinerary.totalDistance, item.emission, item.emissionPerTonne, item.percentageVsTruck, scope]
+        : [item.mode, label, calculation.itinerary.totalDistance, item.emission, item.vehicleEmission,
+          Math.round(item.occupants * 100) / 100, item.vehicle.fuel, item.vehicle.size, item.percentageVsCar, scope];
+    });
+
+    return [header].concat(rows)
+      .map(row => row.map(cell => this.toCSVCell(cell)).join(','))
+      .join('\r\n') + '\r\n';
+  },
+
+  /**
+   * Descreve os fatores de emissão usados em cada modo do itinerário
+   *
+   * @param {Object} calculation - Cálculo guardado por setCalculation()
+   * @returns {Object} Fatores por modo: combustível, porte, componentes por gás
+   *                   (kg por km do veículo ou por t·km, da base de fatores do cálculo)
+   *                   e ocupação ou retorno vazio
+   */
+  describeFactors: function(calculation) {
+    const options = calculation.input.options || {};
+    const dataset = EmissionDatasets.get(options.dataset);
+    const isFreight = calculation.input.calculationType === 'freight';
+    const modes = Array.from(new Set(calculation.itinerary.legs.map(leg => leg.mode)));
+    const factors = {};
+
+    modes.forEach(mode => {
+      const modeConfig = CONFIG.TRANSPORT_MODES[mode];
+
+      if (isFreight) {
+        factors[mode] = {
+          label: modeConfig.label,
+          unit: 'kg/t·km',
+          fuel: modeConfig.freight.fuel,
+          components: Calculator.getFactorComponents(dataset.freightFactors[mode], modeConfig.freight.fuel, dataset.id),
+          emptyRunRatio: modeConfig.freight.emptyRunRatio
+        };
+        return;
+      }
+
+      const vehicle = Calculator.resolveVehicleProfile(mode, options.vehicles, dataset.id);
+      factors[mode] = {
+        label: modeConfig.label,
+        unit: 'kg/km por veículo',
+        fuel: vehicle.fuel,
+        size: vehicle.size,
+        components: Calculator.getFactorComponents(dataset.vehicleFactors[mode][vehicle.fuel][vehicle.size], vehicle.fuel, dataset.id),
+        occupants: Calculator.getOccupants(mode, options.occupancy)
+      };
+    });
+
+    return factors;
+  },
+
+  /**
+   * Gera o documento JSON completo do cálculo
+   *
+   * @param {Object} calculation - Cálculo guardado por setCalculation()
+   * @returns {Object} Documento com generatedAt, input, factors (base de fatores com a
+   *                   sua fonte, escopo, GWP e fatores por modo) e outputs (itinerário,
+   *                   comparação e créditos)
+   */
+  buildDocument: function(calculation) {
+    const scope = calculation.itinerary.breakdown.scope;
+
+    return {
+      generatedAt: calculation.timestamp,
+      input: calculation.input,
+      factors: {
+        dataset: EmissionDatasets.describe(calculation.input.options && calculation.input.options.dataset),
+        scope: scope,
+        scopeLabel: CONFIG.EMISSION_SCOPES[scope].label,
+        gwp: CONFIG.GHG.GWP,
+        gwpSource: CONFIG.GHG.GWP_SOURCE,
+        kgPerCredit: CONFIG.CARBON_CREDIT.KG_PER_CREDIT,
+        creditPriceRange: CONFIG.CARBON_CREDIT.PRICE_RANGE,
+        modes: this.describeFactors(calculation)
+      },
+      outputs: {
+        mode: calculation.mode,
+        itinerary: calculation.itinerary,
+        comparison: calculation.comparison,
+        credits: calculation.credits
+      }
+    };
+  },
+
+  /**
+   * Abre o relatório do cálculo em uma nova janela e inicia a impressão
+   *
+   * @param {Object} calculation - Cálculo guardado por setCalculation()
+   */
+  openReport: function(calculation) {
+    const reportWindow = window.open('', '_blank');
+
+    if (!reportWindow) {
+      UI.showNotice('results-notice', I18n.t('export.popupBlocked'), true);
+      return;
+    }
+
+    reportWindow.document.open();
+    reportWindow.document.write(UI.renderReport(calculation));
+    reportWindow.document.close();
+    reportWindow.focus();
+  },
+
+  /**
+   * Baixa um conteúdo como arquivo
+   *
+   * @param {string} fileName - Nome do arquivo
+   * @param {string} content - Conteúdo do arquivo
+   * @param {string} mimeType - Tipo do conteúdo
+   */
+  download: function(fileName, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+};
@@ -0,0 +1,312 @@
+/**
+ * TripHistory - Histórico de Cálculos
+ *
+ * Contém métodos para:
+ * - Salvar cada cálculo no armazenamento do navegador (localStorage)
+ * - Filtrar o histórico por período e modo de transporte
+ * - Somar emissões, economia e créditos das entradas
+ * - Renderizar o painel de histórico e tratar as ações de reabrir e excluir
+ *
+ * Cada entrada guarda os dados do formulário (input), para que o cálculo possa
+ * ser reaberto, e os resultados principais, usados na lista e nos totais.
+ */
+
+const TripHistory = {
+  /**
+   * Função chamada ao reabrir uma entrada (recebe os dados do formulário da entrada)
+   */
+  onReopen: null,
+
+  /**
+   * Inicializa o painel de histórico
+   *
+   * Processo:
+   * 1. Popula o filtro de modos a partir de CONFIG.TRANSPORT_MODES
+   * 2. Configura os filtros de período e modo
+   * 3. Configura as ações de reabrir e excluir via delegação de eventos
+   * 4. Renderiza as entradas salvas
+   *
+   * @param {Function} onReopen - Função que restaura o formulário a partir de entry.input
+   */
+  init: function(onReopen) {
+    const panel = document.getElementById('history');
+    const modeFilter = document.getElementById('history-mode');
+
+    if (!panel || !modeFilter) {
+      console.error('Elementos do histórico não foram encontrados.');
+      return;
+    }
+
+    this.onReopen = onReopen;
+
+    // Opções do filtro de modo
+    modeFilter.innerHTML = UI.renderHistoryModeOptions();
+
+    // Atualiza a lista ao alterar qualquer filtro
+    panel.querySelectorAll('[data-history-filter]').forEach(input => {
+      input.addEventListener('change', () => this.render());
+    });
+
+    // Reabre ou exclui entradas via delegação de eventos
+    panel.addEventListener('click', (e) => {
+      const actionButton = e.target.closest('[data-history-action]');
+      if (!actionButton) {
+        return;
+      }
+
+      const entryId = actionButton.dataset.entryId;
+
+      if (actionButton.dataset.historyAction === 'reopen') {
+        this.reopen(entryId);
+      } else if (actionButton.dataset.historyAction === 'delete') {
+        this.remove(entryId);
+        this.render();
+      }
+    });
+
+    this.render();
+
+    console.log(`Histórico carregado com ${this.load().length} cálculo(s).`);
+  },
+
+  /**
+   * Lê as entradas salvas no navegador
+   * Entradas malformadas (ver isValidEntry) são ignoradas, para que uma entrada
+   * corrompida não impeça a exibição das demais
+   *
+   * @returns {Array<Object>} Entradas do histórico (mais recentes primeiro);
+   *                          vazio se o armazenamento não estiver disponível
+   */
+  load: function() {
+    try {
+      const stored = localStorage.getItem(CONFIG.HISTORY.STORAGE_KEY);
+      const entries = stored ? JSON.parse(stored) : [];
+
+      if (!Array.isArray(entries)) {
+        return [];
+      }
+
+      const valid = entries.filter(entry => this.isValidEntry(entry));
+      if (valid.length < entries.length) {
+        console.warn(`Histórico: ${entries.length - valid.length} entrada(s) inválida(s) ignorada(s).`);
+      }
+
+      return valid;
+    } catch (error) {
+      console.error('Erro ao ler o histórico:', error);
+      return [];
+    }
+  },
+
+  /**
+   * Verifica se uma entrada salva tem os campos usados na lista, nos totais e ao
+   * reabrir o cálculo
+   *
+   * @param {Object} entry - Entrada lida do localStorage
+   * @returns {boolean} true se a entrada é válida
+   */
+  isValidEntry: function(entry) {
+    const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+    const isCity = value => typeof value === 'string' && CONFIG.PERMALINK.CITY_PATTERN.test(value);
+
+    if (!entry || typeof entry !== 'object' || typeof entry.id !== 'string' || isNaN(Date.parse(entry.timestamp))) {
+      return false;
+    }
+
+    if (entry.mode !== 'mixed' && !CONFIG.TRANSPORT_MODES.hasOwnProperty(entry.mode)) {
+      return false;
+    }
+
+    if (![entry.distance, entry.emission, entry.savedKg, entry.credits].every(isNumber)) {
+      return false;
+    }
+
+    const input = entry.input;
+    if (!input || !['passenger', 'freight', undefined].includes(input.calculationType)) {
+      return false;
+    }
+
+    return Array.isArray(input.legs) && input.legs.length > 0 &&
+      input.legs.every(leg => leg && isCity(leg.origin) && isCity(leg.destination));
+  },
+
+  /**
+   * Salva as entradas no navegador
+   *
+   * @param {Array<Object>} entries - Entradas do histórico
+   * @returns {boolean} true se as entradas foram salvas
+   */
+  save: function(entries) {
+    try {
+      localStorage.setItem(CONFIG.HISTORY.STORAGE_KEY, JSON.stringify(entries));
+      return true;
+    } catch (error) {
+      console.error('Erro ao salvar o histórico:', error);
+      return false;
+    }
+  },
+
+  /**
+   * Adiciona um cálculo ao início do histórico
+   * Mantém no máximo CONFIG.HISTORY.MAX_ENTRIES entradas (descarta as mais antigas)
+   *
+   * @param {Object} record - Dados do cálculo:
+   *   - input: dados do formulário (calculationType, legs, roundTrip, options)
+   *   - origin, destination: cidades de origem e destino do itinerário
+   *   - mode: modo de transporte ('mixed' se os trechos usam modos diferentes)
+   *   - modes: modos usados nos trechos
+   *   - distance: distância total em km
+   *   - emission: emissão em kg CO2e (por passageiro ou por embarque)
+   *   - scope: escopo de emissão aplicado
+   *   - dataset: base de fatores usada (id e version)
+   *   - savedKg: economia em kg CO2e vs baseline
+   *   - credits: créditos de carbono necessários
+   *   - price: preço médio estimado dos créditos
+   *   - currency: moeda do preço (ex: "BRL")
+   * @returns {Object} Entrada salva, com id e timestamp
+   */
+  add: function(record) {
+    const entry = Object.assign({
+      id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+      timestamp: new Date().toISOString()
+    }, record);
+
+    const entries = [entry].concat(this.load()).slice(0, CONFIG.HISTORY.MAX_ENTRIES);
+    this.save(entries);
+
+    return entry;
+  },
+
+  /**
+   * Exclui uma entrada do histórico
+   *
+   * @param {string} id - Identificador da entrada
+   */
+  remove: function(id) {
+    this.save(this.load().filter(entry => entry.id !== id));
+  },
+
+  /**
+   * Reabre uma entrada no formulário
+   *
+   * @param {string} id - Identificador da entrada
+   */
+  reopen: function(id) {
+    const entry = this.load().find(item => item.id === id);
+
+    if (!entry || typeof this.onReopen !== 'function') {
+      return;
+    }
+
+    this.onReopen(entry.input);
+    UI.scrollToElement('calculator-form');
+  },
+
+  /**
+   * Converte um timestamp ISO na data local no formato YYYY-MM-DD
+   * (mesmo formato dos campos de data dos filtros)
+   *
+   * @param {string} timestamp - Data e hora em ISO 8601
+   * @returns {string} Data local (ex: "2025-03-18")
+   */
+  toDateKey: function(timestamp) {
+    const date = new Date(timestamp);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+
+    return `${date.getFullYear()}-${month}-${day}`;
+  },
+
+  /**
+   * Filtra as entradas por período e modo de transporte
+   *
+   * @param {Array<Object>} entries - Entradas do histórico
+   * @param {Object} filters - Filtros (todos opcionais):
+   *   - from: data inicial (YYYY-MM-DD, inclusive)
+   *   - to: data final (YYYY-MM-DD, inclusive)
+   *   - mode: modo de transporte usado em algum trecho
+   * @returns {Array<Object>} Entradas que atendem aos filtros
+   */
+  filter: function(entries, filters = {}) {
+    return entries.filter(entry => {
+      const dateKey = this.toDateKey(entry.timestamp);
+
+      if (filters.from && dateKey < filters.from) {
+        return false;
+      }
+
+      if (filters.to && dateKey > filters.to) {
+        return false;
+      }
+
+      if (filters.mode && !(entry.modes || [entry.mode]).includes(filters.mode)) {
+        return false;
+      }
+
+      return true;
+    });
+  },
+
+  /**
+   * Soma emissões, economia e créditos das entradas
+   *
+   * As emissões de passageiros (por passageiro) e de carga (por embarque) estão
+   * em unidades diferentes e são somadas separadamente.
+   *
+   * @param {Array<Object>} entries - Entradas do histórico
+   * @returns {Object} Objeto com count e os totais de passenger e freight, cada um
+   *                   com count, emission, savedKg, credits e price (price de
+   *                   Calculator.estimateCreditPrice sobre os créditos somados)
+   */
+  getTotals: function(entries) {
+    const sumEntries = (items) => {
+      const emission = items.reduce((sum, entry) => sum + entry.emission, 0);
+      const savedKg = items.reduce((sum, entry) => sum + entry.savedKg, 0);
+      const credits = items.reduce((sum, entry) => sum + entry.credits, 0);
+
+      return {
+        count: items.length,
+        emission: Math.round(emission * 100) / 100,
+        savedKg: Math.round(savedKg * 100) / 100,
+        credits: Math.round(credits * 10000) / 10000,
+        price: Calculator.estimateCreditPrice(credits, Currency.getPricing())
+      };
+    };
+    const isFreight = entry => entry.input.calculationType === 'freight';
+
+    return {
+      count: entries.length,
+      passenger: sumEntries(entries.filter(entry => !isFreight(entry))),
+      freight: sumEntries(entries.filter(isFreight))
+    };
+  },
+
+  /**
+   * Lê os valores dos filtros do painel
+   *
+   * @returns {Object} Objeto com from, to e mode (vazios quando não preenchidos)
+   */
+  getFilters: function() {
+    const filters = {};
+
+    document.querySelectorAll('#history [data-history-filter]').forEach(input => {
+      filters[input.dataset.historyFilter] = input.value;
+    });
+
+    return filters;
+  },
+
+  /**
+   * Renderiza a lista de entradas filtradas e os totais no painel
+   */
+  render: function() {
+    const content = document.getElementById('history-content');
+
+    if (!content) {
+      return;
+    }
+
+    const entries = this.filter(this.load(), this.getFilters());
+    content.innerHTML = UI.renderHistory(entries, this.getTotals(entries));
+  }
+};
@@ -0,0 +1,226 @@
+/**
+ * I18n - Idioma da Interface
+ *
+ * Contém métodos para:
+ * - Escolher o idioma inicial (salvo no navegador, idioma do navegador ou português)
+ * - Traduzir textos do catálogo TRANSLATIONS, com substituição de valores
+ * - Traduzir os textos fixos da página (atributos data-i18n e data-i18n-placeholder)
+ * - Trocar e salvar o idioma escolhido no seletor de idioma
+ *
+ * Chaves ausentes no idioma escolhido usam o texto em português
+ * (CONFIG.I18N.DEFAULT_LOCALE).
+ */
+
+const I18n = {
+  /**
+   * Idioma atual (chave de CONFIG.I18N.LOCALES)
+   */
+  locale: CONFIG.I18N.DEFAULT_LOCALE,
+
+  /**
+   * Catálogo do idioma de referência (ver getDefaultMessages)
+   */
+  defaultMessages: null,
+
+  /**
+   * Função chamada após a troca de idioma (recebe o novo idioma)
+   */
+  onChange: null,
+
+  /**
+   * Inicializa o idioma da interface
+   *
+   * Processo:
+   * 1. Define o idioma inicial
+   * 2. Popula o seletor de idioma a partir de CONFIG.I18N.LOCALES
+   * 3. Traduz os textos fixos da página
+   *
+   * @param {Function} onChange - Função que atualiza os conteúdos gerados pela aplicação
+   */
+  init: function(onChange) {
+    const select = document.getElementById('language-select');
+
+    this.onChange = onChange;
+    this.locale = this.getInitialLocale();
+
+    if (select) {
+      select.innerHTML = Object.keys(CONFIG.I18N.LOCALES).map(locale => `
+        <option value="${locale}" ${locale === this.locale ? 'selected' : ''}>${CONFIG.I18N.LOCALES[locale].label}</option>
+      `).join('');
+
+      select.addEventListener('change', () => this.setLocale(select.value));
+    } else {
+      console.error('Seletor de idioma não foi encontrado.');
+    }
+
+    this.translatePage();
+
+    console.log(`Idioma da interface: ${this.locale}`);
+  },
+
+  /**
+   * Define o idioma inicial: o salvo no navegador, o idioma do navegador
+   * (se disponível) ou o idioma de referência
+   *
+   * @returns {string} Chave de CONFIG.I18N.LOCALES
+   */
+  getInitialLocale: function() {
+    let stored = null;
+
+    try {
+      stored = localStorage.getItem(CONFIG.I18N.STORAGE_KEY);
+    } catch (error) {
+      console.error('Erro ao ler o idioma salvo:', error);
+    }
+
+    if (stored && CONFIG.I18N.LOCALES.hasOwnProperty(stored)) {
+      return stored;
+    }
+
+    const browserLocale = (navigator.language || '').slice(0, 2).toLowerCase();
+    if (CONFIG.I18N.LOCALES.hasOwnProperty(browserLocale)) {
+      return browserLocale;
+    }
+
+    return CONFIG.I18N.DEFAULT_LOCALE;
+  },
+
+  /**
+   * Troca o idioma da interface e salva a escolha no navegador
+   *
+   * @param {string} locale - Chave de CONFIG.I18N.LOCALES
+   */
+  setLocale: function(locale) {
+    if (!CONFIG.I18N.LOCALES.hasOwnProperty(locale) || locale === this.locale) {
+      return;
+    }
+
+    this.locale = locale;
+
+    try {
+      localStorage.setItem(CONFIG.I18N.STORAGE_KEY, locale);
+    } catch (error) {
+      console.error('Erro ao salvar o idioma:', error);
+    }
+
+    this.translatePage();
+
+    if (typeof this.onChange === 'function') {
+      this.onChange(locale);
+    }
+
+    console.log(`🌐 Idioma alterado para ${locale}`);
+  },
+
+  /**
+   * Retorna o locale usado na formatação de números, moeda e datas
+   *
+   * @returns {string} Locale do Intl (ex: "pt-BR")
+   */
+  getIntlLocale: function() {
+    return CONFIG.I18N.LOCALES[this.locale].intl;
+  },
+
+  /**
+   * Monta as chaves dos rótulos definidos em CONFIG (em português)
+   *
+   * @returns {Object} Textos de modos (mode.*), ocupação (occupancy.*), combustíveis
+   *                   (fuel.*), portes (size.*), escopos (scope.*), referência do GWP,
+   *                   tipos (projectType.*) e nomes (project.*) dos projetos de compensação
+   *                   e equivalências (equivalence.* e equivalence.*.short)
+   */
+  getConfigMessages: function() {
+    const messages = {
+      'ghg.gwpSource': CONFIG.GHG.GWP_SOURCE
+    };
+
+    Object.keys(CONFIG.TRANSPORT_MODES).forEach(mode => {
+      const modeConfig = CONFIG.TRANSPORT_MODES[mode];
+
+      messages[`mode.${mode}`] = modeConfig.label;
+      if (modeConfig.occupancy) {
+        messages[`occupancy.${mode}`] = modeConfig.occupancy.label;
+      }
+    });
+
+    Object.keys(CONFIG.FUEL_TYPES).forEach(fuel => {
+      messages[`fuel.${fuel}`] = CONFIG.FUEL_TYPES[fuel];
+    });
+
+    Object.keys(CONFIG.VEHICLE_SIZES).forEach(size => {
+      messages[`size.${size}`] = CONFIG.VEHICLE_SIZES[size];
+    });
+
+    Object.keys(CONFIG.EMISSION_SCOPES).forEach(scope => {
+      messages[`scope.${scope}.label`] = CONFIG.EMISSION_SCOPES[scope].label;
+      messages[`scope.${scope}.description`] = CONFIG.EMISSION_SCOPES[scope].description;
+    });
+
+    Object.keys(CONFIG.CARBON_CREDIT.PROJECT_TYPES).forEach(type => {
+      messages[`projectType.${type}`] = CONFIG.CARBON_CREDIT.PROJECT_TYPES[type];
+    });
+
+    Object.keys(CONFIG.CARBON_CREDIT.PROJECTS).forEach(project => {
+      messages[`project.${project}`] = CONFIG.CARBON_CREDIT.PROJECTS[project].name;
+    });
+
+    Object.keys(CONFIG.EQUIVALENCES).forEach(key => {
+      messages[`equivalence.${key}`] = CONFIG.EQUIVALENCES[key].label;
+      messages[`equivalence.${key}.short`] = CONFIG.EQUIVALENCES[key].shortLabel;
+    });
+
+    return messages;
+  },
+
+  /**
+   * Retorna o catálogo do idioma de referência (rótulos de CONFIG + TRANSLATIONS)
+   *
+   * @returns {Object} Textos em português por chave
+   */
+  getDefaultMessages: function() {
+    if (!this.defaultMessages) {
+      this.defaultMessages = Object.assign(this.getConfigMessages(), TRANSLATIONS[CONFIG.I18N.DEFAULT_LOCALE]);
+    }
+
+    return this.defaultMessages;
+  },
+
+  /**
+   * Traduz um texto para o idioma atual
+   *
+   * @param {string} key - Chave do texto (ex: "leg.origin")
+   * @param {Object} params - Valores substituídos no texto (ex: { value: '12,5' })
+   * @returns {string} Texto traduzido; em português se a chave não existir no idioma
+   *                   atual, ou a própria chave se não existir no catálogo
+   */
+  t: function(key, params = {}) {
+    const messages = TRANSLATIONS[this.locale] || {};
+    let message = messages.hasOwnProperty(key) ? messages[key] : this.getDefaultMessages()[key];
+
+    if (message === undefined) {
+      console.warn(`Texto sem tradução: ${key}`);
+      message = key;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (match, name) => {
+      return params.hasOwnProperty(name) ? params[name] : match;
+    });
+  },
+
+  /**
+   * Traduz os textos fixos da página
+   * - data-i18n: conteúdo de texto do elemento
+   * - data-i18n-placeholder: placeholder do campo
+   */
+  translatePage: function() {
+    document.documentElement.lang = this.getIntlLocale();
+
+    document.querySelectorAll('[data-i18n]').forEach(element => {
+      element.textContent = this.t(element.dataset.i18n);
+    });
+
+    document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+      element.placeholder = this.t(element.dataset.i18nPlaceholder);
+    });
+  }
+};
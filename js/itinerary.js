@@ -0,0 +1,218 @@
+/**
+ * Itinerary - Gerenciamento dos Trechos do Itinerário
+ *
+ * Contém métodos para:
+ * - Adicionar e remover trechos no formulário
+ * - Trocar os modos de transporte entre cálculo de passageiros e de carga
+ * - Numerar os trechos na ordem em que aparecem
+ * - Ler os valores de todos os trechos para o cálculo
+ * - Substituir todos os trechos (ex: ao reabrir um cálculo do histórico)
+ *
+ * Cada trecho possui sua própria origem, destino, distância e modo de transporte.
+ * Os campos de cada trecho são identificados pelo atributo data-field.
+ */
+
+const Itinerary = {
+  /**
+   * Próximo identificador único de trecho (usado nos ids dos campos)
+   */
+  nextLegId: 1,
+
+  /**
+   * Tipo de cálculo atual ('passenger' ou 'freight'), define os modos de cada trecho
+   */
+  modeKind: 'passenger',
+
+  /**
+   * Inicializa o itinerário
+   *
+   * Processo:
+   * 1. Obtém o container de trechos e o botão de adicionar
+   * 2. Cria o primeiro trecho
+   * 3. Configura os listeners de adicionar e remover trechos
+   */
+  init: function() {
+    const legsList = document.getElementById('legs-list');
+    const addButton = document.getElementById('add-leg');
+
+    if (!legsList || !addButton) {
+      console.error('Elementos do itinerário não foram encontrados.');
+      return;
+    }
+
+    // Cria o primeiro trecho
+    this.addLeg();
+
+    // Adiciona novo trecho ao clicar no botão
+    addButton.addEventListener('click', () => {
+      this.addLeg();
+    });
+
+    // Remove trecho via delegação de eventos
+    legsList.addEventListener('click', (e) => {
+      const removeButton = e.target.closest('[data-action="remove-leg"]');
+      if (removeButton) {
+        this.removeLeg(removeButton.closest('.calculator__leg'));
+      }
+    });
+
+    console.log('Itinerário configurado.');
+  },
+
+  /**
+   * Adiciona um novo trecho ao final do itinerário
+   * A origem do novo trecho é preenchida com o destino do trecho anterior
+   *
+   * @param {Object} values - Valores iniciais do trecho (opcional):
+   *   - origin, destination, mode
+   * @returns {HTMLElement} Elemento do trecho criado
+   */
+  addLeg: function(values = {}) {
+    const legsList = document.getElementById('legs-list');
+    const legId = this.nextLegId++;
+
+    // Encadeia o trecho: origem = destino do trecho anterior
+    const legValues = Object.assign({}, values);
+    if (!legValues.origin) {
+      const previousLegs = this.getLegElements();
+      if (previousLegs.length > 0) {
+        const lastLeg = previousLegs[previousLegs.length - 1];
+        legValues.origin = lastLeg.querySelector('[data-field="destination"]').value.trim();
+      }
+    }
+
+    const legElement = document.createElement('div');
+    legElement.className = 'calculator__leg';
+    legElement.dataset.legId = legId;
+    legElement.innerHTML = UI.renderLeg(legId, legValues, this.modeKind);
+    legsList.appendChild(legElement);
+
+    // Configura o preenchimento automático de distância do trecho
+    CONFIG.setupDistanceAutofill(legElement);
+
+    this.updateLegNumbers();
+
+    return legElement;
+  },
+
+  /**
+   * Remove um trecho do itinerário
+   * O itinerário sempre mantém pelo menos um trecho
+   *
+   * @param {HTMLElement} legElement - Elemento do trecho a ser removido
+   */
+  removeLeg: function(legElement) {
+    if (!legElement || this.getLegElements().length <= 1) {
+      return;
+    }
+
+    legElement.remove();
+    this.updateLegNumbers();
+  },
+
+  /**
+   * Substitui todos os trechos do itinerário pelos trechos informados
+   * 
+   * Trechos com distância manual marcam a opção de inserção manual e recebem a
+   * distância informada (em km, exibida na unidade atual); os demais usam o
+   * preenchimento automático.
+   * 
+   * @param {Array<Object>} legs - Trechos com origin, destination, mode e, opcionalmente,
+   *                               distance e manualDistance
+   */
+  setLegs: function(legs) {
+    this.getLegElements().forEach(legElement => legElement.remove());
+
+    legs.forEach(leg => {
+      const legElement = this.addLeg({
+        origin: leg.origin,
+        destination: leg.destination,
+        mode: leg.mode
+      });
+
+      if (leg.manualDistance) {
+        const manualCheckbox = legElement.querySelector('[data-field="manual-distance"]');
+        manualCheckbox.checked = true;
+        manualCheckbox.dispatchEvent(new Event('change'));
+        Units.writeInputDistance(legElement.querySelector('[data-field="distance"]'), leg.distance);
+      }
+    });
+
+    // O itinerário sempre mantém pelo menos um trecho
+    if (legs.length === 0) {
+      this.addLeg();
+    }
+  },
+
+  /**
+   * Troca o tipo de cálculo e atualiza os modos de transporte de todos os trechos
+   * Mantém o modo selecionado de cada trecho quando ele existe no novo tipo
+   *
+   * @param {string} kind - 'passenger' ou 'freight'
+   */
+  setModeKind: function(kind) {
+    this.modeKind = kind;
+
+    this.getLegElements().forEach(legElement => {
+      const legId = legElement.dataset.legId;
+      const checkedMode = legElement.querySelector('[data-field="mode"]:checked');
+      const grid = legElement.querySelector('.calculator__transport-grid');
+
+      grid.innerHTML = UI.renderTransportOptions(legId, kind, checkedMode ? checkedMode.value : null);
+
+      // Notifica a troca de modo (atualiza distâncias estimadas pelo fator de circuito)
+      legElement.querySelector('[data-field="mode"]:checked')
+        .dispatchEvent(new Event('change', { bubbles: true }));
+    });
+  },
+
+  /**
+   * Atualiza a numeração dos trechos e o estado dos botões de remover
+   */
+  updateLegNumbers: function() {
+    const legElements = this.getLegElements();
+
+    legElements.forEach((legElement, index) => {
+      legElement.querySelector('.calculator__leg-number').textContent = index + 1;
+      legElement.querySelector('[data-action="remove-leg"]').disabled = legElements.length <= 1;
+    });
+  },
+
+  /**
+   * Retorna os elementos de todos os trechos, na ordem do itinerário
+   *
+   * @returns {Array<HTMLElement>} Elementos dos trechos
+   */
+  getLegElements: function() {
+    return Array.from(document.querySelectorAll('#legs-list .calculator__leg'));
+  },
+
+  /**
+   * Lê os valores de todos os trechos do formulário
+   *
+   * @returns {Array<Object>} Array de objetos contendo:
+   *   - element: elemento do trecho (para foco em validação)
+   *   - origin: cidade de origem
+   *   - destination: cidade de destino
+   *   - distance: distância em km, convertida da unidade exibida (NaN se não preenchida)
+   *   - estimated: true se a distância foi estimada pelas coordenadas
+   *   - manualDistance: true se a distância foi informada manualmente
+   *   - mode: modo de transporte selecionado (null se nenhum)
+   */
+  getLegs: function() {
+    return this.getLegElements().map(legElement => {
+      const checkedMode = legElement.querySelector('[data-field="mode"]:checked');
+      const distanceInput = legElement.querySelector('[data-field="distance"]');
+
+      return {
+        element: legElement,
+        origin: legElement.querySelector('[data-field="origin"]').value.trim(),
+        destination: legElement.querySelector('[data-field="destination"]').value.trim(),
+        distance: Units.readInputDistance(distanceInput),
+        estimated: distanceInput.dataset.estimated === 'true',
+        manualDistance: legElement.querySelector('[data-field="manual-distance"]').checked,
+        mode: checkedMode ? checkedMode.value : null
+      };
+    });
+  }
+};
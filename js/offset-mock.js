@@ -0,0 +1,216 @@
+/**
+ * MockOffsetProvider - Fornecedor Local de Compensação (Simulado)
+ *
+ * Implementa a interface de fornecedores do checkout (ver Offset) sem nenhum
+ * marketplace real, para desenvolver e testar o fluxo de compensação:
+ * - quote(): cotação com o preço médio estimado por Calculator.estimateCreditPrice
+ *   (com o intervalo de preço do projeto escolhido, se houver)
+ * - purchase(): cria um pedido pendente a partir de uma cotação válida
+ * - getStatus(): confirma o pedido após CONFIG.OFFSET.MOCK.CONFIRMATION_MS
+ *   e emite um certificado fictício
+ *
+ * As respostas chegam com a latência de CONFIG.OFFSET.MOCK.LATENCY_MS e os
+ * pedidos ficam salvos no localStorage.
+ */
+
+const MockOffsetProvider = {
+  /**
+   * Chave do fornecedor (ver CONFIG.OFFSET.PROVIDER)
+   */
+  id: 'mock',
+
+  /**
+   * Nome exibido no checkout
+   */
+  label: 'Marketplace local (simulado)',
+
+  /**
+   * Cotações emitidas, por id (válidas até expiresAt)
+   */
+  quotes: {},
+
+  /**
+   * Resolve um valor após a latência simulada
+   *
+   * @param {Function} callback - Função que gera a resposta (pode lançar um erro)
+   * @returns {Promise} Promise com o retorno do callback (rejeitada se ele lançar um erro)
+   */
+  respond: function(callback) {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        try {
+          resolve(callback());
+        } catch (error) {
+          reject(error);
+        }
+      }, CONFIG.OFFSET.MOCK.LATENCY_MS);
+    });
+  },
+
+  /**
+   * Cria um erro do fornecedor
+   *
+   * @param {string} code - Código do erro (invalid_request, quote_expired ou not_found)
+   * @param {string} message - Descrição do erro
+   * @returns {Error} Erro com a propriedade code
+   */
+  createError: function(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  },
+
+  /**
+   * Gera um identificador único com prefixo
+   *
+   * @param {string} prefix - Prefixo do identificador (ex: "Q", "PED")
+   * @returns {string} Identificador (ex: "PED-LQ3K2F9A1B")
+   */
+  createId: function(prefix) {
+    return `${prefix}-${(Date.now().toString(36) + Math.random().toString(36).slice(2, 6)).toUpperCase()}`;
+  },
+
+  /**
+   * Carrega os pedidos salvos no navegador
+   *
+   * @returns {Object} Pedidos por id (objeto vazio se não houver pedidos ou se estiverem corrompidos)
+   */
+  loadOrders: function() {
+    try {
+      const stored = localStorage.getItem(CONFIG.OFFSET.MOCK.STORAGE_KEY);
+      const orders = stored ? JSON.parse(stored) : {};
+      return orders && typeof orders === 'object' && !Array.isArray(orders) ? orders : {};
+    } catch (error) {
+      console.error('Erro ao carregar os pedidos de compensação:', error);
+      return {};
+    }
+  },
+
+  /**
+   * Salva os pedidos no navegador
+   *
+   * @param {Object} orders - Pedidos por id
+   */
+  saveOrders: function(orders) {
+    try {
+      localStorage.setItem(CONFIG.OFFSET.MOCK.STORAGE_KEY, JSON.stringify(orders));
+    } catch (error) {
+      console.error('Erro ao salvar os pedidos de compensação:', error);
+    }
+  },
+
+  /**
+   * Cota a compra de créditos de carbono
+   *
+   * @param {Object} request - Objeto contendo:
+   *   - credits: quantidade de créditos (de Calculator.calculateCarbonCredits)
+   *   - currency: moeda da cotação
+   *   - exchangeRates: tabela de câmbio (ver Currency.getPricing)
+   *   - project: chave de CONFIG.CARBON_CREDIT.PROJECTS (null para o crédito genérico)
+   *   - priceRange: intervalo de preço do projeto (null para o intervalo padrão)
+   * @returns {Promise<Object>} Cotação com id, provider, credits, project, unitPrice,
+   *                            total, currency, exchangeRate, createdAt e expiresAt
+   */
+  quote: function(request) {
+    return this.respond(() => {
+      if (!(request.credits > 0)) {
+        throw this.createError('invalid_request', 'A quantidade de créditos deve ser maior que zero.');
+      }
+
+      const pricing = {
+        currency: request.currency,
+        exchangeRates: request.exchangeRates,
+        priceRange: request.priceRange || undefined
+      };
+      const price = Calculator.estimateCreditPrice(request.credits, pricing);
+      const now = Date.now();
+
+      const quote = {
+        id: this.createId('Q'),
+        provider: this.id,
+        credits: request.credits,
+        project: request.project || null,
+        unitPrice: Calculator.estimateCreditPrice(1, pricing).average,
+        total: price.average,
+        currency: price.currency,
+        exchangeRate: price.exchangeRate,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + CONFIG.OFFSET.MOCK.QUOTE_TTL_MINUTES * 60000).toISOString()
+      };
+
+      this.quotes[quote.id] = quote;
+      return quote;
+    });
+  },
+
+  /**
+   * Compra os créditos de uma cotação
+   *
+   * @param {string} quoteId - Id da cotação (de quote)
+   * @param {Object} buyer - Comprador (name e email)
+   * @returns {Promise<Object>} Pedido com id, quoteId, provider, credits, project, total, currency,
+   *                            buyer, status ('pending'), createdAt, confirmedAt e certificate
+   */
+  purchase: function(quoteId, buyer) {
+    return this.respond(() => {
+      const quote = this.quotes[quoteId];
+
+      if (!quote) {
+        throw this.createError('not_found', `Cotação não encontrada: ${quoteId}`);
+      }
+      if (new Date(quote.expiresAt).getTime() < Date.now()) {
+        delete this.quotes[quoteId];
+        throw this.createError('quote_expired', `Cotação expirada: ${quoteId}`);
+      }
+
+      const order = {
+        id: this.createId('PED'),
+        quoteId: quote.id,
+        provider: this.id,
+        credits: quote.credits,
+        project: quote.project,
+        total: quote.total,
+        currency: quote.currency,
+        buyer: { name: buyer.name, email: buyer.email },
+        status: 'pending',
+        createdAt: new Date().toISOString(),
+        confirmedAt: null,
+        certificate: null
+      };
+
+      const orders = this.loadOrders();
+      orders[order.id] = order;
+      this.saveOrders(orders);
+      delete this.quotes[quoteId];
+
+      return order;
+    });
+  },
+
+  /**
+   * Consulta o status de um pedido
+   * Pedidos pendentes são confirmados após CONFIG.OFFSET.MOCK.CONFIRMATION_MS
+   *
+   * @param {string} orderId - Id do pedido (de purchase)
+   * @returns {Promise<Object>} Pedido atualizado (status 'pending' ou 'confirmed')
+   */
+  getStatus: function(orderId) {
+    return this.respond(() => {
+      const orders = this.loadOrders();
+      const order = orders[orderId];
+
+      if (!order) {
+        throw this.createError('not_found', `Pedido não encontrado: ${orderId}`);
+      }
+
+      if (order.status === 'pending' && Date.now() - new Date(order.createdAt).getTime() >= CONFIG.OFFSET.MOCK.CONFIRMATION_MS) {
+        order.status = 'confirmed';
+        order.confirmedAt = new Date().toISOString();
+        order.certificate = this.createId('CERT');
+        this.saveOrders(orders);
+      }
+
+      return order;
+    });
+  }
+};
@@ -0,0 +1,294 @@
+/**
+ * Offset - Checkout de Compensação de Emissões
+ *
+ * Contém métodos para:
+ * - Registrar fornecedores de compensação (adaptadores de marketplaces)
+ * - Abrir o checkout com os créditos do cálculo exibido (e, opcionalmente, um
+ *   projeto do catálogo CONFIG.CARBON_CREDIT.PROJECTS)
+ * - Cotar, comprar e acompanhar o status do pedido no fornecedor escolhido
+ *   (CONFIG.OFFSET.PROVIDER)
+ *
+ * Interface de um fornecedor (ver MockOffsetProvider):
+ * - id e label: chave e nome exibido
+ * - quote({ credits, currency, exchangeRates, project, priceRange }): Promise com a
+ *   cotação (id, credits, project, unitPrice, total, currency, exchangeRate e expiresAt).
+ *   project e priceRange (do catálogo) são null sem um projeto escolhido
+ * - purchase(quoteId, { name, email }): Promise com o pedido
+ *   (id, credits, project, total, currency e status 'pending' ou 'confirmed')
+ * - getStatus(orderId): Promise com o pedido atualizado (e certificate, se confirmado)
+ * Erros rejeitam a Promise com um Error; a propriedade code (ex: 'quote_expired')
+ * escolhe a mensagem exibida.
+ *
+ * Etapas do checkout (state.step): loading (cotando), review (cotação e dados
+ * do comprador), processing (comprando), confirmed (pedido feito) e error.
+ */
+
+const Offset = {
+  /**
+   * Fornecedores registrados, por id
+   */
+  providers: {},
+
+  /**
+   * Estado do checkout aberto (null se fechado)
+   */
+  state: null,
+
+  /**
+   * Timer da próxima consulta de status de um pedido pendente
+   */
+  statusTimer: null,
+
+  /**
+   * Registra um fornecedor de compensação
+   *
+   * @param {Object} provider - Fornecedor com id, label, quote, purchase e getStatus
+   */
+  registerProvider: function(provider) {
+    this.providers[provider.id] = provider;
+  },
+
+  /**
+   * Retorna o fornecedor configurado em CONFIG.OFFSET.PROVIDER
+   *
+   * @returns {Object} Fornecedor registrado
+   * @throws {Error} Se o fornecedor não foi registrado
+   */
+  getProvider: function() {
+    const provider = this.providers[CONFIG.OFFSET.PROVIDER];
+
+    if (!provider) {
+      throw new Error(`Fornecedor de compensação não registrado: ${CONFIG.OFFSET.PROVIDER}`);
+    }
+    return provider;
+  },
+
+  /**
+   * Inicializa o botão "Compensar Emissões" e as ações do checkout
+   */
+  init: function() {
+    const credits = document.getElementById('carbon-credits');
+    const dialog = document.getElementById('offset-dialog');
+
+    if (!credits || !dialog) {
+      console.error('Checkout de compensação não foi encontrado.');
+      return;
+    }
+
+    // Os botões são gerados a cada renderização dos créditos
+    credits.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-offset-action="open"]');
+
+      if (button && ResultsExport.calculation) {
+        this.open(ResultsExport.calculation.credits.credits, button.dataset.projectId || null);
+      }
+    });
+
+    dialog.addEventListener('click', (e) => {
+      // Clique fora da janela fecha o checkout
+      if (e.target === dialog) {
+        this.close();
+        return;
+      }
+
+      const button = e.target.closest('[data-offset-action]');
+      if (!button) {
+        return;
+      }
+
+      const action = button.dataset.offsetAction;
+
+      if (action === 'close') {
+        this.close();
+      } else if (action === 'refresh') {
+        this.refreshStatus();
+      } else if (action === 'retry') {
+        this.retry();
+      }
+    });
+
+    dialog.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.purchase();
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.state) {
+        this.close();
+      }
+    });
+  },
+
+  /**
+   * Abre o checkout e pede a cotação dos créditos ao fornecedor
+   *
+   * @param {number} credits - Créditos a compensar (de Calculator.calculateCarbonCredits)
+   * @param {string|null} project - Chave de CONFIG.CARBON_CREDIT.PROJECTS (null para
+   *                                o crédito genérico)
+   */
+  open: function(credits, project = null) {
+    clearTimeout(this.statusTimer);
+
+    const state = { step: 'loading', credits: credits, project: project };
+    const pricing = Currency.getPricing();
+    const projectConfig = project ? CONFIG.CARBON_CREDIT.PROJECTS[project] : null;
+
+    this.state = state;
+    this.render();
+    UI.showElement('offset-dialog');
+    document.getElementById('offset-dialog').querySelector('[role="dialog"]').focus();
+
+    Promise.resolve()
+      .then(() => this.getProvider().quote({
+        credits: credits,
+        currency: pricing.currency,
+        exchangeRates: pricing.exchangeRates,
+        project: project,
+        priceRange: projectConfig ? projectConfig.priceRange : null
+      }))
+      .then(quote => this.update(state, { step: 'review', quote: quote }))
+      .catch(error => this.fail(state, error));
+  },
+
+  /**
+   * Lê e valida os dados do comprador e compra os créditos da cotação
+   * Dados inválidos são indicados no próprio formulário
+   */
+  purchase: function() {
+    const state = this.state;
+
+    if (!state || state.step !== 'review') {
+      return;
+    }
+
+    const buyer = {
+      name: document.getElementById('offset-name').value.trim(),
+      email: document.getElementById('offset-email').value.trim()
+    };
+
+    let formError = null;
+    if (!buyer.name) {
+      formError = 'offset.invalidName';
+    } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(buyer.email)) {
+      formError = 'offset.invalidEmail';
+    }
+
+    if (formError) {
+      this.update(state, { buyer: buyer, formError: formError });
+      return;
+    }
+
+    this.update(state, { step: 'processing', buyer: buyer, formError: null });
+
+    Promise.resolve()
+      .then(() => this.getProvider().purchase(state.quote.id, buyer))
+      .then(order => {
+        this.update(state, { step: 'confirmed', order: order });
+        this.scheduleStatus();
+        console.log(`💚 Pedido de compensação ${order.id}: ${order.credits} créditos`);
+      })
+      .catch(error => this.fail(state, error));
+  },
+
+  /**
+   * Agenda a próxima consulta de status enquanto o pedido estiver pendente
+   */
+  scheduleStatus: function() {
+    clearTimeout(this.statusTimer);
+
+    if (this.state && this.state.order && this.state.order.status === 'pending') {
+      this.statusTimer = setTimeout(() => this.refreshStatus(), CONFIG.OFFSET.STATUS_POLL_MS);
+    }
+  },
+
+  /**
+   * Consulta o status do pedido no fornecedor
+   */
+  refreshStatus: function() {
+    const state = this.state;
+
+    if (!state || !state.order) {
+      return;
+    }
+
+    Promise.resolve()
+      .then(() => this.getProvider().getStatus(state.order.id))
+      .then(order => {
+        this.update(state, { step: 'confirmed', order: order });
+        this.scheduleStatus();
+      })
+      .catch(error => this.fail(state, error));
+  },
+
+  /**
+   * Refaz a etapa que falhou: a consulta de status, se o pedido já foi feito,
+   * ou uma nova cotação
+   */
+  retry: function() {
+    if (!this.state) {
+      return;
+    }
+
+    if (this.state.order) {
+      this.refreshStatus();
+    } else {
+      this.open(this.state.credits, this.state.project);
+    }
+  },
+
+  /**
+   * Exibe o erro de uma etapa do checkout
+   *
+   * @param {Object} state - Estado do checkout quando a etapa começou
+   * @param {Error} error - Erro do fornecedor (com code, se conhecido)
+   */
+  fail: function(state, error) {
+    console.error('Erro na compensação de emissões:', error);
+    this.update(state, { step: 'error', errorCode: error.code || null });
+  },
+
+  /**
+   * Atualiza o estado e o conteúdo do checkout
+   * Respostas de um checkout já fechado ou reaberto são ignoradas
+   *
+   * @param {Object} state - Estado do checkout quando a etapa começou
+   * @param {Object} changes - Propriedades alteradas
+   */
+  update: function(state, changes) {
+    if (this.state !== state) {
+      return;
+    }
+
+    Object.assign(state, changes);
+    this.render();
+  },
+
+  /**
+   * Gera o conteúdo do checkout no idioma atual
+   */
+  render: function() {
+    const content = document.getElementById('offset-content');
+
+    if (!this.state || !content) {
+      return;
+    }
+
+    let provider = null;
+    try {
+      provider = this.getProvider();
+    } catch (error) {
+      console.error(error.message);
+    }
+
+    content.innerHTML = UI.renderOffsetCheckout(this.state, provider);
+  },
+
+  /**
+   * Fecha o checkout (um pedido já feito continua no fornecedor)
+   */
+  close: function() {
+    clearTimeout(this.statusTimer);
+    this.state = null;
+    UI.hideElement('offset-dialog');
+  }
+};
@@ -0,0 +1,387 @@
+/**
+ * Permalink - Links Compartilháveis dos Cálculos
+ *
+ * Contém métodos para:
+ * - Converter os dados do formulário em parâmetros da URL e vice-versa
+ * - Restaurar e recalcular o cálculo de um link aberto
+ * - Registrar cada cálculo no histórico de navegação (voltar/avançar recalcula)
+ * - Copiar o link do cálculo exibido
+ *
+ * Os nomes dos parâmetros ficam em CONFIG.PERMALINK.PARAMS. Perfis de veículo,
+ * ocupação, escopo e base de fatores só entram no link quando diferem do padrão.
+ * Exemplo: ?origem=São+Paulo%2C+SP&destino=Curitiba%2C+PR&distancia=408&manual=0&modo=bus
+ */
+
+const Permalink = {
+  /**
+   * Dados do formulário do último cálculo exibido (usados ao copiar o link)
+   */
+  input: null,
+
+  /**
+   * Origem do cálculo restaurado que aguarda o envio do formulário:
+   * 'link' (link aberto) ou 'navigation' (voltar/avançar); null se nenhum
+   */
+  source: null,
+
+  /**
+   * Função chamada ao restaurar um cálculo (recebe os dados do formulário ou null)
+   */
+  onRestore: null,
+
+  /**
+   * Inicializa os links compartilháveis
+   *
+   * Processo:
+   * 1. Configura o botão de copiar link da seção de resultados
+   * 2. Restaura o cálculo ao navegar com voltar/avançar
+   * 3. Restaura o cálculo do link aberto, se houver
+   *
+   * @param {Function} onRestore - Função que restaura o formulário e recalcula;
+   *                               recebe null quando a URL não contém um cálculo
+   */
+  init: function(onRestore) {
+    const copyButton = document.querySelector('[data-permalink-action="copy"]');
+
+    if (!copyButton) {
+      console.error('Botão de copiar link não foi encontrado.');
+      return;
+    }
+
+    this.onRestore = onRestore;
+
+    copyButton.addEventListener('click', () => this.copy(copyButton));
+
+    window.addEventListener('popstate', () => this.restore('navigation'));
+
+    if (window.location.search) {
+      this.restore('link');
+    }
+
+    console.log('Links compartilháveis configurados.');
+  },
+
+  /**
+   * Lê o cálculo da URL atual e o repassa para onRestore
+   *
+   * @param {string} source - 'link' ou 'navigation'
+   */
+  restore: function(source) {
+    try {
+      const input = this.parse(window.location.search);
+
+      this.source = input ? source : null;
+      this.onRestore(input);
+    } catch (error) {
+      this.source = null;
+      console.error('Erro ao ler o link:', error);
+      FormValidation.showError('permalink.invalid', { message: error.message });
+    }
+  },
+
+  /**
+   * Retorna e limpa a origem do cálculo restaurado
+   * Chamado no envio do formulário
+   *
+   * @returns {string} 'link', 'navigation' ou 'form' (envio feito pelo usuário)
+   */
+  takeSource: function() {
+    const source = this.source || 'form';
+    this.source = null;
+
+    return source;
+  },
+
+  /**
+   * Converte os dados do formulário em parâmetros da URL
+   *
+   * @param {Object} input - Dados do formulário (calculationType, legs, roundTrip, options)
+   * @returns {string} Query string sem o "?" inicial
+   */
+  build: function(input) {
+    const PARAMS = CONFIG.PERMALINK.PARAMS;
+    const options = input.options || {};
+    const params = new URLSearchParams();
+
+    if (input.calculationType === 'freight') {
+      params.append(PARAMS.calculationType, 'freight');
+    }
+
+    // Campos de cada trecho, sempre na mesma ordem
+    input.legs.forEach(leg => {
+      params.append(PARAMS.origin, leg.origin);
+      params.append(PARAMS.destination, leg.destination);
+      params.append(PARAMS.distance, Number.isFinite(leg.distance) ? leg.distance : '');
+      params.append(PARAMS.manualDistance, leg.manualDistance ? '1' : '0');
+      params.append(PARAMS.mode, leg.mode);
+    });
+
+    if (input.roundTrip) {
+      params.append(PARAMS.roundTrip, '1');
+    }
+
+    if (options.scope && options.scope !== CONFIG.GHG.DEFAULT_SCOPE) {
+      params.append(PARAMS.scope, options.scope);
+    }
+
+    if (options.dataset && options.dataset !== CONFIG.EMISSION_DATASETS.DEFAULT_DATASET) {
+      params.append(PARAMS.dataset, options.dataset);
+    }
+
+    // Perfis de veículo diferentes do padrão (ex: "car.ethanol.small")
+    Object.keys(options.vehicles || {}).forEach(mode => {
+      const profile = Calculator.resolveVehicleProfile(mode, options.vehicles, options.dataset);
+      const defaults = CONFIG.TRANSPORT_MODES[mode].defaultVehicle;
+
+      if (profile.fuel !== defaults.fuel || profile.size !== defaults.size) {
+        params.append(PARAMS.vehicle, `${mode}.${profile.fuel}.${profile.size}`);
+      }
+    });
+
+    // Ocupação diferente do padrão (ex: "car.3"; taxas de ocupação em %, ex: "bus.60")
+    Object.keys(options.occupancy || {}).forEach(mode => {
+      const occupancyConfig = CONFIG.TRANSPORT_MODES[mode].occupancy;
+      const value = options.occupancy[mode];
+
+      if (value !== occupancyConfig.default) {
+        const displayValue = occupancyConfig.type === 'loadFactor' ? Math.round(value * 100) : value;
+        params.append(PARAMS.occupancy, `${mode}.${displayValue}`);
+      }
+    });
+
+    if (options.freight) {
+      params.append(PARAMS.cargoTonnes, options.freight.cargoTonnes);
+      params.append(PARAMS.emptyReturn, Math.round(options.freight.emptyReturnShare * 100));
+    }
+
+    return params.toString();
+  },
+
+  /**
+   * Converte os parâmetros da URL nos dados do formulário
+   *
+   * Campos ausentes recebem os valores padrão, para que o formulário inteiro seja
+   * restaurado. Sem o parâmetro de distância manual, o trecho é manual quando
+   * a distância foi informada. Nomes de cidade fora de CONFIG.PERMALINK.CITY_PATTERN
+   * (ex: com marcação HTML) invalidam o link, assim como ocupação, peso da carga e
+   * retorno vazio fora dos limites aceitos pelo formulário.
+   *
+   * @param {string} search - Query string (ex: window.location.search)
+   * @returns {Object|null} Dados do formulário (calculationType, legs, roundTrip, options)
+   *                        ou null se a URL não contém trechos
+   * @throws {Error} Se algum parâmetro for inválido
+   */
+  parse: function(search) {
+    const PARAMS = CONFIG.PERMALINK.PARAMS;
+    const params = new URLSearchParams(search);
+    const origins = params.getAll(PARAMS.origin);
+
+    if (origins.length === 0) {
+      return null;
+    }
+
+    const calculationType = params.get(PARAMS.calculationType) || 'passenger';
+    if (calculationType !== 'passenger' && calculationType !== 'freight') {
+      throw new Error(I18n.t('permalink.error.type', { value: calculationType }));
+    }
+
+    const destinations = params.getAll(PARAMS.destination);
+    const distances = params.getAll(PARAMS.distance);
+    const manualFlags = params.getAll(PARAMS.manualDistance);
+    const modes = params.getAll(PARAMS.mode);
+
+    if (destinations.length !== origins.length || modes.length !== origins.length) {
+      throw new Error(I18n.t('permalink.error.legs'));
+    }
+
+    const availableModes = CONFIG.getModes(calculationType);
+
+    const legs = origins.map((origin, index) => {
+      const mode = modes[index];
+      const distanceValue = distances[index] || '';
+      const distance = distanceValue === '' ? null : Number(distanceValue);
+
+      if (!availableModes.includes(mode)) {
+        throw new Error(I18n.t('permalink.error.mode', { value: mode }));
+      }
+
+      if (distance !== null && (!Number.isFinite(distance) || distance <= 0)) {
+        throw new Error(I18n.t('permalink.error.distance', { value: distanceValue }));
+      }
+
+      if (!CONFIG.PERMALINK.CITY_PATTERN.test(origin) || !CONFIG.PERMALINK.CITY_PATTERN.test(destinations[index])) {
+        throw new Error(I18n.t('permalink.error.city', { leg: index + 1 }));
+      }
+
+      return {
+        origin: origin.trim(),
+        destination: destinations[index].trim(),
+        distance: distance,
+        manualDistance: manualFlags[index] !== undefined ? manualFlags[index] === '1' : distance !== null,
+        mode: mode
+      };
+    });
+
+    const scope = params.get(PARAMS.scope) || CONFIG.GHG.DEFAULT_SCOPE;
+    if (!CONFIG.EMISSION_SCOPES.hasOwnProperty(scope)) {
+      throw new Error(I18n.t('permalink.error.scope', { value: scope }));
+    }
+
+    const dataset = params.get(PARAMS.dataset) || CONFIG.EMISSION_DATASETS.DEFAULT_DATASET;
+    if (!EmissionDatasets.has(dataset)) {
+      throw new Error(I18n.t('permalink.error.dataset', { value: dataset }));
+    }
+    const vehicleFactors = EmissionDatasets.get(dataset).vehicleFactors;
+    const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+    // Perfis e ocupação padrão de todos os modos, substituídos pelos do link
+    const vehicles = {};
+    const occupancy = {};
+
+    Object.keys(CONFIG.TRANSPORT_MODES).forEach(mode => {
+      const modeConfig = CONFIG.TRANSPORT_MODES[mode];
+
+      if (modeConfig.defaultVehicle) {
+        vehicles[mode] = Object.assign({}, modeConfig.defaultVehicle);
+      }
+      if (modeConfig.occupancy) {
+        occupancy[mode] = modeConfig.occupancy.default;
+      }
+    });
+
+    params.getAll(PARAMS.vehicle).forEach(value => {
+      const [mode, fuel, size] = value.split('.');
+      const fuels = hasOwn(vehicleFactors, mode) ? vehicleFactors[mode] : null;
+
+      if (!fuels || !hasOwn(fuels, fuel) || !hasOwn(fuels[fuel], size)) {
+        throw new Error(I18n.t('permalink.error.vehicle', { value: value }));
+      }
+
+      vehicles[mode] = { fuel: fuel, size: size };
+    });
+
+    params.getAll(PARAMS.occupancy).forEach(value => {
+      const [mode, amount, extra] = value.split('.');
+      const modeConfig = hasOwn(CONFIG.TRANSPORT_MODES, mode) ? CONFIG.TRANSPORT_MODES[mode] : null;
+      const number = amount === undefined || amount === '' || extra !== undefined ? NaN : Number(amount);
+      const isLoadFactor = Boolean(modeConfig && modeConfig.occupancy && modeConfig.occupancy.type === 'loadFactor');
+
+      // Mesmos limites do formulário: taxa de 1 a 100% ou de 1 pessoa à capacidade
+      const isValid = modeConfig && modeConfig.occupancy && (isLoadFactor
+        ? number >= 1 && number <= 100
+        : Number.isInteger(number) && number >= 1 && number <= modeConfig.occupancy.capacity);
+
+      if (!isValid) {
+        throw new Error(I18n.t('permalink.error.occupancy', { value: value }));
+      }
+
+      occupancy[mode] = isLoadFactor ? number / 100 : number;
+    });
+
+    const options = {
+      scope: scope,
+      dataset: dataset,
+      occupancy: occupancy,
+      vehicles: vehicles
+    };
+
+    if (calculationType === 'freight') {
+      const cargoValue = params.get(PARAMS.cargoTonnes);
+      const emptyReturnValue = params.get(PARAMS.emptyReturn);
+
+      const cargoTonnes = cargoValue ? Number(cargoValue) : CONFIG.FREIGHT.DEFAULT_CARGO_TONNES;
+      const emptyReturnPercent = emptyReturnValue ? Number(emptyReturnValue) : 0;
+
+      if (!Number.isFinite(cargoTonnes) || cargoTonnes <= 0) {
+        throw new Error(I18n.t('permalink.error.cargo', { value: cargoValue }));
+      }
+
+      if (!(emptyReturnPercent >= 0 && emptyReturnPercent <= 100)) {
+        throw new Error(I18n.t('permalink.error.emptyReturn', { value: emptyReturnValue }));
+      }
+
+      options.freight = {
+        cargoTonnes: cargoTonnes,
+        emptyReturnShare: emptyReturnPercent / 100
+      };
+    }
+
+    return {
+      calculationType: calculationType,
+      legs: legs,
+      roundTrip: params.get(PARAMS.roundTrip) === '1',
+      options: options
+    };
+  },
+
+  /**
+   * Monta a URL completa de um cálculo (página atual com os parâmetros do cálculo)
+   *
+   * @param {Object} input - Dados do formulário
+   * @returns {string} URL do cálculo
+   */
+  getURL: function(input) {
+    const url = new URL(window.location.href);
+    url.search = this.build(input);
+    url.hash = '';
+
+    return url.toString();
+  },
+
+  /**
+   * Atualiza a URL da página com o cálculo exibido
+   *
+   * Cálculos enviados pelo formulário criam uma nova entrada no histórico de
+   * navegação; cálculos restaurados de um link ou por voltar/avançar apenas
+   * substituem a entrada atual.
+   *
+   * @param {Object} input - Dados do formulário do cálculo
+   * @param {string} source - 'form', 'link' ou 'navigation' (ver takeSource)
+   */
+  update: function(input, source) {
+    this.input = input;
+
+    try {
+      const url = this.getURL(input);
+
+      if (source !== 'form') {
+        window.history.replaceState(null, '', url);
+      } else if (url !== window.location.href) {
+        window.history.pushState(null, '', url);
+      }
+    } catch (error) {
+      console.error('Erro ao atualizar a URL:', error);
+    }
+  },
+
+  /**
+   * Copia o link do cálculo exibido
+   * Sem acesso à área de transferência, exibe o link para cópia manual
+   *
+   * @param {HTMLElement} button - Botão de copiar link (exibe a confirmação)
+   */
+  copy: function(button) {
+    if (!this.input) {
+      return;
+    }
+
+    const url = this.getURL(this.input);
+
+    const showCopied = () => {
+      button.textContent = I18n.t('results.linkCopied');
+      setTimeout(() => {
+        button.textContent = I18n.t('results.copyLink');
+      }, 2000);
+    };
+
+    const showManualCopy = () => {
+      window.prompt(I18n.t('results.copyLinkPrompt'), url);
+    };
+
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      navigator.clipboard.writeText(url).then(showCopied).catch(showManualCopy);
+    } else {
+      showManualCopy();
+    }
+  }
+};
@@ -0,0 +1,1120 @@
+/**
+ * TRANSLATIONS - Catálogo de Traduções da Interface
+ *
+ * Textos da interface por idioma (chaves de CONFIG.I18N.LOCALES), no formato
+ * chave → texto. Valores entre chaves (ex: {value}) são substituídos por I18n.t().
+ *
+ * O português é o idioma de referência: chaves ausentes nos demais idiomas usam
+ * o texto em português. Os rótulos de CONFIG (modos, ocupação, combustíveis,
+ * portes e escopos) já estão em português e entram no catálogo automaticamente
+ * (ver I18n.getConfigMessages); aqui ficam apenas as traduções desses rótulos.
+ */
+
+const TRANSLATIONS = {
+  pt: {
+    // Página
+    'app.title': 'Calculadora de emissões de CO2',
+    'header.title': '🍃 Calculadora de emissões de CO2',
+    'header.subtitle': 'Calcule as emissões de CO2 do seu deslocamento e descubra o impacto ambiental',
+    'header.language': 'Idioma',
+    'header.units': 'Unidades',
+    'header.currency': 'Moeda',
+    'units.metric': 'Métrico (km, kg)',
+    'units.tonnes': 'Métrico (km, t)',
+    'units.imperial': 'Imperial (mi, lb)',
+    'units.km': 'quilômetros',
+    'units.mi': 'milhas',
+    'footer.text': 'Desenvolvido com ❤️ Evandro | Projeto GitHub Copilot',
+
+    // Formulário
+    'form.calculationType': 'Tipo de cálculo',
+    'form.passenger': '🧑 Passageiros',
+    'form.freight': '📦 Carga (t·km)',
+    'form.itinerary': 'Itinerário',
+    'form.itineraryHint': 'Adicione um trecho para cada deslocamento da viagem',
+    'form.addLeg': '➕ Adicionar trecho',
+    'form.roundTrip': 'Ida e volta (repete os trechos no sentido inverso)',
+    'form.vehicles': 'Perfil dos veículos',
+    'form.vehiclesHelper': 'O combustível e o porte definem o fator de emissão usado para cada modo',
+    'form.occupancy': 'Ocupação dos veículos',
+    'form.occupancyHelper': 'As emissões são divididas entre os ocupantes para comparar carona e transporte coletivo de forma justa',
+    'form.cargo': 'Carga',
+    'form.cargoWeight': 'Peso da carga (t)',
+    'form.cargoWeightPlaceholder': 'Peso em toneladas',
+    'form.emptyReturn': 'Retorno vazio (%)',
+    'form.emptyReturnHelper': 'Retorno vazio: percentual da distância que o veículo percorre de volta sem carga (opcional)',
+    'form.scope': 'Escopo das emissões',
+    'form.scopeHelper': 'Resultados em CO₂ equivalente: CH₄ e N₂O são convertidos pelo potencial de aquecimento global (GWP)',
+    'form.dataset': 'Base de fatores de emissão',
+    'form.datasetLabel': 'Fatores usados no cálculo',
+    'form.submit': 'Calcular emissão',
+    'form.calculating': 'Calculando...',
+
+    // Trechos do itinerário
+    'leg.title': 'Trecho',
+    'leg.remove': '✕ Remover',
+    'leg.origin': 'Origem',
+    'leg.originPlaceholder': 'Digite a cidade de origem',
+    'leg.destination': 'Destino',
+    'leg.destinationPlaceholder': 'Digite a cidade de destino',
+    'leg.distance': 'Distância ({unit})',
+    'leg.distancePlaceholder': 'Distância em {unitName}',
+    'leg.manualDistance': 'Inserir distância manualmente',
+    'leg.mode': 'Modo de transporte',
+
+    // Preenchimento automático de distância
+    'distance.auto': 'A distância será preenchida automaticamente',
+    'distance.estimated': '≈ Distância estimada (linha reta ajustada pelo fator de circuito). Marque a opção abaixo para informar a distância real.',
+    'distance.found': '✓ Distância preenchida automaticamente',
+    'distance.foundVia': '✓ Distância preenchida automaticamente (via {path})',
+    'distance.foundCustom': '✓ Distância preenchida pela sua rota personalizada',
+    'distance.foundCustomVia': '✓ Distância preenchida com rotas personalizadas (via {path})',
+    'distance.notFound': '⚠ Rota não encontrada. Insira a distância manualmente.',
+    'distance.manual': 'Insira a distância em {unitName}',
+
+    // Busca de cidades
+    'city.didYouMean': 'Você quis dizer:',
+    'city.suggestionsAnnouncement': 'Cidade "{city}" não identificada. Você quis dizer: {suggestions}?',
+
+    // Perfil dos veículos
+    'vehicle.fuel': 'Combustível',
+    'vehicle.size': 'Porte',
+
+    // Validação e erros
+    'validation.legPrefix': 'Trecho {number}: ',
+    'validation.origin': '⚠️ {leg}Por favor, insira uma cidade de origem.',
+    'validation.destination': '⚠️ {leg}Por favor, insira uma cidade de destino.',
+    'validation.distance': '⚠️ {leg}Por favor, insira uma distância válida em {unitName}.',
+    'validation.distancePositive': '⚠️ {leg}A distância deve ser maior que 0 {unit}.',
+    'validation.mode': '⚠️ {leg}Por favor, selecione um modo de transporte.',
+    'validation.cargo': '⚠️ Por favor, insira o peso da carga em toneladas (maior que 0).',
+    'validation.emptyReturn': '⚠️ O retorno vazio deve estar entre 0 e 100%.',
+    'validation.loadFactor': '⚠️ {label}: informe um valor entre 1 e 100.',
+    'validation.passengers': '⚠️ {label}: informe um número inteiro entre 1 e {capacity}.',
+    'validation.summary': 'Não foi possível calcular. Corrija os itens abaixo:',
+    'error.init': 'Erro ao inicializar a aplicação. Por favor, recarregue a página.',
+    'error.core': 'Não foi possível carregar o núcleo de cálculo. Abra a aplicação por um servidor HTTP (ex: python3 -m http.server), e não pelo arquivo.',
+    'error.form': '❌ Ocorreu um erro ao processar sua solicitação. Tente novamente.',
+    'error.calculation': '❌ Ocorreu um erro ao calcular as emissões. Por favor, verifique os dados e tente novamente.',
+    'error.restore': '❌ Não foi possível reabrir este cálculo.',
+
+    // Textos comuns
+    'common.mixed': 'Misto',
+    'common.roundTrip': '(ida e volta)',
+    'common.route': 'Trajeto',
+    'common.mode': 'Modo',
+    'common.distance': 'Distância',
+    'common.perPassenger': 'por passageiro',
+    'common.perShipment': 'por embarque',
+    'common.range': '{min} a {max}',
+
+    // Resultados
+    'results.estimatedBadge': 'Inclui distância estimada',
+    'results.emission': 'Emissão de CO₂e {unit}',
+    'results.perTonne': 'Por tonelada: {value} CO₂e/t',
+    'results.vehicles': 'Veículo(s): {value} CO₂e',
+    'results.scope': 'Escopo: {scope}',
+    'results.mode': 'Modo de Transporte',
+    'results.cargo': 'Carga',
+    'results.cargoHelper': '{tonneKm} t·km · retorno vazio {emptyReturn}%',
+    'results.savingsVs': 'Economia vs {mode}',
+    'results.saved': '{value} economizados',
+    'results.lessEmission': '{value}% menos emissão',
+    'results.exportCsv': '📄 Exportar comparação (CSV)',
+    'results.exportJson': '🧾 Exportar dados (JSON)',
+    'results.print': '🖨️ Relatório para impressão',
+    'results.copyLink': '🔗 Copiar link',
+    'results.linkCopied': '✅ Link copiado!',
+    'results.announcement': 'Cálculo concluído: {emission} de CO₂e {unit} em {distance}.',
+    'results.copyLinkPrompt': 'Copie o link do cálculo:',
+    'results.equivalences': 'Equivale a',
+    'results.equivalencesHelper': 'Valores aproximados, com fatores de conversão típicos.',
+    'results.dataset': 'Fatores: {name} (versão {version})',
+    'results.datasetSource': 'Fonte dos fatores de emissão',
+    'dataset.version': 'versão {version}',
+    'dataset.publishedBy': 'Publicado por {publisher} ({year})',
+    'dataset.link': 'Ver publicação',
+
+    // Detalhamento por trecho
+    'legs.title': 'Detalhamento por Trecho',
+    'legs.return': '(volta)',
+    'legs.estimated': '(estimada)',
+    'legs.occupants': 'Ocupantes',
+    'legs.perPassenger': 'CO₂ / passageiro',
+    'legs.vehicle': 'CO₂ veículo',
+    'legs.perShipment': 'CO₂ embarque',
+    'legs.perTonne': 'CO₂ / t',
+
+    // Composição das emissões
+    'breakdown.title': 'Composição das Emissões',
+    'breakdown.co2': 'CO₂ (queima)',
+    'breakdown.ch4': 'CH₄ (queima)',
+    'breakdown.n2o': 'N₂O (queima)',
+    'breakdown.upstream': 'Produção do combustível / energia',
+    'breakdown.share': 'Parcela',
+    'breakdown.mass': 'Massa',
+    'breakdown.total': 'Total',
+    'breakdown.helper': 'Escopo: {scope} · {description} · GWP: {source}',
+
+    // Comparação entre modos
+    'comparison.selected': '✓ Selecionado',
+    'comparison.perShipment': '{value} CO₂e / embarque',
+    'comparison.freightDetails': '{percentage}% vs caminhão · {perTonne} CO₂e por tonelada',
+    'comparison.perPassenger': '{value} CO₂e / passageiro',
+    'comparison.passengerDetails': '{percentage}% vs carro · {occupants} ocupante(s) · {vehicle} por veículo',
+    'comparison.tipTitle': '💡 Dica',
+    'comparison.tipFreight': 'Ferrovia e cabotagem emitem bem menos CO₂ por tonelada transportada. Reduzir o retorno vazio também diminui as emissões do embarque!',
+    'comparison.tipPassenger': 'Use transportes com menor emissão de CO₂ para reduzir seu impacto ambiental. Bicicleta e transporte público são as melhores opções!',
+
+    // Créditos de carbono
+    'credits.required': 'Créditos Necessários',
+    'credits.requiredPerShipment': 'Créditos Necessários (por embarque)',
+    'credits.unit': '1 crédito = {mass} CO₂',
+    'credits.price': 'Preço Estimado (Médio)',
+    'credits.perTonne': 'Por Tonelada de Carga',
+    'credits.perTonneHelper': 'créditos · {price} por tonelada (médio)',
+    'credits.exchangeRate': 'Câmbio: 1 {from} = {rate} (vigente em {date})',
+    'credits.infoTitle': '🌍 O que são Créditos de Carbono?',
+    'credits.infoText': 'Créditos de carbono são certificados que representam uma tonelada de CO₂ removida ou deixada de ser emitida. Você pode compensar suas emissões investindo em projetos de reflorestamento e energia limpa.',
+    'credits.offset': '💚 Compensar Emissões',
+
+    // Exportação e relatório
+    'export.error': '❌ Não foi possível exportar os resultados.',
+    'export.popupBlocked': '⚠️ Permita pop-ups para abrir o relatório de impressão.',
+    'report.title': 'Relatório de Emissões de CO₂e',
+    'report.generatedAt': 'Gerado em {date}',
+    'report.summary': 'Resumo',
+    'report.calculationType': 'Tipo de cálculo',
+    'report.freight': 'Carga: {value} t',
+    'report.passengers': 'Passageiros',
+    'report.totalDistance': 'Distância total',
+    'report.emission': 'Emissão {unit}',
+    'report.scope': 'Escopo',
+    'report.legs': 'Trechos',
+    'report.co2e': 'CO₂e {unit}',
+    'report.breakdown': 'Composição das emissões',
+    'report.comparison': 'Comparação entre modos',
+    'report.vsBaseline': '% vs {mode}',
+    'report.credits': 'Créditos de carbono',
+    'report.requiredCredits': 'Créditos necessários',
+    'report.creditUnit': '(1 crédito = {mass} CO₂e)',
+    'report.estimatedPrice': 'Preço estimado',
+    'report.note': 'Distâncias marcadas com ≈ foram estimadas pelas coordenadas das cidades. Os fatores de emissão usados estão na exportação JSON do cálculo.',
+
+    // Links compartilháveis
+    'permalink.invalid': '⚠️ Link inválido: {message}',
+    'permalink.error.type': 'tipo de cálculo "{value}" não reconhecido.',
+    'permalink.error.legs': 'cada trecho precisa de origem, destino e modo de transporte.',
+    'permalink.error.mode': 'modo de transporte "{value}" não reconhecido.',
+    'permalink.error.distance': 'distância "{value}" inválida.',
+    'permalink.error.scope': 'escopo "{value}" não reconhecido.',
+    'permalink.error.dataset': 'base de fatores "{value}" não reconhecida.',
+    'permalink.error.vehicle': 'perfil de veículo "{value}" inválido.',
+    'permalink.error.occupancy': 'ocupação "{value}" inválida.',
+    'permalink.error.cargo': 'peso da carga "{value}" inválido.',
+    'permalink.error.emptyReturn': 'retorno vazio "{value}" inválido.',
+    'permalink.error.city': 'nome de cidade inválido no trecho {leg}.',
+
+    // Projetos de compensação
+    'projects.title': '🌳 Compare projetos de compensação',
+    'projects.project': 'Projeto',
+    'projects.standard': 'Padrão · safra',
+    'projects.rating': 'Qualidade',
+    'projects.ratingValue': 'Classificação {rating} de 5',
+    'projects.vintageValue': 'Safra {vintage}',
+    'projects.pricePerCredit': 'Preço por crédito',
+    'projects.cost': 'Custo desta emissão',
+    'projects.offset': 'Compensar',
+
+    // Checkout de compensação
+    'offset.title': '💚 Compensar emissões',
+    'offset.quoting': 'Cotando os créditos no fornecedor...',
+    'offset.provider': 'Fornecedor',
+    'offset.provider.mock': 'Marketplace local (simulado)',
+    'offset.project': 'Projeto',
+    'offset.credits': 'Créditos',
+    'offset.unitPrice': 'Preço por crédito',
+    'offset.total': 'Total',
+    'offset.expires': 'Cotação válida até',
+    'offset.name': 'Nome',
+    'offset.email': 'E-mail',
+    'offset.confirm': 'Confirmar compra ({total})',
+    'offset.processing': 'Processando a compra...',
+    'offset.cancel': 'Cancelar',
+    'offset.close': 'Fechar',
+    'offset.retry': '↻ Tentar novamente',
+    'offset.refresh': '↻ Atualizar status',
+    'offset.pending': '⏳ Pedido recebido. Aguardando a confirmação do fornecedor.',
+    'offset.confirmed': '✅ Compensação confirmada! Obrigado por compensar suas emissões.',
+    'offset.order': 'Pedido',
+    'offset.status': 'Status',
+    'offset.status.pending': 'Pendente',
+    'offset.status.confirmed': 'Confirmado',
+    'offset.certificate': 'Certificado',
+    'offset.mockNotice': 'Fornecedor simulado para testes: nenhuma cobrança é feita e o certificado é fictício.',
+    'offset.invalidName': '⚠️ Informe o nome do comprador.',
+    'offset.invalidEmail': '⚠️ Informe um e-mail válido.',
+    'offset.error': '⚠️ Não foi possível concluir a compensação. Tente novamente.',
+    'offset.error.quote_expired': '⚠️ A cotação expirou. Tente novamente para receber uma nova cotação.',
+    'offset.error.not_found': '⚠️ Cotação ou pedido não encontrado no fornecedor.',
+    'offset.error.invalid_request': '⚠️ Não há créditos a compensar neste cálculo.',
+
+    // Câmbio
+    'rates.title': '💱 Câmbio dos créditos',
+    'rates.text': 'Cotações usadas para converter o preço dos créditos para a moeda escolhida. Atualize as cotações e a data de vigência conforme a sua fonte.',
+    'rates.rate': '1 {currency} em {base}',
+    'rates.effectiveDate': 'Vigente em',
+    'rates.save': '💾 Salvar câmbio',
+    'rates.reset': '↩️ Restaurar padrão',
+    'rates.invalidRate': '⚠️ Informe uma cotação maior que zero para {currency}.',
+    'rates.invalidDate': '⚠️ Informe uma data de vigência válida para o câmbio.',
+
+    // Importação em lote
+    'batch.title': '📥 Importar viagens (CSV)',
+    'batch.file': 'Arquivo CSV',
+    'batch.fileHelper': 'Colunas: origem, destino, modo (obrigatórias), distancia (km) e data (opcionais). A distância do arquivo é sempre em km, mesmo com milhas selecionadas. Sem distância, ela é buscada nas rotas cadastradas. Separador vírgula ou ponto e vírgula.',
+    'batch.trips': 'Viagens calculadas',
+    'batch.errorCount': '{count} com erro',
+    'batch.emissions': 'Emissões',
+    'batch.credits': 'Créditos',
+    'batch.line': 'Linha',
+    'batch.date': 'Data',
+    'batch.perPassenger': 'CO₂e / passageiro',
+    'batch.status': 'Status',
+    'batch.routeSource': '(rota)',
+    'batch.customRouteSource': '(rota personalizada)',
+    'batch.estimatedSource': '(estimada)',
+    'batch.importError': '❌ Não foi possível importar o arquivo: {message}',
+    'batch.readError': '❌ Não foi possível ler o arquivo selecionado.',
+    'batch.error.empty': 'o arquivo não contém viagens.',
+    'batch.error.maxRows': 'o limite é de {max} viagens por arquivo.',
+    'batch.error.missingColumns': 'coluna(s) obrigatória(s) ausente(s): {columns}.',
+    'batch.error.cities': 'Origem e destino são obrigatórios.',
+    'batch.error.mode': 'Modo de transporte "{mode}" não reconhecido.',
+    'batch.error.date': 'Data "{date}" inválida (use AAAA-MM-DD ou DD/MM/AAAA).',
+    'batch.error.distance': 'Distância "{distance}" inválida.',
+    'batch.error.unknownCity': 'Cidade não encontrada: {cities}. Informe a distância.',
+    'batch.error.unresolved': 'Não foi possível resolver a distância. Informe a distância.',
+
+    // Rotas personalizadas
+    'customRoutes.title': '🛣️ Minhas rotas',
+    'customRoutes.text': 'Cadastre as rotas que faltam na base, como as dos escritórios da sua equipe. Elas ficam salvas neste navegador e valem no formulário e na importação em lote. Exporte o arquivo para compartilhar as rotas.',
+    'customRoutes.add': '➕ Adicionar rota',
+    'customRoutes.save': '💾 Salvar rota',
+    'customRoutes.cancel': 'Cancelar edição',
+    'customRoutes.export': '📤 Exportar rotas',
+    'customRoutes.import': 'Importar rotas (arquivo JSON)',
+    'customRoutes.importHelper': 'Use o arquivo exportado por outra pessoa. As rotas do arquivo substituem as suas entre as mesmas cidades.',
+    'customRoutes.empty': 'Nenhuma rota personalizada. As rotas que você adicionar aparecem aqui.',
+    'customRoutes.edit': '✏️ Editar',
+    'customRoutes.delete': '✕ Excluir',
+    'customRoutes.editLabel': 'Editar a rota {route}',
+    'customRoutes.deleteLabel': 'Excluir a rota {route}',
+    'customRoutes.badge': 'rota personalizada',
+    'customRoutes.replacesDefault': 'substitui a rota da base',
+    'customRoutes.added': '✓ Rota {origin} → {destination} adicionada.',
+    'customRoutes.updated': '✓ Rota {origin} → {destination} salva.',
+    'customRoutes.deleted': '✓ Rota {origin} → {destination} excluída.',
+    'customRoutes.imported': '✓ {count} rota(s) importada(s).',
+    'customRoutes.importedSkipped': '✓ {count} rota(s) importada(s); {skipped} rota(s) inválida(s) ignorada(s).',
+    'customRoutes.importError': '❌ Não foi possível importar as rotas: {message}',
+    'customRoutes.error.cities': 'Origem e destino são obrigatórios.',
+    'customRoutes.error.cityName': 'O nome "{city}" tem caracteres que não são aceitos em nomes de cidade.',
+    'customRoutes.error.sameCity': 'Origem e destino devem ser cidades diferentes.',
+    'customRoutes.error.distance': 'Informe uma distância maior que zero.',
+    'customRoutes.error.duplicate': 'Já existe uma rota personalizada entre {origin} e {destination}.',
+    'customRoutes.error.maxRoutes': 'O limite é de {max} rotas personalizadas.',
+    'customRoutes.error.file': 'o arquivo não é um arquivo de rotas da calculadora (JSON).',
+    'customRoutes.error.empty': 'o arquivo não contém rotas válidas.',
+
+    // Histórico
+    'history.title': '📚 Histórico de cálculos',
+    'history.from': 'De',
+    'history.to': 'Até',
+    'history.allModes': 'Todos os modos',
+    'history.empty': 'Nenhum cálculo salvo para os filtros selecionados.',
+    'history.credits': '{value} créditos',
+    'history.reopen': '↩ Reabrir',
+    'history.delete': '✕ Excluir',
+    'history.count': 'Cálculos',
+    'history.emissions': 'Emissões',
+    'history.savings': 'Economia',
+    'history.totalCredits': 'Créditos',
+    'history.average': '{price} (médio)',
+    'history.group': '{unit} · {count} cálculo(s)'
+  },
+
+  en: {
+    // Página
+    'app.title': 'CO2 emissions calculator',
+    'header.title': '🍃 CO2 emissions calculator',
+    'header.subtitle': 'Calculate the CO2 emissions of your trip and find out its environmental impact',
+    'header.language': 'Language',
+    'header.units': 'Units',
+    'header.currency': 'Currency',
+    'units.metric': 'Metric (km, kg)',
+    'units.tonnes': 'Metric (km, t)',
+    'units.imperial': 'Imperial (mi, lb)',
+    'units.km': 'kilometres',
+    'units.mi': 'miles',
+    'footer.text': 'Built with ❤️ by Evandro | GitHub Copilot Project',
+
+    // Formulário
+    'form.calculationType': 'Calculation type',
+    'form.passenger': '🧑 Passengers',
+    'form.freight': '📦 Freight (t·km)',
+    'form.itinerary': 'Itinerary',
+    'form.itineraryHint': 'Add one leg for each part of the trip',
+    'form.addLeg': '➕ Add leg',
+    'form.roundTrip': 'Round trip (repeats the legs in reverse)',
+    'form.vehicles': 'Vehicle profiles',
+    'form.vehiclesHelper': 'Fuel and size define the emission factor used for each mode',
+    'form.occupancy': 'Vehicle occupancy',
+    'form.occupancyHelper': 'Emissions are split among occupants so that carpooling and public transport are compared fairly',
+    'form.cargo': 'Cargo',
+    'form.cargoWeight': 'Cargo weight (t)',
+    'form.cargoWeightPlaceholder': 'Weight in tonnes',
+    'form.emptyReturn': 'Empty return (%)',
+    'form.emptyReturnHelper': 'Empty return: share of the distance the vehicle travels back without cargo (optional)',
+    'form.scope': 'Emission scope',
+    'form.scopeHelper': 'Results in CO₂ equivalent: CH₄ and N₂O are converted using their global warming potential (GWP)',
+    'form.dataset': 'Emission factor dataset',
+    'form.datasetLabel': 'Factors used in the calculation',
+    'form.submit': 'Calculate emissions',
+    'form.calculating': 'Calculating...',
+
+    // Trechos do itinerário
+    'leg.title': 'Leg',
+    'leg.remove': '✕ Remove',
+    'leg.origin': 'Origin',
+    'leg.originPlaceholder': 'Type the origin city',
+    'leg.destination': 'Destination',
+    'leg.destinationPlaceholder': 'Type the destination city',
+    'leg.distance': 'Distance ({unit})',
+    'leg.distancePlaceholder': 'Distance in {unitName}',
+    'leg.manualDistance': 'Enter distance manually',
+    'leg.mode': 'Transport mode',
+
+    // Preenchimento automático de distância
+    'distance.auto': 'The distance will be filled in automatically',
+    'distance.estimated': '≈ Estimated distance (straight line adjusted by the circuity factor). Check the option below to enter the actual distance.',
+    'distance.found': '✓ Distance filled in automatically',
+    'distance.foundVia': '✓ Distance filled in automatically (via {path})',
+    'distance.foundCustom': '✓ Distance filled in from your custom route',
+    'distance.foundCustomVia': '✓ Distance filled in using custom routes (via {path})',
+    'distance.notFound': '⚠ Route not found. Enter the distance manually.',
+    'distance.manual': 'Enter the distance in {unitName}',
+
+    // Busca de cidades
+    'city.didYouMean': 'Did you mean:',
+    'city.suggestionsAnnouncement': 'City "{city}" not recognized. Did you mean: {suggestions}?',
+
+    // Perfil dos veículos
+    'vehicle.fuel': 'Fuel',
+    'vehicle.size': 'Size',
+
+    // Validação e erros
+    'validation.legPrefix': 'Leg {number}: ',
+    'validation.origin': '⚠️ {leg}Please enter an origin city.',
+    'validation.destination': '⚠️ {leg}Please enter a destination city.',
+    'validation.distance': '⚠️ {leg}Please enter a valid distance in {unitName}.',
+    'validation.distancePositive': '⚠️ {leg}The distance must be greater than 0 {unit}.',
+    'validation.mode': '⚠️ {leg}Please select a transport mode.',
+    'validation.cargo': '⚠️ Please enter the cargo weight in tonnes (greater than 0).',
+    'validation.emptyReturn': '⚠️ The empty return must be between 0 and 100%.',
+    'validation.loadFactor': '⚠️ {label}: enter a value between 1 and 100.',
+    'validation.passengers': '⚠️ {label}: enter a whole number between 1 and {capacity}.',
+    'validation.summary': 'The emissions could not be calculated. Please fix the items below:',
+    'error.init': 'Error starting the application. Please reload the page.',
+    'error.core': 'The calculation core could not be loaded. Open the application through an HTTP server (e.g. python3 -m http.server), not from the file.',
+    'error.form': '❌ An error occurred while processing your request. Please try again.',
+    'error.calculation': '❌ An error occurred while calculating the emissions. Please check the data and try again.',
+    'error.restore': '❌ This calculation could not be reopened.',
+
+    // Textos comuns
+    'common.mixed': 'Mixed',
+    'common.roundTrip': '(round trip)',
+    'common.route': 'Route',
+    'common.mode': 'Mode',
+    'common.distance': 'Distance',
+    'common.perPassenger': 'per passenger',
+    'common.perShipment': 'per shipment',
+    'common.range': '{min} to {max}',
+
+    // Resultados
+    'results.estimatedBadge': 'Includes estimated distance',
+    'results.emission': 'CO₂e emissions {unit}',
+    'results.perTonne': 'Per tonne: {value} CO₂e/t',
+    'results.vehicles': 'Vehicle(s): {value} CO₂e',
+    'results.scope': 'Scope: {scope}',
+    'results.mode': 'Transport Mode',
+    'results.cargo': 'Cargo',
+    'results.cargoHelper': '{tonneKm} t·km · empty return {emptyReturn}%',
+    'results.savingsVs': 'Savings vs {mode}',
+    'results.saved': '{value} saved',
+    'results.lessEmission': '{value}% fewer emissions',
+    'results.exportCsv': '📄 Export comparison (CSV)',
+    'results.exportJson': '🧾 Export data (JSON)',
+    'results.print': '🖨️ Printable report',
+    'results.copyLink': '🔗 Copy link',
+    'results.linkCopied': '✅ Link copied!',
+    'results.announcement': 'Calculation complete: {emission} of CO₂e {unit} over {distance}.',
+    'results.copyLinkPrompt': 'Copy the calculation link:',
+    'results.equivalences': 'Equivalent to',
+    'results.equivalencesHelper': 'Approximate values based on typical conversion factors.',
+    'results.dataset': 'Factors: {name} (version {version})',
+    'results.datasetSource': 'Emission factor source',
+    'dataset.version': 'version {version}',
+    'dataset.publishedBy': 'Published by {publisher} ({year})',
+    'dataset.link': 'View publication',
+
+    // Detalhamento por trecho
+    'legs.title': 'Breakdown by Leg',
+    'legs.return': '(return)',
+    'legs.estimated': '(estimated)',
+    'legs.occupants': 'Occupants',
+    'legs.perPassenger': 'CO₂ / passenger',
+    'legs.vehicle': 'Vehicle CO₂',
+    'legs.perShipment': 'Shipment CO₂',
+    'legs.perTonne': 'CO₂ / t',
+
+    // Composição das emissões
+    'breakdown.title': 'Emissions Breakdown',
+    'breakdown.co2': 'CO₂ (combustion)',
+    'breakdown.ch4': 'CH₄ (combustion)',
+    'breakdown.n2o': 'N₂O (combustion)',
+    'breakdown.upstream': 'Fuel / energy production',
+    'breakdown.share': 'Component',
+    'breakdown.mass': 'Mass',
+    'breakdown.total': 'Total',
+    'breakdown.helper': 'Scope: {scope} · {description} · GWP: {source}',
+
+    // Comparação entre modos
+    'comparison.selected': '✓ Selected',
+    'comparison.perShipment': '{value} CO₂e / shipment',
+    'comparison.freightDetails': '{percentage}% vs truck · {perTonne} CO₂e per tonne',
+    'comparison.perPassenger': '{value} CO₂e / passenger',
+    'comparison.passengerDetails': '{percentage}% vs car · {occupants} occupant(s) · {vehicle} per vehicle',
+    'comparison.tipTitle': '💡 Tip',
+    'comparison.tipFreight': 'Rail and coastal shipping emit far less CO₂ per tonne carried. Reducing empty returns also lowers the shipment emissions!',
+    'comparison.tipPassenger': 'Choose lower-emission transport to reduce your environmental impact. Cycling and public transport are the best options!',
+
+    // Créditos de carbono
+    'credits.required': 'Credits Required',
+    'credits.requiredPerShipment': 'Credits Required (per shipment)',
+    'credits.unit': '1 credit = {mass} CO₂',
+    'credits.price': 'Estimated Price (Average)',
+    'credits.perTonne': 'Per Tonne of Cargo',
+    'credits.perTonneHelper': 'credits · {price} per tonne (average)',
+    'credits.exchangeRate': 'Exchange rate: 1 {from} = {rate} (effective {date})',
+    'credits.infoTitle': '🌍 What are Carbon Credits?',
+    'credits.infoText': 'Carbon credits are certificates that represent one tonne of CO₂ removed or avoided. You can offset your emissions by investing in reforestation and clean energy projects.',
+    'credits.offset': '💚 Offset Emissions',
+
+    // Exportação e relatório
+    'export.error': '❌ The results could not be exported.',
+    'export.popupBlocked': '⚠️ Allow pop-ups to open the printable report.',
+    'report.title': 'CO₂e Emissions Report',
+    'report.generatedAt': 'Generated on {date}',
+    'report.summary': 'Summary',
+    'report.calculationType': 'Calculation type',
+    'report.freight': 'Freight: {value} t',
+    'report.passengers': 'Passengers',
+    'report.totalDistance': 'Total distance',
+    'report.emission': 'Emissions {unit}',
+    'report.scope': 'Scope',
+    'report.legs': 'Legs',
+    'report.co2e': 'CO₂e {unit}',
+    'report.breakdown': 'Emissions breakdown',
+    'report.comparison': 'Mode comparison',
+    'report.vsBaseline': '% vs {mode}',
+    'report.credits': 'Carbon credits',
+    'report.requiredCredits': 'Credits required',
+    'report.creditUnit': '(1 credit = {mass} CO₂e)',
+    'report.estimatedPrice': 'Estimated price',
+    'report.note': 'Distances marked with ≈ were estimated from the city coordinates. The emission factors used are listed in the JSON export of the calculation.',
+
+    // Links compartilháveis
+    'permalink.invalid': '⚠️ Invalid link: {message}',
+    'permalink.error.type': 'calculation type "{value}" not recognised.',
+    'permalink.error.legs': 'each leg needs an origin, a destination and a transport mode.',
+    'permalink.error.mode': 'transport mode "{value}" not recognised.',
+    'permalink.error.distance': 'invalid distance "{value}".',
+    'permalink.error.scope': 'scope "{value}" not recognised.',
+    'permalink.error.dataset': 'factor dataset "{value}" not recognised.',
+    'permalink.error.vehicle': 'invalid vehicle profile "{value}".',
+    'permalink.error.occupancy': 'invalid occupancy "{value}".',
+    'permalink.error.cargo': 'invalid cargo weight "{value}".',
+    'permalink.error.emptyReturn': 'invalid empty return "{value}".',
+    'permalink.error.city': 'invalid city name in leg {leg}.',
+
+    // Projetos de compensação
+    'projects.title': '🌳 Compare offset projects',
+    'projects.project': 'Project',
+    'projects.standard': 'Standard · vintage',
+    'projects.rating': 'Quality',
+    'projects.ratingValue': 'Rated {rating} out of 5',
+    'projects.vintageValue': 'Vintage {vintage}',
+    'projects.pricePerCredit': 'Price per credit',
+    'projects.cost': 'Cost for this emission',
+    'projects.offset': 'Offset',
+
+    // Checkout de compensação
+    'offset.title': '💚 Offset emissions',
+    'offset.quoting': 'Getting a quote from the provider...',
+    'offset.provider': 'Provider',
+    'offset.provider.mock': 'Local marketplace (simulated)',
+    'offset.project': 'Project',
+    'offset.credits': 'Credits',
+    'offset.unitPrice': 'Price per credit',
+    'offset.total': 'Total',
+    'offset.expires': 'Quote valid until',
+    'offset.name': 'Name',
+    'offset.email': 'Email',
+    'offset.confirm': 'Confirm purchase ({total})',
+    'offset.processing': 'Processing purchase...',
+    'offset.cancel': 'Cancel',
+    'offset.close': 'Close',
+    'offset.retry': '↻ Try again',
+    'offset.refresh': '↻ Refresh status',
+    'offset.pending': '⏳ Order received. Waiting for the provider to confirm it.',
+    'offset.confirmed': '✅ Offset confirmed! Thank you for offsetting your emissions.',
+    'offset.order': 'Order',
+    'offset.status': 'Status',
+    'offset.status.pending': 'Pending',
+    'offset.status.confirmed': 'Confirmed',
+    'offset.certificate': 'Certificate',
+    'offset.mockNotice': 'Simulated test provider: nothing is charged and the certificate is fictitious.',
+    'offset.invalidName': '⚠️ Enter the buyer name.',
+    'offset.invalidEmail': '⚠️ Enter a valid email address.',
+    'offset.error': '⚠️ The offset could not be completed. Please try again.',
+    'offset.error.quote_expired': '⚠️ The quote has expired. Try again to get a new quote.',
+    'offset.error.not_found': '⚠️ Quote or order not found at the provider.',
+    'offset.error.invalid_request': '⚠️ There are no credits to offset in this calculation.',
+
+    // Câmbio
+    'rates.title': '💱 Credit exchange rates',
+    'rates.text': 'Rates used to convert the credit price to the selected currency. Update the rates and their effective date from your source.',
+    'rates.rate': '1 {currency} in {base}',
+    'rates.effectiveDate': 'Effective date',
+    'rates.save': '💾 Save rates',
+    'rates.reset': '↩️ Restore defaults',
+    'rates.invalidRate': '⚠️ Enter a rate greater than zero for {currency}.',
+    'rates.invalidDate': '⚠️ Enter a valid effective date for the exchange rates.',
+
+    // Importação em lote
+    'batch.title': '📥 Import trips (CSV)',
+    'batch.file': 'CSV file',
+    'batch.fileHelper': 'Columns: origem, destino, modo (required), distancia (km) and data (optional). English headers (origin, destination, mode, distance (km), date) also work. File distances are always in km, even when miles are selected. Without a distance, it is looked up in the known routes. Comma or semicolon separated.',
+    'batch.trips': 'Trips calculated',
+    'batch.errorCount': '{count} with errors',
+    'batch.emissions': 'Emissions',
+    'batch.credits': 'Credits',
+    'batch.line': 'Line',
+    'batch.date': 'Date',
+    'batch.perPassenger': 'CO₂e / passenger',
+    'batch.status': 'Status',
+    'batch.routeSource': '(route)',
+    'batch.customRouteSource': '(custom route)',
+    'batch.estimatedSource': '(estimated)',
+    'batch.importError': '❌ The file could not be imported: {message}',
+    'batch.readError': '❌ The selected file could not be read.',
+    'batch.error.empty': 'the file contains no trips.',
+    'batch.error.maxRows': 'the limit is {max} trips per file.',
+    'batch.error.missingColumns': 'missing required column(s): {columns}.',
+    'batch.error.cities': 'Origin and destination are required.',
+    'batch.error.mode': 'Transport mode "{mode}" not recognised.',
+    'batch.error.date': 'Invalid date "{date}" (use YYYY-MM-DD or DD/MM/YYYY).',
+    'batch.error.distance': 'Invalid distance "{distance}".',
+    'batch.error.unknownCity': 'City not found: {cities}. Enter the distance.',
+    'batch.error.unresolved': 'The distance could not be resolved. Enter the distance.',
+
+    // Rotas personalizadas
+    'customRoutes.title': '🛣️ My routes',
+    'customRoutes.text': 'Add the routes missing from the database, such as those between your team\'s offices. They are saved in this browser and apply to the form and to batch import. Export the file to share the routes.',
+    'customRoutes.add': '➕ Add route',
+    'customRoutes.save': '💾 Save route',
+    'customRoutes.cancel': 'Cancel editing',
+    'customRoutes.export': '📤 Export routes',
+    'customRoutes.import': 'Import routes (JSON file)',
+    'customRoutes.importHelper': 'Use the file exported by someone else. Routes in the file replace yours between the same cities.',
+    'customRoutes.empty': 'No custom routes. The routes you add appear here.',
+    'customRoutes.edit': '✏️ Edit',
+    'customRoutes.delete': '✕ Delete',
+    'customRoutes.editLabel': 'Edit the route {route}',
+    'customRoutes.deleteLabel': 'Delete the route {route}',
+    'customRoutes.badge': 'custom route',
+    'customRoutes.replacesDefault': 'replaces the built-in route',
+    'customRoutes.added': '✓ Route {origin} → {destination} added.',
+    'customRoutes.updated': '✓ Route {origin} → {destination} saved.',
+    'customRoutes.deleted': '✓ Route {origin} → {destination} deleted.',
+    'customRoutes.imported': '✓ {count} route(s) imported.',
+    'customRoutes.importedSkipped': '✓ {count} route(s) imported; {skipped} invalid route(s) skipped.',
+    'customRoutes.importError': '❌ The routes could not be imported: {message}',
+    'customRoutes.error.cities': 'Origin and destination are required.',
+    'customRoutes.error.cityName': 'The name "{city}" has characters that are not allowed in city names.',
+    'customRoutes.error.sameCity': 'Origin and destination must be different cities.',
+    'customRoutes.error.distance': 'Enter a distance greater than zero.',
+    'customRoutes.error.duplicate': 'There is already a custom route between {origin} and {destination}.',
+    'customRoutes.error.maxRoutes': 'The limit is {max} custom routes.',
+    'customRoutes.error.file': 'the file is not a calculator routes file (JSON).',
+    'customRoutes.error.empty': 'the file contains no valid routes.',
+
+    // Histórico
+    'history.title': '📚 Calculation history',
+    'history.from': 'From',
+    'history.to': 'To',
+    'history.allModes': 'All modes',
+    'history.empty': 'No saved calculations for the selected filters.',
+    'history.credits': '{value} credits',
+    'history.reopen': '↩ Reopen',
+    'history.delete': '✕ Delete',
+    'history.count': 'Calculations',
+    'history.emissions': 'Emissions',
+    'history.savings': 'Savings',
+    'history.totalCredits': 'Credits',
+    'history.average': '{price} (average)',
+    'history.group': '{unit} · {count} calculation(s)',
+
+    // Rótulos de CONFIG
+    'mode.bicycle': 'Bicycle',
+    'mode.car': 'Car',
+    'mode.motorcycle': 'Motorcycle',
+    'mode.bus': 'Bus',
+    'mode.train': 'Intercity train',
+    'mode.metro': 'Metro',
+    'mode.plane': 'Plane (domestic flight)',
+    'mode.ferry': 'Ferry',
+    'mode.truck': 'Truck',
+    'mode.freightRail': 'Freight train',
+    'mode.cabotage': 'Coastal shipping',
+    'occupancy.car': 'People in the car',
+    'occupancy.motorcycle': 'People on the motorcycle',
+    'occupancy.bus': 'Average bus occupancy (%)',
+    'occupancy.train': 'Average train occupancy (%)',
+    'occupancy.metro': 'Average metro occupancy (%)',
+    'occupancy.plane': 'Average flight occupancy (%)',
+    'occupancy.ferry': 'Average ferry occupancy (%)',
+    'fuel.none': 'None',
+    'fuel.gasoline': 'Gasoline (E27)',
+    'fuel.ethanol': 'Hydrous ethanol',
+    'fuel.diesel': 'Diesel S10',
+    'fuel.cng': 'CNG',
+    'fuel.hybrid': 'Hybrid (gasoline)',
+    'fuel.electric': 'Electric',
+    'fuel.jet': 'Jet fuel',
+    'size.small': 'Compact',
+    'size.medium': 'Medium',
+    'size.large': 'Large',
+    'scope.ttw.label': 'Tank-to-wheel (TTW)',
+    'scope.ttw.description': 'Fuel combustion in the vehicle',
+    'scope.wtt.label': 'Well-to-tank (WTT)',
+    'scope.wtt.description': 'Fuel or energy production and distribution',
+    'scope.wtw.label': 'Well-to-wheel (WTW)',
+    'scope.wtw.description': 'Full cycle: fuel production and combustion in the vehicle',
+    'ghg.gwpSource': 'IPCC AR6, 100-year horizon',
+    'equivalence.trees': 'trees absorbing for 1 year',
+    'equivalence.trees.short': 'trees',
+    'equivalence.gridKwh': 'kWh of Brazilian grid electricity',
+    'equivalence.gridKwh.short': 'kWh',
+    'equivalence.smartphoneCharges': 'smartphone charges',
+    'equivalence.smartphoneCharges.short': 'charges',
+    'equivalence.gasolineLiters': 'liters of gasoline burned',
+    'equivalence.gasolineLiters.short': 'L of gasoline',
+    'projectType.reforestation': 'Reforestation',
+    'projectType.redd': 'REDD+ (avoided deforestation)',
+    'projectType.renewable': 'Renewable energy',
+    'projectType.methane': 'Methane capture',
+    'project.atlantic-forest': 'Atlantic Forest restoration',
+    'project.amazon-redd': 'Standing forest in the Amazon',
+    'project.northeast-wind': 'Northeast Brazil wind farm',
+    'project.landfill-biogas': 'Landfill biogas'
+  },
+
+  es: {
+    // Página
+    'app.title': 'Calculadora de emisiones de CO2',
+    'header.title': '🍃 Calculadora de emisiones de CO2',
+    'header.subtitle': 'Calcule las emisiones de CO2 de su traslado y descubra su impacto ambiental',
+    'header.language': 'Idioma',
+    'header.units': 'Unidades',
+    'header.currency': 'Moneda',
+    'units.metric': 'Métrico (km, kg)',
+    'units.tonnes': 'Métrico (km, t)',
+    'units.imperial': 'Imperial (mi, lb)',
+    'units.km': 'kilómetros',
+    'units.mi': 'millas',
+    'footer.text': 'Desarrollado con ❤️ por Evandro | Proyecto GitHub Copilot',
+
+    // Formulário
+    'form.calculationType': 'Tipo de cálculo',
+    'form.passenger': '🧑 Pasajeros',
+    'form.freight': '📦 Carga (t·km)',
+    'form.itinerary': 'Itinerario',
+    'form.itineraryHint': 'Agregue un tramo para cada traslado del viaje',
+    'form.addLeg': '➕ Agregar tramo',
+    'form.roundTrip': 'Ida y vuelta (repite los tramos en sentido inverso)',
+    'form.vehicles': 'Perfil de los vehículos',
+    'form.vehiclesHelper': 'El combustible y el tamaño definen el factor de emisión usado para cada modo',
+    'form.occupancy': 'Ocupación de los vehículos',
+    'form.occupancyHelper': 'Las emisiones se dividen entre los ocupantes para comparar de forma justa el auto compartido y el transporte público',
+    'form.cargo': 'Carga',
+    'form.cargoWeight': 'Peso de la carga (t)',
+    'form.cargoWeightPlaceholder': 'Peso en toneladas',
+    'form.emptyReturn': 'Retorno vacío (%)',
+    'form.emptyReturnHelper': 'Retorno vacío: porcentaje de la distancia que el vehículo recorre de vuelta sin carga (opcional)',
+    'form.scope': 'Alcance de las emisiones',
+    'form.scopeHelper': 'Resultados en CO₂ equivalente: el CH₄ y el N₂O se convierten según su potencial de calentamiento global (GWP)',
+    'form.dataset': 'Base de factores de emisión',
+    'form.datasetLabel': 'Factores usados en el cálculo',
+    'form.submit': 'Calcular emisiones',
+    'form.calculating': 'Calculando...',
+
+    // Trechos do itinerário
+    'leg.title': 'Tramo',
+    'leg.remove': '✕ Quitar',
+    'leg.origin': 'Origen',
+    'leg.originPlaceholder': 'Escriba la ciudad de origen',
+    'leg.destination': 'Destino',
+    'leg.destinationPlaceholder': 'Escriba la ciudad de destino',
+    'leg.distance': 'Distancia ({unit})',
+    'leg.distancePlaceholder': 'Distancia en {unitName}',
+    'leg.manualDistance': 'Ingresar la distancia manualmente',
+    'leg.mode': 'Modo de transporte',
+
+    // Preenchimento automático de distância
+    'distance.auto': 'La distancia se completará automáticamente',
+    'distance.estimated': '≈ Distancia estimada (línea recta ajustada por el factor de circuito). Marque la opción de abajo para ingresar la distancia real.',
+    'distance.found': '✓ Distancia completada automáticamente',
+    'distance.foundVia': '✓ Distancia completada automáticamente (vía {path})',
+    'distance.foundCustom': '✓ Distancia completada con su ruta personalizada',
+    'distance.foundCustomVia': '✓ Distancia completada con rutas personalizadas (vía {path})',
+    'distance.notFound': '⚠ Ruta no encontrada. Ingrese la distancia manualmente.',
+    'distance.manual': 'Ingrese la distancia en {unitName}',
+
+    // Busca de cidades
+    'city.didYouMean': '¿Quiso decir?',
+    'city.suggestionsAnnouncement': 'Ciudad "{city}" no identificada. ¿Quiso decir: {suggestions}?',
+
+    // Perfil dos veículos
+    'vehicle.fuel': 'Combustible',
+    'vehicle.size': 'Tamaño',
+
+    // Validação e erros
+    'validation.legPrefix': 'Tramo {number}: ',
+    'validation.origin': '⚠️ {leg}Por favor, ingrese una ciudad de origen.',
+    'validation.destination': '⚠️ {leg}Por favor, ingrese una ciudad de destino.',
+    'validation.distance': '⚠️ {leg}Por favor, ingrese una distancia válida en {unitName}.',
+    'validation.distancePositive': '⚠️ {leg}La distancia debe ser mayor que 0 {unit}.',
+    'validation.mode': '⚠️ {leg}Por favor, seleccione un modo de transporte.',
+    'validation.cargo': '⚠️ Por favor, ingrese el peso de la carga en toneladas (mayor que 0).',
+    'validation.emptyReturn': '⚠️ El retorno vacío debe estar entre 0 y 100%.',
+    'validation.loadFactor': '⚠️ {label}: ingrese un valor entre 1 y 100.',
+    'validation.passengers': '⚠️ {label}: ingrese un número entero entre 1 y {capacity}.',
+    'validation.summary': 'No fue posible calcular. Corrija los elementos a continuación:',
+    'error.init': 'Error al iniciar la aplicación. Por favor, recargue la página.',
+    'error.core': 'No fue posible cargar el núcleo de cálculo. Abra la aplicación mediante un servidor HTTP (ej: python3 -m http.server), y no desde el archivo.',
+    'error.form': '❌ Ocurrió un error al procesar su solicitud. Inténtelo de nuevo.',
+    'error.calculation': '❌ Ocurrió un error al calcular las emisiones. Por favor, verifique los datos e inténtelo de nuevo.',
+    'error.restore': '❌ No fue posible reabrir este cálculo.',
+
+    // Textos comuns
+    'common.mixed': 'Mixto',
+    'common.roundTrip': '(ida y vuelta)',
+    'common.route': 'Trayecto',
+    'common.mode': 'Modo',
+    'common.distance': 'Distancia',
+    'common.perPassenger': 'por pasajero',
+    'common.perShipment': 'por envío',
+    'common.range': '{min} a {max}',
+
+    // Resultados
+    'results.estimatedBadge': 'Incluye distancia estimada',
+    'results.emission': 'Emisiones de CO₂e {unit}',
+    'results.perTonne': 'Por tonelada: {value} CO₂e/t',
+    'results.vehicles': 'Vehículo(s): {value} CO₂e',
+    'results.scope': 'Alcance: {scope}',
+    'results.mode': 'Modo de Transporte',
+    'results.cargo': 'Carga',
+    'results.cargoHelper': '{tonneKm} t·km · retorno vacío {emptyReturn}%',
+    'results.savingsVs': 'Ahorro vs {mode}',
+    'results.saved': '{value} ahorrados',
+    'results.lessEmission': '{value}% menos emisiones',
+    'results.exportCsv': '📄 Exportar comparación (CSV)',
+    'results.exportJson': '🧾 Exportar datos (JSON)',
+    'results.print': '🖨️ Informe para imprimir',
+    'results.copyLink': '🔗 Copiar enlace',
+    'results.linkCopied': '✅ ¡Enlace copiado!',
+    'results.announcement': 'Cálculo completado: {emission} de CO₂e {unit} en {distance}.',
+    'results.copyLinkPrompt': 'Copie el enlace del cálculo:',
+    'results.equivalences': 'Equivale a',
+    'results.equivalencesHelper': 'Valores aproximados, según factores de conversión típicos.',
+    'results.dataset': 'Factores: {name} (versión {version})',
+    'results.datasetSource': 'Fuente de los factores de emisión',
+    'dataset.version': 'versión {version}',
+    'dataset.publishedBy': 'Publicado por {publisher} ({year})',
+    'dataset.link': 'Ver publicación',
+
+    // Detalhamento por trecho
+    'legs.title': 'Detalle por Tramo',
+    'legs.return': '(vuelta)',
+    'legs.estimated': '(estimada)',
+    'legs.occupants': 'Ocupantes',
+    'legs.perPassenger': 'CO₂ / pasajero',
+    'legs.vehicle': 'CO₂ vehículo',
+    'legs.perShipment': 'CO₂ envío',
+    'legs.perTonne': 'CO₂ / t',
+
+    // Composição das emissões
+    'breakdown.title': 'Composición de las Emisiones',
+    'breakdown.co2': 'CO₂ (combustión)',
+    'breakdown.ch4': 'CH₄ (combustión)',
+    'breakdown.n2o': 'N₂O (combustión)',
+    'breakdown.upstream': 'Producción del combustible / energía',
+    'breakdown.share': 'Componente',
+    'breakdown.mass': 'Masa',
+    'breakdown.total': 'Total',
+    'breakdown.helper': 'Alcance: {scope} · {description} · GWP: {source}',
+
+    // Comparação entre modos
+    'comparison.selected': '✓ Seleccionado',
+    'comparison.perShipment': '{value} CO₂e / envío',
+    'comparison.freightDetails': '{percentage}% vs camión · {perTonne} CO₂e por tonelada',
+    'comparison.perPassenger': '{value} CO₂e / pasajero',
+    'comparison.passengerDetails': '{percentage}% vs auto · {occupants} ocupante(s) · {vehicle} por vehículo',
+    'comparison.tipTitle': '💡 Consejo',
+    'comparison.tipFreight': 'El ferrocarril y el cabotaje emiten mucho menos CO₂ por tonelada transportada. ¡Reducir el retorno vacío también disminuye las emisiones del envío!',
+    'comparison.tipPassenger': 'Use medios de transporte con menores emisiones de CO₂ para reducir su impacto ambiental. ¡La bicicleta y el transporte público son las mejores opciones!',
+
+    // Créditos de carbono
+    'credits.required': 'Créditos Necesarios',
+    'credits.requiredPerShipment': 'Créditos Necesarios (por envío)',
+    'credits.unit': '1 crédito = {mass} CO₂',
+    'credits.price': 'Precio Estimado (Promedio)',
+    'credits.perTonne': 'Por Tonelada de Carga',
+    'credits.perTonneHelper': 'créditos · {price} por tonelada (promedio)',
+    'credits.exchangeRate': 'Tipo de cambio: 1 {from} = {rate} (vigente desde {date})',
+    'credits.infoTitle': '🌍 ¿Qué son los Créditos de Carbono?',
+    'credits.infoText': 'Los créditos de carbono son certificados que representan una tonelada de CO₂ removida o que se dejó de emitir. Puede compensar sus emisiones invirtiendo en proyectos de reforestación y energía limpia.',
+    'credits.offset': '💚 Compensar Emisiones',
+
+    // Exportação e relatório
+    'export.error': '❌ No fue posible exportar los resultados.',
+    'export.popupBlocked': '⚠️ Permita las ventanas emergentes para abrir el informe para imprimir.',
+    'report.title': 'Informe de Emisiones de CO₂e',
+    'report.generatedAt': 'Generado el {date}',
+    'report.summary': 'Resumen',
+    'report.calculationType': 'Tipo de cálculo',
+    'report.freight': 'Carga: {value} t',
+    'report.passengers': 'Pasajeros',
+    'report.totalDistance': 'Distancia total',
+    'report.emission': 'Emisiones {unit}',
+    'report.scope': 'Alcance',
+    'report.legs': 'Tramos',
+    'report.co2e': 'CO₂e {unit}',
+    'report.breakdown': 'Composición de las emisiones',
+    'report.comparison': 'Comparación entre modos',
+    'report.vsBaseline': '% vs {mode}',
+    'report.credits': 'Créditos de carbono',
+    'report.requiredCredits': 'Créditos necesarios',
+    'report.creditUnit': '(1 crédito = {mass} CO₂e)',
+    'report.estimatedPrice': 'Precio estimado',
+    'report.note': 'Las distancias marcadas con ≈ se estimaron a partir de las coordenadas de las ciudades. Los factores de emisión usados están en la exportación JSON del cálculo.',
+
+    // Links compartilháveis
+    'permalink.invalid': '⚠️ Enlace inválido: {message}',
+    'permalink.error.type': 'tipo de cálculo "{value}" no reconocido.',
+    'permalink.error.legs': 'cada tramo necesita origen, destino y modo de transporte.',
+    'permalink.error.mode': 'modo de transporte "{value}" no reconocido.',
+    'permalink.error.distance': 'distancia "{value}" inválida.',
+    'permalink.error.scope': 'alcance "{value}" no reconocido.',
+    'permalink.error.dataset': 'base de factores "{value}" no reconocida.',
+    'permalink.error.vehicle': 'perfil de vehículo "{value}" inválido.',
+    'permalink.error.occupancy': 'ocupación "{value}" inválida.',
+    'permalink.error.cargo': 'peso de la carga "{value}" inválido.',
+    'permalink.error.emptyReturn': 'retorno vacío "{value}" inválido.',
+    'permalink.error.city': 'nombre de ciudad inválido en el tramo {leg}.',
+
+    // Projetos de compensação
+    'projects.title': '🌳 Compare proyectos de compensación',
+    'projects.project': 'Proyecto',
+    'projects.standard': 'Estándar · cosecha',
+    'projects.rating': 'Calidad',
+    'projects.ratingValue': 'Calificación {rating} de 5',
+    'projects.vintageValue': 'Cosecha {vintage}',
+    'projects.pricePerCredit': 'Precio por crédito',
+    'projects.cost': 'Costo de esta emisión',
+    'projects.offset': 'Compensar',
+
+    // Checkout de compensação
+    'offset.title': '💚 Compensar emisiones',
+    'offset.quoting': 'Cotizando los créditos con el proveedor...',
+    'offset.provider': 'Proveedor',
+    'offset.provider.mock': 'Marketplace local (simulado)',
+    'offset.project': 'Proyecto',
+    'offset.credits': 'Créditos',
+    'offset.unitPrice': 'Precio por crédito',
+    'offset.total': 'Total',
+    'offset.expires': 'Cotización válida hasta',
+    'offset.name': 'Nombre',
+    'offset.email': 'Correo electrónico',
+    'offset.confirm': 'Confirmar compra ({total})',
+    'offset.processing': 'Procesando la compra...',
+    'offset.cancel': 'Cancelar',
+    'offset.close': 'Cerrar',
+    'offset.retry': '↻ Intentar de nuevo',
+    'offset.refresh': '↻ Actualizar estado',
+    'offset.pending': '⏳ Pedido recibido. Esperando la confirmación del proveedor.',
+    'offset.confirmed': '✅ ¡Compensación confirmada! Gracias por compensar sus emisiones.',
+    'offset.order': 'Pedido',
+    'offset.status': 'Estado',
+    'offset.status.pending': 'Pendiente',
+    'offset.status.confirmed': 'Confirmado',
+    'offset.certificate': 'Certificado',
+    'offset.mockNotice': 'Proveedor simulado para pruebas: no se realiza ningún cobro y el certificado es ficticio.',
+    'offset.invalidName': '⚠️ Ingrese el nombre del comprador.',
+    'offset.invalidEmail': '⚠️ Ingrese un correo electrónico válido.',
+    'offset.error': '⚠️ No se pudo completar la compensación. Inténtelo de nuevo.',
+    'offset.error.quote_expired': '⚠️ La cotización expiró. Inténtelo de nuevo para recibir una nueva cotización.',
+    'offset.error.not_found': '⚠️ Cotización o pedido no encontrado en el proveedor.',
+    'offset.error.invalid_request': '⚠️ No hay créditos para compensar en este cálculo.',
+
+    // Câmbio
+    'rates.title': '💱 Tipo de cambio de los créditos',
+    'rates.text': 'Cotizaciones usadas para convertir el precio de los créditos a la moneda elegida. Actualice las cotizaciones y la fecha de vigencia según su fuente.',
+    'rates.rate': '1 {currency} en {base}',
+    'rates.effectiveDate': 'Vigente desde',
+    'rates.save': '💾 Guardar tipo de cambio',
+    'rates.reset': '↩️ Restaurar valores predeterminados',
+    'rates.invalidRate': '⚠️ Ingrese una cotización mayor que cero para {currency}.',
+    'rates.invalidDate': '⚠️ Ingrese una fecha de vigencia válida para el tipo de cambio.',
+
+    // Importação em lote
+    'batch.title': '📥 Importar viajes (CSV)',
+    'batch.file': 'Archivo CSV',
+    'batch.fileHelper': 'Columnas: origen, destino, modo (obligatorias), distancia (km) y fecha (opcionales). La distancia del archivo siempre está en km, incluso con millas seleccionadas. Sin distancia, se busca en las rutas registradas. Separador coma o punto y coma.',
+    'batch.trips': 'Viajes calculados',
+    'batch.errorCount': '{count} con error',
+    'batch.emissions': 'Emisiones',
+    'batch.credits': 'Créditos',
+    'batch.line': 'Línea',
+    'batch.date': 'Fecha',
+    'batch.perPassenger': 'CO₂e / pasajero',
+    'batch.status': 'Estado',
+    'batch.routeSource': '(ruta)',
+    'batch.customRouteSource': '(ruta personalizada)',
+    'batch.estimatedSource': '(estimada)',
+    'batch.importError': '❌ No fue posible importar el archivo: {message}',
+    'batch.readError': '❌ No fue posible leer el archivo seleccionado.',
+    'batch.error.empty': 'el archivo no contiene viajes.',
+    'batch.error.maxRows': 'el límite es de {max} viajes por archivo.',
+    'batch.error.missingColumns': 'falta(n) columna(s) obligatoria(s): {columns}.',
+    'batch.error.cities': 'El origen y el destino son obligatorios.',
+    'batch.error.mode': 'Modo de transporte "{mode}" no reconocido.',
+    'batch.error.date': 'Fecha "{date}" inválida (use AAAA-MM-DD o DD/MM/AAAA).',
+    'batch.error.distance': 'Distancia "{distance}" inválida.',
+    'batch.error.unknownCity': 'Ciudad no encontrada: {cities}. Ingrese la distancia.',
+    'batch.error.unresolved': 'No fue posible determinar la distancia. Ingrese la distancia.',
+
+    // Rotas personalizadas
+    'customRoutes.title': '🛣️ Mis rutas',
+    'customRoutes.text': 'Registre las rutas que faltan en la base, como las de las oficinas de su equipo. Se guardan en este navegador y se aplican en el formulario y en la importación por lotes. Exporte el archivo para compartir las rutas.',
+    'customRoutes.add': '➕ Agregar ruta',
+    'customRoutes.save': '💾 Guardar ruta',
+    'customRoutes.cancel': 'Cancelar edición',
+    'customRoutes.export': '📤 Exportar rutas',
+    'customRoutes.import': 'Importar rutas (archivo JSON)',
+    'customRoutes.importHelper': 'Use el archivo exportado por otra persona. Las rutas del archivo reemplazan las suyas entre las mismas ciudades.',
+    'customRoutes.empty': 'Ninguna ruta personalizada. Las rutas que agregue aparecen aquí.',
+    'customRoutes.edit': '✏️ Editar',
+    'customRoutes.delete': '✕ Eliminar',
+    'customRoutes.editLabel': 'Editar la ruta {route}',
+    'customRoutes.deleteLabel': 'Eliminar la ruta {route}',
+    'customRoutes.badge': 'ruta personalizada',
+    'customRoutes.replacesDefault': 'reemplaza la ruta de la base',
+    'customRoutes.added': '✓ Ruta {origin} → {destination} agregada.',
+    'customRoutes.updated': '✓ Ruta {origin} → {destination} guardada.',
+    'customRoutes.deleted': '✓ Ruta {origin} → {destination} eliminada.',
+    'customRoutes.imported': '✓ {count} ruta(s) importada(s).',
+    'customRoutes.importedSkipped': '✓ {count} ruta(s) importada(s); {skipped} ruta(s) inválida(s) ignorada(s).',
+    'customRoutes.importError': '❌ No fue posible importar las rutas: {message}',
+    'customRoutes.error.cities': 'El origen y el destino son obligatorios.',
+    'customRoutes.error.cityName': 'El nombre "{city}" tiene caracteres que no se aceptan en nombres de ciudad.',
+    'customRoutes.error.sameCity': 'El origen y el destino deben ser ciudades diferentes.',
+    'customRoutes.error.distance': 'Ingrese una distancia mayor que cero.',
+    'customRoutes.error.duplicate': 'Ya existe una ruta personalizada entre {origin} y {destination}.',
+    'customRoutes.error.maxRoutes': 'El límite es de {max} rutas personalizadas.',
+    'customRoutes.error.file': 'el archivo no es un archivo de rutas de la calculadora (JSON).',
+    'customRoutes.error.empty': 'el archivo no contiene rutas válidas.',
+
+    // Histórico
+    'history.title': '📚 Historial de cálculos',
+    'history.from': 'Desde',
+    'history.to': 'Hasta',
+    'history.allModes': 'Todos los modos',
+    'history.empty': 'No hay cálculos guardados para los filtros seleccionados.',
+    'history.credits': '{value} créditos',
+    'history.reopen': '↩ Reabrir',
+    'history.delete': '✕ Eliminar',
+    'history.count': 'Cálculos',
+    'history.emissions': 'Emisiones',
+    'history.savings': 'Ahorro',
+    'history.totalCredits': 'Créditos',
+    'history.average': '{price} (promedio)',
+    'history.group': '{unit} · {count} cálculo(s)',
+
+    // Rótulos de CONFIG
+    'mode.bicycle': 'Bicicleta',
+    'mode.car': 'Auto',
+    'mode.motorcycle': 'Moto',
+    'mode.bus': 'Autobús',
+    'mode.train': 'Tren interurbano',
+    'mode.metro': 'Metro',
+    'mode.plane': 'Avión (vuelo nacional)',
+    'mode.ferry': 'Balsa / Ferry',
+    'mode.truck': 'Camión',
+    'mode.freightRail': 'Tren de carga',
+    'mode.cabotage': 'Cabotaje',
+    'occupancy.car': 'Personas en el auto',
+    'occupancy.motorcycle': 'Personas en la moto',
+    'occupancy.bus': 'Ocupación media del autobús (%)',
+    'occupancy.train': 'Ocupación media del tren (%)',
+    'occupancy.metro': 'Ocupación media del metro (%)',
+    'occupancy.plane': 'Ocupación media del vuelo (%)',
+    'occupancy.ferry': 'Ocupación media de la balsa (%)',
+    'fuel.none': 'Ninguno',
+    'fuel.gasoline': 'Gasolina C',
+    'fuel.ethanol': 'Etanol hidratado',
+    'fuel.diesel': 'Diésel S10',
+    'fuel.cng': 'GNV',
+    'fuel.hybrid': 'Híbrido (gasolina)',
+    'fuel.electric': 'Eléctrico',
+    'fuel.jet': 'Queroseno de aviación',
+    'size.small': 'Compacto',
+    'size.medium': 'Mediano',
+    'size.large': 'Grande',
+    'scope.ttw.label': 'Del tanque a la rueda (TTW)',
+    'scope.ttw.description': 'Combustión del combustible en el vehículo',
+    'scope.wtt.label': 'Del pozo al tanque (WTT)',
+    'scope.wtt.description': 'Producción y distribución del combustible o de la energía',
+    'scope.wtw.label': 'Del pozo a la rueda (WTW)',
+    'scope.wtw.description': 'Ciclo completo: producción del combustible y combustión en el vehículo',
+    'ghg.gwpSource': 'IPCC AR6, horizonte de 100 años',
+    'equivalence.trees': 'árboles absorbiendo durante 1 año',
+    'equivalence.trees.short': 'árboles',
+    'equivalence.gridKwh': 'kWh de la red eléctrica brasileña',
+    'equivalence.gridKwh.short': 'kWh',
+    'equivalence.smartphoneCharges': 'cargas de smartphone',
+    'equivalence.smartphoneCharges.short': 'cargas',
+    'equivalence.gasolineLiters': 'litros de gasolina quemados',
+    'equivalence.gasolineLiters.short': 'L de gasolina',
+    'projectType.reforestation': 'Reforestación',
+    'projectType.redd': 'REDD+ (deforestación evitada)',
+    'projectType.renewable': 'Energía renovable',
+    'projectType.methane': 'Captura de metano',
+    'project.atlantic-forest': 'Restauración de la Mata Atlántica',
+    'project.amazon-redd': 'Bosque en pie en la Amazonía',
+    'project.northeast-wind': 'Parque eólico en el Nordeste de Brasil',
+    'project.landfill-biogas': 'Biogás de relleno sanitario'
+  }
+};
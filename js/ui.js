@@ -2,8 +2,8 @@
  * UI - Objeto de Gerenciamento de Interface do Usuário
  * 
  * Contém métodos para:
- * - Formatação de números e moeda
- * - Manipulação de elementos (mostrar, ocultar, scroll)
+ * - Formatação de números, moeda e datas no idioma atual (ver I18n)
+ * - Manipulação de elementos (mostrar, ocultar, scroll) e anúncios para leitores de tela
  * - Renderização de resultados em HTML
  * - Gerenciamento de estados de carregamento
  */
@@ -20,27 +20,149 @@ const UI = {
    * 
    * @param {number} number - Número a ser formatado
    * @param {number} decimals - Quantidade de casas decimais (padrão: 2)
-   * @returns {string} Número formatado (ex: "1.234,56")
+   * @returns {string} Número formatado no idioma atual (ex: "1.234,56" em português)
    */
   formatNumber: function(number, decimals = 2) {
-    // Usa toLocaleString com locale 'pt-BR' para formatar com separadores
-    return parseFloat(number).toLocaleString('pt-BR', {
+    // Usa toLocaleString com o locale do idioma atual para formatar com separadores
+    return parseFloat(number).toLocaleString(I18n.getIntlLocale(), {
       minimumFractionDigits: decimals,
       maximumFractionDigits: decimals
     });
   },
 
   /**
-   * Formata um valor como moeda brasileira
+   * Formata um valor monetário no idioma atual
    * 
-   * @param {number} value - Valor em reais
-   * @returns {string} Valor formatado (ex: "R$ 1.234,56")
+   * @param {number} value - Valor na moeda informada
+   * @param {string} currency - Código da moeda (padrão: a moeda exibida, ver Currency)
+   * @param {number} decimals - Casas decimais máximas (padrão: as da moeda)
+   * @returns {string} Valor formatado (ex: "R$ 1.234,56" em português, "US$1,234.56" em inglês)
    */
-  formatCurrency: function(value) {
-    return new Intl.NumberFormat('pt-BR', {
+  formatCurrency: function(value, currency = Currency.currency, decimals) {
+    const options = {
       style: 'currency',
-      currency: 'BRL'
-    }).format(value);
+      currency: currency
+    };
+
+    if (decimals !== undefined) {
+      options.maximumFractionDigits = decimals;
+    }
+
+    return new Intl.NumberFormat(I18n.getIntlLocale(), options).format(value);
+  },
+
+  /**
+   * Formata a cotação usada em uma estimativa de preço
+   * 
+   * @param {Object} exchangeRate - Objeto com from, to, rate e effectiveDate
+   *                                (ver Calculator.estimateCreditPrice)
+   * @returns {string} Texto da cotação (ex: "Câmbio: 1 BRL = US$ 0,177 (vigente em 02/06/2025)")
+   */
+  formatExchangeRate: function(exchangeRate) {
+    return I18n.t('credits.exchangeRate', {
+      from: exchangeRate.from,
+      rate: this.formatCurrency(exchangeRate.rate, exchangeRate.to, 4),
+      date: this.formatDate(exchangeRate.effectiveDate)
+    });
+  },
+
+  /**
+   * Formata uma distância na unidade do sistema atual (ver Units)
+   * 
+   * @param {number} km - Distância em quilômetros
+   * @param {number} decimals - Casas decimais (padrão: as da unidade)
+   * @returns {string} Distância com a unidade (ex: "408,0 km", "253.5 mi")
+   */
+  formatDistance: function(km, decimals) {
+    const unit = Units.getDistanceUnit();
+    const unitDecimals = decimals === undefined ? CONFIG.UNITS.DISTANCE_UNITS[unit].decimals : decimals;
+
+    return `${this.formatNumber(Units.toDisplayDistance(km), unitDecimals)} ${unit}`;
+  },
+
+  /**
+   * Formata uma massa na unidade do sistema atual (ver Units)
+   * 
+   * @param {number} kg - Massa em quilogramas
+   * @param {Object} options - Opções de formatação:
+   *   - small: se true, usa a unidade de massas pequenas (g ou oz), para CH₄ e N₂O
+   *   - decimals: casas decimais (padrão: as da unidade)
+   * @returns {string} Massa com a unidade (ex: "45,61 kg", "0.046 t", "100.55 lb")
+   */
+  formatMass: function(kg, options = {}) {
+    const unit = Units.getMassUnit(options.small);
+    const decimals = options.decimals === undefined ? CONFIG.UNITS.MASS_UNITS[unit].decimals : options.decimals;
+
+    return `${this.formatNumber(Units.toDisplayMass(kg, options.small), decimals)} ${unit}`;
+  },
+
+  /**
+   * Escapa caracteres especiais de HTML em textos vindos de fontes externas
+   * (ex: cidades digitadas no formulário ou células de um arquivo CSV importado)
+   * 
+   * @param {string} text - Texto original
+   * @returns {string} Texto seguro para inserir em HTML
+   */
+  escapeHtml: function(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  },
+
+  /**
+   * Formata data e hora no idioma atual
+   * 
+   * @param {string} timestamp - Data e hora em ISO 8601
+   * @returns {string} Data e hora formatadas (ex: "18/03/2025, 14:30" em português)
+   */
+  formatDateTime: function(timestamp) {
+    return new Date(timestamp).toLocaleString(I18n.getIntlLocale(), {
+      dateStyle: 'short',
+      timeStyle: 'short'
+    });
+  },
+
+  /**
+   * Formata uma data (sem horário) no idioma atual
+   * 
+   * @param {string} dateKey - Data no formato YYYY-MM-DD
+   * @returns {string} Data formatada (ex: "18/03/2025" em português, "3/18/2025" em inglês)
+   */
+  formatDate: function(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+
+    return new Date(year, month - 1, day).toLocaleDateString(I18n.getIntlLocale());
+  },
+
+  /**
+   * Retorna o ícone e o rótulo traduzido de um modo de transporte
+   * 
+   * @param {string} mode - Chave de CONFIG.TRANSPORT_MODES ou 'mixed' (trechos com modos diferentes)
+   * @returns {Object} Objeto com icon e label
+   */
+  getModeInfo: function(mode) {
+    if (mode === 'mixed') {
+      return { icon: '🔀', label: I18n.t('common.mixed') };
+    }
+
+    return { icon: CONFIG.TRANSPORT_MODES[mode].icon, label: I18n.t(`mode.${mode}`) };
+  },
+
+  /**
+   * Formata o perfil do veículo (combustível e porte) para exibição
+   * 
+   * @param {Object} vehicle - Objeto com fuel e size (de Calculator.resolveVehicleProfile)
+   * @returns {string} Texto formatado (ex: "Gasolina C · Médio"), vazio se não há combustível
+   */
+  formatVehicleProfile: function(vehicle) {
+    if (!vehicle || vehicle.fuel === 'none') {
+      return '';
+    }
+
+    return `${I18n.t(`fuel.${vehicle.fuel}`)} · ${I18n.t(`size.${vehicle.size}`)}`;
   },
 
   /**
@@ -79,6 +201,63 @@ const UI = {
     }
   },
 
+  /**
+   * Timer do anúncio pendente na região live
+   */
+  announceTimer: null,
+
+  /**
+   * Anuncia uma mensagem aos leitores de tela pela região live da página
+   * A região é esvaziada antes, para que uma mensagem repetida seja anunciada de novo
+   * 
+   * @param {string} message - Texto do anúncio
+   */
+  announce: function(message) {
+    const liveRegion = document.getElementById('live-region');
+    if (!liveRegion) {
+      return;
+    }
+
+    clearTimeout(this.announceTimer);
+    liveRegion.textContent = '';
+    this.announceTimer = setTimeout(() => {
+      liveRegion.textContent = message;
+    }, 100);
+  },
+
+  /**
+   * Exibe um aviso junto da seção (ex: erro ao importar um arquivo) e o anuncia
+   * aos leitores de tela
+   * 
+   * @param {string} elementId - Id do elemento do aviso (classe notice)
+   * @param {string} message - Texto do aviso
+   * @param {boolean} isError - Se true, exibe como erro
+   */
+  showNotice: function(elementId, message, isError = false) {
+    const element = document.getElementById(elementId);
+    if (!element) {
+      return;
+    }
+
+    element.textContent = message;
+    element.classList.toggle('notice--error', isError);
+    element.classList.remove('hidden');
+    this.announce(message);
+  },
+
+  /**
+   * Oculta o aviso de uma seção
+   * 
+   * @param {string} elementId - Id do elemento do aviso
+   */
+  hideNotice: function(elementId) {
+    const element = document.getElementById(elementId);
+    if (element) {
+      element.textContent = '';
+      element.classList.add('hidden');
+    }
+  },
+
   /**
    * ========================================
    * LOADING METHODS (Métodos de Carregamento)
@@ -87,7 +266,7 @@ const UI = {
 
   /**
    * Mostra estado de carregamento no botão
-   * Salva texto original e substitui por spinner + "Calculando..."
+   * Salva texto original e substitui por spinner + "Calculando..." (no idioma atual)
    * 
    * @param {HTMLElement} buttonElement - Elemento do botão
    */
@@ -99,7 +278,7 @@ const UI = {
     buttonElement.disabled = true;
     
     // Substitui conteúdo por spinner e texto
-    buttonElement.innerHTML = '<span class="spinner"></span> Calculando...';
+    buttonElement.innerHTML = `<span class="spinner"></span> ${I18n.t('form.calculating')}`;
   },
 
   /**
@@ -112,7 +291,7 @@ const UI = {
     buttonElement.disabled = false;
     
     // Restaura texto original
-    buttonElement.innerText = buttonElement.dataset.originalText || 'Calcular emissão';
+    buttonElement.innerText = buttonElement.dataset.originalText || I18n.t('form.submit');
   },
 
   /**
@@ -121,86 +300,745 @@ const UI = {
    * ======================================== 
    */
 
+  /**
+   * Renderiza os campos de um trecho do itinerário
+   * 
+   * Estrutura HTML:
+   * - Cabeçalho com número do trecho e botão de remover
+   * - Campos de origem e destino (com autocomplete e sugestões "você quis dizer")
+   * - Campo de distância com helper text e checkbox de inserção manual
+   * - Seletor de modo de transporte do trecho
+   * 
+   * @param {number} legId - Identificador único do trecho (usado nos ids dos campos)
+   * @param {Object} values - Valores iniciais (opcional):
+   *   - origin: cidade de origem
+   *   - destination: cidade de destino
+   *   - mode: modo de transporte (padrão: 'car' para passageiros, 'truck' para carga)
+   * @param {string} kind - Tipo de cálculo: 'passenger' ou 'freight' (padrão: 'passenger')
+   * @returns {string} HTML string com os campos do trecho
+   */
+  renderLeg: function(legId, values = {}, kind = 'passenger') {
+    return `
+      <div class="calculator__leg-header">
+        <span class="calculator__leg-title">${I18n.t('leg.title')} <span class="calculator__leg-number"></span></span>
+        <button type="button" class="calculator__leg-remove" data-action="remove-leg">${I18n.t('leg.remove')}</button>
+      </div>
+
+      <div class="calculator__leg-cities">
+        <div class="calculator__field">
+          <label for="origin-${legId}" class="calculator__label">${I18n.t('leg.origin')}</label>
+          <input 
+            type="text" 
+            id="origin-${legId}" 
+            class="calculator__input"
+            placeholder="${I18n.t('leg.originPlaceholder')}"
+            list="cities-list"
+            data-field="origin"
+            value="${this.escapeHtml(values.origin || '')}"
+            required
+          >
+          <div class="calculator__suggestions hidden" data-suggestions-for="origin"></div>
+        </div>
+
+        <div class="calculator__field">
+          <label for="destination-${legId}" class="calculator__label">${I18n.t('leg.destination')}</label>
+          <input 
+            type="text" 
+            id="destination-${legId}" 
+            class="calculator__input"
+            placeholder="${I18n.t('leg.destinationPlaceholder')}"
+            list="cities-list"
+            data-field="destination"
+            value="${this.escapeHtml(values.destination || '')}"
+            required
+          >
+          <div class="calculator__suggestions hidden" data-suggestions-for="destination"></div>
+        </div>
+      </div>
+
+      <div class="calculator__field">
+        <label for="distance-${legId}" class="calculator__label">${I18n.t('leg.distance', { unit: Units.getDistanceUnit() })}</label>
+        <input 
+          type="number" 
+          id="distance-${legId}" 
+          class="calculator__input"
+          placeholder="${I18n.t('leg.distancePlaceholder', { unitName: I18n.t(`units.${Units.getDistanceUnit()}`) })}"
+          step="0.1"
+          min="0"
+          data-field="distance"
+          aria-describedby="distance-helper-${legId}"
+          readonly
+        >
+        <small id="distance-helper-${legId}" class="calculator__helper">${I18n.t('distance.auto')}</small>
+      </div>
+
+      <div class="calculator__field">
+        <label for="manual-distance-${legId}" class="calculator__checkbox">
+          <input 
+            type="checkbox" 
+            id="manual-distance-${legId}"
+            class="calculator__checkbox-input"
+            data-field="manual-distance"
+          >
+          <span class="calculator__checkbox-text">${I18n.t('leg.manualDistance')}</span>
+        </label>
+      </div>
+
+      <fieldset id="transport-${legId}" class="calculator__transport">
+        <legend class="calculator__transport-legend">${I18n.t('leg.mode')}</legend>
+        <div class="calculator__transport-grid">
+          ${this.renderTransportOptions(legId, kind, values.mode)}
+        </div>
+      </fieldset>
+    `;
+  },
+
+  /**
+   * Renderiza as opções de modo de transporte de um trecho a partir do registro
+   * 
+   * @param {number} legId - Identificador único do trecho (usado no name dos radios)
+   * @param {string} kind - Tipo de cálculo: 'passenger' ou 'freight'
+   * @param {string} selectedMode - Modo selecionado (se disponível para o tipo)
+   * @returns {string} HTML string com um radio por modo
+   */
+  renderTransportOptions: function(legId, kind, selectedMode) {
+    const modes = CONFIG.getModes(kind);
+    const defaultMode = kind === 'freight' ? 'truck' : 'car';
+    const checkedMode = modes.includes(selectedMode) ? selectedMode : defaultMode;
+
+    return modes.map(mode => {
+      const modeInfo = this.getModeInfo(mode);
+      return `
+          <label class="calculator__transport-option">
+            <input 
+              type="radio" 
+              name="transport-${legId}" 
+              value="${mode}"
+              class="calculator__transport-input"
+              data-field="mode"
+              ${mode === checkedMode ? 'checked' : ''}
+            >
+            <span class="calculator__transport-label">${modeInfo.icon} ${modeInfo.label}</span>
+          </label>
+      `;
+    }).join('');
+  },
+
+  /**
+   * Renderiza as opções de escopo de emissão a partir de CONFIG.EMISSION_SCOPES
+   * 
+   * @param {string} selectedScope - Escopo marcado (padrão: CONFIG.GHG.DEFAULT_SCOPE)
+   * @returns {string} HTML string com um radio por escopo
+   */
+  renderScopeOptions: function(selectedScope) {
+    const checkedScope = CONFIG.EMISSION_SCOPES.hasOwnProperty(selectedScope)
+      ? selectedScope
+      : CONFIG.GHG.DEFAULT_SCOPE;
+
+    return Object.keys(CONFIG.EMISSION_SCOPES).map(scope => {
+      return `
+          <label class="calculator__transport-option">
+            <input 
+              type="radio" 
+              name="emission-scope" 
+              value="${scope}"
+              class="calculator__transport-input"
+              ${scope === checkedScope ? 'checked' : ''}
+            >
+            <span class="calculator__transport-label">
+              ${I18n.t(`scope.${scope}.label`)}
+              <small class="calculator__scope-description">${I18n.t(`scope.${scope}.description`)}</small>
+            </span>
+          </label>
+      `;
+    }).join('');
+  },
+
+  /**
+   * Renderiza as opções do seletor de base de fatores a partir de EmissionDatasets
+   * 
+   * @param {string} selectedDataset - Id da base escolhida (padrão: base padrão)
+   * @returns {string} HTML string com um <option> por base (nome e versão)
+   */
+  renderDatasetOptions: function(selectedDataset) {
+    const selected = EmissionDatasets.get(selectedDataset).id;
+
+    return EmissionDatasets.list().map(dataset => `
+      <option value="${this.escapeHtml(dataset.id)}" ${dataset.id === selected ? 'selected' : ''}>${this.escapeHtml(dataset.name)} · ${I18n.t('dataset.version', { version: this.escapeHtml(dataset.version) })}</option>
+    `).join('');
+  },
+
+  /**
+   * Renderiza a descrição da base de fatores escolhida no formulário
+   * 
+   * @param {string} datasetId - Id da base (padrão: base padrão)
+   * @returns {string} HTML string com publicador, ano, citação, link e observações
+   */
+  renderDatasetInfo: function(datasetId) {
+    const dataset = EmissionDatasets.get(datasetId);
+
+    return `
+      ${I18n.t('dataset.publishedBy', { publisher: this.escapeHtml(dataset.publisher), year: dataset.year })}.
+      ${this.escapeHtml(dataset.citation)}
+      <a href="${this.escapeHtml(dataset.url)}" target="_blank" rel="noopener">${I18n.t('dataset.link')}</a>
+      ${dataset.notes ? `<br>${this.escapeHtml(dataset.notes)}` : ''}
+    `;
+  },
+
+  /**
+   * Renderiza os seletores de perfil do veículo (combustível e porte) por modo
+   * 
+   * Apenas modos com mais de uma opção de combustível ou porte na base de fatores
+   * recebem seletores. O perfil inicial de cada modo vem do seu defaultVehicle em
+   * CONFIG.TRANSPORT_MODES.
+   * 
+   * @param {string} dataset - Id da base de fatores (opcional, padrão: base padrão)
+   * @returns {string} HTML string com uma linha de seletores por modo
+   */
+  renderVehicleFields: function(dataset) {
+    const vehicleFactors = EmissionDatasets.get(dataset).vehicleFactors;
+
+    return CONFIG.getModes('passenger').map(mode => {
+      const modeInfo = this.getModeInfo(mode);
+      const fuels = vehicleFactors[mode];
+      const defaults = CONFIG.TRANSPORT_MODES[mode].defaultVehicle;
+      const fuelKeys = Object.keys(fuels);
+      const hasChoices = fuelKeys.length > 1 || Object.keys(fuels[defaults.fuel]).length > 1;
+
+      if (!hasChoices) {
+        return '';
+      }
+
+      const fuelOptions = fuelKeys.map(fuel => `
+            <option value="${fuel}" ${fuel === defaults.fuel ? 'selected' : ''}>${I18n.t(`fuel.${fuel}`)}</option>
+      `).join('');
+
+      return `
+        <div class="calculator__vehicle">
+          <span class="calculator__vehicle-mode">${modeInfo.icon} ${modeInfo.label}</span>
+
+          <div class="calculator__field">
+            <label for="vehicle-fuel-${mode}" class="calculator__label">${I18n.t('vehicle.fuel')}</label>
+            <select 
+              id="vehicle-fuel-${mode}" 
+              class="calculator__input"
+              data-vehicle-mode="${mode}"
+              data-vehicle-field="fuel"
+              ${fuelKeys.length > 1 ? '' : 'disabled'}
+            >
+              ${fuelOptions}
+            </select>
+          </div>
+
+          <div class="calculator__field">
+            <label for="vehicle-size-${mode}" class="calculator__label">${I18n.t('vehicle.size')}</label>
+            <select 
+              id="vehicle-size-${mode}" 
+              class="calculator__input"
+              data-vehicle-mode="${mode}"
+              data-vehicle-field="size"
+            >
+              ${this.renderSizeOptions(mode, defaults.fuel, defaults.size, dataset)}
+            </select>
+          </div>
+        </div>
+      `;
+    }).join('');
+  },
+
+  /**
+   * Renderiza as opções de porte disponíveis para um modo e combustível
+   * 
+   * @param {string} mode - Modo de transporte
+   * @param {string} fuel - Tipo de combustível
+   * @param {string} selectedSize - Porte selecionado (se disponível)
+   * @param {string} dataset - Id da base de fatores (opcional, padrão: base padrão)
+   * @returns {string} HTML string com os elementos <option>
+   */
+  renderSizeOptions: function(mode, fuel, selectedSize, dataset) {
+    const profile = Calculator.resolveVehicleProfile(mode, { [mode]: { fuel: fuel, size: selectedSize } }, dataset);
+
+    return Object.keys(EmissionDatasets.get(dataset).vehicleFactors[mode][profile.fuel]).map(size => `
+              <option value="${size}" ${size === profile.size ? 'selected' : ''}>${I18n.t(`size.${size}`)}</option>
+    `).join('');
+  },
+
+  /**
+   * Renderiza os campos de ocupação dos modos que definem occupancy em CONFIG.TRANSPORT_MODES
+   * 
+   * - type 'passengers': campo numérico de 1 até a capacidade
+   * - type 'loadFactor': campo percentual de 1 a 100
+   * 
+   * @returns {string} HTML string com um campo por modo configurado
+   */
+  renderOccupancyFields: function() {
+    const modes = CONFIG.getModes('passenger').filter(mode => CONFIG.TRANSPORT_MODES[mode].occupancy);
+
+    return modes.map(mode => {
+      const modeInfo = CONFIG.TRANSPORT_MODES[mode];
+      const occupancyConfig = modeInfo.occupancy;
+      const isLoadFactor = occupancyConfig.type === 'loadFactor';
+
+      return `
+        <div class="calculator__field">
+          <label for="occupancy-${mode}" class="calculator__label">${modeInfo.icon} ${I18n.t(`occupancy.${mode}`)}</label>
+          <input 
+            type="number" 
+            id="occupancy-${mode}" 
+            class="calculator__input"
+            data-occupancy-mode="${mode}"
+            min="1"
+            max="${isLoadFactor ? 100 : occupancyConfig.capacity}"
+            step="1"
+            value="${isLoadFactor ? Math.round(occupancyConfig.default * 100) : occupancyConfig.default}"
+          >
+        </div>
+      `;
+    }).join('');
+  },
+
+  /**
+   * Renderiza as sugestões de um nome de cidade não identificado ("você quis dizer")
+   * 
+   * @param {Array<string>} cities - Cidades sugeridas (ver RoutesDB.matchCity)
+   * @returns {string} HTML string com o rótulo e um botão por cidade
+   */
+  renderCitySuggestions: function(cities) {
+    const buttons = cities.map(city => {
+      const name = this.escapeHtml(city);
+      return `<button type="button" class="calculator__suggestion" data-city-suggestion="${name}">${name}</button>`;
+    }).join('');
+
+    return `<span class="calculator__suggestions-label">${I18n.t('city.didYouMean')}</span>${buttons}`;
+  },
+
+  /**
+   * Renderiza o resumo dos erros de validação do formulário
+   * 
+   * @param {Array<Object>} errors - Erros com index, fieldId (null em erros gerais) e message
+   * @returns {string} HTML string com o título e a lista de erros (com links para os campos)
+   */
+  renderErrorSummary: function(errors) {
+    const items = errors.map(error => {
+      const message = this.escapeHtml(error.message);
+      return error.fieldId
+        ? `<li><a href="#${error.fieldId}" class="form-errors__link" data-error-index="${error.index}">${message}</a></li>`
+        : `<li>${message}</li>`;
+    }).join('');
+
+    return `
+      <h2 id="form-errors-title" class="form-errors__title">${I18n.t('validation.summary')}</h2>
+      <ul class="form-errors__list">${items}</ul>
+    `;
+  },
+
   /**
    * Renderiza a seção de resultados principais
    * 
    * Estrutura HTML:
-   * - Card de rota (origem → destino)
+   * - Card de rota (origem → paradas → destino)
    * - Card de distância
    * - Card de emissão (com ícone)
    * - Card de modo de transporte
    * - Card de economia (se houver savings)
+   * - Card de equivalências do dia a dia (se houver equivalences)
+   * - Card de composição das emissões por gás e escopo (se houver breakdown)
+   * - Card de detalhamento por trecho (se houver mais de um trecho)
+   * - Card da fonte dos fatores de emissão (se houver dataset)
    * 
    * @param {Object} data - Objeto contendo:
    *   - origin: cidade de origem
    *   - destination: cidade de destino
-   *   - distance: distância em km
-   *   - emission: emissão em kg CO2
-   *   - mode: modo de transporte
+   *   - distance: distância total em km
+   *   - emission: emissão total por passageiro em kg CO2e
+   *   - vehicleEmission: emissão total dos veículos em kg CO2e (opcional)
+   *   - breakdown: detalhamento por gás e escopo de Calculator (opcional)
+   *   - equivalences: equivalências de Calculator.calculateEquivalences() (opcional)
+   *   - dataset: base de fatores usada, de EmissionDatasets.describe() (opcional)
+   *   - mode: modo de transporte ('mixed' se os trechos usam modos diferentes)
    *   - savings: objeto com savedKg e percentage (opcional)
+   *   - legs: array de trechos de Calculator.calculateItinerary() (opcional)
+   *   - hasEstimatedDistance: true se alguma distância foi estimada (opcional)
+   *   - freight: dados do cálculo de carga (opcional): cargoTonnes, emptyReturnShare,
+   *     tonneKm e emissionPerTonne; a emissão passa a ser por embarque
    * @returns {string} HTML string com os resultados
    */
   renderResults: function(data) {
-    const modeInfo = CONFIG.TRANSPORT_MODES[data.mode];
-    const formattedEmission = this.formatNumber(data.emission, 2);
-    const formattedDistance = this.formatNumber(data.distance, 1);
+    const modeInfo = this.getModeInfo(data.mode);
+    const legs = data.legs || [];
+    const freight = data.freight;
+    const formattedEmission = this.formatMass(data.emission);
+    const formattedDistance = this.formatDistance(data.distance);
 
     let html = `
       <div class="results__container">
         <!-- Card de Rota -->
         <div class="results__card results__card--route">
-          <div class="results__card-label">Trajeto</div>
+          <div class="results__card-label">${I18n.t('common.route')}</div>
           <div class="results__card-content">
-            <span class="results__city">${data.origin}</span>
+            <span class="results__city">${this.escapeHtml(data.origin)}</span>
+            ${legs.slice(0, -1).map(leg => `
             <span class="results__arrow">→</span>
-            <span class="results__city">${data.destination}</span>
+            <span class="results__city">${this.escapeHtml(leg.destination)}</span>
+            `).join('')}
+            <span class="results__arrow">→</span>
+            <span class="results__city">${this.escapeHtml(data.destination)}</span>
           </div>
         </div>
 
         <!-- Card de Distância -->
         <div class="results__card results__card--distance">
-          <div class="results__card-label">Distância</div>
-          <div class="results__card-value">${formattedDistance} km</div>
+          <div class="results__card-label">${I18n.t('common.distance')}</div>
+          <div class="results__card-value">${data.hasEstimatedDistance ? '≈ ' : ''}${formattedDistance}</div>
+          ${data.hasEstimatedDistance ? `<div class="results__estimated-badge">${I18n.t('results.estimatedBadge')}</div>` : ''}
         </div>
 
         <!-- Card de Emissão -->
         <div class="results__card results__card--emission">
-          <div class="results__card-label">Emissão de CO₂</div>
+          <div class="results__card-label">${I18n.t('results.emission', { unit: I18n.t(freight ? 'common.perShipment' : 'common.perPassenger') })}</div>
           <div class="results__card-value results__emission-value">
-            🍃 ${formattedEmission} kg
+            🍃 ${formattedEmission}
           </div>
+          ${freight ? `
+          <div class="results__card-helper">${I18n.t('results.perTonne', { value: this.formatMass(freight.emissionPerTonne) })}</div>
+          ` : ''}
+          ${data.vehicleEmission !== undefined ? `
+          <div class="results__card-helper">${I18n.t('results.vehicles', { value: this.formatMass(data.vehicleEmission) })}</div>
+          ` : ''}
+          ${data.breakdown ? `
+          <div class="results__card-helper">${I18n.t('results.scope', { scope: I18n.t(`scope.${data.breakdown.scope}.label`) })}</div>
+          ` : ''}
+          ${data.dataset ? `
+          <div class="results__card-helper">${I18n.t('results.dataset', { name: this.escapeHtml(data.dataset.name), version: this.escapeHtml(data.dataset.version) })}</div>
+          ` : ''}
         </div>
 
         <!-- Card de Modo de Transporte -->
         <div class="results__card results__card--transport">
-          <div class="results__card-label">Modo de Transporte</div>
+          <div class="results__card-label">${I18n.t('results.mode')}</div>
           <div class="results__card-content results__transport-content">
             <span class="results__transport-icon">${modeInfo.icon}</span>
             <span class="results__transport-label">${modeInfo.label}</span>
           </div>
+          ${data.mode !== 'mixed' && legs.length > 0 && this.formatVehicleProfile(legs[0].vehicle) ? `
+          <div class="results__card-helper">${this.formatVehicleProfile(legs[0].vehicle)}</div>
+          ` : ''}
         </div>
     `;
 
+    // Adiciona card de carga no cálculo de carga
+    if (freight) {
+      html += `
+        <!-- Card de Carga -->
+        <div class="results__card results__card--freight">
+          <div class="results__card-label">${I18n.t('results.cargo')}</div>
+          <div class="results__card-value">${this.formatNumber(freight.cargoTonnes, 1)} t</div>
+          <div class="results__card-helper">
+            ${I18n.t('results.cargoHelper', {
+              tonneKm: this.formatNumber(freight.tonneKm, 0),
+              emptyReturn: this.formatNumber(freight.emptyReturnShare * 100, 0)
+            })}
+          </div>
+        </div>
+      `;
+    }
+
     // Adiciona card de economia se dados disponíveis
-    if (data.savings && data.mode !== 'car') {
-      const formattedSaved = this.formatNumber(data.savings.savedKg, 2);
+    // (comparado ao carro para passageiros, ao caminhão para carga)
+    const baselineMode = freight ? 'truck' : 'car';
+    if (data.savings && data.mode !== baselineMode) {
+      const formattedSaved = this.formatMass(data.savings.savedKg);
       html += `
         <!-- Card de Economia -->
         <div class="results__card results__card--savings">
-          <div class="results__card-label">Economia vs Carro</div>
+          <div class="results__card-label">${I18n.t('results.savingsVs', { mode: this.getModeInfo(baselineMode).label })}</div>
           <div class="results__card-content results__savings-content">
-            <div class="results__savings-amount">${formattedSaved} kg economizados</div>
-            <div class="results__savings-percentage">${data.savings.percentage}% menos emissão</div>
+            <div class="results__savings-amount">${I18n.t('results.saved', { value: formattedSaved })}</div>
+            <div class="results__savings-percentage">${I18n.t('results.lessEmission', { value: data.savings.percentage })}</div>
           </div>
         </div>
       `;
     }
 
+    // Adiciona equivalências do dia a dia
+    if (data.equivalences) {
+      html += this.renderEquivalences(data.equivalences);
+    }
+
+    // Adiciona composição das emissões por gás e escopo
+    if (data.breakdown) {
+      html += this.renderEmissionBreakdown(data.breakdown);
+    }
+
+    // Adiciona detalhamento por trecho se houver mais de um
+    if (legs.length > 1) {
+      html += freight ? this.renderFreightLegsBreakdown(legs) : this.renderLegsBreakdown(legs);
+    }
+
+    // Adiciona a fonte dos fatores de emissão usados
+    if (data.dataset) {
+      html += this.renderDatasetSource(data.dataset);
+    }
+
     html += `</div>`;
 
     return html;
   },
 
+  /**
+   * Renderiza o card da fonte dos fatores de emissão de um cálculo
+   * 
+   * @param {Object} dataset - Base de fatores usada (de EmissionDatasets.describe())
+   * @returns {string} HTML string com nome, versão, publicador, ano e citação da base
+   */
+  renderDatasetSource: function(dataset) {
+    return `
+        <!-- Card da Fonte dos Fatores -->
+        <div class="results__card results__card--source">
+          <div class="results__card-label">${I18n.t('results.datasetSource')}</div>
+          <div class="results__source-name">
+            ${this.escapeHtml(dataset.name)}
+            <span class="results__source-version">${I18n.t('dataset.version', { version: this.escapeHtml(dataset.version) })}</span>
+          </div>
+          <div class="results__card-helper">
+            ${I18n.t('dataset.publishedBy', { publisher: this.escapeHtml(dataset.publisher), year: dataset.year })}
+          </div>
+          <div class="results__card-helper">
+            ${this.escapeHtml(dataset.citation)}
+            <a href="${this.escapeHtml(dataset.url)}" target="_blank" rel="noopener">${I18n.t('dataset.link')}</a>
+          </div>
+        </div>
+    `;
+  },
+
+  /**
+   * Renderiza o card de detalhamento por trecho do itinerário
+   * 
+   * @param {Array} legs - Trechos de Calculator.calculateItinerary()
+   * @returns {string} HTML string com a tabela de trechos
+   */
+  renderLegsBreakdown: function(legs) {
+    const rows = legs.map((leg, index) => {
+      const legModeInfo = this.getModeInfo(leg.mode);
+      return `
+          <tr class="${leg.isReturn ? 'results__leg--return' : ''}">
+            <td>${index + 1}${leg.isReturn ? ` <small>${I18n.t('legs.return')}</small>` : ''}</td>
+            <td>${this.escapeHtml(leg.origin)} → ${this.escapeHtml(leg.destination)}</td>
+            <td>
+              ${legModeInfo.icon} ${legModeInfo.label}
+              <small class="results__legs-vehicle">${this.formatVehicleProfile(leg.vehicle)}</small>
+            </td>
+            <td class="results__legs-number">
+              ${leg.estimated ? '≈ ' : ''}${this.formatDistance(leg.distance)}
+              ${leg.estimated ? `<small class="results__estimated-note">${I18n.t('legs.estimated')}</small>` : ''}
+            </td>
+            <td class="results__legs-number">${this.formatNumber(leg.occupants, 0)}</td>
+            <td class="results__legs-number">${this.formatMass(leg.emission)}</td>
+            <td class="results__legs-number">${this.formatMass(leg.vehicleEmission)}</td>
+          </tr>
+      `;
+    }).join('');
+
+    return `
+        <!-- Card de Detalhamento por Trecho -->
+        <div class="results__card results__card--legs">
+          <div class="results__card-label">${I18n.t('legs.title')}</div>
+          <table class="results__legs-table">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>${I18n.t('common.route')}</th>
+                <th>${I18n.t('common.mode')}</th>
+                <th class="results__legs-number">${I18n.t('common.distance')}</th>
+                <th class="results__legs-number">${I18n.t('legs.occupants')}</th>
+                <th class="results__legs-number">${I18n.t('legs.perPassenger')}</th>
+                <th class="results__legs-number">${I18n.t('legs.vehicle')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${rows}
+            </tbody>
+          </table>
+        </div>
+    `;
+  },
+
+  /**
+   * Renderiza o card de equivalências do dia a dia
+   * 
+   * Uma linha por equivalência de CONFIG.EQUIVALENCES, com ícone, quantidade
+   * e descrição (ex: "🌳 3,9 árvores absorvendo por 1 ano")
+   * 
+   * @param {Object} equivalences - Quantidades de Calculator.calculateEquivalences()
+   * @returns {string} HTML string com o card de equivalências
+   */
+  renderEquivalences: function(equivalences) {
+    const items = Object.keys(CONFIG.EQUIVALENCES).filter(key => equivalences[key] !== undefined).map(key => `
+            <li class="results__equivalence">
+              <span class="results__equivalence-icon">${CONFIG.EQUIVALENCES[key].icon}</span>
+              <span class="results__equivalence-value">${this.formatNumber(equivalences[key], CONFIG.EQUIVALENCES[key].decimals)}</span>
+              <span class="results__equivalence-label">${I18n.t(`equivalence.${key}`)}</span>
+            </li>
+    `).join('');
+
+    return `
+        <!-- Card de Equivalências -->
+        <div class="results__card results__card--equivalences">
+          <div class="results__card-label">${I18n.t('results.equivalences')}</div>
+          <ul class="results__equivalences">
+            ${items}
+          </ul>
+          <div class="results__card-helper">${I18n.t('results.equivalencesHelper')}</div>
+        </div>
+    `;
+  },
+
+  /**
+   * Formata as equivalências de forma curta, para a comparação entre modos
+   * 
+   * @param {Object} equivalences - Quantidades de Calculator.calculateEquivalences()
+   * @returns {string} HTML string com uma equivalência curta por item (ex: "🌳 3,9 árvores")
+   */
+  formatEquivalencesShort: function(equivalences) {
+    return Object.keys(CONFIG.EQUIVALENCES).filter(key => equivalences[key] !== undefined).map(key => `
+              <span class="comparison__equivalence" title="${I18n.t(`equivalence.${key}`)}">${CONFIG.EQUIVALENCES[key].icon} ${this.formatNumber(equivalences[key], CONFIG.EQUIVALENCES[key].decimals)} ${I18n.t(`equivalence.${key}.short`)}</span>
+    `).join('');
+  },
+
+  /**
+   * Renderiza o card de composição das emissões por gás e escopo
+   * 
+   * Mostra a massa de cada gás da queima (CO₂, CH₄ e N₂O) e seu equivalente em CO₂e,
+   * a parcela da produção do combustível (WTT) e o escopo e GWP aplicados.
+   * Apenas as parcelas incluídas no escopo são exibidas.
+   * 
+   * @param {Object} breakdown - Detalhamento de Calculator.buildEmissionBreakdown()
+   * @returns {string} HTML string com a tabela de composição
+   */
+  renderEmissionBreakdown: function(breakdown) {
+    const scopeConfig = CONFIG.EMISSION_SCOPES[breakdown.scope];
+    const gwp = CONFIG.GHG.GWP;
+    let rows = '';
+
+    if (scopeConfig.combustion) {
+      rows += `
+            <tr>
+              <td>${I18n.t('breakdown.co2')}</td>
+              <td class="results__legs-number">${this.formatMass(breakdown.gases.co2)}</td>
+              <td class="results__legs-number">${gwp.CO2}</td>
+              <td class="results__legs-number">${this.formatMass(breakdown.co2e.co2)}</td>
+            </tr>
+            <tr>
+              <td>${I18n.t('breakdown.ch4')}</td>
+              <td class="results__legs-number">${this.formatMass(breakdown.gases.ch4, { small: true })}</td>
+              <td class="results__legs-number">${this.formatNumber(gwp.CH4, 1)}</td>
+              <td class="results__legs-number">${this.formatMass(breakdown.co2e.ch4)}</td>
+            </tr>
+            <tr>
+              <td>${I18n.t('breakdown.n2o')}</td>
+              <td class="results__legs-number">${this.formatMass(breakdown.gases.n2o, { small: true })}</td>
+              <td class="results__legs-number">${this.formatNumber(gwp.N2O, 0)}</td>
+              <td class="results__legs-number">${this.formatMass(breakdown.co2e.n2o)}</td>
+            </tr>
+      `;
+    }
+
+    if (scopeConfig.upstream) {
+      rows += `
+            <tr>
+              <td>${I18n.t('breakdown.upstream')}</td>
+              <td class="results__legs-number">-</td>
+              <td class="results__legs-number">-</td>
+              <td class="results__legs-number">${this.formatMass(breakdown.co2e.upstream)}</td>
+            </tr>
+      `;
+    }
+
+    return `
+        <!-- Card de Composição das Emissões -->
+        <div class="results__card results__card--legs">
+          <div class="results__card-label">${I18n.t('breakdown.title')}</div>
+          <table class="results__legs-table">
+            <thead>
+              <tr>
+                <th>${I18n.t('breakdown.share')}</th>
+                <th class="results__legs-number">${I18n.t('breakdown.mass')}</th>
+                <th class="results__legs-number">GWP</th>
+                <th class="results__legs-number">CO₂e</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${rows}
+            </tbody>
+            <tfoot>
+              <tr class="results__breakdown-total">
+                <td>${I18n.t('breakdown.total')}</td>
+                <td></td>
+                <td></td>
+                <td class="results__legs-number">${this.formatMass(breakdown.total)}</td>
+              </tr>
+            </tfoot>
+          </table>
+          <div class="results__card-helper">
+            ${I18n.t('breakdown.helper', {
+              scope: I18n.t(`scope.${breakdown.scope}.label`),
+              description: I18n.t(`scope.${breakdown.scope}.description`),
+              source: I18n.t('ghg.gwpSource')
+            })}
+          </div>
+        </div>
+    `;
+  },
+
+  /**
+   * Renderiza o card de detalhamento por trecho de um embarque de carga
+   * 
+   * @param {Array} legs - Trechos de Calculator.calculateShipment()
+   * @returns {string} HTML string com a tabela de trechos
+   */
+  renderFreightLegsBreakdown: function(legs) {
+    const rows = legs.map((leg, index) => {
+      const legModeInfo = this.getModeInfo(leg.mode);
+      return `
+          <tr>
+            <td>${index + 1}</td>
+            <td>${this.escapeHtml(leg.origin)} → ${this.escapeHtml(leg.destination)}</td>
+            <td>${legModeInfo.icon} ${legModeInfo.label}</td>
+            <td class="results__legs-number">
+              ${leg.estimated ? '≈ ' : ''}${this.formatDistance(leg.distance)}
+              ${leg.estimated ? `<small class="results__estimated-note">${I18n.t('legs.estimated')}</small>` : ''}
+            </td>
+            <td class="results__legs-number">${this.formatNumber(leg.tonneKm, 0)}</td>
+            <td class="results__legs-number">${this.formatMass(leg.emission)}</td>
+            <td class="results__legs-number">${this.formatMass(leg.emissionPerTonne)}</td>
+          </tr>
+      `;
+    }).join('');
+
+    return `
+        <!-- Card de Detalhamento por Trecho -->
+        <div class="results__card results__card--legs">
+          <div class="results__card-label">${I18n.t('legs.title')}</div>
+          <table class="results__legs-table">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>${I18n.t('common.route')}</th>
+                <th>${I18n.t('common.mode')}</th>
+                <th class="results__legs-number">${I18n.t('common.distance')}</th>
+                <th class="results__legs-number">t·km</th>
+                <th class="results__legs-number">${I18n.t('legs.perShipment')}</th>
+                <th class="results__legs-number">${I18n.t('legs.perTonne')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${rows}
+            </tbody>
+          </table>
+        </div>
+    `;
+  },
+
   /**
    * Renderiza a comparação entre todos os modos de transporte
    * 
@@ -208,31 +1046,36 @@ const UI = {
    * - Item para cada modo com:
    *   - Ícone e label
    *   - Badge "Selecionado" se for o modo escolhido
-   *   - Emissão e percentual vs carro
+   *   - Passageiros: emissão por passageiro, percentual vs carro, ocupantes e emissão do veículo
+   *   - Carga: emissão por embarque, percentual vs caminhão e emissão por tonelada
    *   - Barra de progresso com cor codificada
    * - Info box com dica útil
    * 
    * @param {Array} modesArray - Array de objetos de modos do Calculator.calculateAllModes()
+   *                             ou Calculator.calculateAllFreightModes()
    * @param {string} selectedMode - Modo atualmente selecionado
+   * @param {string} kind - Tipo de cálculo: 'passenger' ou 'freight' (padrão: 'passenger')
    * @returns {string} HTML string com a comparação
    */
-  renderComparison: function(modesArray, selectedMode) {
+  renderComparison: function(modesArray, selectedMode, kind = 'passenger') {
+    const isFreight = kind === 'freight';
     const maxEmission = Math.max(...modesArray.map(m => m.emission));
 
     let html = `<div class="comparison__container">`;
 
     modesArray.forEach(item => {
-      const modeInfo = CONFIG.TRANSPORT_MODES[item.mode];
+      const modeInfo = this.getModeInfo(item.mode);
       const isSelected = item.mode === selectedMode;
-      const widthPercent = (item.emission / maxEmission) * 100;
+      const widthPercent = maxEmission > 0 ? (item.emission / maxEmission) * 100 : 0;
+      const percentage = isFreight ? item.percentageVsTruck : item.percentageVsCar;
       
-      // Determina cor da barra baseado no percentual vs carro
+      // Determina cor da barra baseado no percentual vs baseline (carro ou caminhão)
       let barColor = '#10b981'; // verde (0-25%)
-      if (item.percentageVsCar > 25 && item.percentageVsCar <= 75) {
+      if (percentage > 25 && percentage <= 75) {
         barColor = '#f59e0b'; // amarelo (25-75%)
-      } else if (item.percentageVsCar > 75 && item.percentageVsCar <= 100) {
+      } else if (percentage > 75 && percentage <= 100) {
         barColor = '#f97316'; // laranja (75-100%)
-      } else if (item.percentageVsCar > 100) {
+      } else if (percentage > 100) {
         barColor = '#ef4444'; // vermelho (>100%)
       }
 
@@ -242,14 +1085,37 @@ const UI = {
             <div class="comparison__mode-info">
               <span class="comparison__icon">${modeInfo.icon}</span>
               <span class="comparison__label">${modeInfo.label}</span>
+              <span class="comparison__vehicle">${this.formatVehicleProfile(item.vehicle)}</span>
             </div>
-            ${isSelected ? '<span class="comparison__badge">✓ Selecionado</span>' : ''}
+            ${isSelected ? `<span class="comparison__badge">${I18n.t('comparison.selected')}</span>` : ''}
           </div>
 
           <div class="comparison__stats">
-            <div class="comparison__emission">${this.formatNumber(item.emission, 2)} kg CO₂</div>
-            <div class="comparison__percentage">${item.percentageVsCar}% vs carro</div>
+            ${isFreight ? `
+            <div class="comparison__emission">${I18n.t('comparison.perShipment', { value: this.formatMass(item.emission) })}</div>
+            <div class="comparison__percentage">
+              ${I18n.t('comparison.freightDetails', {
+                percentage: item.percentageVsTruck,
+                perTonne: this.formatMass(item.emissionPerTonne)
+              })}
+            </div>
+            ` : `
+            <div class="comparison__emission">${I18n.t('comparison.perPassenger', { value: this.formatMass(item.emission) })}</div>
+            <div class="comparison__percentage">
+              ${I18n.t('comparison.passengerDetails', {
+                percentage: item.percentageVsCar,
+                occupants: this.formatNumber(item.occupants, 0),
+                vehicle: this.formatMass(item.vehicleEmission)
+              })}
+            </div>
+            `}
+          </div>
+
+          ${item.equivalences ? `
+          <div class="comparison__equivalences">
+            ${this.formatEquivalencesShort(item.equivalences)}
           </div>
+          ` : ''}
 
           <div class="comparison__bar-container">
             <div 
@@ -264,10 +1130,9 @@ const UI = {
     // Info box com mensagem útil
     html += `
       <div class="comparison__info">
-        <h3 class="comparison__info-title">💡 Dica</h3>
+        <h3 class="comparison__info-title">${I18n.t('comparison.tipTitle')}</h3>
         <p class="comparison__info-text">
-          Use transportes com menor emissão de CO₂ para reduzir seu impacto ambiental. 
-          Bicicleta e transporte público são as melhores opções!
+          ${I18n.t(isFreight ? 'comparison.tipFreight' : 'comparison.tipPassenger')}
         </p>
       </div>
     </div>`;
@@ -282,19 +1147,24 @@ const UI = {
    * - Grid com 2 cards:
    *   - Card de créditos necessários
    *   - Card de preço estimado com range
+   * - Card por tonelada (apenas no cálculo de carga)
+   * - Comparação dos projetos de compensação do catálogo
    * - Info box explicando créditos de carbono
-   * - Botão "Compensar Emissões"
+   * - Botão "Compensar Emissões" (abre o checkout, ver Offset)
    * 
    * @param {Object} creditsData - Objeto contendo:
-   *   - credits: quantidade de créditos
-   *   - price: objeto com { min, max, average }
+   *   - credits: quantidade de créditos (por passageiro ou por embarque)
+   *   - price: objeto com { min, max, average, currency, exchangeRate }
+   *   - projects: custo com cada projeto de Calculator.compareOffsetProjects() (opcional)
+   *   - perTonne: objeto com { credits, price } por tonelada de carga (opcional)
    * @returns {string} HTML string com créditos de carbono
    */
   renderCarbonCredits: function(creditsData) {
+    const currency = creditsData.price.currency;
     const formattedCredits = this.formatNumber(creditsData.credits, 4);
-    const formattedAverage = this.formatCurrency(creditsData.price.average);
-    const formattedMin = this.formatCurrency(creditsData.price.min);
-    const formattedMax = this.formatCurrency(creditsData.price.max);
+    const formattedAverage = this.formatCurrency(creditsData.price.average, currency);
+    const formattedMin = this.formatCurrency(creditsData.price.min, currency);
+    const formattedMax = this.formatCurrency(creditsData.price.max, currency);
 
     const html = `
       <div class="carbon-credits__container">
@@ -302,38 +1172,676 @@ const UI = {
         <div class="carbon-credits__grid">
           <!-- Card de Créditos -->
           <div class="carbon-credits__card carbon-credits__card--credits">
-            <div class="carbon-credits__card-label">Créditos Necessários</div>
+            <div class="carbon-credits__card-label">${I18n.t(creditsData.perTonne ? 'credits.requiredPerShipment' : 'credits.required')}</div>
             <div class="carbon-credits__card-value">${formattedCredits}</div>
-            <div class="carbon-credits__card-helper">1 crédito = 1.000 kg CO₂</div>
+            <div class="carbon-credits__card-helper">${I18n.t('credits.unit', { mass: this.formatMass(CONFIG.CARBON_CREDIT.KG_PER_CREDIT, { decimals: 0 }) })}</div>
           </div>
 
           <!-- Card de Preço Estimado -->
           <div class="carbon-credits__card carbon-credits__card--price">
-            <div class="carbon-credits__card-label">Preço Estimado (Médio)</div>
+            <div class="carbon-credits__card-label">${I18n.t('credits.price')}</div>
             <div class="carbon-credits__card-value">${formattedAverage}</div>
             <div class="carbon-credits__card-range">
-              ${formattedMin} a ${formattedMax}
+              ${I18n.t('common.range', { min: formattedMin, max: formattedMax })}
             </div>
+            ${creditsData.price.exchangeRate ? `
+            <div class="carbon-credits__card-helper">${this.formatExchangeRate(creditsData.price.exchangeRate)}</div>
+            ` : ''}
           </div>
+
+          ${creditsData.perTonne ? `
+          <!-- Card por Tonelada (cálculo de carga) -->
+          <div class="carbon-credits__card carbon-credits__card--per-tonne">
+            <div class="carbon-credits__card-label">${I18n.t('credits.perTonne')}</div>
+            <div class="carbon-credits__card-value">${this.formatNumber(creditsData.perTonne.credits, 4)}</div>
+            <div class="carbon-credits__card-helper">
+              ${I18n.t('credits.perTonneHelper', { price: this.formatCurrency(creditsData.perTonne.price.average, currency) })}
+            </div>
+          </div>
+          ` : ''}
         </div>
 
+        ${creditsData.projects ? this.renderOffsetProjects(creditsData.projects, creditsData.credits > 0) : ''}
+
         <!-- Info Box -->
         <div class="carbon-credits__info">
-          <h3 class="carbon-credits__info-title">🌍 O que são Créditos de Carbono?</h3>
+          <h3 class="carbon-credits__info-title">${I18n.t('credits.infoTitle')}</h3>
           <p class="carbon-credits__info-text">
-            Créditos de carbono são certificados que representam uma tonelada de CO₂ 
-            removida ou deixada de ser emitida. Você pode compensar suas emissões 
-            investindo em projetos de reflorestamento e energia limpa.
+            ${I18n.t('credits.infoText')}
           </p>
         </div>
 
         <!-- Botão de Ação -->
-        <button class="carbon-credits__button" disabled>
-          💚 Compensar Emissões
+        <button type="button" class="carbon-credits__button" data-offset-action="open" ${creditsData.credits > 0 ? '' : 'disabled'}>
+          ${I18n.t('credits.offset')}
         </button>
       </div>
     `;
 
     return html;
+  },
+
+  /**
+   * Renderiza a comparação dos projetos de compensação
+   * 
+   * Tabela com uma linha por projeto do catálogo (CONFIG.CARBON_CREDIT.PROJECTS):
+   * nome, tipo e localização, padrão e safra, classificação, preço por crédito
+   * (na moeda do projeto), custo para compensar a emissão atual e botão que abre
+   * o checkout com o projeto
+   * 
+   * @param {Array<Object>} projects - Projetos de Calculator.compareOffsetProjects()
+   * @param {boolean} canOffset - Se false, os botões de compensação ficam desabilitados
+   * @returns {string} HTML string com a tabela de projetos
+   */
+  renderOffsetProjects: function(projects, canOffset) {
+    const rows = projects.map(item => {
+      const project = CONFIG.CARBON_CREDIT.PROJECTS[item.id];
+      const priceRange = project.priceRange;
+      const rating = I18n.t('projects.ratingValue', { rating: project.rating });
+
+      return `
+          <tr>
+            <td>
+              <strong>${I18n.t(`project.${item.id}`)}</strong>
+              <span class="carbon-credits__project-detail">${I18n.t(`projectType.${project.type}`)} · ${this.escapeHtml(project.location)}</span>
+            </td>
+            <td>
+              ${this.escapeHtml(project.standard)}
+              <span class="carbon-credits__project-detail">${I18n.t('projects.vintageValue', { vintage: project.vintage })}</span>
+            </td>
+            <td>
+              <span class="carbon-credits__project-rating" title="${rating}" aria-label="${rating}">${'★'.repeat(project.rating)}${'☆'.repeat(5 - project.rating)}</span>
+            </td>
+            <td class="results__legs-number">
+              ${I18n.t('common.range', { min: this.formatCurrency(priceRange.min, priceRange.currency), max: this.formatCurrency(priceRange.max, priceRange.currency) })}
+            </td>
+            <td class="results__legs-number">
+              <strong>${this.formatCurrency(item.price.average, item.price.currency)}</strong>
+              <span class="carbon-credits__project-detail">${I18n.t('common.range', { min: this.formatCurrency(item.price.min, item.price.currency), max: this.formatCurrency(item.price.max, item.price.currency) })}</span>
+            </td>
+            <td>
+              <button type="button" class="results__action" data-offset-action="open" data-project-id="${item.id}" ${canOffset ? '' : 'disabled'}>${I18n.t('projects.offset')}</button>
+            </td>
+          </tr>
+      `;
+    }).join('');
+
+    return `
+        <!-- Comparação dos Projetos de Compensação -->
+        <div class="carbon-credits__projects">
+          <h3 class="carbon-credits__projects-title">${I18n.t('projects.title')}</h3>
+          <table class="carbon-credits__projects-table">
+            <thead>
+              <tr>
+                <th>${I18n.t('projects.project')}</th>
+                <th>${I18n.t('projects.standard')}</th>
+                <th>${I18n.t('projects.rating')}</th>
+                <th class="results__legs-number">${I18n.t('projects.pricePerCredit')}</th>
+                <th class="results__legs-number">${I18n.t('projects.cost')}</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              ${rows}
+            </tbody>
+          </table>
+        </div>
+    `;
+  },
+
+  /**
+   * Renderiza o conteúdo do checkout de compensação
+   * 
+   * Estrutura HTML por etapa (ver Offset):
+   * - loading: mensagem de cotação em andamento
+   * - review e processing: resumo da cotação (fornecedor, créditos, preço por
+   *   crédito, total, câmbio e validade) e formulário do comprador
+   * - confirmed: pedido com número, status e certificado (quando confirmado)
+   * - error: mensagem do erro e botão para tentar novamente
+   * 
+   * @param {Object} state - Estado do checkout (step, credits, project, quote, buyer,
+   *                         formError, order e errorCode)
+   * @param {Object|null} provider - Fornecedor do checkout (id e label; o nome é traduzido
+   *                                 pela chave offset.provider.<id>, se existir)
+   * @returns {string} HTML string com o conteúdo do checkout
+   */
+  renderOffsetCheckout: function(state, provider) {
+    const hasMessage = (key) => I18n.getDefaultMessages().hasOwnProperty(key);
+
+    const closeButton = (key) => `
+      <button type="button" class="results__action" data-offset-action="close">${I18n.t(key)}</button>
+    `;
+
+    const providerRow = provider ? `
+      <div class="offset__row">
+        <dt>${I18n.t('offset.provider')}</dt>
+        <dd>${hasMessage(`offset.provider.${provider.id}`) ? I18n.t(`offset.provider.${provider.id}`) : this.escapeHtml(provider.label)}</dd>
+      </div>
+    ` : '';
+
+    const projectRow = (project) => project && CONFIG.CARBON_CREDIT.PROJECTS[project] ? `
+      <div class="offset__row">
+        <dt>${I18n.t('offset.project')}</dt>
+        <dd>${I18n.t(`project.${project}`)}</dd>
+      </div>
+    ` : '';
+
+    const notice = provider && provider.id === 'mock' ? `
+      <p class="offset__notice">${I18n.t('offset.mockNotice')}</p>
+    ` : '';
+
+    if (state.step === 'loading') {
+      return `
+        <p class="offset__message">${I18n.t('offset.quoting')}</p>
+        <div class="offset__actions">${closeButton('offset.cancel')}</div>
+      `;
+    }
+
+    if (state.step === 'error') {
+      const errorKey = state.errorCode && hasMessage(`offset.error.${state.errorCode}`)
+        ? `offset.error.${state.errorCode}`
+        : 'offset.error';
+
+      return `
+        <p class="offset__error" role="alert">${I18n.t(errorKey)}</p>
+        <div class="offset__actions">
+          <button type="button" class="results__action" data-offset-action="retry">${I18n.t('offset.retry')}</button>
+          ${closeButton('offset.close')}
+        </div>
+      `;
+    }
+
+    if (state.step === 'confirmed') {
+      const order = state.order;
+      const isConfirmed = order.status === 'confirmed';
+
+      return `
+        <p class="offset__message offset__message--${order.status}" role="status">
+          ${I18n.t(isConfirmed ? 'offset.confirmed' : 'offset.pending')}
+        </p>
+        <dl class="offset__summary">
+          ${providerRow}
+          ${projectRow(order.project)}
+          <div class="offset__row">
+            <dt>${I18n.t('offset.order')}</dt>
+            <dd>${this.escapeHtml(order.id)}</dd>
+          </div>
+          <div class="offset__row">
+            <dt>${I18n.t('offset.credits')}</dt>
+            <dd>${this.formatNumber(order.credits, 4)}</dd>
+          </div>
+          <div class="offset__row">
+            <dt>${I18n.t('offset.total')}</dt>
+            <dd>${this.formatCurrency(order.total, order.currency)}</dd>
+          </div>
+          <div class="offset__row">
+            <dt>${I18n.t('offset.status')}</dt>
+            <dd><span class="offset__status offset__status--${order.status}">${I18n.t(`offset.status.${order.status}`)}</span></dd>
+          </div>
+          ${isConfirmed ? `
+          <div class="offset__row">
+            <dt>${I18n.t('offset.certificate')}</dt>
+            <dd>${this.escapeHtml(order.certificate)}</dd>
+          </div>
+          ` : ''}
+        </dl>
+        ${notice}
+        <div class="offset__actions">
+          ${isConfirmed ? '' : `<button type="button" class="results__action" data-offset-action="refresh">${I18n.t('offset.refresh')}</button>`}
+          ${closeButton('offset.close')}
+        </div>
+      `;
+    }
+
+    // Etapas review e processing
+    const quote = state.quote;
+    const buyer = state.buyer || { name: '', email: '' };
+    const isProcessing = state.step === 'processing';
+
+    return `
+      <dl class="offset__summary">
+        ${providerRow}
+        ${projectRow(quote.project)}
+        <div class="offset__row">
+          <dt>${I18n.t('offset.credits')}</dt>
+          <dd>${this.formatNumber(quote.credits, 4)} · ${I18n.t('credits.unit', { mass: this.formatMass(CONFIG.CARBON_CREDIT.KG_PER_CREDIT, { decimals: 0 }) })}</dd>
+        </div>
+        <div class="offset__row">
+          <dt>${I18n.t('offset.unitPrice')}</dt>
+          <dd>${this.formatCurrency(quote.unitPrice, quote.currency)}</dd>
+        </div>
+        <div class="offset__row offset__row--total">
+          <dt>${I18n.t('offset.total')}</dt>
+          <dd>${this.formatCurrency(quote.total, quote.currency)}</dd>
+        </div>
+        <div class="offset__row">
+          <dt>${I18n.t('offset.expires')}</dt>
+          <dd>${this.formatDateTime(quote.expiresAt)}</dd>
+        </div>
+      </dl>
+      ${quote.exchangeRate ? `<p class="offset__notice">${this.formatExchangeRate(quote.exchangeRate)}</p>` : ''}
+
+      <form class="offset__form" novalidate>
+        <div class="calculator__field">
+          <label for="offset-name" class="calculator__label">${I18n.t('offset.name')}</label>
+          <input type="text" id="offset-name" class="calculator__input" autocomplete="name" value="${this.escapeHtml(buyer.name)}" ${isProcessing ? 'disabled' : ''}>
+        </div>
+        <div class="calculator__field">
+          <label for="offset-email" class="calculator__label">${I18n.t('offset.email')}</label>
+          <input type="email" id="offset-email" class="calculator__input" autocomplete="email" value="${this.escapeHtml(buyer.email)}" ${isProcessing ? 'disabled' : ''}>
+        </div>
+        ${state.formError ? `<p class="offset__error" role="alert">${I18n.t(state.formError)}</p>` : ''}
+        ${notice}
+        <div class="offset__actions">
+          <button type="submit" class="carbon-credits__button" ${isProcessing ? 'disabled' : ''}>
+            ${I18n.t(isProcessing ? 'offset.processing' : 'offset.confirm', { total: this.formatCurrency(quote.total, quote.currency) })}
+          </button>
+          ${closeButton('offset.cancel')}
+        </div>
+      </form>
+    `;
+  },
+
+  /**
+   * Renderiza o relatório de impressão de um cálculo
+   * 
+   * Documento HTML independente (com estilos próprios para impressão) contendo
+   * resumo, trechos, composição das emissões, comparação entre modos e créditos.
+   * A impressão é iniciada ao carregar o documento.
+   * 
+   * @param {Object} calculation - Cálculo de ResultsExport.setCalculation()
+   * @returns {string} Documento HTML completo do relatório
+   */
+  renderReport: function(calculation) {
+    const itinerary = calculation.itinerary;
+    const isFreight = calculation.input.calculationType === 'freight';
+    const unit = I18n.t(isFreight ? 'common.perShipment' : 'common.perPassenger');
+    const scope = itinerary.breakdown.scope;
+    const inputLegs = calculation.input.legs;
+    const cities = [inputLegs[0].origin].concat(inputLegs.map(leg => leg.destination));
+    const credits = calculation.credits;
+
+    const legRows = itinerary.legs.map((leg, index) => `
+          <tr>
+            <td>${index + 1}</td>
+            <td>${this.escapeHtml(leg.origin)} → ${this.escapeHtml(leg.destination)}</td>
+            <td>${this.getModeInfo(leg.mode).label}</td>
+            <td class="results__legs-number">${leg.estimated ? '≈ ' : ''}${this.formatDistance(leg.distance)}</td>
+            <td class="results__legs-number">${this.formatMass(leg.emission)}</td>
+          </tr>
+    `).join('');
+
+    const comparisonRows = calculation.comparison.map(item => `
+          <tr>
+            <td>${this.getModeInfo(item.mode).label}</td>
+            <td class="results__legs-number">${this.formatMass(item.emission)}</td>
+            <td class="results__legs-number">${isFreight ? item.percentageVsTruck : item.percentageVsCar}%</td>
+          </tr>
+    `).join('');
+
+    const projectRows = (credits.projects || []).map(item => {
+      const project = CONFIG.CARBON_CREDIT.PROJECTS[item.id];
+      return `
+          <tr>
+            <td>${I18n.t(`project.${item.id}`)} (${I18n.t(`projectType.${project.type}`)}, ${this.escapeHtml(project.location)})</td>
+            <td>${this.escapeHtml(project.standard)} · ${project.vintage}</td>
+            <td class="results__legs-number">${this.formatCurrency(item.price.average, item.price.currency)}</td>
+          </tr>
+      `;
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html lang="${I18n.getIntlLocale()}">
+<head>
+  <meta charset="UTF-8">
+  <title>${I18n.t('report.title')}</title>
+  <style>
+    @page { margin: 1.5cm; }
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #111827; font-size: 11pt; }
+    h1 { font-size: 18pt; margin-bottom: 0; }
+    h2 { font-size: 13pt; margin-top: 1.5em; border-bottom: 2px solid #10b981; padding-bottom: 0.25em; }
+    table { width: 100%; border-collapse: collapse; margin-top: 0.5em; page-break-inside: avoid; }
+    th, td { padding: 0.3em 0.5em; border-bottom: 1px solid #e5e7eb; text-align: left; }
+    th { font-size: 9pt; color: #6b7280; text-transform: uppercase; }
+    .results__legs-number { text-align: right; white-space: nowrap; }
+    .results__card-label { display: none; }
+    .results__card-helper, .report__meta, .report__note { color: #6b7280; font-size: 9pt; }
+    .report__summary th { width: 35%; text-transform: none; font-size: 11pt; color: #374151; }
+  </style>
+</head>
+<body onload="window.print()">
+  <h1>🍃 ${I18n.t('report.title')}</h1>
+  <p class="report__meta">${I18n.t('report.generatedAt', { date: this.formatDateTime(calculation.timestamp) })}</p>
+
+  <h2>${I18n.t('report.summary')}</h2>
+  <table class="report__summary">
+    <tr><th>${I18n.t('common.route')}</th><td>${cities.map(city => this.escapeHtml(city)).join(' → ')}${calculation.input.roundTrip ? ` ${I18n.t('common.roundTrip')}` : ''}</td></tr>
+    <tr><th>${I18n.t('report.calculationType')}</th><td>${isFreight ? I18n.t('report.freight', { value: this.formatNumber(calculation.input.options.freight.cargoTonnes, 1) }) : I18n.t('report.passengers')}</td></tr>
+    <tr><th>${I18n.t('report.totalDistance')}</th><td>${itinerary.hasEstimatedDistance ? '≈ ' : ''}${this.formatDistance(itinerary.totalDistance)}</td></tr>
+    <tr><th>${I18n.t('report.emission', { unit: unit })}</th><td><strong>${this.formatMass(itinerary.totalEmission)} CO₂e</strong></td></tr>
+    <tr><th>${I18n.t('report.scope')}</th><td>${I18n.t(`scope.${scope}.label`)} · ${I18n.t(`scope.${scope}.description`)}</td></tr>
+    <tr><th>GWP</th><td>${I18n.t('ghg.gwpSource')}</td></tr>
+    ${itinerary.dataset ? `
+    <tr><th>${I18n.t('results.datasetSource')}</th><td>${this.escapeHtml(itinerary.dataset.name)} · ${I18n.t('dataset.version', { version: this.escapeHtml(itinerary.dataset.version) })} · ${I18n.t('dataset.publishedBy', { publisher: this.escapeHtml(itinerary.dataset.publisher), year: itinerary.dataset.year })}<br><small>${this.escapeHtml(itinerary.dataset.citation)} ${this.escapeHtml(itinerary.dataset.url)}</small></td></tr>
+    ` : ''}
+  </table>
+
+  <h2>${I18n.t('report.legs')}</h2>
+  <table>
+    <thead>
+      <tr>
+        <th>#</th>
+        <th>${I18n.t('common.route')}</th>
+        <th>${I18n.t('common.mode')}</th>
+        <th class="results__legs-number">${I18n.t('common.distance')}</th>
+        <th class="results__legs-number">${I18n.t('report.co2e', { unit: unit })}</th>
+      </tr>
+    </thead>
+    <tbody>
+      ${legRows}
+    </tbody>
+  </table>
+
+  <h2>${I18n.t('report.breakdown')}</h2>
+  ${this.renderEmissionBreakdown(itinerary.breakdown)}
+
+  <h2>${I18n.t('report.comparison')}</h2>
+  <table>
+    <thead>
+      <tr>
+        <th>${I18n.t('common.mode')}</th>
+        <th class="results__legs-number">${I18n.t('report.co2e', { unit: unit })}</th>
+        <th class="results__legs-number">${I18n.t('report.vsBaseline', { mode: this.getModeInfo(isFreight ? 'truck' : 'car').label })}</th>
+      </tr>
+    </thead>
+    <tbody>
+      ${comparisonRows}
+    </tbody>
+  </table>
+
+  <h2>${I18n.t('report.credits')}</h2>
+  <table class="report__summary">
+    <tr><th>${I18n.t('report.requiredCredits')}</th><td>${this.formatNumber(credits.credits, 4)} ${I18n.t('report.creditUnit', { mass: this.formatMass(CONFIG.CARBON_CREDIT.KG_PER_CREDIT, { decimals: 0 }) })}</td></tr>
+    <tr><th>${I18n.t('report.estimatedPrice')}</th><td>${this.formatCurrency(credits.price.average, credits.price.currency)} (${I18n.t('common.range', { min: this.formatCurrency(credits.price.min, credits.price.currency), max: this.formatCurrency(credits.price.max, credits.price.currency) })})${credits.price.exchangeRate ? `<br>${this.formatExchangeRate(credits.price.exchangeRate)}` : ''}</td></tr>
+  </table>
+
+  ${credits.projects ? `
+  <h2>${I18n.t('projects.title')}</h2>
+  <table>
+    <thead>
+      <tr>
+        <th>${I18n.t('projects.project')}</th>
+        <th>${I18n.t('projects.standard')}</th>
+        <th class="results__legs-number">${I18n.t('projects.cost')}</th>
+      </tr>
+    </thead>
+    <tbody>
+      ${projectRows}
+    </tbody>
+  </table>
+  ` : ''}
+
+  <p class="report__note">
+    ${I18n.t('report.note')}
+  </p>
+</body>
+</html>`;
+  },
+
+  /**
+   * Renderiza os resultados da importação de viagens em lote
+   * 
+   * Estrutura HTML:
+   * - Grid de totais (viagens, erros, distância, emissão com a base de fatores e créditos)
+   * - Tabela com uma linha por viagem do arquivo e o erro de cada linha inválida
+   * 
+   * @param {Object} batch - Resultado de BatchImport.process() com results, totals e dataset
+   * @returns {string} HTML string com totais e tabela de viagens
+   */
+  renderBatchResults: function(batch) {
+    const totals = batch.totals;
+
+    const rows = batch.results.map(result => {
+      if (result.error) {
+        return `
+          <tr class="batch__row batch__row--error">
+            <td>${result.line}</td>
+            <td colspan="5">${this.escapeHtml(result.origin || '-')} → ${this.escapeHtml(result.destination || '-')}</td>
+            <td class="batch__status">⚠ ${this.escapeHtml(result.error)}</td>
+          </tr>
+        `;
+      }
+
+      const modeInfo = this.getModeInfo(result.mode);
+      return `
+          <tr class="batch__row">
+            <td>${result.line}</td>
+            <td>${result.date ? this.formatDate(result.date) : '-'}</td>
+            <td>${this.escapeHtml(result.origin)} → ${this.escapeHtml(result.destination)}</td>
+            <td>${modeInfo.icon} ${modeInfo.label}</td>
+            <td class="results__legs-number">
+              ${result.distanceSource === 'estimated' ? '≈ ' : ''}${this.formatDistance(result.distance)}
+              ${result.distanceSource === 'route' ? `<small class="batch__distance-source">${I18n.t('batch.routeSource')}</small>` : ''}
+              ${result.distanceSource === 'custom' ? `<small class="batch__distance-source">${I18n.t('batch.customRouteSource')}</small>` : ''}
+              ${result.distanceSource === 'estimated' ? `<small class="batch__distance-source">${I18n.t('batch.estimatedSource')}</small>` : ''}
+            </td>
+            <td class="results__legs-number">${this.formatMass(result.emission)}</td>
+            <td class="batch__status">✓</td>
+          </tr>
+      `;
+    }).join('');
+
+    return `
+      <div class="batch__totals">
+        <div class="batch__total">
+          <span class="batch__total-label">${I18n.t('batch.trips')}</span>
+          <span class="batch__total-value">${totals.count}</span>
+          <span class="batch__total-helper">${I18n.t('batch.errorCount', { count: totals.errorCount })}</span>
+        </div>
+        <div class="batch__total">
+          <span class="batch__total-label">${I18n.t('common.distance')}</span>
+          <span class="batch__total-value">${this.formatDistance(totals.distance)}</span>
+        </div>
+        <div class="batch__total">
+          <span class="batch__total-label">${I18n.t('batch.emissions')}</span>
+          <span class="batch__total-value">${this.formatMass(totals.emission)} CO₂e</span>
+          <span class="batch__total-helper">${I18n.t('common.perPassenger')}</span>
+          <span class="batch__total-helper">${I18n.t('results.dataset', { name: this.escapeHtml(batch.dataset.name), version: this.escapeHtml(batch.dataset.version) })}</span>
+        </div>
+        <div class="batch__total">
+          <span class="batch__total-label">${I18n.t('batch.credits')}</span>
+          <span class="batch__total-value">${this.formatNumber(totals.credits, 4)}</span>
+          <span class="batch__total-helper">${I18n.t('common.range', { min: this.formatCurrency(totals.price.min, totals.price.currency), max: this.formatCurrency(totals.price.max, totals.price.currency) })}</span>
+        </div>
+      </div>
+
+      <div class="batch__table-wrapper">
+        <table class="results__legs-table">
+          <thead>
+            <tr>
+              <th>${I18n.t('batch.line')}</th>
+              <th>${I18n.t('batch.date')}</th>
+              <th>${I18n.t('common.route')}</th>
+              <th>${I18n.t('common.mode')}</th>
+              <th class="results__legs-number">${I18n.t('common.distance')}</th>
+              <th class="results__legs-number">${I18n.t('batch.perPassenger')}</th>
+              <th>${I18n.t('batch.status')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${rows}
+          </tbody>
+        </table>
+      </div>
+    `;
+  },
+
+  /**
+   * Renderiza as opções do filtro de modo do histórico
+   * 
+   * @returns {string} HTML string com a opção "Todos os modos" e uma opção por modo
+   */
+  renderHistoryModeOptions: function() {
+    const modeOptions = Object.keys(CONFIG.TRANSPORT_MODES).map(mode => {
+      const modeInfo = this.getModeInfo(mode);
+      return `
+          <option value="${mode}">${modeInfo.icon} ${modeInfo.label}</option>
+      `;
+    }).join('');
+
+    return `
+          <option value="">${I18n.t('history.allModes')}</option>
+          ${modeOptions}
+    `;
+  },
+
+  /**
+   * Renderiza o conteúdo do painel de histórico
+   * 
+   * Estrutura HTML:
+   * - Grid de totais (cálculos e, separados para passageiros e carga, emissões,
+   *   economia e créditos)
+   * - Lista de entradas com data, trajeto, modo, distância, emissão e créditos
+   * - Botões de reabrir e excluir em cada entrada
+   * 
+   * @param {Array<Object>} entries - Entradas filtradas de TripHistory
+   * @param {Object} totals - Totais de TripHistory.getTotals()
+   * @returns {string} HTML string com totais e entradas
+   */
+  renderHistory: function(entries, totals) {
+    if (entries.length === 0) {
+      return `
+        <p class="history__empty">${I18n.t('history.empty')}</p>
+      `;
+    }
+
+    const items = entries.map(entry => {
+      const modeInfo = this.getModeInfo(entry.mode);
+      const unit = I18n.t(entry.input.calculationType === 'freight' ? 'common.perShipment' : 'common.perPassenger');
+      const cities = [entry.input.legs[0].origin].concat(entry.input.legs.map(leg => leg.destination));
+
+      return `
+          <li class="history__item">
+            <div class="history__item-info">
+              <span class="history__item-date">${this.formatDateTime(entry.timestamp)}</span>
+              <span class="history__item-route">${cities.map(city => this.escapeHtml(city)).join(' → ')}${entry.input.roundTrip ? ` ${I18n.t('common.roundTrip')}` : ''}</span>
+              <span class="history__item-details">
+                ${modeInfo.icon} ${modeInfo.label} · ${this.formatDistance(entry.distance)} ·
+                ${this.formatMass(entry.emission)} CO₂e ${unit} ·
+                ${I18n.t('history.credits', { value: this.formatNumber(entry.credits, 4) })}
+              </span>
+            </div>
+            <div class="history__item-actions">
+              <button type="button" class="history__button" data-history-action="reopen" data-entry-id="${this.escapeHtml(entry.id)}">${I18n.t('history.reopen')}</button>
+              <button type="button" class="history__button history__button--delete" data-history-action="delete" data-entry-id="${this.escapeHtml(entry.id)}">${I18n.t('history.delete')}</button>
+            </div>
+          </li>
+      `;
+    }).join('');
+
+    // Passageiros (por passageiro) e carga (por embarque) não podem ser somados
+    const groups = [
+      { totals: totals.passenger, unit: I18n.t('common.perPassenger') },
+      { totals: totals.freight, unit: I18n.t('common.perShipment') }
+    ].filter(group => group.totals.count > 0).map(group => `
+        <div class="history__total">
+          <span class="history__total-label">${I18n.t('history.emissions')}</span>
+          <span class="history__total-value">${this.formatMass(group.totals.emission)} CO₂e</span>
+          <span class="history__total-helper">${I18n.t('history.group', { unit: group.unit, count: group.totals.count })}</span>
+        </div>
+        <div class="history__total">
+          <span class="history__total-label">${I18n.t('history.savings')}</span>
+          <span class="history__total-value">${this.formatMass(group.totals.savedKg)} CO₂e</span>
+          <span class="history__total-helper">${group.unit}</span>
+        </div>
+        <div class="history__total">
+          <span class="history__total-label">${I18n.t('history.totalCredits')}</span>
+          <span class="history__total-value">${this.formatNumber(group.totals.credits, 4)}</span>
+          <span class="history__total-helper">${I18n.t('history.average', { price: this.formatCurrency(group.totals.price.average, group.totals.price.currency) })}</span>
+        </div>
+    `).join('');
+
+    return `
+      <div class="history__totals">
+        <div class="history__total">
+          <span class="history__total-label">${I18n.t('history.count')}</span>
+          <span class="history__total-value">${totals.count}</span>
+        </div>
+        ${groups}
+      </div>
+
+      <ul class="history__list">
+        ${items}
+      </ul>
+    `;
+  },
+
+  /**
+   * Renderiza a lista de rotas personalizadas
+   * 
+   * @param {Array<Object>} routes - Rotas com id, origin, destination, distanceKm e
+   *                                 replacesDefault (true se substitui uma rota da base)
+   * @returns {string} HTML string com as rotas e os botões de editar e excluir
+   */
+  renderCustomRoutes: function(routes) {
+    if (routes.length === 0) {
+      return `
+        <p class="custom-routes__empty">${I18n.t('customRoutes.empty')}</p>
+      `;
+    }
+
+    const items = routes.map(route => {
+      const name = `${route.origin} → ${route.destination}`;
+
+      return `
+          <li class="custom-routes__item">
+            <div class="custom-routes__item-info">
+              <span class="custom-routes__item-route">${this.escapeHtml(name)}</span>
+              <span class="custom-routes__item-details">
+                ${this.formatDistance(route.distanceKm)}
+                ${route.replacesDefault ? ` · <span class="custom-routes__badge">${I18n.t('customRoutes.replacesDefault')}</span>` : ''}
+              </span>
+            </div>
+            <div class="custom-routes__item-actions">
+              <button type="button" class="custom-routes__button" data-custom-routes-action="edit" data-route-id="${this.escapeHtml(route.id)}" aria-label="${this.escapeHtml(I18n.t('customRoutes.editLabel', { route: name }))}">${I18n.t('customRoutes.edit')}</button>
+              <button type="button" class="custom-routes__button custom-routes__button--delete" data-custom-routes-action="delete" data-route-id="${this.escapeHtml(route.id)}" aria-label="${this.escapeHtml(I18n.t('customRoutes.deleteLabel', { route: name }))}">${I18n.t('customRoutes.delete')}</button>
+            </div>
+          </li>
+      `;
+    }).join('');
+
+    return `
+      <ul class="custom-routes__list">
+        ${items}
+      </ul>
+    `;
+  },
+
+  /**
+   * Renderiza os campos do formulário de câmbio
+   * 
+   * Estrutura HTML:
+   * - Um campo de cotação por moeda de CONFIG.CURRENCY.CURRENCIES (exceto a base),
+   *   com o valor de 1 unidade da moeda na moeda base
+   * - Campo da data de vigência das cotações
+   * 
+   * @param {Object} exchangeRates - Tabela de câmbio (base, effectiveDate e rates)
+   * @returns {string} HTML string com os campos de câmbio
+   */
+  renderExchangeRateFields: function(exchangeRates) {
+    const rateFields = CONFIG.CURRENCY.CURRENCIES.filter(currency => currency !== exchangeRates.base).map(currency => `
+      <div class="calculator__field">
+        <label for="exchange-rate-${currency}" class="calculator__label">${I18n.t('rates.rate', { currency: currency, base: exchangeRates.base })}</label>
+        <input type="number" id="exchange-rate-${currency}" class="calculator__input" min="0" step="any" required data-rate-currency="${currency}" value="${exchangeRates.rates[currency]}">
+      </div>
+    `).join('');
+
+    return `
+      ${rateFields}
+      <div class="calculator__field">
+        <label for="exchange-rates-date" class="calculator__label">${I18n.t('rates.effectiveDate')}</label>
+        <input type="date" id="exchange-rates-date" class="calculator__input" required value="${exchangeRates.effectiveDate}">
+      </div>
+    `;
   }
 };
@@ -0,0 +1,216 @@
+/**
+ * Units - Sistema de Unidades da Interface
+ *
+ * Contém métodos para:
+ * - Escolher o sistema de unidades inicial (salvo no navegador ou o padrão)
+ * - Trocar e salvar o sistema escolhido no seletor de unidades
+ * - Converter distâncias (km ↔ unidade exibida) e massas (kg → unidade exibida)
+ * - Preencher e ler os campos de distância dos trechos, convertendo as
+ *   distâncias já preenchidas ao trocar de sistema
+ *
+ * O Calculator trabalha sempre em km e kg: as conversões acontecem apenas
+ * na exibição (UI.formatDistance, UI.formatMass) e nos campos de distância
+ * dos trechos.
+ */
+
+const Units = {
+  /**
+   * Sistema atual (chave de CONFIG.UNITS.SYSTEMS)
+   */
+  system: CONFIG.UNITS.DEFAULT_SYSTEM,
+
+  /**
+   * Função chamada após a troca de sistema (recebe o novo sistema)
+   */
+  onChange: null,
+
+  /**
+   * Inicializa o sistema de unidades
+   *
+   * Processo:
+   * 1. Define o sistema inicial
+   * 2. Popula o seletor de unidades a partir de CONFIG.UNITS.SYSTEMS
+   *
+   * @param {Function} onChange - Função que atualiza os conteúdos gerados pela aplicação
+   */
+  init: function(onChange) {
+    const select = document.getElementById('unit-select');
+
+    this.onChange = onChange;
+    this.system = this.getInitialSystem();
+
+    if (select) {
+      this.renderOptions();
+      select.addEventListener('change', () => this.setSystem(select.value));
+    } else {
+      console.error('Seletor de unidades não foi encontrado.');
+    }
+
+    console.log(`Sistema de unidades: ${this.system}`);
+  },
+
+  /**
+   * Popula o seletor de unidades no idioma atual
+   */
+  renderOptions: function() {
+    const select = document.getElementById('unit-select');
+
+    if (!select) {
+      return;
+    }
+
+    select.innerHTML = Object.keys(CONFIG.UNITS.SYSTEMS).map(system => `
+      <option value="${system}" ${system === this.system ? 'selected' : ''}>${I18n.t(`units.${system}`)}</option>
+    `).join('');
+  },
+
+  /**
+   * Retorna o sistema salvo no navegador ou o sistema padrão
+   *
+   * @returns {string} Chave de CONFIG.UNITS.SYSTEMS
+   */
+  getInitialSystem: function() {
+    let stored = null;
+
+    try {
+      stored = localStorage.getItem(CONFIG.UNITS.STORAGE_KEY);
+    } catch (error) {
+      console.error('Erro ao ler o sistema de unidades salvo:', error);
+    }
+
+    return stored && CONFIG.UNITS.SYSTEMS.hasOwnProperty(stored) ? stored : CONFIG.UNITS.DEFAULT_SYSTEM;
+  },
+
+  /**
+   * Troca o sistema de unidades e salva a escolha no navegador
+   * As distâncias já preenchidas nos trechos são convertidas para a nova unidade
+   *
+   * @param {string} system - Chave de CONFIG.UNITS.SYSTEMS
+   */
+  setSystem: function(system) {
+    if (!CONFIG.UNITS.SYSTEMS.hasOwnProperty(system) || system === this.system) {
+      return;
+    }
+
+    // Distâncias dos trechos em km, lidas na unidade anterior
+    const distanceInputs = Array.from(document.querySelectorAll('[data-field="distance"]'));
+    const distances = distanceInputs.map(input => this.readInputDistance(input));
+
+    this.system = system;
+
+    distanceInputs.forEach((input, index) => {
+      if (input.value !== '') {
+        this.writeInputDistance(input, distances[index]);
+      }
+    });
+
+    try {
+      localStorage.setItem(CONFIG.UNITS.STORAGE_KEY, system);
+    } catch (error) {
+      console.error('Erro ao salvar o sistema de unidades:', error);
+    }
+
+    if (typeof this.onChange === 'function') {
+      this.onChange(system);
+    }
+
+    console.log(`📏 Sistema de unidades alterado para ${system}`);
+  },
+
+  /**
+   * Retorna a unidade de distância do sistema atual
+   *
+   * @returns {string} Chave de CONFIG.UNITS.DISTANCE_UNITS (ex: "km", "mi")
+   */
+  getDistanceUnit: function() {
+    return CONFIG.UNITS.SYSTEMS[this.system].distance;
+  },
+
+  /**
+   * Retorna a unidade de massa do sistema atual
+   *
+   * @param {boolean} small - Se true, retorna a unidade de massas pequenas (CH₄ e N₂O)
+   * @returns {string} Chave de CONFIG.UNITS.MASS_UNITS (ex: "kg", "t", "lb")
+   */
+  getMassUnit: function(small = false) {
+    const systemConfig = CONFIG.UNITS.SYSTEMS[this.system];
+    return small ? systemConfig.smallMass : systemConfig.mass;
+  },
+
+  /**
+   * Converte uma distância em km para a unidade do sistema atual
+   *
+   * @param {number} km - Distância em quilômetros
+   * @returns {number} Distância na unidade atual
+   */
+  toDisplayDistance: function(km) {
+    return km / CONFIG.UNITS.DISTANCE_UNITS[this.getDistanceUnit()].factor;
+  },
+
+  /**
+   * Converte uma massa em kg para a unidade do sistema atual
+   *
+   * @param {number} kg - Massa em quilogramas
+   * @param {boolean} small - Se true, usa a unidade de massas pequenas
+   * @returns {number} Massa na unidade atual
+   */
+  toDisplayMass: function(kg, small = false) {
+    return kg / CONFIG.UNITS.MASS_UNITS[this.getMassUnit(small)].factor;
+  },
+
+  /**
+   * Converte uma distância em km para o valor do campo de distância
+   * (na unidade atual, arredondado às casas decimais da unidade)
+   *
+   * @param {number} km - Distância em quilômetros
+   * @returns {number|string} Valor do campo; vazio se a distância não é um número
+   */
+  toInputDistance: function(km) {
+    if (typeof km !== 'number' || isNaN(km)) {
+      return '';
+    }
+
+    const decimals = CONFIG.UNITS.DISTANCE_UNITS[this.getDistanceUnit()].decimals;
+    return Number(this.toDisplayDistance(km).toFixed(decimals));
+  },
+
+  /**
+   * Converte o valor do campo de distância (na unidade atual) para km
+   *
+   * @param {string|number} value - Valor do campo
+   * @returns {number} Distância em quilômetros (NaN se o valor não é um número)
+   */
+  fromInputDistance: function(value) {
+    return parseFloat(value) * CONFIG.UNITS.DISTANCE_UNITS[this.getDistanceUnit()].factor;
+  },
+
+  /**
+   * Preenche um campo de distância na unidade atual
+   * A distância exata em km fica em data-km, para que o arredondamento da
+   * exibição não altere o cálculo
+   *
+   * @param {HTMLInputElement} input - Campo de distância do trecho
+   * @param {number} km - Distância em quilômetros
+   */
+  writeInputDistance: function(input, km) {
+    input.value = this.toInputDistance(km);
+    input.dataset.km = input.value === '' ? '' : km;
+  },
+
+  /**
+   * Lê um campo de distância em km
+   * Usa a distância exata de data-km enquanto o valor exibido não for editado
+   *
+   * @param {HTMLInputElement} input - Campo de distância do trecho
+   * @returns {number} Distância em quilômetros (NaN se não preenchida)
+   */
+  readInputDistance: function(input) {
+    const km = parseFloat(input.dataset.km);
+
+    if (!isNaN(km) && String(this.toInputDistance(km)) === input.value) {
+      return km;
+    }
+
+    return this.fromInputDistance(input.value);
+  }
+};
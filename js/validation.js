@@ -0,0 +1,241 @@
+/**
+ * FormValidation - Erros de Validação do Formulário
+ *
+ * Contém métodos para:
+ * - Registrar os problemas encontrados no envio (todos de uma vez)
+ * - Exibir cada erro junto do seu campo (aria-invalid e aria-describedby)
+ * - Exibir o resumo dos erros no topo do formulário, com links para os campos
+ * - Remover o erro de um campo quando ele é corrigido
+ *
+ * Os erros guardam a chave e os parâmetros do texto (ver I18n.t). O texto do
+ * campo omite o prefixo do trecho ({leg}), que aparece apenas no resumo.
+ */
+
+const FormValidation = {
+  /**
+   * Erros registrados no envio atual: { field, key, params }
+   * field é o campo (input, select ou fieldset do grupo de radios), ou null
+   * para erros gerais do formulário
+   */
+  errors: [],
+
+  /**
+   * Inicializa a validação do formulário
+   *
+   * Processo:
+   * 1. Remove o erro de um campo ao editá-lo
+   * 2. Leva o foco ao campo ao clicar no link do resumo
+   *
+   * O formulário usa novalidate: os erros são exibidos pela página, e não pelos
+   * balões do navegador
+   */
+  init: function() {
+    const form = document.getElementById('calculator-form');
+    const summary = document.getElementById('form-errors');
+
+    if (!form || !summary) {
+      console.error('Elementos da validação do formulário não foram encontrados.');
+      return;
+    }
+
+    ['input', 'change'].forEach(type => {
+      form.addEventListener(type, (e) => {
+        const error = this.errors.find(item => item.field && this.getInputs(item.field).includes(e.target));
+        if (error) {
+          this.clearField(error.field);
+        }
+      });
+    });
+
+    summary.addEventListener('click', (e) => {
+      const link = e.target.closest('[data-error-index]');
+      if (!link) {
+        return;
+      }
+
+      e.preventDefault();
+      const error = this.errors[Number(link.dataset.errorIndex)];
+      if (error && error.field && error.field.isConnected) {
+        this.getFocusTarget(error.field).focus();
+      }
+    });
+  },
+
+  /**
+   * Registra um erro
+   *
+   * @param {HTMLElement|null} field - Campo com o problema (null para erros gerais)
+   * @param {string} key - Chave do texto do erro
+   * @param {Object} params - Parâmetros do texto (opcional)
+   */
+  addError: function(field, key, params = {}) {
+    this.errors.push({ field: field, key: key, params: params });
+  },
+
+  /**
+   * Exibe um erro geral do formulário (ex: link inválido), no lugar dos erros
+   * anteriores
+   *
+   * @param {string} key - Chave do texto do erro
+   * @param {Object} params - Parâmetros do texto (opcional)
+   */
+  showError: function(key, params = {}) {
+    this.clear();
+    this.addError(null, key, params);
+    this.show();
+  },
+
+  /**
+   * Indica se há erros registrados
+   *
+   * @returns {boolean} true se há pelo menos um erro
+   */
+  hasErrors: function() {
+    return this.errors.length > 0;
+  },
+
+  /**
+   * Exibe os erros registrados nos campos e no resumo, e leva o foco ao resumo
+   */
+  show: function() {
+    this.errors.forEach(error => {
+      if (error.field) {
+        this.markField(error.field, I18n.t(error.key, Object.assign({}, error.params, { leg: '' })));
+      }
+    });
+
+    this.renderSummary();
+
+    const summary = document.getElementById('form-errors');
+    summary.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    summary.focus({ preventScroll: true });
+  },
+
+  /**
+   * Remove todos os erros (dos campos e do resumo)
+   */
+  clear: function() {
+    this.errors.forEach(error => {
+      if (error.field) {
+        this.unmarkField(error.field);
+      }
+    });
+
+    this.errors = [];
+    this.renderSummary();
+  },
+
+  /**
+   * Remove o erro de um campo e atualiza o resumo
+   *
+   * @param {HTMLElement} field - Campo corrigido
+   */
+  clearField: function(field) {
+    if (!this.errors.some(error => error.field === field)) {
+      return;
+    }
+
+    this.unmarkField(field);
+    this.errors = this.errors.filter(error => error.field !== field);
+    this.renderSummary();
+  },
+
+  /**
+   * Atualiza o resumo dos erros (oculto quando não há erros)
+   * Erros de campos que não estão mais na página (ex: trecho removido) são ignorados
+   */
+  renderSummary: function() {
+    const summary = document.getElementById('form-errors');
+
+    this.errors = this.errors.filter(error => !error.field || error.field.isConnected);
+
+    if (this.errors.length === 0) {
+      summary.innerHTML = '';
+      summary.classList.add('hidden');
+      return;
+    }
+
+    summary.innerHTML = UI.renderErrorSummary(this.errors.map((error, index) => ({
+      index: index,
+      fieldId: error.field ? error.field.id : null,
+      message: I18n.t(error.key, error.params)
+    })));
+    summary.classList.remove('hidden');
+  },
+
+  /**
+   * Retorna os campos de entrada de um campo com erro
+   *
+   * @param {HTMLElement} field - Input, select ou fieldset (grupo de radios)
+   * @returns {Array<HTMLElement>} O próprio campo, ou as entradas do grupo
+   */
+  getInputs: function(field) {
+    return field.tagName === 'FIELDSET' ? Array.from(field.querySelectorAll('input')) : [field];
+  },
+
+  /**
+   * Retorna o elemento que recebe o foco a partir do resumo
+   * Em grupos de radios, o radio marcado (ou o primeiro)
+   *
+   * @param {HTMLElement} field - Campo com erro
+   * @returns {HTMLElement} Elemento focável
+   */
+  getFocusTarget: function(field) {
+    const inputs = this.getInputs(field);
+    return inputs.find(input => input.checked) || inputs[0] || field;
+  },
+
+  /**
+   * Exibe o erro junto do campo e o associa às entradas do campo
+   *
+   * @param {HTMLElement} field - Campo com erro
+   * @param {string} message - Texto do erro
+   */
+  markField: function(field, message) {
+    const errorId = `${field.id}-error`;
+    const container = field.tagName === 'FIELDSET' ? field : (field.closest('.calculator__field') || field.parentElement);
+    let errorElement = document.getElementById(errorId);
+
+    if (!errorElement) {
+      errorElement = document.createElement('p');
+      errorElement.id = errorId;
+      errorElement.className = 'calculator__error';
+      container.appendChild(errorElement);
+    }
+    errorElement.textContent = message;
+
+    this.getInputs(field).forEach(input => {
+      const describedBy = (input.getAttribute('aria-describedby') || '').split(' ').filter(Boolean);
+
+      input.setAttribute('aria-invalid', 'true');
+      if (!describedBy.includes(errorId)) {
+        input.setAttribute('aria-describedby', describedBy.concat(errorId).join(' '));
+      }
+    });
+  },
+
+  /**
+   * Remove o erro exibido junto do campo
+   *
+   * @param {HTMLElement} field - Campo corrigido
+   */
+  unmarkField: function(field) {
+    const errorId = `${field.id}-error`;
+    const errorElement = document.getElementById(errorId);
+
+    if (errorElement) {
+      errorElement.remove();
+    }
+
+    this.getInputs(field).forEach(input => {
+      const describedBy = (input.getAttribute('aria-describedby') || '').split(' ').filter(id => id && id !== errorId);
+
+      input.removeAttribute('aria-invalid');
+      if (describedBy.length > 0) {
+        input.setAttribute('aria-describedby', describedBy.join(' '));
+      } else {
+        input.removeAttribute('aria-describedby');
+      }
+    });
+  }
+};
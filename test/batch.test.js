@@ -0,0 +1,65 @@
+/**
+ * Testes do processamento em lote (js/core/batch.js)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { BatchProcessor, createBatchProcessor, createRoutesDB } from '../js/core/index.js';
+
+describe('parseCSV', () => {
+  it('detecta o separador e lê células entre aspas', () => {
+    const rows = BatchProcessor.parseCSV('\uFEFFa;b\n"x;1";"diz ""oi"""\n');
+
+    assert.deepEqual(rows.map(row => row.cells), [['a', 'b'], ['x;1', 'diz "oi"']]);
+  });
+
+  it('registra a linha do arquivo em que cada registro começa', () => {
+    const rows = BatchProcessor.parseCSV('a,b\r\n\r\n"linha\r\nquebrada",1\n"x\ny\nz",2\n3,4');
+
+    assert.deepEqual(rows.map(row => row.line), [1, 2, 3, 5, 8]);
+  });
+});
+
+describe('process', () => {
+  it('numera as viagens pela linha do arquivo, com linhas em branco e células de várias linhas', () => {
+    const csv = [
+      'origem,destino,distancia,modo',
+      '',
+      'São Paulo,Curitiba,,car',
+      '"Rio',
+      'de Janeiro",Niterói,20,bus',
+      '',
+      'A,B,abc,car'
+    ].join('\n');
+
+    const batch = BatchProcessor.process(csv);
+
+    assert.deepEqual(batch.results.map(result => result.line), [3, 4, 7]);
+    assert.equal(batch.results[1].origin, 'Rio\nde Janeiro');
+    assert.equal(batch.results[2].errorCode, 'distance');
+  });
+
+  it('indica a origem de cada distância e recusa distâncias não finitas', () => {
+    const routes = createRoutesDB({
+      routes: [{ origin: 'A', destination: 'B', distanceKm: 10 }],
+      cities: { A: { lat: 0, lon: 0 }, C: { lat: 0, lon: 1 } }
+    });
+    const processor = createBatchProcessor({ routes: routes });
+
+    const batch = processor.process('origem,destino,distancia,modo\nA,B,,car\nA,C,,car\nA,B,5,car\nA,B,Infinity,car\nA,X,,car');
+
+    assert.deepEqual(batch.results.map(result => result.distanceSource), ['route', 'estimated', 'informed', null, null]);
+    assert.deepEqual(batch.results.map(result => result.errorCode), [undefined, undefined, undefined, 'distance', 'unknownCity']);
+    assert.equal(batch.totals.count, 3);
+    assert.equal(batch.totals.errorCount, 2);
+  });
+
+  it('recusa arquivos vazios, sem colunas obrigatórias ou acima do limite', () => {
+    assert.throws(() => BatchProcessor.process('origem,destino,modo\n\n'), { code: 'empty' });
+    assert.throws(() => BatchProcessor.process('origem,modo\nA,car'), { code: 'missingColumns' });
+    assert.throws(
+      () => createBatchProcessor({ maxRows: 1 }).process('origem,destino,modo\nA,B,car\nA,B,car'),
+      { code: 'maxRows', params: { max: 1 } }
+    );
+  });
+});
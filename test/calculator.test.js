@@ -0,0 +1,96 @@
+/**
+ * Testes do calculador (js/core/calculator.js)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Calculator, createCalculator, CARBON_CREDIT } from '../js/core/index.js';
+
+describe('calculateItinerary', () => {
+  it('soma os trechos e inclui a volta', () => {
+    const itinerary = Calculator.calculateItinerary([
+      { origin: 'São Paulo, SP', destination: 'Curitiba, PR', distance: 408, mode: 'car' },
+      { origin: 'Curitiba, PR', destination: 'Florianópolis, SC', distance: 300, mode: 'bus' }
+    ], true);
+
+    assert.equal(itinerary.legs.length, 4);
+    assert.deepEqual(itinerary.legs.map(leg => leg.isReturn), [false, false, true, true]);
+    assert.equal(itinerary.legs[2].origin, 'Florianópolis, SC');
+    assert.equal(itinerary.totalDistance, 1416);
+
+    const legEmissions = itinerary.legs.reduce((sum, leg) => sum + leg.emission, 0);
+    assert.equal(itinerary.totalEmission, Math.round(legEmissions * 100) / 100);
+  });
+
+  it('recusa trechos com modo desconhecido antes de calcular', () => {
+    assert.throws(
+      () => Calculator.calculateItinerary([{ distance: 10, mode: 'rocket' }]),
+      /Modo de transporte "rocket" não reconhecido/
+    );
+    assert.throws(
+      () => Calculator.calculateItinerary([{ distance: 10, mode: 'car' }, { distance: 10, mode: 'constructor' }]),
+      /"constructor"/
+    );
+  });
+});
+
+describe('calculateShipment', () => {
+  const freight = { cargoTonnes: 2, emptyReturnShare: 0 };
+
+  it('calcula a emissão por tonelada e compara com o caminhão', () => {
+    const shipment = Calculator.calculateShipment([{ distance: 100, mode: 'freightRail' }], freight);
+
+    assert.equal(shipment.tonneKm, 200);
+    assert.equal(shipment.emissionPerTonne, Math.round(shipment.totalEmission / 2 * 100) / 100);
+    assert.ok(shipment.savings.savedKg > 0);
+  });
+
+  it('recusa trechos com modos que não transportam carga', () => {
+    assert.throws(
+      () => Calculator.calculateShipment([{ distance: 10, mode: 'bicycle' }], { cargoTonnes: 1 }),
+      /Modo de carga "bicycle" não reconhecido/
+    );
+  });
+
+  it('recusa peso da carga zero, negativo ou não numérico', () => {
+    [0, -1, NaN, Infinity, undefined].forEach(cargoTonnes => {
+      assert.throws(
+        () => Calculator.calculateShipment([{ distance: 10, mode: 'truck' }], { cargoTonnes: cargoTonnes }),
+        /Peso da carga inválido/
+      );
+      assert.throws(
+        () => Calculator.calculateAllFreightModes(10, { cargoTonnes: cargoTonnes }),
+        /Peso da carga inválido/
+      );
+    });
+  });
+
+  it('zera o detalhamento de carga de modos que não transportam carga', (t) => {
+    t.mock.method(console, 'error', () => {});
+
+    assert.equal(Calculator.calculateFreightEmissionBreakdown(10, 'bicycle', freight).total, 0);
+    assert.equal(Calculator.calculateFreightEmission(10, 'constructor', freight), 0);
+  });
+});
+
+describe('modos desconhecidos', () => {
+  it('retornam 0 de emissão e 1 ocupante', (t) => {
+    t.mock.method(console, 'error', () => {});
+
+    assert.equal(Calculator.calculateEmission(10, 'rocket'), 0);
+    assert.equal(Calculator.calculatePassengerEmission(10, 'rocket'), 0);
+    assert.equal(Calculator.getOccupants('rocket'), 1);
+  });
+});
+
+describe('compareOffsetProjects', () => {
+  it('usa o catálogo de projetos do calculador', () => {
+    const calculator = createCalculator({
+      carbonCredit: Object.assign({}, CARBON_CREDIT, {
+        PROJECTS: { teste: Object.assign({}, CARBON_CREDIT.PROJECTS['atlantic-forest']) }
+      })
+    });
+
+    assert.deepEqual(calculator.compareOffsetProjects(1).map(entry => entry.id), ['teste']);
+  });
+});
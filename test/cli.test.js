@@ -0,0 +1,94 @@
+/**
+ * Testes da linha de comando (bin/carbon-calc)
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const CLI_PATH = fileURLToPath(new URL('../bin/carbon-calc', import.meta.url));
+
+/**
+ * Executa o carbon-calc
+ *
+ * @param {Array<string>} args - Argumentos
+ * @param {string} input - Entrada padrão (opcional)
+ * @returns {Object} Objeto com status (código de saída), stdout e stderr
+ */
+function run(args, input = '') {
+  return spawnSync(process.execPath, [CLI_PATH].concat(args), { input: input, encoding: 'utf8', timeout: 30000 });
+}
+
+describe('carbon-calc', () => {
+  const directory = mkdtempSync(join(tmpdir(), 'carbon-calc-'));
+  after(() => rmSync(directory, { recursive: true, force: true }));
+
+  it('calcula uma viagem entre duas cidades (código 0)', () => {
+    const result = run(['--from', 'São Paulo, SP', '--to', 'Curitiba, PR', '--mode', 'bus', '--format', 'json']);
+    const trip = JSON.parse(result.stdout);
+
+    assert.equal(result.status, 0);
+    assert.equal(trip.distanceKm, 408);
+    assert.equal(trip.distanceSource, 'route');
+  });
+
+  it('retorna 1 quando a distância não é encontrada', () => {
+    const result = run(['--from', 'Atlântida', '--to', 'Curitiba, PR', '--mode', 'car']);
+
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /não foi possível encontrar a distância/);
+  });
+
+  it('retorna 2 para argumentos inválidos', () => {
+    [
+      ['--distance', '100'],
+      ['--distance', '100', '--mode', 'rocket'],
+      ['--distance', 'abc', '--mode', 'car'],
+      ['--distance', 'Infinity', '--mode', 'car'],
+      ['--distance', '1e999', '--mode', 'car'],
+      ['--distance', '100', '--mode', 'car', '--scope', 'xyz'],
+      ['--distance', '100', '--mode', 'car', '--format', 'xml'],
+      ['--opcao-desconhecida'],
+      ['viagem']
+    ].forEach(args => {
+      const result = run(args);
+      assert.equal(result.status, 2, args.join(' '));
+      assert.match(result.stderr, /carbon-calc --help/);
+    });
+  });
+
+  it('retorna 1 quando alguma linha do lote tem erro', () => {
+    const valid = run(['batch', '--format', 'json'], 'origem,destino,distancia,modo\nA,B,10,car\n');
+    const invalid = run(['batch', '--format', 'json'], 'origem,destino,distancia,modo\nA,B,10,car\n\nA,B,Infinity,car\n');
+
+    assert.equal(valid.status, 0);
+    assert.equal(invalid.status, 1);
+    assert.deepEqual(JSON.parse(invalid.stdout).results.map(result => result.line), [2, 4]);
+  });
+
+  it('usa as rotas personalizadas do arquivo --routes', () => {
+    const routesPath = join(directory, 'rotas.json');
+    writeFileSync(routesPath, JSON.stringify({
+      format: 'carbon-calc-routes',
+      version: 1,
+      routes: [{ origin: 'Constructor', destination: 'Curitiba, PR', distanceKm: 10 }]
+    }));
+
+    const result = run(['--from', 'Constructor', '--to', 'São Paulo, SP', '--mode', 'car', '--routes', routesPath, '--format', 'json']);
+
+    assert.equal(result.status, 0);
+    assert.equal(JSON.parse(result.stdout).distanceKm, 418);
+  });
+
+  it('retorna 2 para arquivos de rotas ilegíveis ou sem rotas válidas', () => {
+    const routesPath = join(directory, 'invalidas.json');
+    writeFileSync(routesPath, JSON.stringify([{ origin: '<b>x</b>', destination: 'Curitiba, PR', distanceKm: 10 }]));
+
+    assert.equal(run(['--distance', '10', '--mode', 'car', '--routes', routesPath]).status, 2);
+    assert.equal(run(['--distance', '10', '--mode', 'car', '--routes', join(directory, 'ausente.json')]).status, 2);
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Testes do registro de bases de fatores (js/core/datasets.js)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDatasetRegistry, DATASETS, EMISSION_DATASETS } from '../js/core/index.js';
+
+/**
+ * Cópia de uma base padrão com alterações
+ *
+ * @param {Function} change - Recebe a cópia e a altera
+ * @returns {Object} Base alterada
+ */
+function changedDataset(change) {
+  const dataset = JSON.parse(JSON.stringify(DATASETS[0]));
+  change(dataset);
+  return dataset;
+}
+
+describe('validate', () => {
+  const registry = createDatasetRegistry();
+
+  it('aceita as bases padrão', () => {
+    DATASETS.forEach(dataset => assert.equal(registry.validate(dataset), dataset));
+  });
+
+  it('aponta o primeiro problema da base', () => {
+    const cases = [
+      [dataset => { delete dataset.citation; }, /campo "citation" ausente/],
+      [dataset => { dataset.year = '2024'; }, /"year" deve ser um ano/],
+      [dataset => { dataset.url = 'ftp://exemplo'; }, /url inválida/],
+      [dataset => { delete dataset.units.freightFactors; }, /unidade de "freightFactors" ausente/],
+      [dataset => { dataset.vehicleFactors.rocket = {}; }, /modo de passageiros desconhecido "rocket"/],
+      [dataset => { delete dataset.vehicleFactors.car; }, /vehicleFactors\.car: sem o veículo padrão/],
+      [dataset => { dataset.vehicleFactors.car.gasoline.medium = -1; }, /vehicleFactors\.car\.gasoline\.medium: fator inválido/],
+      [dataset => { dataset.freightFactors.truck = NaN; }, /freightFactors\.truck: fator inválido/],
+      [dataset => { delete dataset.fuelProfiles.diesel; }, /sem o perfil do combustível "diesel"/]
+    ];
+
+    cases.forEach(([change, message]) => {
+      assert.throws(() => registry.validate(changedDataset(change)), message);
+    });
+  });
+});
+
+describe('registro', () => {
+  it('ignora bases inválidas e usa a base padrão para ids desconhecidos', (t) => {
+    t.mock.method(console, 'error', () => {});
+    const registry = createDatasetRegistry({ datasets: [] });
+
+    assert.equal(registry.register(changedDataset(dataset => { dataset.id = 'invalida'; dataset.year = null; })), false);
+    assert.equal(registry.register(DATASETS[0]), true);
+
+    assert.equal(registry.has('invalida'), false);
+    assert.equal(registry.has('constructor'), false);
+    assert.equal(registry.get('constructor').id, DATASETS[0].id);
+    assert.equal(registry.get().id, EMISSION_DATASETS.DEFAULT_DATASET);
+  });
+
+  it('falha sem nenhuma base válida', () => {
+    assert.throws(() => createDatasetRegistry({ datasets: [] }).get(), /Nenhuma base/);
+  });
+});
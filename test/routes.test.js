@@ -0,0 +1,138 @@
+/**
+ * Testes da base de rotas (js/core/routes.js)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRoutesDB } from '../js/core/index.js';
+
+describe('findRoute', () => {
+  const routes = createRoutesDB();
+
+  it('retorna a rota direta em qualquer direção', () => {
+    const route = routes.findRoute('São Paulo, SP', 'Curitiba, PR');
+
+    assert.equal(route.distanceKm, 408);
+    assert.deepEqual(route.path, ['São Paulo, SP', 'Curitiba, PR']);
+    assert.equal(route.estimated, false);
+    assert.equal(routes.findRoute('Curitiba, PR', 'São Paulo, SP').distanceKm, 408);
+  });
+
+  it('compõe o menor caminho quando não há rota direta', () => {
+    const routes = createRoutesDB({
+      routes: [
+        { origin: 'A', destination: 'B', distanceKm: 10 },
+        { origin: 'B', destination: 'C', distanceKm: 15 },
+        { origin: 'A', destination: 'C', distanceKm: 40 },
+        { origin: 'C', destination: 'D', distanceKm: 5 }
+      ],
+      cities: {}
+    });
+
+    const route = routes.findRoute('A', 'D');
+
+    assert.equal(route.distanceKm, 30);
+    assert.deepEqual(route.path, ['A', 'B', 'C', 'D']);
+    assert.deepEqual(route.via, ['B', 'C']);
+  });
+
+  it('estima a distância pelas coordenadas quando não há caminho', () => {
+    const routes = createRoutesDB({
+      routes: [],
+      cities: { A: { lat: 0, lon: 0 }, B: { lat: 0, lon: 1 } }
+    });
+
+    const route = routes.findRoute('A', 'B');
+
+    assert.equal(route.estimated, true);
+    assert.equal(route.distanceKm, Math.round(111.19 * 1.3));
+  });
+
+  it('retorna null para cidades desconhecidas ou iguais', () => {
+    assert.equal(routes.findRoute('Atlântida', 'Curitiba, PR'), null);
+    assert.equal(routes.findRoute('Curitiba, PR', 'curitiba'), null);
+    assert.equal(routes.findDistance('', 'Curitiba, PR'), null);
+  });
+
+  it('aceita os nomes sem acentos, sem o estado, por apelido e com erros de digitação', () => {
+    assert.equal(routes.findDistance('sao paulo', 'Curitiba'), 408);
+    assert.equal(routes.resolveCity('Floripa'), 'Florianópolis, SC');
+    assert.equal(routes.resolveCity('Curitbia'), 'Curitiba, PR');
+    assert.deepEqual(routes.matchCity('Porto').suggestions, ['Porto Alegre, RS', 'Porto Velho, RO']);
+  });
+});
+
+describe('rotas personalizadas', () => {
+  it('liga cidades novas às rotas da base', () => {
+    const routes = createRoutesDB();
+    routes.setCustomRoutes([{ origin: 'Joinville, SC', destination: 'curitiba', distanceKm: '130,5' }]);
+
+    const route = routes.findRoute('Joinville, SC', 'São Paulo, SP');
+
+    assert.equal(route.distanceKm, 538.5);
+    assert.deepEqual(route.via, ['Curitiba, PR']);
+    assert.equal(route.custom, true);
+  });
+
+  it('aceita cidades com nomes de propriedades de objetos', () => {
+    const routes = createRoutesDB();
+    routes.setCustomRoutes([
+      { origin: 'Constructor', destination: 'Curitiba, PR', distanceKm: 10 },
+      { origin: 'toString', destination: 'hasOwnProperty', distanceKm: 5 },
+      { origin: 'hasOwnProperty', destination: 'Constructor', distanceKm: 3 }
+    ]);
+
+    assert.equal(routes.findDistance('São Paulo', 'Curitiba'), 408);
+    assert.equal(routes.findRoute('Constructor', 'São Paulo, SP').distanceKm, 418);
+    assert.deepEqual(routes.findRoute('toString', 'Curitiba, PR').via, ['hasOwnProperty', 'Constructor']);
+  });
+
+  it('recusa nomes de cidade fora de CITY_PATTERN', () => {
+    const routes = createRoutesDB();
+
+    ['<img src=x>', '__proto__', 'A'.repeat(101)].forEach(city => {
+      assert.throws(
+        () => routes.setCustomRoutes([{ origin: city, destination: 'Curitiba, PR', distanceKm: 10 }]),
+        { code: 'cityName' }
+      );
+    });
+    assert.deepEqual(routes.customRoutes, []);
+  });
+
+  it('valida cidades, distância e rotas repetidas', () => {
+    const routes = createRoutesDB();
+    const setRoute = route => () => routes.setCustomRoutes([route]);
+
+    assert.throws(setRoute({ origin: '', destination: 'Curitiba', distanceKm: 10 }), { code: 'cities' });
+    assert.throws(setRoute({ origin: 'curitiba', destination: 'Curitiba, PR', distanceKm: 10 }), { code: 'sameCity' });
+    assert.throws(setRoute({ origin: 'A', destination: 'B', distanceKm: 'Infinity' }), { code: 'distance' });
+    assert.throws(() => routes.setCustomRoutes([
+      { origin: 'A', destination: 'B', distanceKm: 1 },
+      { origin: 'b', destination: 'a', distanceKm: 2 }
+    ]), { code: 'duplicate' });
+  });
+
+  it('respeita o limite de rotas de cada base', () => {
+    const routes = createRoutesDB({ customRoutesConfig: { FILE_FORMAT: 'teste', FILE_VERSION: 1, MAX_ROUTES: 1, CITY_PATTERN: /^.*$/ } });
+
+    assert.throws(() => routes.setCustomRoutes([
+      { origin: 'A', destination: 'B', distanceKm: 1 },
+      { origin: 'C', destination: 'D', distanceKm: 1 }
+    ]), { code: 'maxRoutes', params: { max: 1 } });
+  });
+
+  it('lê o arquivo exportado e ignora as rotas inválidas', () => {
+    const routes = createRoutesDB();
+    routes.setCustomRoutes([{ origin: 'Joinville, SC', destination: 'Curitiba, PR', distanceKm: 130 }]);
+
+    const document = routes.exportCustomRoutes();
+    document.routes.push({ origin: '<b>x</b>', destination: 'Curitiba, PR', distanceKm: 1 });
+
+    const parsed = routes.parseRoutesFile(JSON.stringify(document));
+
+    assert.equal(parsed.routes.length, 1);
+    assert.equal(parsed.skipped, 1);
+    assert.throws(() => routes.parseRoutesFile('{"format":"outro"}'), { code: 'file' });
+    assert.throws(() => routes.parseRoutesFile('[]'), { code: 'empty' });
+  });
+});
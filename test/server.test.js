@@ -0,0 +1,95 @@
+/**
+ * Testes da API HTTP (bin/carbon-calc-server)
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn, spawnSync } from 'node:child_process';
+import { once } from 'node:events';
+import { fileURLToPath } from 'node:url';
+
+const SERVER_PATH = fileURLToPath(new URL('../bin/carbon-calc-server', import.meta.url));
+
+describe('carbon-calc-server', () => {
+  let server;
+  let baseURL;
+
+  // Porta 0: o sistema escolhe uma porta livre, informada na saída do servidor
+  before(async () => {
+    server = spawn(process.execPath, [SERVER_PATH, '--port', '0']);
+    const [output] = await once(server.stdout, 'data');
+    baseURL = String(output).match(/http:\/\/[^/\s]+/)[0];
+  });
+
+  after(() => server.kill());
+
+  /**
+   * Faz uma requisição à API
+   *
+   * @param {string} path - Caminho com a query string
+   * @param {string} method - Método HTTP (padrão: GET)
+   * @returns {Promise<Object>} Objeto com status e body (JSON)
+   */
+  async function request(path, method = 'GET') {
+    const response = await fetch(baseURL + path, { method: method });
+    return { status: response.status, body: await response.json() };
+  }
+
+  it('responde 200 com a distância e as cidades intermediárias', async () => {
+    const result = await request('/api/distance?from=' + encodeURIComponent('São Paulo') + '&to=Curitiba');
+
+    assert.equal(result.status, 200);
+    assert.equal(result.body.distanceKm, 408);
+  });
+
+  it('responde 200 com a emissão e a comparação', async () => {
+    const emission = await request('/api/emission?mode=bus&distance=408&currency=USD');
+    const comparison = await request('/api/compare?distance=100&scope=wtw');
+
+    assert.equal(emission.status, 200);
+    assert.equal(comparison.status, 200);
+  });
+
+  it('responde 400 para parâmetros ausentes ou inválidos', async () => {
+    const cases = [
+      ['/api/distance?from=Curitiba', 'missing_parameter', 'to'],
+      ['/api/emission?distance=10', 'missing_parameter', 'mode'],
+      ['/api/emission?mode=rocket&distance=10', 'invalid_parameter', 'mode'],
+      ['/api/emission?mode=car&distance=Infinity', 'invalid_parameter', 'distance'],
+      ['/api/compare?distance=10&scope=xyz', 'invalid_parameter', 'scope']
+    ];
+
+    for (const [path, code, parameter] of cases) {
+      const result = await request(path);
+      assert.equal(result.status, 400, path);
+      assert.equal(result.body.error.code, code, path);
+      assert.equal(result.body.error.parameter, parameter, path);
+    }
+  });
+
+  it('responde 404 para rotas e caminhos desconhecidos', async () => {
+    const route = await request('/api/distance?from=' + encodeURIComponent('Atlântida') + '&to=Curitiba');
+    const path = await request('/api/desconhecido');
+
+    assert.equal(route.status, 404);
+    assert.equal(route.body.error.code, 'route_not_found');
+    assert.equal(path.status, 404);
+    assert.equal(path.body.error.code, 'not_found');
+  });
+
+  it('responde 405 para métodos diferentes de GET', async () => {
+    const result = await request('/api/cities', 'POST');
+
+    assert.equal(result.status, 405);
+    assert.equal(result.body.error.code, 'method_not_allowed');
+  });
+});
+
+describe('argumentos do servidor', () => {
+  it('encerra com código 2 para uma porta inválida', () => {
+    const result = spawnSync(process.execPath, [SERVER_PATH, '--port', 'abc'], { encoding: 'utf8', timeout: 30000 });
+
+    assert.equal(result.status, 2);
+    assert.match(result.stderr, /porta inválida/);
+  });
+});